@@ -50,6 +50,44 @@
  * @property {string} [startDate]
  * @property {string} [endDate]
  * @property {string} [fundingSource]
+ * @property {ApprovalStageKey|''} [approvalStage] - Etapa da cadeia de aprovação em andamento (vazia fora de aprovação).
+ * @property {string|null} [approvalStageSince] - Data ISO em que o projeto entrou na etapa atual.
+ */
+
+/**
+ * @typedef {('LOCAL_SEGMENT'|'PRE_IAC'|'IAC'|'BOARD')} ApprovalStageKey
+ * Etapas da cadeia de aprovação; cada uma corresponde a um item da lista ApproverGroups.
+ */
+
+/**
+ * @typedef {Object} ApprovalRecord
+ * Decisão registrada na lista Approvals (uma por aprovação, reprovação ou devolução).
+ * @property {number} Id - Identificador do item.
+ * @property {number} projectsIdId - Projeto decidido.
+ * @property {ApprovalStageKey} stage - Etapa em que a decisão foi tomada.
+ * @property {'approve'|'reject'|'return'} decision - Decisão registrada.
+ * @property {string} comment - Justificativa obrigatória do aprovador.
+ * @property {string} approverName - Nome de quem decidiu (o autor do item também é gravado pelo SharePoint).
+ * @property {string} investmentLevel - Nível de investimento que definiu a cadeia.
+ * @property {string} Created - Data da decisão.
+ */
+
+/**
+ * @typedef {Object} ReviewComment
+ * Comentário de revisão (lista ReviewComments) preso a um campo do formulário ou a um item relacionado.
+ * @property {number} Id - Identificador do item.
+ * @property {number} projectsIdId - Projeto revisado.
+ * @property {'field'|'pep'|'milestone'|'activity'} targetType - Tipo do alvo.
+ * @property {string} fieldName - ID do campo no formulário (targetType 'field').
+ * @property {number|null} targetId - ID do PEP, marco ou atividade comentado.
+ * @property {string} targetLabel - Descrição do alvo no momento do comentário.
+ * @property {string} comment - Texto do revisor.
+ * @property {string} reviewerName - Nome de quem comentou.
+ * @property {ApprovalStageKey|''} stage - Etapa de aprovação em que o comentário foi feito.
+ * @property {boolean} resolved - Marcado pelo autor ao tratar o comentário.
+ * @property {string|null} resolvedAt - Data ISO da resolução.
+ * @property {string} Created - Data do comentário.
+ * @property {{etag?:string}} [__metadata] - ETag enviado no IF-MATCH ao resolver ou reabrir.
  */
 
 /**
@@ -95,19 +133,88 @@
  * @property {Pep[]} peps - PEPs simples e vinculados às atividades.
  */
 
+/**
+ * @typedef {Object} BatchOperation
+ * @property {'create'|'update'|'delete'} type - Verbo lógico executado dentro do changeset.
+ * @property {string} listName - Lista SharePoint alvo.
+ * @property {number|string} [id] - ID do item (obrigatório em update/delete).
+ * @property {Object} [payload] - Campos enviados em create/update.
+ * @property {HTMLElement} [element] - Elemento DOM que recebe o ID criado (ex.: linha de PEP).
+ * @property {string} [datasetKey] - Chave do dataset atualizada com o ID retornado (ex.: 'pepId').
+ * @property {string} [etag] - ETag esperado em update/delete (IF-MATCH); '*' quando ausente.
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * Contrato de persistência consumido pela interface (variável global sp). Implementado por
+ * SharePointService (REST do tenant) e LocalStorageAdapter (IndexedDB, para demonstrações).
+ * @property {function(string, Object=, {all?:boolean, maxItems?:number, signal?:AbortSignal}=):Promise<Object[]>} getItems
+ * @property {function(string, Object=, {maxItems?:number, signal?:AbortSignal}=):AsyncGenerator<Object>} iterateItems
+ * @property {function(string, (number|string), {signal?:AbortSignal}=):Promise<Object>} getItem
+ * @property {function(string, Object):Promise<Object>} createItem
+ * @property {function(string, (number|string), Object, {etag?:string}=):Promise<{etag:string|null}>} updateItem
+ * @property {function(string, (number|string), {etag?:string}=):Promise<boolean>} deleteItem
+ * @property {function(BatchOperation[]):Promise<Array>} submitBatch
+ * @property {function(string, (number|string), string, (Blob|Object|string), Object=):Promise<boolean>} addAttachment
+ * @property {function(string, (number|string), string):Promise<boolean>} deleteAttachment
+ * @property {function(string, (number|string), string, {signal?:AbortSignal}=):Promise<string|null>} getAttachmentContent
+ * @property {function(string, (number|string), {signal?:AbortSignal}=):Promise<Array<{fileName:string, serverRelativeUrl:string, size:number|null}>>} getAttachments
+ * @property {function(string, (number|string), Blob, Object=):Promise<{fileName:string}>} uploadAttachmentFile
+ * @property {function(string, (number|string), string):Promise<Blob>} downloadAttachment
+ * @property {function((number|string), string):string} resolveAttachmentFileName
+ * @property {function(Error):boolean} isConcurrencyConflict
+ * @property {function():({id:number, displayName:string, email:string, loginName:string}|null)} getCurrentUser
+ */
+
 // ============================================================================
 // Integração com SharePoint via REST API
 // ============================================================================
 /**
  * Serviço dedicado à comunicação com listas do SharePoint usando REST.
- * Responsável por CRUD de itens e anexos JSON dos resumos.
+ * Responsável por CRUD de itens, lotes $batch e anexos JSON dos resumos.
  */
 class SharePointService {
   /**
    * @param {string} siteUrl - URL base do site SharePoint onde as listas residem.
+   * @param {{maxItems?:number, retry?:{maxRetries?:number, baseDelayMs?:number, maxDelayMs?:number},
+   *   onRetry?:function({attempt:number, maxRetries:number, delayMs:number, status:number, url:string}):void}} [options={}]
+   *   - Teto padrão de itens lidos ao seguir a paginação (__next), política de novas tentativas para
+   *   respostas 429/503 e callback notificado antes de cada nova tentativa.
    */
-  constructor(siteUrl) {
+  constructor(siteUrl, options = {}) {
     this.siteUrl = siteUrl.replace(/\/$/, '');
+    const maxItems = Number(options.maxItems);
+    this.maxItems = Number.isFinite(maxItems) && maxItems > 0 ? Math.floor(maxItems) : 5000;
+    // Limite de operações por requisição $batch aceito pelo SharePoint Online
+    this.maxBatchOperations = 100;
+    // Cache do form digest: renovado antes de expirar para evitar um POST /contextinfo por escrita
+    this.formDigestCache = null;
+    this.pendingFormDigest = null;
+    this.formDigestRefreshMarginMs = 60 * 1000;
+    // Throttling do SharePoint Online (429/503): backoff exponencial com jitter, respeitando Retry-After
+    this.retryPolicy = {
+      maxRetries: 4,
+      baseDelayMs: 1000,
+      maxDelayMs: 30 * 1000,
+      ...(options.retry || {})
+    };
+    this.onRetry = typeof options.onRetry === 'function' ? options.onRetry : null;
+  }
+
+  /**
+   * Usuário logado segundo o contexto da página SharePoint.
+   * @returns {{id:number, displayName:string, email:string, loginName:string}|null} Usuário atual ou null fora do SharePoint.
+   */
+  getCurrentUser() {
+    if (typeof _spPageContextInfo === 'undefined' || !_spPageContextInfo?.userId) {
+      return null;
+    }
+    return {
+      id: _spPageContextInfo.userId,
+      displayName: _spPageContextInfo.userDisplayName || '',
+      email: _spPageContextInfo.userEmail || '',
+      loginName: _spPageContextInfo.userLoginName || ''
+    };
   }
 
   /**
@@ -157,19 +264,168 @@ class SharePointService {
     return collapsedSpaces.replace(/'/g, "''");
   }
 
+  /**
+   * Resolve o nome final de um anexo JSON (forçado para .json) já sanitizado.
+   * @param {number|string} itemId - ID do item pai, usado no nome padrão resumo_<id>.json.
+   * @param {string} fileName - Nome sugerido.
+   * @returns {string} Nome que será gravado no SharePoint ou vazio quando inválido.
+   */
+  resolveAttachmentFileName(itemId, fileName) {
+    const rawFileName = fileName?.endsWith('.json') ? fileName : `resumo_${itemId}.json`;
+    return this.sanitizeFileName(rawFileName);
+  }
+
   /**
    * Executa requisição REST com logging e tratamento de erros padrão.
+   * Respostas 429/503 são repetidas conforme retryPolicy quando a requisição pode ser reenviada com segurança.
    * @param {string} url - URL alvo no SharePoint.
-   * @param {RequestInit} [options={}] - Configuração fetch (método, headers, body).
-   * @returns {Promise<null|Object>} Corpo JSON parseado ou null para 204/resposta vazia.
-   * @throws {Error} Para falhas de rede ou respostas não OK.
+   * @param {RequestInit & {responseType?:'json'|'text'|'blob', includeHeaders?:boolean, idempotent?:boolean}} [options={}]
+   *   - Configuração fetch (método, headers, body, signal), formato esperado da resposta ('text' preserva o corpo
+   *   bruto, usado pelo $batch; 'blob' devolve arquivos binários), se os cabeçalhos de resposta devem acompanhar o corpo (necessário para ler o ETag
+   *   após MERGE) e se um POST pode ser reenviado sem duplicar dados.
+   * @returns {Promise<null|Object|string|{data:*, headers:Headers}>} Corpo JSON parseado (ou texto bruto) e null
+   *   para 204/resposta vazia; com includeHeaders, objeto { data, headers }.
+   * @throws {Error} Para falhas de rede ou respostas não OK; AbortError quando options.signal é abortado.
    */
   async request(url, options = {}) {
+    const { includeHeaders = false, idempotent = false, ...requestOptions } = options;
+    const canRetry = this.isReplayableRequest(url, requestOptions, idempotent);
+
+    return this.retryThrottled(
+      url,
+      async () => {
+        const { data, headers } = await this.performRequest(url, requestOptions);
+        return includeHeaders ? { data, headers } : data;
+      },
+      { canRetry, signal: requestOptions.signal }
+    );
+  }
+
+  /**
+   * Executa a requisição repetindo respostas 429/503 conforme retryPolicy (Retry-After e backoff).
+   * @param {string} url - URL alvo, usada nos logs e no callback onRetry.
+   * @param {function():Promise<*>} send - Envia a requisição uma vez.
+   * @param {{canRetry?:boolean, signal?:AbortSignal}} [options={}] - Se a requisição pode ser reenviada
+   *   e sinal que interrompe a espera entre tentativas.
+   * @returns {Promise<*>} Resultado da primeira tentativa bem-sucedida.
+   */
+  async retryThrottled(url, send, options = {}) {
+    const { canRetry = true, signal } = options;
+    const { maxRetries } = this.retryPolicy;
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await send();
+      } catch (error) {
+        if (!canRetry || attempt >= maxRetries || !this.isThrottlingError(error)) {
+          throw error;
+        }
+        const delayMs = this.computeRetryDelay(attempt, error.retryAfter);
+        console.warn('SharePoint limitou a requisição; nova tentativa agendada.', {
+          url,
+          status: error.status,
+          attempt: attempt + 1,
+          delayMs
+        });
+        if (this.onRetry) {
+          this.onRetry({ attempt: attempt + 1, maxRetries, delayMs, status: error.status, url });
+        }
+        await this.wait(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Indica se a resposta representa limitação temporária do SharePoint (throttling ou indisponibilidade).
+   * @param {Error & {status?:number}} error - Erro propagado por performRequest.
+   * @returns {boolean} True para 429 e 503.
+   */
+  isThrottlingError(error) {
+    return error?.status === 429 || error?.status === 503;
+  }
+
+  /**
+   * Decide se a requisição pode ser reenviada sem efeitos duplicados: leituras, MERGE/DELETE,
+   * emissão de digest e POSTs marcados como idempotentes (ex.: $batch sem criações).
+   * @param {string} url - URL alvo.
+   * @param {RequestInit} options - Opções fetch da requisição.
+   * @param {boolean} idempotent - Marcação explícita do chamador.
+   * @returns {boolean} True quando a requisição pode ser repetida.
+   */
+  isReplayableRequest(url, options, idempotent) {
+    if (idempotent) return true;
+    const method = String(options.method || 'GET').toUpperCase();
+    if (method === 'GET' || method === 'HEAD') return true;
+    const httpMethod = String(options.headers?.['X-HTTP-Method'] || '').toUpperCase();
+    if (httpMethod === 'MERGE' || httpMethod === 'DELETE') return true;
+    return /\/_api\/contextinfo$/i.test(url);
+  }
+
+  /**
+   * Calcula a espera antes da próxima tentativa: backoff exponencial com jitter limitado a maxDelayMs.
+   * Retry-After, quando informado, é o mínimo respeitado (mesmo acima de maxDelayMs), pois reenviar
+   * antes do prazo do servidor só gera nova limitação.
+   * @param {number} attempt - Tentativa que falhou (0 para a primeira).
+   * @param {string|null} [retryAfter=null] - Cabeçalho Retry-After (segundos ou data HTTP).
+   * @returns {number} Espera em milissegundos.
+   */
+  computeRetryDelay(attempt, retryAfter = null) {
+    const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+    const exponential = baseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * baseDelayMs;
+    const backoffMs = Math.min(exponential + jitter, maxDelayMs);
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const retryAfterMs = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (Number.isFinite(retryAfterMs) && retryAfterMs >= 0) {
+        return Math.max(retryAfterMs, backoffMs);
+      }
+    }
+    return backoffMs;
+  }
+
+  /**
+   * Aguarda o intervalo informado, encerrando antes se o sinal for abortado.
+   * @param {number} ms - Milissegundos de espera.
+   * @param {AbortSignal} [signal] - Sinal de cancelamento da requisição.
+   * @returns {Promise<void>} Resolvida após o intervalo; rejeitada com AbortError no cancelamento.
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Executa o fetch e interpreta o corpo; base de request.
+   * @param {string} url - URL alvo no SharePoint.
+   * @param {RequestInit & {responseType?:'json'|'text'|'blob'}} [options={}] - Configuração fetch e formato da resposta.
+   * @returns {Promise<{data:null|Object|string|Blob, headers:Headers}>} Corpo interpretado e cabeçalhos da resposta.
+   * @throws {Error} Para falhas de rede ou respostas não OK.
+   */
+  async performRequest(url, options = {}) {
+    const { responseType = 'json', ...fetchOptions } = options;
     let response;
     try {
       // Passo 1: dispara fetch e captura falhas de rede antes da avaliação HTTP
-      response = await fetch(url, options);
+      response = await fetch(url, fetchOptions);
     } catch (networkError) {
+      // Cancelamento pedido pelo chamador não é falha de conexão: propaga o AbortError original
+      if (isAbortError(networkError)) {
+        throw networkError;
+      }
       console.error('Falha na requisição SharePoint', {
         url,
         error: networkError
@@ -190,21 +446,31 @@ class SharePointService {
       const error = new Error(message);
       error.status = response.status;
       error.url = url;
+      error.retryAfter = response.headers.get('Retry-After');
       throw error;
     }
 
+    const { headers } = response;
     if (response.status === 204) {
-      return null;
+      return { data: null, headers };
+    }
+
+    if (responseType === 'blob') {
+      return { data: await response.blob(), headers };
     }
 
     const text = await response.text();
     if (!text) {
-      return null;
+      return { data: null, headers };
+    }
+
+    if (responseType === 'text') {
+      return { data: text, headers };
     }
 
     try {
       // Passo 3: parseia JSON e propaga erro contextual caso a resposta seja inválida
-      return JSON.parse(text);
+      return { data: JSON.parse(text), headers };
     } catch (parseError) {
       console.error('Não foi possível interpretar a resposta do SharePoint como JSON', {
         url,
@@ -234,8 +500,7 @@ async addAttachment(listName, itemId, fileName, fileContent, options = {}) {
 
   // 👉 força sempre extensão .json e content-type correto
   const { overwrite = false } = options;
-  const rawFileName = fileName?.endsWith('.json') ? fileName : `resumo_${itemId}.json`;
-  const sanitizedFileName = this.sanitizeFileName(rawFileName);
+  const sanitizedFileName = this.resolveAttachmentFileName(itemId, fileName);
   // encodeURIComponent evita caracteres especiais na rota AttachmentFiles
   // encodeURIComponent protege a rota getByFileName contra caracteres especiais
   const encodedFileName = encodeURIComponent(sanitizedFileName);
@@ -304,10 +569,8 @@ async addAttachment(listName, itemId, fileName, fileContent, options = {}) {
     bodyContent = normalizedContent;
   }
 
-  const digest = await this.getFormDigest();
   const headers = {
     Accept: 'application/json;odata=verbose',
-    'X-RequestDigest': digest,
     'Content-Type': 'application/json'
   };
 
@@ -326,7 +589,7 @@ async addAttachment(listName, itemId, fileName, fileContent, options = {}) {
 
   console.log("🔎 Salvando anexo em:", url, "Arquivo:", sanitizedFileName);
 
-  await this.request(url, { method: 'POST', headers, body });
+  await this.requestWithDigest(url, { method: 'POST', headers, body });
   return true;
 }
 
@@ -365,10 +628,8 @@ async deleteAttachment(listName, itemId, fileName) {
     return false;
   }
 
-  const digest = await this.getFormDigest();
   const headers = {
     Accept: 'application/json;odata=verbose',
-    'X-RequestDigest': digest,
     'IF-MATCH': '*',
     'X-HTTP-Method': 'DELETE'
   };
@@ -380,16 +641,216 @@ async deleteAttachment(listName, itemId, fileName) {
 
   console.log("🔎 Removendo anexo existente:", url, "Arquivo:", sanitizedFileName);
 
-  await this.request(url, { method: 'POST', headers });
+  await this.requestWithDigest(url, { method: 'POST', headers });
   return true;
 }
 
   /**
-   * Obtém token X-RequestDigest necessário para operações de escrita.
+   * Lê o conteúdo bruto de um anexo existente.
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome do arquivo.
+   * @param {{signal?:AbortSignal}} [options={}] - Sinal de cancelamento.
+   * @returns {Promise<string|null>} Conteúdo textual ou null quando o anexo não existe.
+   */
+  async getAttachmentContent(listName, itemId, fileName, options = {}) {
+    const sanitizedFileName = this.sanitizeFileName(fileName || '');
+    if (!sanitizedFileName) return null;
+    const encodedFileName = encodeURIComponent(sanitizedFileName);
+    const url = this.buildUrl(
+      listName,
+      `/items(${itemId})/AttachmentFiles/getByFileName('${encodedFileName}')/$value`
+    );
+    try {
+      return await this.request(url, { method: 'GET', responseType: 'text', signal: options.signal });
+    } catch (error) {
+      if (error?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os anexos do item (inclui o resumo JSON; filtrar reservados fica a cargo da interface).
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {{signal?:AbortSignal}} [options={}] - Sinal de cancelamento.
+   * @returns {Promise<Array<{fileName:string, serverRelativeUrl:string, size:number|null}>>} Anexos existentes.
+   */
+  async getAttachments(listName, itemId, options = {}) {
+    if (!itemId) throw new Error('ID do item inválido para listar anexos.');
+    const url = this.buildUrl(listName, `/items(${itemId})/AttachmentFiles`);
+    const headers = { Accept: 'application/json;odata=verbose' };
+    const data = await this.request(url, { method: 'GET', headers, signal: options.signal });
+    // AttachmentFiles não expõe o tamanho do arquivo; a interface omite a coluna quando null
+    return safeArray(data?.d?.results).map((file) => ({
+      fileName: file.FileName,
+      serverRelativeUrl: file.ServerRelativeUrl || '',
+      size: null
+    }));
+  }
+
+  /**
+   * Envia arquivo binário (PDF, planilha, imagem...) como anexo do item, reportando o progresso do upload.
+   * Usa XMLHttpRequest porque fetch não expõe progresso de envio; o 403 de digest expirado é repetido uma vez
+   * e 429/503 seguem a mesma política de novas tentativas de request.
+   * @param {string} listName - Lista onde o item reside.
+   * @param {number|string} itemId - Identificador do item pai.
+   * @param {Blob} file - Arquivo selecionado (File ou Blob).
+   * @param {{fileName?:string, onProgress?:function({loaded:number, total:number}):void, signal?:AbortSignal}} [options={}]
+   *   - Nome final (padrão: file.name), callback de progresso e sinal de cancelamento.
+   * @returns {Promise<{fileName:string}>} Nome gravado no SharePoint.
+   * @throws {Error} Para nome inválido, falhas HTTP (com status) ou AbortError no cancelamento.
+   */
+  async uploadAttachmentFile(listName, itemId, file, options = {}) {
+    if (!listName) throw new Error('Lista SharePoint não informada.');
+    if (!itemId) throw new Error('ID do item inválido para anexar arquivo.');
+    if (!(file instanceof Blob)) throw new Error('Arquivo inválido para upload.');
+
+    const { fileName = file.name, onProgress, signal } = options;
+    const sanitizedFileName = this.sanitizeFileName(fileName || '');
+    if (!sanitizedFileName) {
+      throw new Error('Nome do arquivo inválido.');
+    }
+
+    const url = this.buildUrl(
+      listName,
+      `/items(${itemId})/AttachmentFiles/add(FileName='${encodeURIComponent(sanitizedFileName)}')`
+    );
+
+    // 429/503 recusam o upload antes de gravar o arquivo: repetir não duplica o anexo
+    const send = (forceRefresh) => this.retryThrottled(url, async () => {
+      const digest = await this.getFormDigest({ forceRefresh });
+      return this.sendWithProgress(url, {
+        body: file,
+        headers: {
+          Accept: 'application/json;odata=verbose',
+          'Content-Type': file.type || 'application/octet-stream',
+          'X-RequestDigest': digest
+        },
+        onProgress,
+        signal
+      });
+    }, { signal });
+
+    try {
+      await send(false);
+    } catch (error) {
+      if (!this.isSecurityValidationError(error)) {
+        throw error;
+      }
+      console.warn('Form digest rejeitado pelo SharePoint; renovando e repetindo o upload.', { url });
+      this.invalidateFormDigest();
+      await send(true);
+    }
+    return { fileName: sanitizedFileName.replace(/''/g, "'") };
+  }
+
+  /**
+   * POST via XMLHttpRequest com eventos de progresso, convertendo falhas no mesmo formato de performRequest.
+   * @param {string} url - URL alvo.
+   * @param {{body:Blob, headers:Object<string,string>, onProgress?:function({loaded:number, total:number}):void,
+   *   signal?:AbortSignal}} options - Corpo, cabeçalhos, callback de progresso e sinal de cancelamento.
+   * @returns {Promise<null|Object>} Corpo JSON da resposta (null quando vazio).
+   */
+  sendWithProgress(url, options) {
+    const { body, headers, onProgress, signal } = options;
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      const xhr = new XMLHttpRequest();
+      const onAbort = () => xhr.abort();
+      xhr.open('POST', url);
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+      if (onProgress) {
+        xhr.upload.addEventListener('progress', (event) => {
+          onProgress({ loaded: event.loaded, total: event.lengthComputable ? event.total : body.size });
+        });
+      }
+      xhr.addEventListener('load', () => {
+        signal?.removeEventListener('abort', onAbort);
+        if (xhr.status >= 200 && xhr.status < 300) {
+          try {
+            resolve(xhr.responseText ? JSON.parse(xhr.responseText) : null);
+          } catch (parseError) {
+            resolve(null);
+          }
+          return;
+        }
+        console.error('Erro retornado pela API do SharePoint', {
+          url,
+          status: xhr.status,
+          statusText: xhr.statusText,
+          responseText: xhr.responseText
+        });
+        const error = new Error(xhr.responseText || xhr.statusText || 'Erro desconhecido na API do SharePoint.');
+        error.status = xhr.status;
+        error.url = url;
+        error.retryAfter = xhr.getResponseHeader('Retry-After');
+        reject(error);
+      });
+      xhr.addEventListener('error', () => {
+        signal?.removeEventListener('abort', onAbort);
+        console.error('Falha na requisição SharePoint', { url });
+        reject(new Error('Não foi possível conectar ao SharePoint. Tente novamente mais tarde.'));
+      });
+      xhr.addEventListener('abort', () => {
+        reject(signal?.reason || new DOMException('Upload cancelado.', 'AbortError'));
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+      xhr.send(body);
+    });
+  }
+
+  /**
+   * Baixa um anexo como Blob para salvar no computador do usuário.
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome do anexo.
+   * @returns {Promise<Blob>} Conteúdo binário do arquivo.
+   * @throws {Error} Com status 404 quando o anexo não existe.
+   */
+  async downloadAttachment(listName, itemId, fileName) {
+    const sanitizedFileName = this.sanitizeFileName(fileName || '');
+    if (!sanitizedFileName) throw new Error('Nome do arquivo inválido.');
+    const url = this.buildUrl(
+      listName,
+      `/items(${itemId})/AttachmentFiles/getByFileName('${encodeURIComponent(sanitizedFileName)}')/$value`
+    );
+    const blob = await this.request(url, { method: 'GET', responseType: 'blob' });
+    return blob || new Blob([]);
+  }
+
+  /**
+   * Obtém token X-RequestDigest necessário para operações de escrita, reutilizando o valor em cache
+   * até pouco antes de FormDigestTimeoutSeconds expirar.
+   * @param {{forceRefresh?:boolean}} [options={}] - Ignora o cache e solicita novo digest.
    * @returns {Promise<string>} Valor do form digest atual.
    * @throws {Error} Quando SharePoint não retorna digest e _spPageContextInfo não está disponível.
    */
-  async getFormDigest() {
+  async getFormDigest(options = {}) {
+    const { forceRefresh = false } = options;
+    const cached = this.formDigestCache;
+    if (!forceRefresh && cached && Date.now() < cached.expiresAt - this.formDigestRefreshMarginMs) {
+      return cached.value;
+    }
+
+    // Escritas paralelas compartilham a mesma renovação em andamento
+    if (!this.pendingFormDigest) {
+      this.pendingFormDigest = this.fetchFormDigest().finally(() => {
+        this.pendingFormDigest = null;
+      });
+    }
+    return this.pendingFormDigest;
+  }
+
+  /**
+   * Solicita novo digest em /_api/contextinfo e atualiza o cache com a validade informada.
+   * @returns {Promise<string>} Valor do form digest recém-emitido.
+   * @throws {Error} Quando SharePoint não retorna digest e _spPageContextInfo não está disponível.
+   */
+  async fetchFormDigest() {
     try {
       const url = `${this.siteUrl}/_api/contextinfo`;
       const headers = {
@@ -397,7 +858,13 @@ async deleteAttachment(listName, itemId, fileName) {
         'Content-Type': 'application/json;odata=verbose'
       };
       const data = await this.request(url, { method: 'POST', headers });
-      return data?.d?.GetContextWebInformation?.FormDigestValue;
+      const info = data?.d?.GetContextWebInformation;
+      const value = info?.FormDigestValue;
+      if (value) {
+        const timeoutSeconds = Number(info?.FormDigestTimeoutSeconds) || 1800;
+        this.formDigestCache = { value, expiresAt: Date.now() + timeoutSeconds * 1000 };
+      }
+      return value;
     } catch (error) {
       if (typeof _spPageContextInfo !== 'undefined') {
         // Fallback SharePoint: reutiliza digest exposto globalmente quando disponível
@@ -408,33 +875,142 @@ async deleteAttachment(listName, itemId, fileName) {
   }
 
   /**
-   * Lista itens de uma lista SharePoint com parâmetros OData opcionais.
+   * Descarta o digest em cache, forçando nova emissão na próxima escrita.
+   */
+  invalidateFormDigest() {
+    this.formDigestCache = null;
+  }
+
+  /**
+   * Identifica o 403 devolvido pelo SharePoint quando o digest expirou ou foi invalidado.
+   * @param {Error & {status?:number}} error - Erro propagado por request.
+   * @returns {boolean} True para falhas de validação de segurança.
+   */
+  isSecurityValidationError(error) {
+    if (error?.status !== 403) return false;
+    return /security validation|valida[çc][ãa]o de seguran[çc]a|X-RequestDigest/i.test(String(error.message || ''));
+  }
+
+  /**
+   * Identifica a recusa por concorrência otimista (IF-MATCH com ETag desatualizado).
+   * @param {Error & {status?:number}} error - Erro propagado por request ou submitBatch.
+   * @returns {boolean} True quando o item foi alterado por outra pessoa.
+   */
+  isConcurrencyConflict(error) {
+    return error?.status === 412;
+  }
+
+  /**
+   * Executa requisição de escrita anexando o X-RequestDigest em cache.
+   * Em caso de 403 por validação de segurança, renova o digest e repete uma única vez.
+   * @param {string} url - URL alvo no SharePoint.
+   * @param {RequestInit & {responseType?:'json'|'text', includeHeaders?:boolean}} [options={}] - Mesmas opções aceitas por request.
+   * @returns {Promise<null|Object|string|{data:*, headers:Headers}>} Resposta de request.
+   */
+  async requestWithDigest(url, options = {}) {
+    const send = async (forceRefresh) => {
+      const digest = await this.getFormDigest({ forceRefresh });
+      return this.request(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'X-RequestDigest': digest }
+      });
+    };
+
+    try {
+      return await send(false);
+    } catch (error) {
+      if (!this.isSecurityValidationError(error)) {
+        throw error;
+      }
+      console.warn('Form digest rejeitado pelo SharePoint; renovando e repetindo a requisição.', { url });
+      this.invalidateFormDigest();
+      return send(true);
+    }
+  }
+
+  /**
+   * Monta a URL de consulta da lista com parâmetros OData ($select, $filter, $top...).
    * @param {string} listName - Nome da lista.
-   * @param {Object} [params={}] - Parâmetros como select, filter, orderby.
-   * @returns {Promise<Object[]>} Coleção de itens no formato JSON padrão.
+   * @param {Object} [params={}] - Parâmetros sem o prefixo $.
+   * @returns {string} URL completa da primeira página.
    */
-  async getItems(listName, params = {}) {
+  buildItemsQueryUrl(listName, params = {}) {
     const url = new URL(this.buildUrl(listName));
     Object.entries(params).forEach(([key, value]) => {
       if (value !== undefined && value !== null && value !== '') {
         url.searchParams.append(`$${key}`, value);
       }
     });
+    return url.toString();
+  }
+
+  /**
+   * Lista itens de uma lista SharePoint com parâmetros OData opcionais.
+   * Por padrão lê só a primeira página; com all, segue os links __next até o teto configurado.
+   * @param {string} listName - Nome da lista.
+   * @param {Object} [params={}] - Parâmetros como select, filter, orderby, top (tamanho da página).
+   * @param {{all?:boolean, maxItems?:number, signal?:AbortSignal}} [options={}] - Paginação automática,
+   *   teto de itens e sinal de cancelamento.
+   * @returns {Promise<Object[]>} Coleção de itens no formato JSON padrão.
+   */
+  async getItems(listName, params = {}, options = {}) {
+    const { all = false, signal } = options;
+    if (!all) {
+      const headers = { Accept: 'application/json;odata=verbose' };
+      const data = await this.request(this.buildItemsQueryUrl(listName, params), { headers, signal });
+      return data?.d?.results ?? [];
+    }
+
+    const items = [];
+    for await (const item of this.iterateItems(listName, params, options)) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Percorre todos os itens da consulta página a página (links __next), sem acumular a lista inteira.
+   * Interrompe ao atingir o teto, registrando aviso quando ainda havia páginas a ler.
+   * @param {string} listName - Nome da lista.
+   * @param {Object} [params={}] - Parâmetros OData, como em getItems.
+   * @param {{maxItems?:number, signal?:AbortSignal}} [options={}] - Teto de itens (padrão this.maxItems)
+   *   e sinal de cancelamento.
+   * @returns {AsyncGenerator<Object>} Itens na ordem devolvida pelo SharePoint.
+   */
+  async *iterateItems(listName, params = {}, options = {}) {
+    const requestedMax = Number(options.maxItems);
+    const maxItems = Number.isFinite(requestedMax) && requestedMax > 0 ? Math.floor(requestedMax) : this.maxItems;
     const headers = { Accept: 'application/json;odata=verbose' };
-    const data = await this.request(url.toString(), { headers });
-    return data?.d?.results ?? [];
+    let nextUrl = this.buildItemsQueryUrl(listName, params);
+    let yielded = 0;
+
+    while (nextUrl) {
+      const data = await this.request(nextUrl, { headers, signal: options.signal });
+      const results = data?.d?.results ?? [];
+      nextUrl = data?.d?.__next || null;
+
+      for (const item of results) {
+        if (yielded >= maxItems) {
+          console.warn(`Limite de ${maxItems} itens atingido ao ler a lista ${listName}; demais itens ignorados.`);
+          return;
+        }
+        yielded += 1;
+        yield item;
+      }
+    }
   }
 
   /**
    * Recupera um item específico da lista.
    * @param {string} listName - Lista alvo.
    * @param {number|string} id - Identificador do item.
+   * @param {{signal?:AbortSignal}} [options={}] - Sinal de cancelamento.
    * @returns {Promise<Object|null>} Item retornado pela API ou null.
    */
-  async getItem(listName, id) {
+  async getItem(listName, id, options = {}) {
     const url = this.buildUrl(listName, `/items(${id})`);
     const headers = { Accept: 'application/json;odata=verbose' };
-    const data = await this.request(url, { headers });
+    const data = await this.request(url, { headers, signal: options.signal });
     return data?.d ?? null;
   }
 
@@ -445,316 +1021,1385 @@ async deleteAttachment(listName, itemId, fileName) {
    * @returns {Promise<Object|null>} Item criado retornado pelo SharePoint.
    */
   async createItem(listName, payload) {
-    const digest = await this.getFormDigest();
     const headers = {
       Accept: 'application/json;odata=verbose',
-      'Content-Type': 'application/json;odata=verbose',
-      'X-RequestDigest': digest
+      'Content-Type': 'application/json;odata=verbose'
     };
     const body = JSON.stringify({
       __metadata: { type: this.encodeEntity(listName) },
       ...payload
     });
-    const data = await this.request(this.buildUrl(listName), { method: 'POST', headers, body });
+    const data = await this.requestWithDigest(this.buildUrl(listName), { method: 'POST', headers, body });
     return data?.d ?? null;
   }
 
   /**
-   * Atualiza item existente utilizando verbo MERGE e cabeçalho IF-MATCH *.
+   * Atualiza item existente utilizando verbo MERGE e concorrência otimista via IF-MATCH.
    * @param {string} listName - Lista alvo.
    * @param {number|string} id - ID do item a alterar.
    * @param {Object} payload - Campos a atualizar.
-   * @returns {Promise<boolean>} True ao concluir sem erros.
+   * @param {{etag?:string}} [options={}] - ETag lido no carregamento; '*' ignora a versão do servidor.
+   * @returns {Promise<{etag:string|null}>} Novo ETag do item após a alteração.
+   * @throws {Error} Com status 412 quando o item foi alterado por outra pessoa desde o carregamento.
    */
-  async updateItem(listName, id, payload) {
-    const digest = await this.getFormDigest();
+  async updateItem(listName, id, payload, options = {}) {
+    const { etag = '*' } = options;
     const headers = {
       Accept: 'application/json;odata=verbose',
       'Content-Type': 'application/json;odata=verbose',
-      'X-RequestDigest': digest,
-      // IF-MATCH:* + X-HTTP-Method:MERGE evita conflitos de versão mantendo semântica REST
-      'IF-MATCH': '*',
+      // IF-MATCH com o ETag carregado faz o SharePoint recusar (412) versões desatualizadas
+      'IF-MATCH': etag || '*',
       'X-HTTP-Method': 'MERGE'
     };
     const body = JSON.stringify({
       __metadata: { type: this.encodeEntity(listName) },
       ...payload
     });
-    await this.request(this.buildUrl(listName, `/items(${id})`), { method: 'POST', headers, body });
-    return true;
+    const { headers: responseHeaders } = await this.requestWithDigest(this.buildUrl(listName, `/items(${id})`), {
+      method: 'POST',
+      headers,
+      body,
+      includeHeaders: true
+    });
+    return { etag: responseHeaders?.get('ETag') || null };
   }
 
   /**
    * Exclui item via DELETE lógico no SharePoint (X-HTTP-Method: DELETE).
    * @param {string} listName - Lista alvo.
    * @param {number|string} id - ID do item a remover.
+   * @param {{etag?:string}} [options={}] - ETag lido no carregamento; '*' remove independente da versão.
    * @returns {Promise<boolean>} Indica que a operação foi concluída.
+   * @throws {Error} Com status 412 quando o item foi alterado por outra pessoa desde o carregamento.
    */
-  async deleteItem(listName, id) {
-    const digest = await this.getFormDigest();
+  async deleteItem(listName, id, options = {}) {
+    const { etag = '*' } = options;
     const headers = {
       Accept: 'application/json;odata=verbose',
-      'X-RequestDigest': digest,
-      // Cabeçalhos padrão SharePoint para exclusão (garantem remoção independente da versão)
-      'IF-MATCH': '*',
+      'IF-MATCH': etag || '*',
       'X-HTTP-Method': 'DELETE'
     };
-    await this.request(this.buildUrl(listName, `/items(${id})`), { method: 'POST', headers });
+    await this.requestWithDigest(this.buildUrl(listName, `/items(${id})`), { method: 'POST', headers });
     return true;
   }
-}
 
-// ============================================================================
-// Estado global e referências da interface
-// ============================================================================
-/*
- * Mantém formatadores, constantes de negócio e caches utilizados em diferentes fluxos.
- * Os seletores DOM abaixo são consumidos por handlers espalhados pelo arquivo; evitar
- * reatribuição desses nós para preservar performance e consistência de estado.
- */
-const BRL = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
-const currencyPreviewRegistry = new WeakMap();
-const DATE_FMT = new Intl.DateTimeFormat('pt-BR');
-const BUDGET_THRESHOLD = 1_000_000;
-const EXCHANGE_RATE = 5.6; // 1 USD = 5.6 BRL
-const DATE_RANGE_ERROR_MESSAGE = 'A data de término não pode ser anterior à data de início.';
-const PROJECT_START_MIN_ERROR_MESSAGE = 'A data de início não pode ser anterior a hoje';
+  /**
+   * Gera delimitador único para as partes multipart do $batch.
+   * @param {string} prefix - Prefixo do delimitador (batch ou changeset).
+   * @returns {string} Delimitador pronto para uso no corpo e no Content-Type.
+   */
+  createBoundary(prefix) {
+    const random = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+      ? crypto.randomUUID()
+      : `${Date.now().toString(16)}-${Math.random().toString(16).slice(2)}`;
+    return `${prefix}_${random}`;
+  }
 
-const SITE_URL = window.SHAREPOINT_SITE_URL || 'https://arcelormittal.sharepoint.com/sites/controladorialongos/capex';
-const sp = new SharePointService(SITE_URL);
+  /**
+   * Serializa uma operação como requisição HTTP embutida em um changeset.
+   * Mantém a mesma convenção de cabeçalhos das chamadas individuais (MERGE/DELETE via X-HTTP-Method
+   * e IF-MATCH com o ETag da operação).
+   * @param {BatchOperation} operation - Operação a serializar.
+   * @returns {string[]} Linhas da requisição HTTP interna.
+   * @throws {Error} Quando tipo de operação ou ID são inválidos.
+   */
+  buildBatchOperationLines(operation) {
+    const { type, listName, id, payload = {}, etag } = operation || {};
+    const jsonHeaders = [
+      'Accept: application/json;odata=verbose',
+      'Content-Type: application/json;odata=verbose'
+    ];
+    const body = JSON.stringify({
+      __metadata: { type: this.encodeEntity(listName) },
+      ...payload
+    });
 
-const state = {
-  projects: [],
-  selectedProjectId: null,
-  currentDetails: null,
-  editingSnapshot: {
-    simplePeps: new Set(),
-    milestones: new Set(),
-    activities: new Set(),
-    activityPeps: new Set()
-  }
-};
+    if (type === 'create') {
+      return [`POST ${this.buildUrl(listName)} HTTP/1.1`, ...jsonHeaders, '', body];
+    }
 
-const validationState = {
-  pepBudget: null,
-  pepBudgetDetails: null,
-  activityDates: null,
-  activityDateDetails: null
-};
+    if (id === undefined || id === null || id === '') {
+      throw new Error(`ID obrigatório para operação "${type}" em lote na lista ${listName}.`);
+    }
 
-const EMPTY_ARRAY = Object.freeze([]);
+    const itemUrl = this.buildUrl(listName, `/items(${id})`);
+    if (type === 'update') {
+      return [
+        `POST ${itemUrl} HTTP/1.1`,
+        ...jsonHeaders,
+        `IF-MATCH: ${etag || '*'}`,
+        'X-HTTP-Method: MERGE',
+        '',
+        body
+      ];
+    }
+    if (type === 'delete') {
+      return [
+        `POST ${itemUrl} HTTP/1.1`,
+        'Accept: application/json;odata=verbose',
+        `IF-MATCH: ${etag || '*'}`,
+        'X-HTTP-Method: DELETE',
+        ''
+      ];
+    }
 
-function createCenterDictionary(centerCodes, units, locations) {
-  if (!Array.isArray(centerCodes) || !centerCodes.length) return {};
-  const normalizedUnits = Array.isArray(units) ? [...units] : [];
-  const normalizedLocations = Array.isArray(locations) ? [...locations] : [];
-  return centerCodes.reduce((acc, code) => {
-    acc[code] = {
-      units: normalizedUnits,
-      locations: normalizedLocations
-    };
-    return acc;
-  }, {});
-}
+    throw new Error(`Tipo de operação em lote desconhecido: ${type}`);
+  }
 
-function normalizeCompanyRules(rules) {
-  if (!rules || typeof rules !== 'object') return {};
-  return Object.entries(rules).reduce((acc, [companyCode, entry]) => {
-    if (!entry || typeof entry !== 'object') return acc;
-    const depreciation = Array.isArray(entry.depreciation) ? [...entry.depreciation] : [];
-    const centers = {};
-    const centersSource = entry.centers;
-    if (centersSource && typeof centersSource === 'object' && !Array.isArray(centersSource)) {
-      Object.entries(centersSource).forEach(([centerCode, centerEntry]) => {
-        if (!centerEntry || typeof centerEntry !== 'object') return;
-        centers[centerCode] = {
-          units: Array.isArray(centerEntry.units) ? [...centerEntry.units] : [],
-          locations: Array.isArray(centerEntry.locations) ? [...centerEntry.locations] : []
-        };
+  /**
+   * Monta o corpo multipart/mixed com um único changeset contendo todas as operações.
+   * @param {BatchOperation[]} operations - Operações do lote.
+   * @param {string} batchBoundary - Delimitador externo do $batch.
+   * @param {string} changesetBoundary - Delimitador do changeset.
+   * @returns {string} Corpo pronto para envio.
+   */
+  buildBatchBody(operations, batchBoundary, changesetBoundary) {
+    const lines = [
+      `--${batchBoundary}`,
+      `Content-Type: multipart/mixed; boundary="${changesetBoundary}"`,
+      'Content-Transfer-Encoding: binary',
+      ''
+    ];
+
+    operations.forEach((operation) => {
+      lines.push(
+        `--${changesetBoundary}`,
+        'Content-Type: application/http',
+        'Content-Transfer-Encoding: binary',
+        '',
+        ...this.buildBatchOperationLines(operation),
+        ''
+      );
+    });
+
+    lines.push(`--${changesetBoundary}--`, '', `--${batchBoundary}--`, '');
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Interpreta a resposta multipart do $batch devolvendo um resultado por operação, na ordem de envio.
+   * @param {string} text - Corpo bruto retornado pelo SharePoint.
+   * @returns {Array<{status:number, statusText:string, headers:Object<string,string>, data:Object|null, bodyText:string}>}
+   *   Resultados individuais das requisições internas.
+   */
+  parseBatchResponse(text) {
+    const results = [];
+    const lines = String(text || '').split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index += 1) {
+      const statusMatch = /^HTTP\/\d\.\d (\d{3}) ?(.*)$/.exec(lines[index]);
+      if (!statusMatch) continue;
+
+      // Cabeçalhos da resposta interna vão até a primeira linha em branco
+      const headers = {};
+      index += 1;
+      while (index < lines.length && lines[index] !== '') {
+        const separator = lines[index].indexOf(':');
+        if (separator > 0) {
+          headers[lines[index].slice(0, separator).trim().toLowerCase()] = lines[index].slice(separator + 1).trim();
+        }
+        index += 1;
+      }
+
+      // Corpo segue até o próximo delimitador (--batchresponse_/--changesetresponse_)
+      const bodyLines = [];
+      index += 1;
+      while (index < lines.length && !lines[index].startsWith('--')) {
+        bodyLines.push(lines[index]);
+        index += 1;
+      }
+      index -= 1;
+
+      const bodyText = bodyLines.join('\n').trim();
+      let data = null;
+      if (bodyText) {
+        try {
+          const parsed = JSON.parse(bodyText);
+          data = parsed?.d ?? parsed;
+        } catch (parseError) {
+          data = null;
+        }
+      }
+
+      results.push({
+        status: Number(statusMatch[1]),
+        statusText: statusMatch[2] || '',
+        headers,
+        data,
+        bodyText
       });
-    } else if (Array.isArray(centersSource)) {
-      const sharedUnits = Array.isArray(entry.units) ? [...entry.units] : [];
-      const sharedLocations = Array.isArray(entry.locations) ? [...entry.locations] : [];
-      centersSource.forEach((centerCode) => {
-        centers[centerCode] = {
-          units: sharedUnits,
-          locations: sharedLocations
-        };
+    }
+
+    return results;
+  }
+
+  /**
+   * Envia um bloco de operações (até maxBatchOperations) em uma única chamada $batch.
+   * @param {BatchOperation[]} operations - Operações do bloco.
+   * @returns {Promise<Array>} Resultados individuais retornados por parseBatchResponse.
+   * @throws {Error} Quando a quantidade de respostas não corresponde às operações enviadas.
+   */
+  async sendBatchChunk(operations) {
+    const batchBoundary = this.createBoundary('batch');
+    const changesetBoundary = this.createBoundary('changeset');
+    const body = this.buildBatchBody(operations, batchBoundary, changesetBoundary);
+
+    const headers = {
+      Accept: 'application/json;odata=verbose',
+      'Content-Type': `multipart/mixed; boundary="${batchBoundary}"`
+    };
+
+    const url = `${this.siteUrl}/_api/$batch`;
+    // Sem criações o lote só contém MERGE/DELETE e pode ser reenviado após throttling
+    const idempotent = operations.every((operation) => operation.type !== 'create');
+    const responseText = await this.requestWithDigest(url, {
+      method: 'POST',
+      headers,
+      body,
+      responseType: 'text',
+      idempotent
+    });
+    const results = this.parseBatchResponse(responseText);
+
+    if (results.length !== operations.length) {
+      console.error('Resposta do $batch incompleta', {
+        url,
+        expected: operations.length,
+        received: results.length,
+        responseText
       });
+      const error = new Error('Resposta incompleta recebida do SharePoint para o lote de alterações.');
+      error.url = url;
+      error.results = results;
+      throw error;
     }
-    acc[companyCode] = { depreciation, centers };
-    return acc;
-  }, {});
-}
 
-function markCompanyRulesNormalized(rules) {
-  if (rules && typeof rules === 'object' && !rules.__normalized) {
-    Object.defineProperty(rules, '__normalized', { value: true, enumerable: false, configurable: true });
+    return results;
+  }
+
+  /**
+   * Executa operações de criação/atualização/exclusão via $batch com changesets,
+   * dividindo em blocos conforme o limite do SharePoint e preservando a ordem informada.
+   * @param {BatchOperation[]} [operations=[]] - Operações a executar.
+   * @returns {Promise<Array<{status:number, statusText:string, headers:Object<string,string>, data:Object|null}>>}
+   *   Resultados alinhados por índice às operações.
+   * @throws {Error} Quando alguma operação falha; error.results traz os resultados obtidos até a falha.
+   */
+  async submitBatch(operations = []) {
+    const validOperations = Array.isArray(operations) ? operations.filter(Boolean) : [];
+    const results = [];
+    if (!validOperations.length) {
+      return results;
+    }
+
+    for (let start = 0; start < validOperations.length; start += this.maxBatchOperations) {
+      const chunk = validOperations.slice(start, start + this.maxBatchOperations);
+      let chunkResults;
+      try {
+        chunkResults = await this.sendBatchChunk(chunk);
+      } catch (error) {
+        if (Array.isArray(error.results)) {
+          results.push(...error.results);
+        }
+        error.results = results;
+        throw error;
+      }
+      results.push(...chunkResults);
+
+      const failureIndex = chunkResults.findIndex((result) => result.status >= 400);
+      if (failureIndex !== -1) {
+        const failure = chunkResults[failureIndex];
+        const operation = chunk[failureIndex];
+        console.error('Operação do $batch retornou erro', {
+          operation: { type: operation.type, listName: operation.listName, id: operation.id },
+          status: failure.status,
+          responseText: failure.bodyText
+        });
+        const message = failure.data?.error?.message?.value
+          || failure.bodyText
+          || failure.statusText
+          || 'Erro desconhecido na API do SharePoint.';
+        const error = new Error(message);
+        error.status = failure.status;
+        error.operation = operation;
+        error.results = results;
+        throw error;
+      }
+    }
+
+    return results;
   }
-  return rules || {};
 }
 
-const companyHierarchy = {
-  "ACBR": {
-    "AC01": {
-      "units": [
-        "NL - NOVVA LOGÍSTICA LTDA"
-      ],
-      "locations": [
-        "GR",
-        "TI"
-      ]
-    },
-    "AC02": {
-      "units": [
-        "NL - NOVVA LOGÍSTICA LTDA"
-      ],
-      "locations": [
-        "GR",
-        "TI"
-      ]
+// ============================================================================
+// Armazenamento local (demonstração fora do tenant)
+// ============================================================================
+/**
+ * Dados iniciais do armazenamento local: usuário fictício e grupos de unidades (lista UnitGroups).
+ */
+const LOCAL_STORAGE_SEED = Object.freeze({
+  user: Object.freeze({
+    id: 1,
+    displayName: 'Usuário de Demonstração',
+    email: 'demo@capex.local',
+    loginName: 'demo'
+  }),
+  unitGroups: Object.freeze(['NL - NOVVA LOGÍSTICA LTDA']),
+  // Usuário de demonstração participa de todas as etapas para percorrer a cadeia completa
+  approverGroups: Object.freeze(['LOCAL_SEGMENT', 'PRE_IAC', 'IAC', 'BOARD'])
+});
+
+/**
+ * Converte uma expressão $filter OData (subconjunto usado pelo SharePoint REST) em predicado.
+ * Suporta eq, ne, gt, ge, lt, le, and, or, not, parênteses, substringof/startswith,
+ * literais numéricos, 'texto', datetime'...', true/false/null e caminhos como members/Id
+ * (coleções casam quando qualquer elemento atende).
+ * @param {string} expression - Expressão $filter.
+ * @returns {function(Object):boolean} Predicado aplicado a cada item.
+ * @throws {Error} Com status 400 quando a expressão não é reconhecida.
+ */
+function compileODataFilter(expression) {
+  const source = String(expression || '').trim();
+  if (!source) {
+    return () => true;
+  }
+
+  const tokenPattern = /\s*(?:(\()|(\))|(,)|datetime'([^']*)'|'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?)(?![\w/])|([A-Za-z_][\w/]*))/y;
+  const tokens = [];
+  tokenPattern.lastIndex = 0;
+  while (tokenPattern.lastIndex < source.length) {
+    const start = tokenPattern.lastIndex;
+    const match = tokenPattern.exec(source);
+    if (!match) {
+      if (!source.slice(start).trim()) break;
+      const error = new Error(`Expressão $filter inválida próximo de "${source.slice(start, start + 20)}".`);
+      error.status = 400;
+      throw error;
     }
-  },
-  "AMTL": {
-    "TL01": {
-      "units": [
-        "SU - SUPRIMENTOS SITREL",
-        "TL - SITREL"
-      ],
-      "locations": [
-        "ET",
-        "GR",
-        "GT",
-        "LA",
-        "LE",
-        "MA",
-        "MS",
-        "MU",
-        "RH",
-        "SU",
-        "TI",
-        "TL"
-      ]
+    const [, open, close, comma, dateLiteral, stringLiteral, numberLiteral, word] = match;
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (comma) tokens.push({ type: ',' });
+    else if (dateLiteral !== undefined) tokens.push({ type: 'literal', value: new Date(dateLiteral).getTime() });
+    else if (stringLiteral !== undefined) tokens.push({ type: 'literal', value: stringLiteral.replace(/''/g, "'") });
+    else if (numberLiteral !== undefined) tokens.push({ type: 'literal', value: Number(numberLiteral) });
+    else if (/^(true|false|null)$/i.test(word)) {
+      tokens.push({ type: 'literal', value: { true: true, false: false, null: null }[word.toLowerCase()] });
+    } else tokens.push({ type: 'word', value: word });
+  }
+
+  let position = 0;
+  const peek = () => tokens[position];
+  const isKeyword = (token, keyword) => token?.type === 'word' && token.value.toLowerCase() === keyword;
+  const fail = (message) => {
+    const error = new Error(`Expressão $filter inválida: ${message}`);
+    error.status = 400;
+    throw error;
+  };
+  const expect = (type) => {
+    const token = tokens[position];
+    if (token?.type !== type) fail(`esperado "${type}".`);
+    position += 1;
+    return token;
+  };
+
+  // Resolve caminho (ex.: members/Id) devolvendo todos os valores alcançados
+  const resolvePath = (item, path) => path.split('/').reduce((values, segment) => {
+    const next = [];
+    values.forEach((value) => {
+      const collection = Array.isArray(value?.results) ? value.results : Array.isArray(value) ? value : [value];
+      collection.forEach((entry) => {
+        if (entry && typeof entry === 'object' && segment in entry) {
+          next.push(entry[segment]);
+        }
+      });
+    });
+    return next;
+  }, [item]).flatMap((value) => (Array.isArray(value?.results) ? value.results : Array.isArray(value) ? value : [value]));
+
+  const normalize = (value, reference) => {
+    if (value === null || value === undefined) return null;
+    if (typeof reference === 'number' && typeof value === 'string') {
+      const asNumber = Number(value);
+      if (value.trim() !== '' && Number.isFinite(asNumber)) return asNumber;
+      const asDate = Date.parse(value);
+      return Number.isFinite(asDate) ? asDate : value;
     }
-  },
-  "BF00": {
-    "E001": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "EC"
-      ]
-    },
-    "E201": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "CO"
-      ]
-    },
-    "E202": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "GA"
-      ]
-    },
-    "E204": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "CO"
-      ]
-    },
-    "E205": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "BU",
-        "CO"
-      ]
-    },
-    "E210": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "FA"
-      ]
-    },
-    "E213": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": []
-    },
-    "E501": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "RD"
-      ]
-    },
-    "E507": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "RQ"
-      ]
-    },
-    "E601": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "CB"
-      ]
-    },
-    "E602": {
-      "units": [
-        "BF - BIOFLORESTAS"
-      ],
-      "locations": [
-        "FQ"
-      ]
+    return value;
+  };
+
+  const comparators = {
+    eq: (a, b) => a === b,
+    ne: (a, b) => a !== b,
+    gt: (a, b) => a !== null && b !== null && a > b,
+    ge: (a, b) => a !== null && b !== null && a >= b,
+    lt: (a, b) => a !== null && b !== null && a < b,
+    le: (a, b) => a !== null && b !== null && a <= b
+  };
+
+  const parseOperand = () => {
+    const token = peek();
+    if (token?.type === 'literal') {
+      position += 1;
+      return () => [token.value];
     }
-  },
-  "BMJF": {
-    "4000": {
-      "units": [
-        "CD - COMITÊ DIGITAL",
-        "SU - JUIZ DE FORA - SUPRIMENTOS",
-        "UJ - JUIZ DE FORA - SIDERURGIA",
-        "UJ - JUIZ DE FORA - TREFILARIA"
-      ],
-      "locations": [
-        "AC",
-        "AF",
-        "EU",
-        "GR",
-        "GT",
-        "JF",
-        "LA",
-        "LE",
-        "MA",
-        "MS",
-        "RH",
-        "TI",
-        "TR"
-      ]
-    },
-    "4100": {
-      "units": [
-        "BM - BARRA MANSA - SIDERURGIA",
-        "BM - BARRA MANSA - TREFILARIA",
-        "CD - COMITÊ DIGITAL",
+    if (token?.type === 'word') {
+      position += 1;
+      return (item) => {
+        const values = resolvePath(item, token.value);
+        return values.length ? values : [null];
+      };
+    }
+    return fail('operando ausente.');
+  };
+
+  const parseFunction = (name) => {
+    expect('(');
+    const args = [parseOperand()];
+    while (peek()?.type === ',') {
+      position += 1;
+      args.push(parseOperand());
+    }
+    expect(')');
+    const text = (value) => String(value ?? '').toLowerCase();
+    if (name === 'substringof') {
+      return (item) => args[0](item).some((needle) => args[1](item).some((hay) => text(hay).includes(text(needle))));
+    }
+    if (name === 'startswith') {
+      return (item) => args[0](item).some((hay) => args[1](item).some((prefix) => text(hay).startsWith(text(prefix))));
+    }
+    return fail(`função "${name}" não suportada.`);
+  };
+
+  let parseOr;
+  const parsePrimary = () => {
+    const token = peek();
+    if (token?.type === '(') {
+      position += 1;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (token?.type === 'word' && tokens[position + 1]?.type === '(') {
+      position += 1;
+      return parseFunction(token.value.toLowerCase());
+    }
+    const left = parseOperand();
+    const operator = peek();
+    const compare = operator?.type === 'word' ? comparators[operator.value.toLowerCase()] : null;
+    if (!compare) fail('operador de comparação ausente.');
+    position += 1;
+    const right = parseOperand();
+    return (item) => {
+      const leftValues = left(item);
+      const rightValues = right(item);
+      return leftValues.some((leftValue) => rightValues.some((rightValue) => (
+        compare(normalize(leftValue, rightValue), normalize(rightValue, leftValue))
+      )));
+    };
+  };
+  const parseUnary = () => {
+    if (isKeyword(peek(), 'not')) {
+      position += 1;
+      const operand = parseUnary();
+      return (item) => !operand(item);
+    }
+    return parsePrimary();
+  };
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (isKeyword(peek(), 'and')) {
+      position += 1;
+      const previous = left;
+      const right = parseUnary();
+      left = (item) => previous(item) && right(item);
+    }
+    return left;
+  };
+  parseOr = () => {
+    let left = parseAnd();
+    while (isKeyword(peek(), 'or')) {
+      position += 1;
+      const previous = left;
+      const right = parseAnd();
+      left = (item) => previous(item) || right(item);
+    }
+    return left;
+  };
+
+  const predicate = parseOr();
+  if (position < tokens.length) fail('trecho excedente.');
+  return predicate;
+}
+
+/**
+ * Implementação de StorageAdapter para demonstrações: replica as listas Projects, Milestones, Activities,
+ * Peps e UnitGroups (e os anexos JSON) no IndexedDB do navegador, com a mesma superfície e os mesmos
+ * códigos de erro (404/412) do SharePointService. Sem IndexedDB disponível, mantém os dados só em memória.
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {{databaseName?:string, maxItems?:number, user?:{id:number, displayName?:string, email?:string, loginName?:string},
+   *   seed?:{user:Object, unitGroups:string[], approverGroups?:string[]}}} [options={}] - Nome do banco IndexedDB, teto de itens,
+   *   usuário simulado e dados iniciais.
+   */
+  constructor(options = {}) {
+    this.databaseName = options.databaseName || 'capex-local';
+    this.seed = options.seed || LOCAL_STORAGE_SEED;
+    this.currentUser = { ...this.seed.user, ...(options.user || {}) };
+    const maxItems = Number(options.maxItems);
+    this.maxItems = Number.isFinite(maxItems) && maxItems > 0 ? Math.floor(maxItems) : 5000;
+    this.databasePromise = null;
+    this.dataPromise = null;
+  }
+
+  /**
+   * Usuário simulado, no mesmo formato de SharePointService.getCurrentUser.
+   * @returns {{id:number, displayName:string, email:string, loginName:string}} Usuário atual.
+   */
+  getCurrentUser() {
+    return this.currentUser;
+  }
+
+  /**
+   * Cria erro no formato propagado por SharePointService.request.
+   * @param {number} status - Código HTTP equivalente.
+   * @param {string} message - Mensagem exibida/logada.
+   * @returns {Error & {status:number}} Erro pronto para lançar.
+   */
+  createError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Mesmas regras de nome de anexo do SharePoint, para que os arquivos gerados sejam equivalentes.
+   * @param {string} fileName - Nome original.
+   * @returns {string} Nome sanitizado.
+   */
+  sanitizeFileName(fileName) {
+    return SharePointService.prototype.sanitizeFileName.call(this, fileName);
+  }
+
+  /**
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome sugerido.
+   * @returns {string} Nome final do anexo JSON.
+   */
+  resolveAttachmentFileName(itemId, fileName) {
+    return SharePointService.prototype.resolveAttachmentFileName.call(this, itemId, fileName);
+  }
+
+  /**
+   * @param {Error & {status?:number}} error - Erro propagado pelo adaptador.
+   * @returns {boolean} True quando o item foi alterado desde a leitura do ETag.
+   */
+  isConcurrencyConflict(error) {
+    return error?.status === 412;
+  }
+
+  /**
+   * Abre (uma única vez) o banco IndexedDB; resolve null quando indisponível.
+   * @returns {Promise<IDBDatabase|null>} Conexão aberta.
+   */
+  openDatabase() {
+    if (!this.databasePromise) {
+      this.databasePromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          console.warn('IndexedDB indisponível; dados locais serão mantidos apenas em memória.');
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('snapshots');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Não foi possível abrir o IndexedDB; dados locais serão mantidos apenas em memória.', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.databasePromise;
+  }
+
+  /**
+   * Carrega o estado persistido (ou os dados iniciais) uma única vez por sessão.
+   * @returns {Promise<{sequences:Object<string,number>, lists:Object<string,Object[]>, attachments:Object<string,Object<string,(string|Blob)>>}>}
+   */
+  load() {
+    if (!this.dataPromise) {
+      this.dataPromise = (async () => {
+        const database = await this.openDatabase();
+        if (database) {
+          const stored = await new Promise((resolve) => {
+            const request = database.transaction('snapshots', 'readonly').objectStore('snapshots').get('default');
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+          });
+          if (stored) {
+            // Bancos criados antes da lista ApproverGroups recebem os grupos iniciais
+            if (!stored.lists.ApproverGroups) {
+              this.seedApproverGroups(stored);
+              await this.persist(stored);
+            }
+            return stored;
+          }
+        }
+        const seeded = this.createSeedData();
+        await this.persist(seeded);
+        return seeded;
+      })();
+    }
+    return this.dataPromise;
+  }
+
+  /**
+   * Monta o estado inicial com as listas vazias e os grupos de unidades e de aprovadores do usuário simulado.
+   * @returns {Object} Estado inicial.
+   */
+  createSeedData() {
+    const data = {
+      sequences: {},
+      lists: { Projects: [], Milestones: [], Activities: [], Peps: [], UnitGroups: [] },
+      attachments: {}
+    };
+    const member = { Id: this.currentUser.id, Title: this.currentUser.displayName };
+    safeArray(this.seed.unitGroups).forEach((unitName) => {
+      data.lists.UnitGroups.push(this.buildNewItem(data, 'UnitGroups', { Title: unitName, members: { results: [member] } }));
+    });
+    this.seedApproverGroups(data);
+    return data;
+  }
+
+  /**
+   * Cria os grupos de aprovadores (um por etapa) com o usuário simulado como membro.
+   * @param {Object} data - Estado carregado ou inicial.
+   */
+  seedApproverGroups(data) {
+    const member = { Id: this.currentUser.id, Title: this.currentUser.displayName };
+    const groups = this.getList(data, 'ApproverGroups');
+    safeArray(this.seed.approverGroups).forEach((stage) => {
+      groups.push(this.buildNewItem(data, 'ApproverGroups', { Title: stage, members: { results: [member] } }));
+    });
+  }
+
+  /**
+   * Grava o estado completo no IndexedDB.
+   * @param {Object} [data] - Estado a persistir; padrão é o estado carregado.
+   * @returns {Promise<void>} Resolvida após o commit da transação.
+   */
+  async persist(data) {
+    const snapshot = data || (await this.load());
+    const database = await this.openDatabase();
+    if (!database) return;
+    await new Promise((resolve, reject) => {
+      const transaction = database.transaction('snapshots', 'readwrite');
+      transaction.objectStore('snapshots').put(snapshot, 'default');
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Cria um item completo (ID, datas, autor e __metadata.etag) sem gravá-lo.
+   * @param {Object} data - Estado carregado.
+   * @param {string} listName - Lista alvo.
+   * @param {Object} payload - Campos informados.
+   * @returns {Object} Item pronto para inserção.
+   */
+  buildNewItem(data, listName, payload) {
+    const { __metadata, ...fields } = payload || {};
+    const id = (data.sequences[listName] || 0) + 1;
+    data.sequences[listName] = id;
+    const now = new Date().toISOString();
+    const user = { Id: this.currentUser.id, Title: this.currentUser.displayName };
+    return {
+      ...fields,
+      Id: id,
+      ID: id,
+      Created: now,
+      Modified: now,
+      AuthorId: user.Id,
+      Author: user,
+      EditorId: user.Id,
+      Editor: user,
+      __metadata: { type: `SP.Data.${listName}ListItem`, etag: '"1"' }
+    };
+  }
+
+  /**
+   * Retorna a coleção de uma lista, criando-a quando ainda não existe.
+   * @param {Object} data - Estado carregado.
+   * @param {string} listName - Lista alvo.
+   * @returns {Object[]} Itens da lista.
+   */
+  getList(data, listName) {
+    if (!listName) throw new Error('Lista SharePoint não informada.');
+    if (!Array.isArray(data.lists[listName])) {
+      data.lists[listName] = [];
+    }
+    return data.lists[listName];
+  }
+
+  /**
+   * Localiza item pelo ID ou lança 404.
+   * @param {Object} data - Estado carregado.
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @returns {Object} Item armazenado (referência interna).
+   */
+  findItem(data, listName, id) {
+    const item = this.getList(data, listName).find((entry) => entry.Id === Number(id));
+    if (!item) {
+      throw this.createError(404, `Item ${id} não encontrado na lista ${listName}.`);
+    }
+    return item;
+  }
+
+  /**
+   * Valida o ETag esperado contra a versão armazenada.
+   * @param {Object} item - Item armazenado.
+   * @param {string} [etag='*'] - ETag enviado pelo chamador.
+   */
+  assertEtag(item, etag = '*') {
+    if (etag && etag !== '*' && etag !== item.__metadata.etag) {
+      throw this.createError(412, 'O item foi alterado por outra pessoa desde a última leitura.');
+    }
+  }
+
+  /**
+   * Aplica $orderby ("Campo [asc|desc], ...") sobre uma cópia dos itens.
+   * @param {Object[]} items - Itens filtrados.
+   * @param {string} [orderby=''] - Expressão de ordenação.
+   * @returns {Object[]} Itens ordenados.
+   */
+  sortItems(items, orderby = '') {
+    const criteria = String(orderby || '')
+      .split(',')
+      .map((part) => part.trim().split(/\s+/))
+      .filter(([field]) => field)
+      .map(([field, direction]) => ({ field, factor: /^desc$/i.test(direction || '') ? -1 : 1 }));
+    if (!criteria.length) return items;
+    return [...items].sort((a, b) => {
+      for (const { field, factor } of criteria) {
+        const left = a[field] ?? '';
+        const right = b[field] ?? '';
+        if (left < right) return -1 * factor;
+        if (left > right) return 1 * factor;
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Consulta itens aplicando filter, orderby e top; com all, devolve até o teto de itens.
+   * @param {string} listName - Lista alvo.
+   * @param {Object} [params={}] - Parâmetros OData sem o prefixo $ (select/expand são ignorados).
+   * @param {{all?:boolean, maxItems?:number, signal?:AbortSignal}} [options={}] - Mesmo contrato de SharePointService.getItems.
+   * @returns {Promise<Object[]>} Cópias dos itens encontrados.
+   */
+  async getItems(listName, params = {}, options = {}) {
+    const data = await this.load();
+    options.signal?.throwIfAborted();
+    const predicate = compileODataFilter(params.filter);
+    const matches = this.sortItems(this.getList(data, listName).filter(predicate), params.orderby);
+    const requestedMax = Number(options.maxItems);
+    const maxItems = Number.isFinite(requestedMax) && requestedMax > 0 ? Math.floor(requestedMax) : this.maxItems;
+    const top = Number(params.top);
+    const limit = options.all ? maxItems : Number.isFinite(top) && top > 0 ? top : maxItems;
+    if (options.all && matches.length > limit) {
+      console.warn(`Limite de ${limit} itens atingido ao ler a lista ${listName}; demais itens ignorados.`);
+    }
+    return structuredClone(matches.slice(0, limit));
+  }
+
+  /**
+   * Variante iterável de getItems, no mesmo contrato de SharePointService.iterateItems.
+   * @param {string} listName - Lista alvo.
+   * @param {Object} [params={}] - Parâmetros OData.
+   * @param {{maxItems?:number, signal?:AbortSignal}} [options={}] - Teto de itens e sinal de cancelamento.
+   * @returns {AsyncGenerator<Object>} Itens encontrados.
+   */
+  async *iterateItems(listName, params = {}, options = {}) {
+    const items = await this.getItems(listName, params, { ...options, all: true });
+    yield* items;
+  }
+
+  /**
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @param {{signal?:AbortSignal}} [options={}] - Sinal de cancelamento.
+   * @returns {Promise<Object>} Cópia do item.
+   * @throws {Error} Com status 404 quando o item não existe.
+   */
+  async getItem(listName, id, options = {}) {
+    const data = await this.load();
+    options.signal?.throwIfAborted();
+    return structuredClone(this.findItem(data, listName, id));
+  }
+
+  /**
+   * @param {string} listName - Lista alvo.
+   * @param {Object} payload - Campos do item.
+   * @returns {Promise<Object>} Item criado.
+   */
+  async createItem(listName, payload) {
+    const data = await this.load();
+    const item = this.buildNewItem(data, listName, payload);
+    this.getList(data, listName).push(item);
+    await this.persist();
+    return structuredClone(item);
+  }
+
+  /**
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @param {Object} payload - Campos a atualizar.
+   * @param {{etag?:string}} [options={}] - ETag esperado.
+   * @returns {Promise<{etag:string}>} Novo ETag do item.
+   * @throws {Error} Com status 404 ou 412.
+   */
+  async updateItem(listName, id, payload, options = {}) {
+    const data = await this.load();
+    const etag = this.applyUpdate(data, listName, id, payload, options.etag);
+    await this.persist();
+    return { etag };
+  }
+
+  /**
+   * Aplica MERGE em memória incrementando a versão do item.
+   * @param {Object} data - Estado carregado.
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @param {Object} payload - Campos a atualizar.
+   * @param {string} [etag] - ETag esperado.
+   * @returns {string} Novo ETag.
+   */
+  applyUpdate(data, listName, id, payload, etag) {
+    const item = this.findItem(data, listName, id);
+    this.assertEtag(item, etag);
+    const { __metadata, ...fields } = payload || {};
+    const version = Number(String(item.__metadata.etag).replace(/"/g, '')) || 1;
+    Object.assign(item, fields, {
+      Modified: new Date().toISOString(),
+      EditorId: this.currentUser.id,
+      Editor: { Id: this.currentUser.id, Title: this.currentUser.displayName }
+    });
+    item.__metadata = { ...item.__metadata, etag: `"${version + 1}"` };
+    return item.__metadata.etag;
+  }
+
+  /**
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @param {{etag?:string}} [options={}] - ETag esperado.
+   * @returns {Promise<boolean>} True ao remover.
+   * @throws {Error} Com status 404 ou 412.
+   */
+  async deleteItem(listName, id, options = {}) {
+    const data = await this.load();
+    this.applyDelete(data, listName, id, options.etag);
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Remove item e anexos em memória.
+   * @param {Object} data - Estado carregado.
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @param {string} [etag] - ETag esperado.
+   */
+  applyDelete(data, listName, id, etag) {
+    const list = this.getList(data, listName);
+    const item = this.findItem(data, listName, id);
+    this.assertEtag(item, etag);
+    list.splice(list.indexOf(item), 1);
+    delete data.attachments[`${listName}:${item.Id}`];
+  }
+
+  /**
+   * Executa operações em sequência com o mesmo formato de resultado de SharePointService.submitBatch,
+   * parando na primeira falha (error.results traz os resultados até ela).
+   * @param {BatchOperation[]} [operations=[]] - Operações do lote.
+   * @returns {Promise<Array<{status:number, statusText:string, headers:Object<string,string>, data:Object|null}>>}
+   */
+  async submitBatch(operations = []) {
+    const data = await this.load();
+    const results = [];
+    try {
+      for (const operation of safeArray(operations).filter(Boolean)) {
+        const { type, listName, id, payload, etag } = operation;
+        try {
+          if (type === 'create') {
+            const item = this.buildNewItem(data, listName, payload);
+            this.getList(data, listName).push(item);
+            results.push({ status: 201, statusText: 'Created', headers: { etag: item.__metadata.etag }, data: structuredClone(item) });
+          } else if (type === 'update') {
+            const newEtag = this.applyUpdate(data, listName, id, payload, etag);
+            results.push({ status: 204, statusText: 'No Content', headers: { etag: newEtag }, data: null });
+          } else if (type === 'delete') {
+            this.applyDelete(data, listName, id, etag);
+            results.push({ status: 200, statusText: 'OK', headers: {}, data: null });
+          } else {
+            throw this.createError(400, `Tipo de operação em lote desconhecido: ${type}`);
+          }
+        } catch (operationError) {
+          results.push({ status: operationError.status || 500, statusText: operationError.message, headers: {}, data: null });
+          const error = this.createError(
+            operationError.status || 500,
+            `Falha na operação ${type} da lista ${listName}: ${operationError.message}`
+          );
+          error.operation = operation;
+          error.results = results;
+          throw error;
+        }
+      }
+    } finally {
+      await this.persist();
+    }
+    return results;
+  }
+
+  /**
+   * Grava anexo textual do item (o conteúdo segue as mesmas regras de JSON do SharePointService).
+   * @param {string} listName - Lista do item pai.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome sugerido (forçado para .json).
+   * @param {Blob|Object|string} fileContent - Conteúdo do anexo.
+   * @param {{overwrite?:boolean}} [options={}] - Substitui anexo homônimo.
+   * @returns {Promise<boolean>} True ao gravar.
+   */
+  async addAttachment(listName, itemId, fileName, fileContent, options = {}) {
+    const data = await this.load();
+    this.findItem(data, listName, itemId);
+    const resolvedFileName = this.resolveAttachmentFileName(itemId, fileName);
+    if (!resolvedFileName) {
+      throw new Error('Nome do arquivo inválido.');
+    }
+    const key = `${listName}:${Number(itemId)}`;
+    const files = data.attachments[key] || {};
+    if (files[resolvedFileName] !== undefined && !options.overwrite) {
+      throw this.createError(409, `Já existe um anexo chamado "${resolvedFileName}".`);
+    }
+
+    let content;
+    if (fileContent instanceof Blob) {
+      content = await fileContent.text();
+    } else if (typeof fileContent === 'object' && fileContent !== null) {
+      content = JSON.stringify(fileContent, null, 2);
+    } else {
+      content = String(fileContent ?? '').trim();
+    }
+    if (!content) {
+      throw new Error('O conteúdo do anexo JSON está vazio.');
+    }
+
+    files[resolvedFileName] = content;
+    data.attachments[key] = files;
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * @param {string} listName - Lista do item pai.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome do anexo.
+   * @returns {Promise<boolean>} True quando removido; false quando inexistente.
+   */
+  async deleteAttachment(listName, itemId, fileName) {
+    const data = await this.load();
+    const files = data.attachments[`${listName}:${Number(itemId)}`];
+    const resolvedFileName = this.sanitizeFileName(fileName || `resumo_${itemId}.json`);
+    if (!files || files[resolvedFileName] === undefined) {
+      return false;
+    }
+    delete files[resolvedFileName];
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * @param {string} listName - Lista do item pai.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome do anexo.
+   * @param {{signal?:AbortSignal}} [options={}] - Sinal de cancelamento.
+   * @returns {Promise<string|null>} Conteúdo ou null quando inexistente.
+   */
+  async getAttachmentContent(listName, itemId, fileName, options = {}) {
+    const data = await this.load();
+    options.signal?.throwIfAborted();
+    const files = data.attachments[`${listName}:${Number(itemId)}`] || {};
+    const content = files[this.sanitizeFileName(fileName || '')];
+    if (content === undefined) return null;
+    return content instanceof Blob ? content.text() : content;
+  }
+
+  /**
+   * @param {string} listName - Lista do item pai.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {{signal?:AbortSignal}} [options={}] - Sinal de cancelamento.
+   * @returns {Promise<Array<{fileName:string, serverRelativeUrl:string, size:number|null}>>} Anexos do item.
+   */
+  async getAttachments(listName, itemId, options = {}) {
+    const data = await this.load();
+    options.signal?.throwIfAborted();
+    this.findItem(data, listName, itemId);
+    const files = data.attachments[`${listName}:${Number(itemId)}`] || {};
+    return Object.entries(files).map(([fileName, content]) => ({
+      fileName: fileName.replace(/''/g, "'"),
+      serverRelativeUrl: '',
+      size: content instanceof Blob ? content.size : new Blob([content]).size
+    }));
+  }
+
+  /**
+   * Grava arquivo binário como anexo (Blob preservado no IndexedDB); o progresso é reportado ao concluir.
+   * @param {string} listName - Lista do item pai.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {Blob} file - Arquivo selecionado.
+   * @param {{fileName?:string, onProgress?:function({loaded:number, total:number}):void, signal?:AbortSignal}} [options={}]
+   * @returns {Promise<{fileName:string}>} Nome gravado.
+   */
+  async uploadAttachmentFile(listName, itemId, file, options = {}) {
+    if (!(file instanceof Blob)) throw new Error('Arquivo inválido para upload.');
+    const { fileName = file.name, onProgress, signal } = options;
+    const data = await this.load();
+    signal?.throwIfAborted();
+    this.findItem(data, listName, itemId);
+    const resolvedFileName = this.sanitizeFileName(fileName || '');
+    if (!resolvedFileName) {
+      throw new Error('Nome do arquivo inválido.');
+    }
+    const displayName = resolvedFileName.replace(/''/g, "'");
+    const key = `${listName}:${Number(itemId)}`;
+    const files = data.attachments[key] || {};
+    if (files[resolvedFileName] !== undefined) {
+      throw this.createError(409, `Já existe um anexo chamado "${displayName}".`);
+    }
+    files[resolvedFileName] = file;
+    data.attachments[key] = files;
+    await this.persist();
+    if (onProgress) {
+      onProgress({ loaded: file.size, total: file.size });
+    }
+    return { fileName: displayName };
+  }
+
+  /**
+   * @param {string} listName - Lista do item pai.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome do anexo.
+   * @returns {Promise<Blob>} Conteúdo do anexo.
+   */
+  async downloadAttachment(listName, itemId, fileName) {
+    const data = await this.load();
+    const files = data.attachments[`${listName}:${Number(itemId)}`] || {};
+    const content = files[this.sanitizeFileName(fileName || '')];
+    if (content === undefined) {
+      throw this.createError(404, `Anexo "${fileName}" não encontrado.`);
+    }
+    return content instanceof Blob ? content : new Blob([content], { type: 'application/json' });
+  }
+}
+
+// ============================================================================
+// Estado global e referências da interface
+// ============================================================================
+/*
+ * Mantém formatadores, constantes de negócio e caches utilizados em diferentes fluxos.
+ * Os seletores DOM abaixo são consumidos por handlers espalhados pelo arquivo; evitar
+ * reatribuição desses nós para preservar performance e consistência de estado.
+ */
+const BRL = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+const currencyPreviewRegistry = new WeakMap();
+const DATE_FMT = new Intl.DateTimeFormat('pt-BR');
+const DATE_TIME_FMT = new Intl.DateTimeFormat('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+const BUDGET_THRESHOLD = 1_000_000;
+const EXCHANGE_RATE = 5.6; // 1 USD = 5.6 BRL
+const DATE_RANGE_ERROR_MESSAGE = 'A data de término não pode ser anterior à data de início.';
+const PROJECT_START_MIN_ERROR_MESSAGE = 'A data de início não pode ser anterior a hoje';
+
+const SITE_URL = window.SHAREPOINT_SITE_URL || 'https://arcelormittal.sharepoint.com/sites/controladorialongos/capex';
+// 'sharepoint' (padrão) ou 'local' (IndexedDB), via window.CAPEX_STORAGE ou ?storage= na URL
+const STORAGE_MODE = resolveStorageMode();
+/** @type {StorageAdapter} */
+const sp = STORAGE_MODE === 'local'
+  ? new LocalStorageAdapter({ maxItems: window.SHAREPOINT_MAX_ITEMS, user: window.CAPEX_LOCAL_USER })
+  : new SharePointService(SITE_URL, {
+    maxItems: window.SHAREPOINT_MAX_ITEMS,
+    onRetry: ({ attempt, maxRetries, delayMs, status }) => {
+      showStatus(
+        `SharePoint sobrecarregado (HTTP ${status}). Nova tentativa ${attempt} de ${maxRetries} em ${Math.ceil(delayMs / 1000)} s…`,
+        { type: 'warning' }
+      );
+    }
+  });
+
+/**
+ * Identifica cancelamentos via AbortController, que não devem ser tratados como falha.
+ * @param {*} error - Erro capturado.
+ * @returns {boolean} True para AbortError.
+ */
+function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Define o armazenamento ativo a partir da configuração da página ou do parâmetro ?storage= da URL.
+ * @returns {'sharepoint'|'local'} Modo de armazenamento.
+ */
+function resolveStorageMode() {
+  const configured = window.CAPEX_STORAGE || new URLSearchParams(window.location.search).get('storage') || '';
+  return String(configured).trim().toLowerCase() === 'local' ? 'local' : 'sharepoint';
+}
+
+const state = {
+  projects: [],
+  // Projetos em aprovação na etapa de algum grupo do usuário (modo "Aguardando minha aprovação")
+  approvalInbox: [],
+  sidebarMode: 'projects',
+  // Filtros ativos da lista lateral (campo -> valor), espelhados nos parâmetros da URL
+  listFilters: {},
+  // Ordenação e agrupamento da lista (parâmetros "sort" e "group" da URL)
+  listView: { sort: '', group: '' },
+  // Grupos recolhidos na lista, no formato "campo:valor"
+  collapsedListGroups: new Set(),
+  selectedProjectId: null,
+  currentDetails: null,
+  editingSnapshot: {
+    simplePeps: new Set(),
+    milestones: new Set(),
+    activities: new Set(),
+    activityPeps: new Set(),
+    // "Lista:ID" -> ETag lido no carregamento, enviado no IF-MATCH das escritas
+    etags: new Map()
+  }
+};
+
+const validationState = {
+  pepBudget: null,
+  pepBudgetDetails: null,
+  activityDates: null,
+  activityDateDetails: null
+};
+
+const EMPTY_ARRAY = Object.freeze([]);
+
+function createCenterDictionary(centerCodes, units, locations) {
+  if (!Array.isArray(centerCodes) || !centerCodes.length) return {};
+  const normalizedUnits = Array.isArray(units) ? [...units] : [];
+  const normalizedLocations = Array.isArray(locations) ? [...locations] : [];
+  return centerCodes.reduce((acc, code) => {
+    acc[code] = {
+      units: normalizedUnits,
+      locations: normalizedLocations
+    };
+    return acc;
+  }, {});
+}
+
+function normalizeCompanyRules(rules) {
+  if (!rules || typeof rules !== 'object') return {};
+  return Object.entries(rules).reduce((acc, [companyCode, entry]) => {
+    if (!entry || typeof entry !== 'object') return acc;
+    const depreciation = Array.isArray(entry.depreciation) ? [...entry.depreciation] : [];
+    const centers = {};
+    const centersSource = entry.centers;
+    if (centersSource && typeof centersSource === 'object' && !Array.isArray(centersSource)) {
+      Object.entries(centersSource).forEach(([centerCode, centerEntry]) => {
+        if (!centerEntry || typeof centerEntry !== 'object') return;
+        centers[centerCode] = {
+          units: Array.isArray(centerEntry.units) ? [...centerEntry.units] : [],
+          locations: Array.isArray(centerEntry.locations) ? [...centerEntry.locations] : []
+        };
+      });
+    } else if (Array.isArray(centersSource)) {
+      const sharedUnits = Array.isArray(entry.units) ? [...entry.units] : [];
+      const sharedLocations = Array.isArray(entry.locations) ? [...entry.locations] : [];
+      centersSource.forEach((centerCode) => {
+        centers[centerCode] = {
+          units: sharedUnits,
+          locations: sharedLocations
+        };
+      });
+    }
+    acc[companyCode] = { depreciation, centers };
+    return acc;
+  }, {});
+}
+
+function markCompanyRulesNormalized(rules) {
+  if (rules && typeof rules === 'object' && !rules.__normalized) {
+    Object.defineProperty(rules, '__normalized', { value: true, enumerable: false, configurable: true });
+  }
+  return rules || {};
+}
+
+const companyHierarchy = {
+  "ACBR": {
+    "AC01": {
+      "units": [
+        "NL - NOVVA LOGÍSTICA LTDA"
+      ],
+      "locations": [
+        "GR",
+        "TI"
+      ]
+    },
+    "AC02": {
+      "units": [
+        "NL - NOVVA LOGÍSTICA LTDA"
+      ],
+      "locations": [
+        "GR",
+        "TI"
+      ]
+    }
+  },
+  "AMTL": {
+    "TL01": {
+      "units": [
+        "SU - SUPRIMENTOS SITREL",
+        "TL - SITREL"
+      ],
+      "locations": [
+        "ET",
+        "GR",
+        "GT",
+        "LA",
+        "LE",
+        "MA",
+        "MS",
+        "MU",
+        "RH",
+        "SU",
+        "TI",
+        "TL"
+      ]
+    }
+  },
+  "BF00": {
+    "E001": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "EC"
+      ]
+    },
+    "E201": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "CO"
+      ]
+    },
+    "E202": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "GA"
+      ]
+    },
+    "E204": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "CO"
+      ]
+    },
+    "E205": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "BU",
+        "CO"
+      ]
+    },
+    "E210": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "FA"
+      ]
+    },
+    "E213": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": []
+    },
+    "E501": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "RD"
+      ]
+    },
+    "E507": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "RQ"
+      ]
+    },
+    "E601": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "CB"
+      ]
+    },
+    "E602": {
+      "units": [
+        "BF - BIOFLORESTAS"
+      ],
+      "locations": [
+        "FQ"
+      ]
+    }
+  },
+  "BMJF": {
+    "4000": {
+      "units": [
+        "CD - COMITÊ DIGITAL",
+        "SU - JUIZ DE FORA - SUPRIMENTOS",
+        "UJ - JUIZ DE FORA - SIDERURGIA",
+        "UJ - JUIZ DE FORA - TREFILARIA"
+      ],
+      "locations": [
+        "AC",
+        "AF",
+        "EU",
+        "GR",
+        "GT",
+        "JF",
+        "LA",
+        "LE",
+        "MA",
+        "MS",
+        "RH",
+        "TI",
+        "TR"
+      ]
+    },
+    "4100": {
+      "units": [
+        "BM - BARRA MANSA - SIDERURGIA",
+        "BM - BARRA MANSA - TREFILARIA",
+        "CD - COMITÊ DIGITAL",
         "SU - BARRA MANSA - ALMOXARIFADO"
       ],
       "locations": [
@@ -1434,4999 +3079,11460 @@ const companyHierarchy = {
         "TI"
       ]
     },
-    "9880": {
-      "units": [
-        "BC - BELGO PRONTO MARACANAÚ",
-        "CD - COMITÊ DIGITAL",
-        "LP - DIR. LOGÍSTICA E PLAN."
-      ],
-      "locations": [
-        "BP",
-        "RD",
-        "TI"
+    "9880": {
+      "units": [
+        "BC - BELGO PRONTO MARACANAÚ",
+        "CD - COMITÊ DIGITAL",
+        "LP - DIR. LOGÍSTICA E PLAN."
+      ],
+      "locations": [
+        "BP",
+        "RD",
+        "TI"
+      ]
+    },
+    "9881": {
+      "units": [
+        "LP - DIR. LOGÍSTICA E PLAN.",
+        "RP - TREFILARIA RIO DAS PEDRAS",
+        "SU - ALMOXARIFADO RIO DAS PEDRAS"
+      ],
+      "locations": [
+        "CS",
+        "GR",
+        "RP"
+      ]
+    },
+    "9910": {
+      "units": [
+        "BC - CDB FORTALEZA",
+        "CD - COMITÊ DIGITAL"
+      ],
+      "locations": [
+        "BP",
+        "RD",
+        "TI"
+      ]
+    },
+    "EN01": {
+      "units": [
+        "CE - COMERCIALIZADORA DE ENERGIA"
+      ],
+      "locations": []
+    },
+    "MA10": {
+      "units": [
+        "MA - MINA DO ANDRADE"
+      ],
+      "locations": [
+        "BR",
+        "FR",
+        "GR",
+        "MA",
+        "MI",
+        "MS",
+        "OV",
+        "SF",
+        "TI",
+        "US"
+      ]
+    },
+    "SA20": {
+      "units": [
+        "MS - MINA SERRA AZUL"
+      ],
+      "locations": [
+        "BR",
+        "FR",
+        "GR",
+        "MA",
+        "MI",
+        "MS",
+        "OV",
+        "SF",
+        "TI",
+        "US"
+      ]
+    }
+  }
+};
+
+const companyRules = {
+  BMJF: {
+    depreciation: ['CC-01', 'CC-02'],
+    centers: companyHierarchy.BMJF
+  },
+  BF00: {
+    depreciation: ['CC-03'],
+    centers: companyHierarchy.BF00
+  },
+  ACBR: {
+    depreciation: ['CC-03'],
+    centers: companyHierarchy.ACBR
+  },
+  AMTL: {
+    depreciation: ['CC-03'],
+    centers: companyHierarchy.AMTL
+  }
+};
+
+const defaultCompanyRules = markCompanyRulesNormalized(normalizeCompanyRules(companyRules));
+
+function resolveCompanyRules() {
+  if (typeof window !== 'undefined') {
+    const globalRules = window.companyRules;
+    if (!globalRules) {
+      window.companyRules = defaultCompanyRules;
+      return window.companyRules;
+    }
+    if (!globalRules.__normalized) {
+      window.companyRules = markCompanyRulesNormalized(normalizeCompanyRules(globalRules));
+    }
+    return window.companyRules;
+  }
+  return defaultCompanyRules;
+}
+
+function safeArray(value) {
+  return Array.isArray(value) ? value : EMPTY_ARRAY;
+}
+
+/**
+ * Atualiza o estado local de um projeto específico preservando imutabilidade do array.
+ * @param {number|string} projectId - Identificador do projeto a atualizar.
+ * @param {Partial<Project>} [changes={}] - Campos alterados retornados após operações CRUD.
+ */
+function updateProjectState(projectId, changes = {}) {
+  if (!projectId) return;
+  const index = state.projects.findIndex((item) => Number(item.Id) === Number(projectId));
+  if (index === -1) return;
+  state.projects[index] = {
+    ...state.projects[index],
+    ...changes
+  };
+  // PEPs e totais podem ter mudado; o painel relê os PEPs do projeto na próxima abertura
+  dashboardState.pepsByProject.delete(Number(projectId));
+  refreshProjectListItem(state.projects[index], Object.keys(changes));
+}
+
+const newProjectBtn = document.getElementById('newProjectBtn');
+const dashboardBtn = document.getElementById('dashboardBtn');
+const importProjectsBtn = document.getElementById('importProjectsBtn');
+const projectSearch = document.getElementById('projectSearch');
+const projectList = document.getElementById('projectList');
+const projectFilters = document.getElementById('projectFilters');
+const clearProjectFiltersBtn = document.getElementById('clearProjectFiltersBtn');
+const exportListXlsxBtn = document.getElementById('exportListXlsxBtn');
+const exportListCsvBtn = document.getElementById('exportListCsvBtn');
+const exportListStatus = document.getElementById('exportListStatus');
+const projectSortSelect = document.getElementById('projectSort');
+const projectGroupSelect = document.getElementById('projectGroup');
+const sidebarTitle = document.getElementById('sidebarTitle');
+const sidebarModes = document.getElementById('sidebarModes');
+const approvalInboxCount = document.getElementById('approvalInboxCount');
+const projectDetails = document.getElementById('projectDetails');
+const overlay = document.getElementById('formOverlay');
+const projectForm = document.getElementById('projectForm');
+const projectSectionLegend = projectForm?.querySelector('fieldset.form-section legend') || null;
+let projectDateWarningEl = projectSectionLegend?.querySelector('.date-warning') || null;
+const formTitle = document.getElementById('formTitle');
+const closeFormBtn = document.getElementById('closeFormBtn');
+const floatingCloseBtn = document.querySelector('.form-close-btn');
+const saveProjectBtn = document.getElementById('saveProjectBtn');
+const submitForApprovalBtn = document.getElementById('submitForApprovalBtn');
+const formActions = projectForm?.querySelector('.form-actions') || null;
+const formStatus = document.getElementById('formStatus');
+const formErrors = document.getElementById('formErrors');
+const formErrorsTitle = document.getElementById('formErrorsTitle');
+const errorSummaryList = document.getElementById('errorSummaryList');
+const statusField = document.getElementById('statusField');
+const budgetHint = document.getElementById('budgetHint');
+const dateHint = document.getElementById('dateHint');
+const simplePepSection = document.getElementById('simplePepSection');
+const simplePepList = document.getElementById('simplePepList');
+const addSimplePepBtn = document.getElementById('addSimplePepBtn');
+const keyProjectSection = document.getElementById('keyProjectSection');
+const milestoneList = document.getElementById('milestoneList');
+const addMilestoneBtn = document.getElementById('addMilestoneBtn');
+
+const ganttContainer = document.getElementById('ganttSection') || document.getElementById('ganttContainer');
+const ganttTitleEl = document.getElementById('ganttTitle') || document.getElementById('ganttChartTitle');
+const ganttChartEl = document.getElementById('ganttChart');
+
+if (ganttContainer && !document.getElementById('ganttSection')) {
+  ganttContainer.id = 'ganttSection';
+}
+if (ganttTitleEl && !document.getElementById('ganttTitle')) {
+  ganttTitleEl.id = 'ganttTitle';
+}
+
+const summaryOverlay = document.getElementById('summaryOverlay');
+const summarySections = document.getElementById('summarySections');
+const summaryGanttSection = document.getElementById('summaryGanttSection');
+const summaryGanttChart = document.getElementById('summaryGanttChart');
+const summaryGanttTitleEl = document.getElementById('summaryGanttTitle') || summaryGanttSection?.querySelector('h3') || null;
+const summaryConfirmBtn = document.getElementById('summaryConfirmBtn');
+const summaryEditBtn = document.getElementById('summaryEditBtn');
+const summaryExportPdfBtn = document.getElementById('summaryExportPdfBtn');
+const summaryExportXlsxBtn = document.getElementById('summaryExportXlsxBtn');
+const summaryExportCsvBtn = document.getElementById('summaryExportCsvBtn');
+const summaryExportStatus = document.getElementById('summaryExportStatus');
+const summaryPrintBtn = document.getElementById('summaryPrintBtn');
+
+const summaryTitle = document.getElementById('summaryTitle');
+
+const conflictOverlay = document.getElementById('conflictOverlay');
+const conflictTitle = document.getElementById('conflictTitle');
+const conflictSubtitle = document.getElementById('conflictSubtitle');
+const conflictDiff = document.getElementById('conflictDiff');
+const conflictCancelBtn = document.getElementById('conflictCancelBtn');
+const conflictReloadBtn = document.getElementById('conflictReloadBtn');
+const conflictOverwriteBtn = document.getElementById('conflictOverwriteBtn');
+
+const versionDiffOverlay = document.getElementById('versionDiffOverlay');
+const versionDiffTitle = document.getElementById('versionDiffTitle');
+const versionDiffBaseSelect = document.getElementById('versionDiffBase');
+const versionDiffTargetSelect = document.getElementById('versionDiffTarget');
+const versionDiffContent = document.getElementById('versionDiffContent');
+const versionDiffCloseBtn = document.getElementById('versionDiffCloseBtn');
+
+const approvalDecisionOverlay = document.getElementById('approvalDecisionOverlay');
+const approvalDecisionTitle = document.getElementById('approvalDecisionTitle');
+const approvalDecisionSubtitle = document.getElementById('approvalDecisionSubtitle');
+const approvalDecisionStatus = document.getElementById('approvalDecisionStatus');
+const approvalDecisionComment = document.getElementById('approvalDecisionComment');
+const approvalDecisionCancelBtn = document.getElementById('approvalDecisionCancelBtn');
+const approvalDecisionConfirmBtn = document.getElementById('approvalDecisionConfirmBtn');
+
+const reviewCommentOverlay = document.getElementById('reviewCommentOverlay');
+const reviewCommentTarget = document.getElementById('reviewCommentTarget');
+const reviewCommentStatus = document.getElementById('reviewCommentStatus');
+const reviewCommentText = document.getElementById('reviewCommentText');
+const reviewCommentCancelBtn = document.getElementById('reviewCommentCancelBtn');
+const reviewCommentSaveBtn = document.getElementById('reviewCommentSaveBtn');
+
+const duplicateOverlay = document.getElementById('duplicateOverlay');
+const duplicateTarget = document.getElementById('duplicateTarget');
+const duplicateOffsetAmount = document.getElementById('duplicateOffsetAmount');
+const duplicateOffsetUnit = document.getElementById('duplicateOffsetUnit');
+const duplicatePreview = document.getElementById('duplicatePreview');
+const duplicateCancelBtn = document.getElementById('duplicateCancelBtn');
+const duplicateConfirmBtn = document.getElementById('duplicateConfirmBtn');
+
+const importOverlay = document.getElementById('importOverlay');
+const importTitle = document.getElementById('importTitle');
+const importTemplateXlsxBtn = document.getElementById('importTemplateXlsxBtn');
+const importTemplateCsvBtn = document.getElementById('importTemplateCsvBtn');
+const importFileInput = document.getElementById('importFileInput');
+const importStatus = document.getElementById('importStatus');
+const importReport = document.getElementById('importReport');
+const importCancelBtn = document.getElementById('importCancelBtn');
+const importConfirmBtn = document.getElementById('importConfirmBtn');
+
+const documentSection = document.getElementById('documentSection');
+const documentHint = document.getElementById('documentHint');
+const documentInput = document.getElementById('documentInput');
+const documentProgress = document.getElementById('documentProgress');
+const documentProgressLabel = document.getElementById('documentProgressLabel');
+const documentProgressBar = document.getElementById('documentProgressBar');
+const documentStatus = document.getElementById('documentStatus');
+const documentList = document.getElementById('documentList');
+
+const formSummaryView = document.getElementById('formSummaryView');
+const formSummarySections = document.getElementById('formSummarySections');
+const formSummaryGanttSection = document.getElementById('formSummaryGanttSection');
+const formSummaryGanttChart = document.getElementById('formSummaryGanttChart');
+const formSummaryCloseBtn = document.getElementById('formSummaryCloseBtn');
+const formSummaryApprovalActions = document.getElementById('formSummaryApprovalActions');
+const formSummaryExportPdfBtn = document.getElementById('formSummaryExportPdfBtn');
+const formSummaryExportXlsxBtn = document.getElementById('formSummaryExportXlsxBtn');
+const formSummaryExportCsvBtn = document.getElementById('formSummaryExportCsvBtn');
+const formSummaryExportJsonBtn = document.getElementById('formSummaryExportJsonBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+const importJsonBtn = document.getElementById('importJsonBtn');
+const projectJsonInput = document.getElementById('projectJsonInput');
+const formSummaryExportStatus = document.getElementById('formSummaryExportStatus');
+const formSummaryPrintBtn = document.getElementById('formSummaryPrintBtn');
+
+if (summaryGanttTitleEl && !summaryGanttTitleEl.id) {
+  summaryGanttTitleEl.id = 'summaryGanttTitle';
+}
+
+if (summaryTitle && !summaryTitle.hasAttribute('tabindex')) {
+  summaryTitle.setAttribute('tabindex', '-1');
+}
+
+const companySelect = document.getElementById('company');
+const centerSelect = document.getElementById('center');
+const unitSelect = document.getElementById('unit');
+const locationSelect = document.getElementById('location');
+const approvalYearInput = document.getElementById('approvalYear');
+const projectBudgetInput = document.getElementById('projectBudget');
+const investmentLevelSelect = document.getElementById('investmentLevel');
+const projectStartDateInput = document.getElementById('startDate');
+const projectEndDateInput = document.getElementById('endDate');
+const roceGainInput = document.getElementById('roceGain');
+const roceLossInput = document.getElementById('roceLoss');
+const roceClassificationField = document.getElementById('roceClassification');
+const roceGainDescriptionField = document.getElementById('roceGainDescription');
+const roceLossDescriptionField = document.getElementById('roceLossDescription');
+const roceValueDisplay = document.getElementById('roceValueDisplay');
+const projectBudgetPreview = document.getElementById('projectBudgetPreview');
+const roceGainPreview = document.getElementById('roceGainPreview');
+const roceLossPreview = document.getElementById('roceLossPreview');
+
+if (projectBudgetInput && projectBudgetPreview) {
+  attachCurrencyPreview(projectBudgetInput, projectBudgetPreview);
+}
+if (roceGainInput && roceGainPreview) {
+  attachCurrencyPreview(roceGainInput, roceGainPreview);
+}
+if (roceLossInput && roceLossPreview) {
+  attachCurrencyPreview(roceLossInput, roceLossPreview);
+}
+
+const businessNeedField = document.getElementById('businessNeed');
+const proposedSolutionField = document.getElementById('proposedSolution');
+const businessNeedFeedback = document.querySelector('#businessNeed + .comment-feedback');
+const proposedSolutionFeedback = document.querySelector('#proposedSolution + .comment-feedback');
+
+const COMMENT_FEEDBACK_CLASSES = ['danger', 'warning', 'success'];
+
+const simplePepTemplate = document.getElementById('simplePepTemplate');
+const milestoneTemplate = document.getElementById('milestoneTemplate');
+const activityTemplate = document.getElementById('activityTemplate');
+
+/**
+ * Atualiza campos visuais da seção de ROCE com base nos valores atuais.
+ * @returns {{gain:number,loss:number,budget:number,value:number,classification:string}} Métricas calculadas.
+ */
+function updateRoceMetrics() {
+  const metrics = computeRoceMetrics({
+    gain: roceGainInput,
+    loss: roceLossInput,
+    budget: projectBudgetInput
+  });
+
+  if (roceClassificationField) {
+    const classificationText = resolveRoceClassificationLabel(metrics);
+    roceClassificationField.value = classificationText;
+  }
+
+  if (roceValueDisplay) {
+    const percentageText = formatRocePercentage(metrics.value);
+    roceValueDisplay.textContent = `ROCE: ${percentageText}`;
+    roceValueDisplay.dataset.state = Number.isFinite(metrics.value) ? 'calculated' : 'pending';
+  }
+
+  return metrics;
+}
+
+// Ajuste CAPEX: listas de PEP segmentadas por empresa para popular selects dinamicamente.
+const PEP_OPTIONS_DEFAULT = [
+  'DESP.ENGENHARIA / DETALHAMENTO PROJETO',
+  'AQUISIÇÃO DE EQUIPAMENTOS NACIONAIS',
+  'AQUISIÇÃO DE EQUIPAMENTOS IMPORTADOS',
+  'AQUISIÇÃO DE VEÍCULOS',
+  'DESPESAS COM OBRAS CIVIS',
+  'DESP.MONTAGEM EQUIPTOS/ESTRUTURAS/OUTRAS',
+  'AQ.DE COMPONENTES/MAT.INSTAL./FERRAMENTA',
+  'DESPESAS COM MEIO AMBIENTE',
+  'DESPESAS COM SEGURANÇA',
+  'DESPESAS COM SEGUROS',
+  'DESP.CONSULTORIA INTERNA (AMS)-TEC.INFOR',
+  'DESP.CONSULTORIA EXTERNA - TEC.INFOR',
+  'AQUISIÇÃO DE HARDWARE (NOTEBOOKS, ETC)',
+  'AQUISIÇÃO DE SOFTWARE',
+  'AQUISIÇÃO DE IMÓVEIS',
+  'DESP.GERENCIAMENTO E COORDENAÇÃO',
+  'CONTINGÊNCIAS'
+];
+
+// Ajuste CAPEX: opções exclusivas para a empresa BF00.
+const PEP_OPTIONS_BF00 = [
+  'CONSTRUÇÃO/REFORMA DE FORNOS',
+  'CONSTRUÇÃO/REFORMA DE QUEIMADORES',
+  'INSTALAÇÕES INDUSTRIAIS',
+  'INSTALAÇÕES PREDIAIS',
+  'COMPUTADORES E PERIFÉRICOS',
+  'SOFTWARES',
+  'CERTIFICAÇÕES E LICENÇAS',
+  "INFRAESTRUTURA UPC'S",
+  'CONTRUÇÃO DE FORNOS',
+  'CONSTRUÇÃO QUEIMADORES',
+  'MÓDULOS MOVIMENTAÇÃO',
+  'MÓDULOS MECANIZAÇÃO',
+  'CONSTRUÇÃO DE VIVEIROS',
+  'INSTALAÇÕES PREDIAIS',
+  'MELHORIAS INDUSTRIAIS',
+  'MELHORIAS AMBIENTAIS',
+  'TECNOLOGIA DA INFORMAÇÃO',
+  'MÁQUINAS E EQUIPAMENTOS',
+  'FERRAMENTAS',
+  'IMPLEMENTOS AGRÍCOLAS',
+  'MÓVEIS E UTENSÍLIOS',
+  'VEÍCULOS LEVES',
+  'VEÍCULOS PESADOS'
+];
+
+// Ajuste CAPEX: resolve lista correta de PEP conforme empresa corrente.
+function getPepOptionsForCompany(companyCode) {
+  const normalizedCode = (companyCode || '').toString().trim().toUpperCase();
+  const options = normalizedCode === 'BF00' ? PEP_OPTIONS_BF00 : PEP_OPTIONS_DEFAULT;
+  return uniquePreserveOrder(options);
+}
+
+// Ajuste CAPEX: repovoa um select de PEP preservando placeholder e seleção atual.
+function populatePepTitleSelect(selectEl, companyCode, selectedValue = '') {
+  if (!selectEl || selectEl.tagName !== 'SELECT') {
+    return;
+  }
+
+  const datasetPlaceholder = selectEl.dataset.placeholder;
+  const firstOption = selectEl.options?.[0];
+  const placeholderText = datasetPlaceholder
+    || (firstOption && firstOption.value === '' ? firstOption.textContent || 'Selecione...'
+    : 'Selecione...');
+  if (!selectEl.dataset.placeholder) {
+    selectEl.dataset.placeholder = placeholderText;
+  }
+
+  const normalizedSelected = selectedValue != null ? String(selectedValue).trim() : '';
+  const options = getPepOptionsForCompany(companyCode);
+  const normalizedOptions = Array.isArray(options)
+    ? options.map((option) => String(option))
+    : [];
+
+  selectEl.innerHTML = '';
+
+  const placeholderOption = document.createElement('option');
+  placeholderOption.value = '';
+  placeholderOption.textContent = selectEl.dataset.placeholder || 'Selecione...';
+  selectEl.appendChild(placeholderOption);
+
+  const fragment = document.createDocumentFragment();
+  normalizedOptions.forEach((optionText) => {
+    const option = document.createElement('option');
+    option.value = optionText;
+    option.textContent = optionText;
+    fragment.appendChild(option);
+  });
+  selectEl.appendChild(fragment);
+
+  let valueToApply = '';
+  if (normalizedSelected && normalizedOptions.includes(normalizedSelected)) {
+    valueToApply = normalizedSelected;
+  } else if (normalizedSelected) {
+    const legacyOption = document.createElement('option');
+    legacyOption.value = normalizedSelected;
+    legacyOption.textContent = normalizedSelected;
+    legacyOption.dataset.legacy = 'true';
+    selectEl.appendChild(legacyOption);
+    valueToApply = normalizedSelected;
+  }
+
+  selectEl.value = valueToApply;
+  selectEl.dataset.selected = normalizedSelected;
+}
+
+// Ajuste CAPEX: aplica lista de PEP em todos os selects ativos conforme empresa selecionada.
+function refreshAllPepDropdowns() {
+  const currentCompany = companySelect?.value || '';
+  const selects = document.querySelectorAll('.activity-pep-title, .pep-title');
+  selects.forEach((select) => {
+    const storedValue = select.dataset?.selected ?? select.value ?? '';
+    populatePepTitleSelect(select, currentCompany, storedValue);
+  });
+}
+
+const PROJECT_STATUSES = Object.freeze({
+  APPROVED: 'Aprovado',
+  DRAFT: 'Rascunho',
+  REJECTED: 'Reprovado',
+  REJECTED_FOR_REVIEW: 'Reprovado para Revisão',
+  IN_APPROVAL: 'Em Aprovação'
+});
+
+/**
+ * Retorna a cor utilizada para representar o status do projeto em chips e cards.
+ * @param {ProjectStatus|string} status - Status atual do projeto.
+ * @returns {string} Cor em hexadecimal.
+ */
+function statusColor(status) {
+  switch (status) {
+    case PROJECT_STATUSES.DRAFT:
+      return '#414141';
+    case PROJECT_STATUSES.IN_APPROVAL:
+      return '#970886';
+    case PROJECT_STATUSES.REJECTED_FOR_REVIEW:
+      return '#fe8f46';
+    case PROJECT_STATUSES.APPROVED:
+      return '#3d9308';
+    case PROJECT_STATUSES.REJECTED:
+      return '#f83241';
+    default:
+      return '#414141';
+  }
+}
+
+const STATUS_GROUPS = Object.freeze({
+  READ_ONLY: new Set([PROJECT_STATUSES.APPROVED, PROJECT_STATUSES.IN_APPROVAL]),
+  APPROVAL_ALLOWED: new Set([
+    PROJECT_STATUSES.DRAFT,
+    PROJECT_STATUSES.REJECTED,
+    PROJECT_STATUSES.REJECTED_FOR_REVIEW
+  ])
+});
+
+/**
+ * Etapas de aprovação e rótulos exibidos; a chave é o Title do grupo correspondente em ApproverGroups.
+ */
+const APPROVAL_STAGES = Object.freeze({
+  LOCAL_SEGMENT: 'Local Segment',
+  PRE_IAC: 'Pre-IAC',
+  IAC: 'IAC/Executive Office',
+  BOARD: 'Board of Directors'
+});
+
+/**
+ * Cadeia padrão por nível de investimento: cada nível passa pelas etapas dos níveis inferiores.
+ * Pode ser substituída por window.CAPEX_APPROVAL_CHAINS (mesmo formato, por nível).
+ */
+const DEFAULT_APPROVAL_CHAINS = Object.freeze({
+  N4: Object.freeze(['LOCAL_SEGMENT']),
+  N3: Object.freeze(['LOCAL_SEGMENT', 'PRE_IAC']),
+  N2: Object.freeze(['LOCAL_SEGMENT', 'PRE_IAC', 'IAC']),
+  N1: Object.freeze(['LOCAL_SEGMENT', 'PRE_IAC', 'IAC', 'BOARD'])
+});
+
+const APPROVAL_CHAINS = resolveApprovalChains(window.CAPEX_APPROVAL_CHAINS);
+
+/**
+ * Decisões disponíveis ao aprovador e o rótulo gravado/exibido para cada uma.
+ */
+const APPROVAL_DECISIONS = Object.freeze({
+  approve: 'Aprovado',
+  reject: 'Reprovado',
+  return: 'Devolvido para revisão'
+});
+
+/**
+ * Combina a configuração da página com as cadeias padrão, descartando níveis com etapas desconhecidas.
+ * @param {Object<string, string[]>|undefined} override - Cadeias informadas em window.CAPEX_APPROVAL_CHAINS.
+ * @returns {Readonly<Object<string, ReadonlyArray<ApprovalStageKey>>>} Cadeia efetiva por nível.
+ */
+function resolveApprovalChains(override) {
+  const chains = { ...DEFAULT_APPROVAL_CHAINS };
+  if (!override || typeof override !== 'object') {
+    return Object.freeze(chains);
+  }
+  Object.entries(override).forEach(([level, stages]) => {
+    const valid = Array.isArray(stages) && stages.length && stages.every((stage) => stage in APPROVAL_STAGES);
+    if (!valid) {
+      console.warn(`Cadeia de aprovação inválida para ${level}; mantendo a configuração padrão.`, stages);
+      return;
+    }
+    chains[level] = Object.freeze([...stages]);
+  });
+  return Object.freeze(chains);
+}
+const defaultSummaryContext = {
+  sections: summarySections,
+  ganttSection: summaryGanttSection,
+  ganttChart: summaryGanttChart
+};
+
+if (typeof window !== 'undefined') {
+  resolveCompanyRules();
+}
+
+const formSummaryContext = {
+  sections: formSummarySections,
+  ganttSection: formSummaryGanttSection,
+  ganttChart: formSummaryGanttChart
+};
+
+let activeSummaryContext = defaultSummaryContext;
+let currentFormMode = null;
+let renderProjectListFrame = null;
+// Controlador da carga de detalhes em andamento (abortado quando outro projeto é selecionado)
+let projectDetailsController = null;
+// Controlador das leituras sob demanda do painel exibido (abortado ao redesenhar o painel ou trocar de projeto)
+let projectPanelController = null;
+
+/**
+ * Normaliza status removendo espaços extras para comparações simples.
+ * @param {string} status - Status retornado do SharePoint.
+ * @returns {string} Representação simplificada.
+ */
+function normalizeStatusKey(status) {
+  return typeof status === 'string' ? status.trim() : '';
+}
+
+/**
+ * Verifica se o status atual deve bloquear edição do formulário.
+ * @param {ProjectStatus|string} status - Status do projeto.
+ * @returns {boolean} True quando o modo leitura deve ser aplicado.
+ */
+function isReadOnlyStatus(status) {
+  return STATUS_GROUPS.READ_ONLY.has(normalizeStatusKey(status));
+}
+
+/**
+ * Define se o botão "Enviar para Aprovação" deve estar disponível.
+ * @param {ProjectStatus|string} status - Status atual.
+ * @returns {boolean} True quando envio é permitido.
+ */
+function canSubmitForApproval(status) {
+  const key = normalizeStatusKey(status);
+  return !key || STATUS_GROUPS.APPROVAL_ALLOWED.has(key);
+}
+
+/**
+ * Utilitário de debounce para evitar múltiplas execuções durante digitação.
+ * @param {Function} fn - Função original a ser adiada.
+ * @param {number} [delay=200] - Janela em milissegundos.
+ * @returns {Function} Função decorada que respeita o intervalo informado.
+ */
+function debounce(fn, delay = 200) {
+  let timerId = null;
+  return function debouncedFunction(...args) {
+    if (timerId) {
+      clearTimeout(timerId);
+    }
+    timerId = setTimeout(() => {
+      timerId = null;
+      fn.apply(this, args);
+    }, delay);
+  };
+}
+
+/**
+ * Executa callback com contexto de resumo temporariamente ajustado.
+ * @param {Object} context - Referências de seções/gráfico a utilizar.
+ * @param {Function} callback - Rotina a executar com o contexto ativo.
+ */
+function withSummaryContext(context, callback) {
+  if (typeof callback !== 'function') return;
+  const previousContext = activeSummaryContext;
+  activeSummaryContext = context || previousContext;
+  try {
+    callback();
+  } finally {
+    activeSummaryContext = previousContext;
+  }
+}
+
+/**
+ * Limpa áreas de resumo (seções e gráfico) antes de nova renderização.
+ * @param {Object} context - Referências de DOM do resumo.
+ */
+function clearSummaryContent(context) {
+  if (!context) return;
+  if (context.sections) {
+    context.sections.innerHTML = '';
+  }
+  if (context.ganttChart) {
+    context.ganttChart.innerHTML = '';
+  }
+  if (context.ganttSection) {
+    context.ganttSection.classList.add('hidden');
+  }
+}
+
+function ensureActivityRowClasses(root = document) {
+  const list = root?.classList?.contains?.('activity')
+    ? [root, ...root.querySelectorAll('.activity')]
+    : root.querySelectorAll('.activity');
+
+  list.forEach((activity) => {
+    if (!activity.classList.contains('activity-row')) {
+      activity.classList.add('activity-row');
+    }
+    const titleInput = activity.querySelector('.activity-title');
+    if (titleInput && !titleInput.classList.contains('activity-name')) {
+      titleInput.classList.add('activity-name');
+    }
+  });
+}
+
+// ============================================================================
+// Gantt Chart
+// ============================================================================
+let summaryTriggerButton = null;
+
+// ===== Utilitário seguro de datas =====
+function parseDateSafe(v) {
+  if (!v) return null;
+  if (v instanceof Date && !isNaN(v.valueOf())) return v;
+  if (typeof v === 'number') {
+    const d = new Date(v);
+    return isNaN(d.valueOf()) ? null : d;
+  }
+  if (typeof v === 'string') {
+    const m = v.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (m) {
+      const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+      return isNaN(d.valueOf()) ? null : d;
+    }
+    const d = new Date(v);
+    return isNaN(d.valueOf()) ? null : d;
+  }
+  return null;
+}
+
+// ===== Coleta as linhas do Gantt a partir do formulário =====
+function collectMilestonesForGantt() {
+  const rows = [];
+  let minDate = null;
+  let maxDate = null;
+
+  // 1) Atividades
+  document.querySelectorAll('.activity-row').forEach((row, idx) => {
+    const name = row.querySelector('.activity-name')?.value?.trim() || `Atividade ${idx+1}`;
+    const start = parseDateSafe(row.querySelector('.activity-start')?.value);
+    const end   = parseDateSafe(row.querySelector('.activity-end')?.value);
+    if (!start || !end || end < start) return;
+
+    minDate = (!minDate || start < minDate) ? start : minDate;
+    maxDate = (!maxDate || end   > maxDate) ? end   : maxDate;
+
+    rows.push([
+      `A${idx+1}`,  // Task ID
+      name,         // Task Name
+      'Atividade',  // Resource
+      start,        // Start Date (Date)
+      end,          // End Date (Date)
+      null,         // Duration SEMPRE null (evita bug "datefield")
+      100,          // % Complete
+      null,         // Dependencies
+      null          // Tooltip (html) - opcional
+    ]);
+  });
+
+  // 2) Marcos (opcional)
+  document.querySelectorAll('.milestone').forEach((block, idx) => {
+    const title = block.querySelector('.milestone-title')?.value?.trim();
+    const start = parseDateSafe(block.querySelector('.milestone-date')?.value);
+    if (!title || !start) return;
+
+    minDate = (!minDate || start < minDate) ? start : minDate;
+    maxDate = (!maxDate || start > maxDate) ? start : maxDate;
+
+    rows.push([
+      `M${idx+1}`,
+      title,
+      'Marco',
+      start,
+      start,  // marco: start = end
+      null,   // Duration null
+      100,
+      null,
+      null
+    ]);
+  });
+
+  return { rows, minDate, maxDate };
+}
+
+let ganttLoaderStarted = false;
+let ganttLoaded = false;
+let ganttRefreshScheduled = false;
+let summaryGanttRefreshScheduled = false;
+
+// ===== Desenha o Gantt (edição/criação por padrão) =====
+function drawGantt(rows, { container, chartElement, titleElement } = {}) {
+  const fallbackContainer  = document.getElementById('ganttSection') || document.body;
+  const fallbackChartEl    = document.getElementById('ganttChart');
+  const fallbackTitleEl    = document.getElementById('ganttTitle');
+
+  const useContainer   = container     || fallbackContainer;
+  const useChartEl     = chartElement  || fallbackChartEl;
+  const useTitleEl     = titleElement  || fallbackTitleEl;
+
+  if (!rows || !rows.length || !useChartEl) {
+    if (useChartEl) useChartEl.innerHTML = '<div class="gantt-empty">Nenhuma atividade válida para exibir.</div>';
+    if (useTitleEl) useTitleEl.classList.add('hidden');
+    if (useContainer) useContainer.classList.remove('hidden');
+    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+  }
+
+  const data = new google.visualization.DataTable();
+  data.addColumn('string', 'Task ID');
+  data.addColumn('string', 'Task Name');
+  data.addColumn('string', 'Resource');
+  data.addColumn('date',   'Start Date');
+  data.addColumn('date',   'End Date');
+  data.addColumn('number', 'Duration');         // manter a coluna, mas usar null
+  data.addColumn('number', 'Percent Complete');
+  data.addColumn('string', 'Dependencies');
+  data.addColumn({ type: 'string', role: 'tooltip', p: { html: true } });
+
+  const safeRows = rows.map(r => {
+    const start = parseDateSafe(r[3]) || null;
+    const end   = parseDateSafe(r[4]) || null;
+    return [
+      String(r[0] ?? ''),
+      String(r[1] ?? ''),
+      String(r[2] ?? ''),
+      start,
+      end,
+      null,                       // Duration forçado a null
+      Number(r[6] ?? 100) || 0,
+      r[7] ? String(r[7]) : null,
+      r[8] ?? null
+    ];
+  });
+
+  const anyValid = safeRows.some(r => r[3] instanceof Date && r[4] instanceof Date);
+  if (!anyValid) {
+    useChartEl.innerHTML = '<div class="gantt-empty">Nenhuma atividade válida para exibir.</div>';
+    if (useTitleEl) useTitleEl.classList.add('hidden');
+    useContainer.classList.remove('hidden');
+    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+  }
+
+  data.addRows(safeRows);
+
+  let minDate = null, maxDate = null;
+  for (const r of safeRows) {
+    const s = r[3], e = r[4];
+    if (s && (!minDate || s < minDate)) minDate = s;
+    if (e && (!maxDate || e > maxDate)) maxDate = e;
+  }
+
+  const chart = new google.visualization.Gantt(useChartEl);
+  const options = {
+    tooltip: { isHtml: true },
+    gantt: {
+      trackHeight: 28,
+      innerGridHorizLine: { strokeWidth: 0.4 },
+      innerGridTrack:     { fill: '#fafafa' },
+      innerGridDarkTrack: { fill: '#f2f2f2' },
+      labelStyle: { fontName: 'Inter, Arial, sans-serif' },
+      ...(minDate ? { minDate } : {}),
+      ...(maxDate ? { maxDate } : {})
+    }
+  };
+
+  try {
+    chart.draw(data, options);
+  } catch (err) {
+    console.warn('Gantt falhou, tentando fallback sem tooltip/duração', err);
+    const view = new google.visualization.DataView(data);
+    view.setColumns([0,1,2,3,4,5,6,7]); // sem tooltip
+    try {
+      chart.draw(view, options);
+    } catch (err2) {
+      useChartEl.innerHTML = '<div class="gantt-empty">Não foi possível renderizar o Gantt com os dados atuais.</div>';
+      if (useTitleEl) useTitleEl.classList.add('hidden');
+      useContainer.classList.remove('hidden');
+      return { rowCount: safeRows.length, minDate, maxDate, chart: null };
+    }
+  }
+
+  if (useTitleEl) useTitleEl.classList.remove('hidden');
+  useContainer.classList.remove('hidden');
+  return { rowCount: safeRows.length, minDate, maxDate, chart };
+}
+
+function refreshGantt() {
+  if (!ganttLoaded || !window.google?.visualization?.Gantt) {
+    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+  }
+  const data = collectMilestonesForGantt();
+  return drawGantt(data.rows);
+}
+
+// ===== Desenha o Gantt no RESUMO usando os containers do resumo =====
+function populateSummaryGantt(options = {}) {
+  const { refreshFirst = false } = options;
+  const container   = document.getElementById('summaryGanttSection');
+  const chartEl     = document.getElementById('summaryGanttChart');
+  const titleEl     = document.getElementById('summaryGanttTitle');
+
+  if (!container || !chartEl) {
+    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+  }
+  if (!window.google?.visualization?.Gantt) {
+    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+  }
+
+  if (refreshFirst && chartEl) {
+    chartEl.innerHTML = '';
+  }
+
+  const { rows } = collectMilestonesForGantt();
+  return drawGantt(rows, { container, chartElement: chartEl, titleElement: titleEl });
+}
+
+// ===== Carregamento Google Charts/Gantt (uma única vez) =====
+function initGantt() {
+  if (ganttLoaded || ganttLoaderStarted) return;
+  ganttLoaderStarted = true;
+
+  const start = () => {
+    google.charts.load('current', { packages: ['gantt'] });
+    google.charts.setOnLoadCallback(() => {
+      ganttLoaded = true;
+      queueGanttRefresh();
+    });
+  };
+
+  if (!window.google || !google.charts) {
+    const s = document.createElement('script');
+    s.src = 'https://www.gstatic.com/charts/loader.js';
+    s.async = true;
+    s.onload = start;
+    document.head.appendChild(s);
+  } else {
+    start();
+  }
+}
+
+// ===== Agenda/redesenha Gantt com requestAnimationFrame duplo =====
+function queueGanttRefresh({ forSummary = false } = {}) {
+  if (!ganttLoaded) return;
+
+  if (forSummary) {
+    if (summaryGanttRefreshScheduled) return;
+    summaryGanttRefreshScheduled = true;
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        summaryGanttRefreshScheduled = false;
+        populateSummaryGantt({ refreshFirst: true });
+      });
+    });
+    return;
+  }
+
+  if (ganttRefreshScheduled) return;
+  ganttRefreshScheduled = true;
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      ganttRefreshScheduled = false;
+      refreshGantt();
+    });
+  });
+}
+
+// ===== Redraw do Gantt conforme tamanho/visibilidade =====
+let __ganttRO;
+function setupGanttRedrawObservers() {
+  const targets = [
+    document.getElementById('ganttContainer'),
+    document.getElementById('summaryGanttSection'),
+    document.getElementById('formSummaryGanttSection')
+  ].filter(Boolean);
+
+  const triggerRedraw = () => {
+    queueGanttRefresh();
+    populateSummaryGantt({ refreshFirst: true });
+  };
+
+  if ('ResizeObserver' in window) {
+    __ganttRO?.disconnect?.();
+    __ganttRO = new ResizeObserver(() => {
+      triggerRedraw();
+    });
+    targets.forEach(t => __ganttRO.observe(t));
+  }
+
+  window.addEventListener('resize', triggerRedraw);
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', setupGanttRedrawObservers, { once: true });
+} else {
+  setupGanttRedrawObservers();
+}
+
+// ============================================================================
+// Inicialização
+// ============================================================================
+/**
+ * Define o ano de aprovação padrão igual ao ano corrente e protege campo contra valores futuros.
+ */
+function setApprovalYearToCurrent() {
+  if (!approvalYearInput) {
+    return;
+  }
+  const currentYear = new Date().getFullYear();
+  approvalYearInput.value = currentYear;
+  approvalYearInput.max = currentYear;
+}
+
+/**
+ * Sinaliza no cabeçalho que os dados são locais (modo de demonstração) e não vão para o SharePoint.
+ */
+function renderLocalStorageBadge() {
+  const header = document.querySelector('.main-header');
+  if (!header || header.querySelector('.storage-badge')) return;
+  const badge = document.createElement('span');
+  badge.className = 'storage-badge';
+  badge.textContent = 'Modo demonstração · dados locais';
+  badge.title = 'Os dados ficam salvos apenas neste navegador (IndexedDB).';
+  header.querySelector('.logo')?.after(badge);
+}
+
+/**
+ * Fluxo principal de inicialização: prepara selects, registra eventos e carrega dados iniciais.
+ */
+function init() {
+  if (investmentLevelSelect) {
+    investmentLevelSelect.disabled = true;
+    investmentLevelSelect.setAttribute('aria-readonly', 'true');
+  }
+
+  if (STORAGE_MODE === 'local') {
+    renderLocalStorageBadge();
+  }
+  bindEvents();
+  updateRoceMetrics();
+  ensureActivityRowClasses();
+  updateCompanyDependentFields(companySelect?.value || '');
+  // Ajuste CAPEX: garante selects de PEP alinhados com empresa atual na inicialização.
+  refreshAllPepDropdowns();
+  setApprovalYearToCurrent();
+  updateInvestmentLevelField();
+  readListFiltersFromUrl();
+  refreshListFilterOptions();
+  loadProjects();
+  loadApprovalInbox();
+  initGantt();
+  window.addEventListener('load', initGantt, { once: true });
+}
+
+/**
+ * Centraliza o registro de listeners de interface, garantindo foco e acessibilidade.
+ */
+function bindEvents() {
+  newProjectBtn.addEventListener('click', () => openProjectForm('create'));
+  if (dashboardBtn) {
+    dashboardBtn.addEventListener('click', openDashboard);
+  }
+  projectDetails.addEventListener('click', handleDashboardClick);
+  if (importProjectsBtn) {
+    importProjectsBtn.addEventListener('click', openImportOverlay);
+  }
+  importTemplateXlsxBtn?.addEventListener('click', () => downloadImportTemplate('xlsx').catch((error) => {
+    console.error('Erro ao gerar modelo de importação', error);
+    setFeedback(importStatus, 'Não foi possível gerar o modelo. Tente novamente.', 'error');
+  }));
+  importTemplateCsvBtn?.addEventListener('click', () => downloadImportTemplate('csv'));
+  importFileInput?.addEventListener('change', handleImportFileChange);
+  duplicateOffsetAmount?.addEventListener('input', updateDuplicatePreview);
+  duplicateOffsetUnit?.addEventListener('change', updateDuplicatePreview);
+  duplicateCancelBtn?.addEventListener('click', () => closeDuplicateOverlay());
+  duplicateConfirmBtn?.addEventListener('click', handleDuplicateConfirm);
+  importCancelBtn?.addEventListener('click', closeImportOverlay);
+  importConfirmBtn?.addEventListener('click', handleImportConfirm);
+  closeFormBtn.addEventListener('click', handleCloseFormRequest);
+  if (floatingCloseBtn) {
+    floatingCloseBtn.addEventListener('click', handleCloseFormRequest);
+  }
+  // Habilita o fechamento do formulário pela tecla ESC.
+  document.addEventListener('keydown', handleOverlayEscape);
+  document.addEventListener('input', handleGlobalDateInput);
+  if (projectSearch) {
+    const debouncedDashboardRefresh = debounce(refreshDashboard, 250);
+    projectSearch.addEventListener('input', () => {
+      writeListFiltersToUrl();
+      clearProjectFiltersBtn?.classList.toggle('hidden', !hasActiveListFilters() && !projectSearch.value);
+      renderProjectList({ defer: true });
+      debouncedDashboardRefresh();
+    });
+  }
+
+  if (projectFilters) {
+    projectFilters.addEventListener('change', handleListFilterChange);
+  }
+
+  if (clearProjectFiltersBtn) {
+    clearProjectFiltersBtn.addEventListener('click', clearListFilters);
+  }
+
+  [projectSortSelect, projectGroupSelect].forEach((select) => {
+    select?.addEventListener('change', handleListViewChange);
+  });
+
+  if (projectList) {
+    projectList.addEventListener('click', handleProjectListClick);
+    projectList.addEventListener('scroll', scheduleProjectListWindow, { passive: true });
+    window.addEventListener('resize', scheduleProjectListWindow);
+  }
+
+  if (sidebarModes) {
+    sidebarModes.addEventListener('click', (event) => {
+      const button = event.target.closest('.sidebar-mode');
+      if (button) {
+        setSidebarMode(button.dataset.mode);
+      }
+    });
+  }
+
+  [
+    { field: businessNeedField, feedback: businessNeedFeedback },
+    { field: proposedSolutionField, feedback: proposedSolutionFeedback }
+  ].forEach(({ field, feedback }) => {
+    if (!field || !feedback) {
+      return;
+    }
+    const handler = () => updateCommentFeedback(field, feedback);
+    field.addEventListener('input', handler);
+    field.addEventListener('keyup', handler);
+  });
+
+  refreshCommentFeedback();
+
+  projectForm.addEventListener('submit', handleFormSubmit);
+  projectForm.addEventListener('focusin', handleFormFocusCapture);
+  if (saveProjectBtn) {
+    saveProjectBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      projectForm.dataset.submitIntent = 'save';
+      openSummaryOverlay(saveProjectBtn);
+    });
+  }
+
+  if (submitForApprovalBtn) {
+    submitForApprovalBtn.addEventListener('click', (event) => {
+      event.preventDefault();
+      projectForm.dataset.submitIntent = 'approval';
+      openSummaryOverlay(submitForApprovalBtn);
+    });
+  }
+
+  if (summaryExportPdfBtn) {
+    summaryExportPdfBtn.addEventListener('click', () =>
+      handleExportPdfClick(defaultSummaryContext, summaryExportPdfBtn, summaryExportStatus)
+    );
+  }
+
+  [
+    [summaryExportXlsxBtn, 'xlsx', summaryExportStatus],
+    [summaryExportCsvBtn, 'csv', summaryExportStatus],
+    [formSummaryExportXlsxBtn, 'xlsx', formSummaryExportStatus],
+    [formSummaryExportCsvBtn, 'csv', formSummaryExportStatus]
+  ].forEach(([button, format, statusElement]) => {
+    button?.addEventListener('click', () => handleExportDetailClick(format, button, statusElement));
+  });
+
+  exportJsonBtn?.addEventListener('click', () => handleExportJsonClick(exportJsonBtn, formStatus));
+  formSummaryExportJsonBtn?.addEventListener('click', () =>
+    handleExportJsonClick(formSummaryExportJsonBtn, formSummaryExportStatus)
+  );
+  importJsonBtn?.addEventListener('click', () => projectJsonInput?.click());
+  projectJsonInput?.addEventListener('change', handleImportJsonChange);
+
+  exportListXlsxBtn?.addEventListener('click', () => handleExportListClick('xlsx', exportListXlsxBtn));
+  exportListCsvBtn?.addEventListener('click', () => handleExportListClick('csv', exportListCsvBtn));
+
+  if (formSummaryExportPdfBtn) {
+    formSummaryExportPdfBtn.addEventListener('click', () =>
+      handleExportPdfClick(formSummaryContext, formSummaryExportPdfBtn, formSummaryExportStatus)
+    );
+  }
+
+  if (summaryPrintBtn) {
+    summaryPrintBtn.addEventListener('click', () => printSummary(defaultSummaryContext));
+  }
+
+  if (formSummaryPrintBtn) {
+    formSummaryPrintBtn.addEventListener('click', () => printSummary(formSummaryContext));
+  }
+
+  // Ctrl+P com um resumo aberto usa o mesmo modo de impressão dos botões
+  window.addEventListener('beforeprint', () => enterPrintMode(getVisibleSummaryTarget()));
+  window.addEventListener('afterprint', exitPrintMode);
+
+  if (summaryConfirmBtn) {
+    summaryConfirmBtn.addEventListener('click', handleSummaryConfirm);
+  }
+
+  if (summaryEditBtn) {
+    summaryEditBtn.addEventListener('click', () => closeSummaryOverlay());
+  }
+
+  if (formSummaryCloseBtn) {
+    formSummaryCloseBtn.addEventListener('click', () => closeForm());
+  }
+
+  if (formSummaryApprovalActions) {
+    formSummaryApprovalActions.addEventListener('click', handleFormSummaryApprovalClick);
+  }
+
+  if (conflictCancelBtn) {
+    conflictCancelBtn.addEventListener('click', () => closeConflictOverlay());
+  }
+
+  if (versionDiffCloseBtn) {
+    versionDiffCloseBtn.addEventListener('click', () => closeVersionDiffOverlay());
+  }
+
+  if (approvalDecisionCancelBtn) {
+    approvalDecisionCancelBtn.addEventListener('click', () => closeApprovalDecisionOverlay());
+  }
+
+  if (approvalDecisionConfirmBtn) {
+    approvalDecisionConfirmBtn.addEventListener('click', handleApprovalDecisionConfirm);
+  }
+
+  if (reviewCommentCancelBtn) {
+    reviewCommentCancelBtn.addEventListener('click', () => closeReviewCommentOverlay());
+  }
+
+  if (reviewCommentSaveBtn) {
+    reviewCommentSaveBtn.addEventListener('click', handleReviewCommentSave);
+  }
+
+  if (formSummarySections) {
+    formSummarySections.addEventListener('click', (event) => {
+      const button = event.target.closest('.review-comment-add');
+      if (button) {
+        openReviewCommentOverlay(button.closest('[data-review-type]'), button);
+      }
+    });
+  }
+
+  if (projectForm) {
+    projectForm.addEventListener('click', (event) => {
+      const button = event.target.closest('.review-resolve-toggle');
+      if (button) {
+        toggleReviewCommentResolved(Number(button.dataset.commentId));
+      }
+    });
+  }
+
+  [versionDiffBaseSelect, versionDiffTargetSelect].forEach((select) => {
+    select?.addEventListener('change', refreshVersionDiff);
+  });
+
+  if (documentInput) {
+    documentInput.addEventListener('change', handleDocumentInputChange);
+  }
+
+  if (documentList) {
+    documentList.addEventListener('click', handleDocumentListClick);
+  }
+
+  if (conflictReloadBtn) {
+    conflictReloadBtn.addEventListener('click', handleConflictReload);
+  }
+
+  if (conflictOverwriteBtn) {
+    conflictOverwriteBtn.addEventListener('click', handleConflictOverwrite);
+  }
+
+  const debouncedBudgetRecalculation = debounce(() => {
+    updateInvestmentLevelField();
+    updateBudgetSections();
+    validatePepBudget();
+  }, 180);
+  projectBudgetInput.addEventListener('input', (event) => {
+    const sanitized = sanitizeNumericInputValue(event.target.value);
+    if (event.target.value !== sanitized) {
+      event.target.value = sanitized;
+    }
+    refreshCurrencyPreview(projectBudgetInput);
+    debouncedBudgetRecalculation();
+    updateRoceMetrics();
+  });
+
+  const handleRoceNumericInput = (event) => {
+    const sanitized = sanitizeNumericInputValue(event.target.value);
+    if (event.target.value !== sanitized) {
+      event.target.value = sanitized;
+    }
+    refreshCurrencyPreview(event.target);
+    updateRoceMetrics();
+  };
+
+  if (roceGainInput) {
+    roceGainInput.addEventListener('input', handleRoceNumericInput);
+  }
+
+  if (roceLossInput) {
+    roceLossInput.addEventListener('input', handleRoceNumericInput);
+  }
+
+  const scheduleActivityDateValidation = debounce((input) => {
+    if (input) {
+      validateActivityDates({ changedInput: input });
+    } else {
+      validateActivityDates();
+    }
+  }, 180);
+
+  const schedulePepBudgetValidation = debounce((input) => {
+    if (input) {
+      validatePepBudget({ changedInput: input });
+    } else {
+      validatePepBudget();
+    }
+  }, 180);
+
+  if (projectStartDateInput) {
+    const handleProjectStartChange = (event) => {
+      scheduleActivityDateValidation(event.target);
+    };
+    projectStartDateInput.addEventListener('input', handleProjectStartChange);
+    projectStartDateInput.addEventListener('change', handleProjectStartChange);
+  }
+
+  if (projectEndDateInput) {
+    const handleProjectEndChange = (event) => {
+      scheduleActivityDateValidation(event.target);
+    };
+    projectEndDateInput.addEventListener('input', handleProjectEndChange);
+    projectEndDateInput.addEventListener('change', handleProjectEndChange);
+  }
+
+  approvalYearInput.addEventListener('input', () => updateSimplePepYears());
+
+  addSimplePepBtn.addEventListener('click', () => {
+    ensureSimplePepRow();
+  });
+
+  addMilestoneBtn.addEventListener('click', () => {
+    ensureMilestoneBlock();
+  });
+
+  simplePepList.addEventListener('click', (event) => {
+    if (event.target.classList.contains('remove-row')) {
+      const row = event.target.closest('.pep-row');
+      row?.remove();
+      validatePepBudget();
+    }
+  });
+
+  simplePepList.addEventListener('input', (event) => {
+    if (event.target.classList?.contains('pep-amount')) {
+      const sanitized = sanitizeNumericInputValue(event.target.value);
+      if (event.target.value !== sanitized) {
+        event.target.value = sanitized;
+      }
+      schedulePepBudgetValidation(event.target);
+    }
+  });
+
+  milestoneList.addEventListener('click', (event) => {
+    const button = event.target.closest('button');
+    if (!button) return;
+
+    if (button.classList.contains('remove-milestone')) {
+      button.closest('.milestone')?.remove();
+      queueGanttRefresh();
+      validatePepBudget();
+      validateActivityDates();
+      validateAllDateRanges();
+      return;
+    }
+    if (button.classList.contains('add-activity')) {
+      const milestone = button.closest('.milestone');
+      addActivityBlock(milestone);
+      queueGanttRefresh();
+      return;
+    }
+    if (button.classList.contains('remove-activity')) {
+      const activity = button.closest('.activity');
+      activity?.remove();
+      queueGanttRefresh();
+      validatePepBudget();
+      validateActivityDates();
+      validateAllDateRanges();
+    }
+  });
+
+  const handleMilestoneFormChange = (event) => {
+    if (!event.target) return;
+    if (event.target.classList?.contains('activity-start')) {
+      const activity = event.target.closest('.activity');
+      updateActivityPepYear(activity, { force: true });
+      scheduleActivityDateValidation(event.target);
+    }
+    if (event.target.classList?.contains('activity-end')) {
+      scheduleActivityDateValidation(event.target);
+    }
+    if (event.target.classList?.contains('activity-pep-amount')) {
+      const sanitized = sanitizeNumericInputValue(event.target.value);
+      if (event.target.value !== sanitized) {
+        event.target.value = sanitized;
+      }
+      schedulePepBudgetValidation(event.target);
+      refreshCurrencyPreview(event.target);
+    }
+    queueGanttRefresh();
+  };
+
+  milestoneList.addEventListener('input', handleMilestoneFormChange);
+  milestoneList.addEventListener('change', handleMilestoneFormChange);
+}
+
+// ============================================================================
+// Carregamento e renderização da lista de projetos
+// ============================================================================
+/**
+ * Recupera as unidades do usuário logado a partir da lista UnitGroups.
+ * @returns {Promise<string[]>} Lista com os nomes (Title) das unidades.
+ */
+async function getUserUnits() {
+  const userId = sp.getCurrentUser()?.id;
+  if (!userId) {
+    console.warn('Usuário atual não identificado ao buscar unidades.');
+    return [];
+  }
+
+  try {
+    const items = await sp.getItems('UnitGroups', {
+      select: 'Id,Title,members/Id',
+      expand: 'members',
+      filter: `members/Id eq ${userId}`,
+      top: 5000
+    });
+
+    return items
+      .map((item) => (typeof item?.Title === 'string' ? item.Title.trim() : ''))
+      .filter(Boolean);
+  } catch (error) {
+    console.warn('Erro ao carregar unidades do usuário', error);
+    return [];
+  }
+}
+
+/**
+ * Fragmenta um array em blocos menores para evitar URLs muito longas.
+ * @template T
+ * @param {T[]} items - Lista a ser dividida.
+ * @param {number} size - Tamanho máximo de cada bloco.
+ * @returns {T[][]} Conjunto de blocos respeitando o tamanho informado.
+ */
+function chunkArray(items, size) {
+  if (!Array.isArray(items) || size <= 0) {
+    return [];
+  }
+
+  const chunks = [];
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size));
+  }
+  return chunks;
+}
+
+/**
+ * Remove itens duplicados (por Id) mantendo o primeiro encontrado.
+ * @param {Project[]} projects - Conjunto de projetos retornados da API.
+ * @returns {Project[]} Lista sem duplicidades.
+ */
+function dedupeProjects(projects) {
+  if (!Array.isArray(projects)) {
+    return [];
+  }
+
+  const map = new Map();
+  for (const project of projects) {
+    if (project && !map.has(project.Id)) {
+      map.set(project.Id, project);
+    }
+  }
+
+  return Array.from(map.values());
+}
+
+/**
+ * Executa consulta na lista Projects para um bloco específico de unidades.
+ * @param {string[]} unitsChunk - Grupo de até 10 unidades.
+ * @param {number} currentUserId - Identificador do usuário logado.
+ * @returns {Promise<Project[]>} Projetos retornados para o bloco informado.
+ */
+async function fetchProjectsByUnitsChunk(unitsChunk, currentUserId) {
+  const clauses = [`AuthorId eq ${currentUserId}`];
+
+  if (Array.isArray(unitsChunk) && unitsChunk.length) {
+    const unitClauses = unitsChunk
+      .map((unitName) => (typeof unitName === 'string' ? unitName.trim() : ''))
+      .filter(Boolean)
+      .map((unitName) => `unit eq '${unitName.replace(/'/g, "''")}'`);
+
+    if (unitClauses.length) {
+      clauses.push(`(${unitClauses.join(' or ')})`);
+    }
+  }
+
+  const query = {
+    orderby: 'Created desc',
+    filter: clauses.join(' or '),
+    top: 500
+  };
+
+  try {
+    const response = await sp.getItems('Projects', query, { all: true });
+    return Array.isArray(response) ? response : [];
+  } catch (error) {
+    console.warn('Erro ao carregar projetos para bloco de unidades', unitsChunk, error);
+    return [];
+  }
+}
+
+/**
+ * Recupera projetos do SharePoint filtrando pelo autor logado e unidades associadas.
+ * @returns {Promise<void>} Promessa resolvida após renderizar lista.
+ */
+async function loadProjects() {
+  const currentUserId = sp.getCurrentUser()?.id;
+  if (!currentUserId) {
+    console.warn('Usuário atual não identificado ao carregar projetos.');
+    state.projects = [];
+    refreshListFilterOptions();
+    renderProjectList();
+    return;
+  }
+
+  const userUnits = await getUserUnits();
+  const unitChunks = chunkArray(userUnits, 10);
+  const chunksToFetch = unitChunks.length ? unitChunks : [[]];
+
+  try {
+    const results = await Promise.all(
+      chunksToFetch.map((chunk) => fetchProjectsByUnitsChunk(chunk, currentUserId))
+    );
+    const merged = results.flat();
+    const deduped = dedupeProjects(merged);
+
+    deduped.sort((a, b) => {
+      const dateA = a?.Created ? new Date(a.Created).getTime() : 0;
+      const dateB = b?.Created ? new Date(b.Created).getTime() : 0;
+      return dateB - dateA;
+    });
+
+    state.projects = deduped;
+  } catch (error) {
+    console.warn('Erro inesperado ao consolidar projetos', error);
+    state.projects = [];
+  }
+
+  refreshListFilterOptions();
+  renderProjectList();
+  refreshDashboard();
+}
+
+/**
+ * Carrega os projetos "Em Aprovação" cuja etapa atual pertence a um grupo de aprovadores do usuário,
+ * do que espera há mais tempo para o mais recente. O seletor de modo só aparece para aprovadores.
+ * @returns {Promise<void>} Promessa resolvida após atualizar contador e lista.
+ */
+async function loadApprovalInbox() {
+  const stages = await getUserApproverStages();
+  let inbox = [];
+
+  if (stages.size) {
+    const stageClauses = Array.from(stages).map((stage) => `approvalStage eq '${stage}'`);
+    try {
+      const items = await sp.getItems(
+        'Projects',
+        {
+          filter: `status eq '${PROJECT_STATUSES.IN_APPROVAL.replace(/'/g, "''")}' and (${stageClauses.join(' or ')})`,
+          orderby: 'approvalStageSince asc',
+          top: 500
+        },
+        { all: true }
+      );
+      // A cadeia vigente pode ter mudado desde o envio; a etapa efetiva é recalculada no cliente
+      inbox = safeArray(items).filter((item) => stages.has(getCurrentApprovalStage(item)));
+    } catch (error) {
+      console.warn('Erro ao carregar projetos aguardando aprovação', error);
+    }
+  }
+
+  state.approvalInbox = inbox;
+  refreshListFilterOptions();
+  if (approvalInboxCount) {
+    approvalInboxCount.textContent = String(inbox.length);
+  }
+  if (sidebarModes) {
+    sidebarModes.classList.toggle('hidden', !stages.size);
+  }
+  if (!stages.size && state.sidebarMode === 'inbox') {
+    setSidebarMode('projects');
+    return;
+  }
+  if (state.sidebarMode === 'inbox') {
+    renderProjectList();
+  }
+}
+
+// ============================================================================
+// Filtros da lista lateral (sincronizados com a URL)
+// ============================================================================
+/**
+ * Campos filtráveis da lista; a chave também é o nome do parâmetro na URL.
+ * Status usa a lista fixa de PROJECT_STATUSES, os demais são extraídos dos projetos carregados.
+ */
+const PROJECT_LIST_FILTER_KEYS = Object.freeze(['status', 'company', 'center', 'investmentLevel', 'category', 'approvalYear']);
+// Parâmetro da URL que guarda o texto da busca por nome
+const PROJECT_SEARCH_PARAM = 'q';
+// Parâmetros da URL com a ordenação e o agrupamento da lista
+const PROJECT_VIEW_PARAMS = Object.freeze({ sort: 'sort', group: 'group' });
+
+/**
+ * Restaura busca e filtros a partir da URL (link compartilhado ou recarga da página).
+ */
+function readListFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  state.listFilters = {};
+  PROJECT_LIST_FILTER_KEYS.forEach((key) => {
+    const value = (params.get(key) || '').trim();
+    if (value) {
+      state.listFilters[key] = value;
+    }
+  });
+  if (projectSearch) {
+    projectSearch.value = params.get(PROJECT_SEARCH_PARAM) || '';
+  }
+  const sort = params.get(PROJECT_VIEW_PARAMS.sort) || '';
+  const group = params.get(PROJECT_VIEW_PARAMS.group) || '';
+  state.listView = {
+    sort: PROJECT_LIST_SORTS[sort] ? sort : '',
+    group: PROJECT_LIST_GROUPS[group] ? group : ''
+  };
+  if (projectSortSelect) projectSortSelect.value = state.listView.sort;
+  if (projectGroupSelect) projectGroupSelect.value = state.listView.group;
+}
+
+/**
+ * Grava busca e filtros ativos na URL sem criar entradas no histórico; demais parâmetros são preservados.
+ */
+function writeListFiltersToUrl() {
+  const url = new URL(window.location.href);
+  PROJECT_LIST_FILTER_KEYS.forEach((key) => {
+    if (state.listFilters[key]) {
+      url.searchParams.set(key, state.listFilters[key]);
+    } else {
+      url.searchParams.delete(key);
+    }
+  });
+  const search = (projectSearch?.value || '').trim();
+  if (search) {
+    url.searchParams.set(PROJECT_SEARCH_PARAM, search);
+  } else {
+    url.searchParams.delete(PROJECT_SEARCH_PARAM);
+  }
+  Object.entries(PROJECT_VIEW_PARAMS).forEach(([field, param]) => {
+    if (state.listView[field]) {
+      url.searchParams.set(param, state.listView[field]);
+    } else {
+      url.searchParams.delete(param);
+    }
+  });
+  history.replaceState(history.state, '', url);
+}
+
+/**
+ * @returns {boolean} true quando há algum filtro de campo ativo.
+ */
+function hasActiveListFilters() {
+  return PROJECT_LIST_FILTER_KEYS.some((key) => Boolean(state.listFilters[key]));
+}
+
+/**
+ * Verifica se o projeto atende a todos os filtros de campo ativos.
+ * @param {Project} item - Projeto da lista.
+ * @returns {boolean} true quando o card deve ser exibido.
+ */
+function matchesListFilters(item) {
+  return PROJECT_LIST_FILTER_KEYS.every((key) => {
+    const expected = state.listFilters[key];
+    return !expected || String(item?.[key] ?? '').trim() === expected;
+  });
+}
+
+/**
+ * Aplica a busca por nome e os filtros de campo ativos.
+ * @param {Project[]} items - Projetos da fonte atual.
+ * @returns {Project[]} Projetos exibidos na lista.
+ */
+function filterProjectListItems(items) {
+  const search = (projectSearch?.value || '').toLowerCase();
+  return items.filter((item) => (item.Title || '').toLowerCase().includes(search) && matchesListFilters(item));
+}
+
+/**
+ * Texto exibido para um valor de filtro; categorias reutilizam os rótulos do formulário.
+ * @param {string} key - Campo filtrado.
+ * @param {string} value - Valor gravado no projeto.
+ * @returns {string} Rótulo da opção.
+ */
+function getListFilterLabel(key, value) {
+  if (key === 'category') {
+    const option = Array.from(document.getElementById('category')?.options || []).find((opt) => opt.value === value);
+    return option?.textContent || value;
+  }
+  return value;
+}
+
+/**
+ * Reconstrói as opções dos filtros com os valores presentes em projetos e fila de aprovação,
+ * mantendo o valor ativo mesmo que nenhum projeto carregado o possua.
+ */
+function refreshListFilterOptions() {
+  if (!projectFilters) return;
+  const projects = [...state.projects, ...state.approvalInbox];
+
+  projectFilters.querySelectorAll('select[data-filter]').forEach((select) => {
+    const key = select.dataset.filter;
+    const active = state.listFilters[key] || '';
+    const values = new Set(key === 'status' ? Object.values(PROJECT_STATUSES) : []);
+    if (key !== 'status') {
+      projects.forEach((item) => {
+        const value = String(item?.[key] ?? '').trim();
+        if (value) values.add(value);
+      });
+    }
+    if (active) values.add(active);
+
+    const sorted = Array.from(values);
+    if (key === 'approvalYear') {
+      sorted.sort((a, b) => Number(b) - Number(a));
+    } else if (key !== 'status') {
+      sorted.sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    }
+
+    const placeholder = select.options[0];
+    select.innerHTML = '';
+    select.append(placeholder);
+    sorted.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = getListFilterLabel(key, value);
+      select.append(option);
+    });
+    select.value = active;
+    select.classList.toggle('active', Boolean(active));
+  });
+
+  clearProjectFiltersBtn?.classList.toggle('hidden', !hasActiveListFilters() && !projectSearch?.value);
+}
+
+/**
+ * Aplica a alteração de um filtro, atualiza a URL e redesenha a lista.
+ * @param {Event} event - Evento change de um select de filtro.
+ */
+function handleListFilterChange(event) {
+  const select = event.target.closest('select[data-filter]');
+  if (!select) return;
+  const key = select.dataset.filter;
+  if (select.value) {
+    state.listFilters[key] = select.value;
+  } else {
+    delete state.listFilters[key];
+  }
+  select.classList.toggle('active', Boolean(select.value));
+  writeListFiltersToUrl();
+  clearProjectFiltersBtn?.classList.toggle('hidden', !hasActiveListFilters() && !projectSearch?.value);
+  renderProjectList();
+  refreshDashboard();
+}
+
+/**
+ * Converte uma data ISO em timestamp para ordenação; datas ausentes ficam no fim da lista.
+ * @param {string|null|undefined} value - Data ISO.
+ * @param {number} fallback - Valor usado quando a data é inválida.
+ * @returns {number} Timestamp.
+ */
+function toSortableTime(value, fallback) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : fallback;
+}
+
+/**
+ * @param {*} value - Orçamento gravado no projeto.
+ * @returns {number} Orçamento numérico, zero quando ausente.
+ */
+function toSortableBudget(value) {
+  const amount = coerceNumericValue(value);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+// Ordem de exibição dos status (ordenação e agrupamento)
+const PROJECT_STATUS_ORDER = Object.freeze([
+  PROJECT_STATUSES.DRAFT,
+  PROJECT_STATUSES.REJECTED_FOR_REVIEW,
+  PROJECT_STATUSES.IN_APPROVAL,
+  PROJECT_STATUSES.APPROVED,
+  PROJECT_STATUSES.REJECTED
+]);
+
+/**
+ * @param {string} status - Status do projeto.
+ * @returns {number} Posição do status em PROJECT_STATUS_ORDER; desconhecidos vão para o fim.
+ */
+function getStatusRank(status) {
+  const index = PROJECT_STATUS_ORDER.indexOf(status);
+  return index === -1 ? PROJECT_STATUS_ORDER.length : index;
+}
+
+/**
+ * Opções de ordenação da lista: campo usado e comparador. Sem opção escolhida, vale a ordem de carregamento
+ * (mais recentes primeiro em "Projetos"; espera mais longa primeiro na fila de aprovações).
+ */
+const PROJECT_LIST_SORTS = Object.freeze({
+  budget: {
+    field: 'budgetBrl',
+    compare: (a, b) => toSortableBudget(b.budgetBrl) - toSortableBudget(a.budgetBrl)
+  },
+  startDate: {
+    field: 'startDate',
+    compare: (a, b) => toSortableTime(a.startDate, Infinity) - toSortableTime(b.startDate, Infinity)
+  },
+  endDate: {
+    field: 'endDate',
+    compare: (a, b) => toSortableTime(a.endDate, Infinity) - toSortableTime(b.endDate, Infinity)
+  },
+  title: {
+    field: 'Title',
+    compare: (a, b) => (a.Title || '').localeCompare(b.Title || '', 'pt-BR', { sensitivity: 'base' })
+  },
+  status: {
+    field: 'status',
+    compare: (a, b) => getStatusRank(a.status) - getStatusRank(b.status)
+  },
+  modified: {
+    field: 'Modified',
+    compare: (a, b) => toSortableTime(b.Modified, -Infinity) - toSortableTime(a.Modified, -Infinity)
+  }
+});
+
+/**
+ * Agrupamentos disponíveis: rótulo para valores vazios e comparador das chaves dos grupos.
+ */
+const PROJECT_LIST_GROUPS = Object.freeze({
+  status: {
+    emptyLabel: 'Sem status',
+    compare: (a, b) => getStatusRank(a) - getStatusRank(b)
+  },
+  company: {
+    emptyLabel: 'Sem empresa',
+    compare: (a, b) => a.localeCompare(b, 'pt-BR')
+  },
+  approvalYear: {
+    emptyLabel: 'Sem ano de aprovação',
+    compare: (a, b) => Number(b) - Number(a)
+  }
+});
+
+/**
+ * Ordena uma cópia da lista; a ordenação é estável, mantendo a ordem de carregamento nos empates.
+ * @param {Project[]} items - Projetos filtrados.
+ * @param {string} sortKey - Chave de PROJECT_LIST_SORTS.
+ * @returns {Project[]} Nova lista ordenada.
+ */
+function sortProjectListItems(items, sortKey) {
+  const compare = PROJECT_LIST_SORTS[sortKey]?.compare;
+  return compare ? [...items].sort(compare) : [...items];
+}
+
+/**
+ * Agrupa projetos já ordenados, preservando a ordem dentro de cada grupo; o grupo sem valor fica por último.
+ * @param {Project[]} items - Projetos ordenados.
+ * @param {string} groupKey - Chave de PROJECT_LIST_GROUPS (também o campo do projeto).
+ * @returns {{key:string, label:string, items:Project[]}[]} Grupos na ordem de exibição.
+ */
+function groupProjectListItems(items, groupKey) {
+  const config = PROJECT_LIST_GROUPS[groupKey];
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = String(item?.[groupKey] ?? '').trim();
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  });
+
+  return Array.from(groups.keys())
+    .sort((a, b) => {
+      if (!a || !b) return a ? -1 : b ? 1 : 0;
+      return config.compare(a, b);
+    })
+    .map((key) => ({ key, label: key || config.emptyLabel, items: groups.get(key) }));
+}
+
+/**
+ * Cria o cabeçalho recolhível de um grupo, com quantidade e orçamento total.
+ * @param {ProjectListRow} row - Linha do tipo "group".
+ * @returns {HTMLButtonElement} Cabeçalho do grupo.
+ */
+function createProjectGroupHeader(row) {
+  const header = document.createElement('button');
+  header.type = 'button';
+  header.className = 'project-group__header';
+  header.classList.toggle('collapsed', row.collapsed);
+  header.setAttribute('aria-expanded', String(!row.collapsed));
+
+  const name = document.createElement('span');
+  name.className = 'project-group__name';
+  name.textContent = row.label;
+  if (row.groupBy === 'status' && row.value) {
+    name.style.color = statusColor(row.value);
+  }
+
+  const summary = document.createElement('span');
+  summary.className = 'project-group__summary';
+  summary.textContent = `${row.count} ${row.count === 1 ? 'projeto' : 'projetos'} · ${BRL.format(row.total)}`;
+  header.append(name, summary);
+  return header;
+}
+
+/**
+ * Aplica a ordenação ou o agrupamento escolhido, grava na URL e redesenha a lista.
+ * @param {Event} event - Evento change de projectSort ou projectGroup.
+ */
+function handleListViewChange(event) {
+  const field = event.target === projectGroupSelect ? 'group' : 'sort';
+  state.listView[field] = event.target.value;
+  writeListFiltersToUrl();
+  renderProjectList();
+}
+
+/**
+ * Remove busca e filtros ativos; ordenação e agrupamento são mantidos.
+ */
+function clearListFilters() {
+  state.listFilters = {};
+  if (projectSearch) {
+    projectSearch.value = '';
+  }
+  writeListFiltersToUrl();
+  refreshListFilterOptions();
+  renderProjectList();
+  refreshDashboard();
+}
+
+/**
+ * Descreve há quanto tempo o projeto aguarda na etapa atual.
+ * @param {string|null} since - Data ISO de entrada na etapa.
+ * @returns {string} Texto curto exibido no card.
+ */
+function describeApprovalWait(since) {
+  const start = since ? new Date(since).getTime() : NaN;
+  if (!Number.isFinite(start)) {
+    return 'Aguardando';
+  }
+  const days = Math.floor((Date.now() - start) / 86400000);
+  if (days < 1) {
+    return 'Aguardando desde hoje';
+  }
+  return `Aguardando há ${days} ${days === 1 ? 'dia' : 'dias'}`;
+}
+
+/**
+ * Alterna a lista lateral entre os projetos do usuário e a fila de aprovações.
+ * @param {'projects'|'inbox'} mode - Modo desejado.
+ */
+function setSidebarMode(mode) {
+  const targetMode = mode === 'inbox' ? 'inbox' : 'projects';
+  state.sidebarMode = targetMode;
+  sidebarModes?.querySelectorAll('.sidebar-mode').forEach((button) => {
+    const active = button.dataset.mode === targetMode;
+    button.classList.toggle('active', active);
+    button.setAttribute('aria-selected', String(active));
+  });
+  if (sidebarTitle) {
+    sidebarTitle.textContent = targetMode === 'inbox' ? 'Aguardando minha aprovação' : 'Projetos';
+  }
+  renderProjectList();
+}
+
+/**
+ * Cria o card de um projeto da lista lateral.
+ * @param {Project} item - Projeto exibido.
+ * @param {boolean} inboxMode - true na fila de aprovações (exibe etapa e tempo de espera).
+ * @returns {HTMLElement} Card pronto para inserir na lista.
+ */
+function createProjectCard(item, inboxMode) {
+  const card = document.createElement('article');
+  card.className = 'project-card';
+  if (state.selectedProjectId === item.Id) {
+    card.classList.add('selected');
+  }
+  card.dataset.id = item.Id;
+
+  const accent = document.createElement('span');
+  accent.className = 'project-card-accent';
+  accent.style.background = statusColor(item.status);
+
+  const content = document.createElement('div');
+  content.className = 'project-card-content';
+
+  const status = document.createElement('span');
+  status.className = 'project-card-status';
+  status.textContent = item.status || 'Sem status';
+  status.style.color = statusColor(item.status);
+
+  const title = document.createElement('span');
+  title.className = 'project-card-title';
+  title.textContent = item.Title || 'Projeto sem título';
+  content.append(status, title);
+  if (item.budgetBrl) {
+    const budgetRow = document.createElement('div');
+    budgetRow.className = 'project-card-bottom';
+    const budget = document.createElement('span');
+    budget.className = 'project-card-meta';
+    budget.textContent = BRL.format(item.budgetBrl);
+    budgetRow.append(budget);
+    content.append(budgetRow);
+  }
+  if (inboxMode) {
+    const waitRow = document.createElement('div');
+    waitRow.className = 'project-card-bottom';
+    const stage = document.createElement('span');
+    stage.className = 'project-card-meta';
+    stage.textContent = APPROVAL_STAGES[getCurrentApprovalStage(item)] || '';
+    const wait = document.createElement('span');
+    wait.className = 'project-card-meta project-card-wait';
+    wait.textContent = describeApprovalWait(item.approvalStageSince);
+    waitRow.append(stage, wait);
+    content.append(waitRow);
+  }
+  card.append(accent, content);
+  return card;
+}
+
+// ============================================================================
+// Lista lateral virtualizada
+// ============================================================================
+/**
+ * @typedef {Object} ProjectListRow
+ * @property {'card'|'group'} type - Card de projeto ou cabeçalho de grupo.
+ * @property {string} key - Chave estável da linha (cache de elementos e alturas).
+ * @property {Project} [item] - Projeto do card.
+ * @property {string} [groupBy] - Campo de agrupamento do cabeçalho.
+ * @property {string} [value] - Valor do grupo.
+ * @property {string} [label] - Texto do cabeçalho.
+ * @property {number} [count] - Quantidade de projetos do grupo.
+ * @property {number} [total] - Orçamento total do grupo.
+ * @property {boolean} [collapsed] - Grupo recolhido.
+ */
+
+// Espaço entre linhas (margin-bottom de cards e cabeçalhos em .project-list)
+const PROJECT_LIST_ROW_GAP = 12;
+// Alturas estimadas até a linha ser medida, já incluindo o espaço entre linhas
+const PROJECT_LIST_ESTIMATED_HEIGHTS = Object.freeze({ card: 96, group: 40 });
+// Linhas extras renderizadas acima e abaixo da área visível
+const PROJECT_LIST_OVERSCAN = 6;
+
+/**
+ * Estado da janela renderizada: apenas as linhas visíveis (mais a margem) ficam no DOM,
+ * entre dois espaçadores que ocupam a altura das demais.
+ */
+const projectListView = {
+  /** @type {ProjectListRow[]} */
+  rows: [],
+  inboxMode: false,
+  // Chave da linha -> altura medida (com o espaço entre linhas)
+  heights: new Map(),
+  // Chave da linha -> elemento reaproveitado enquanto a linha continuar na janela
+  elements: new Map(),
+  start: 0,
+  end: 0,
+  frame: null,
+  topSpacer: null,
+  bottomSpacer: null
+};
+
+/**
+ * Monta as linhas da lista a partir da fonte atual, aplicando busca, filtros, ordenação e agrupamento.
+ * @returns {ProjectListRow[]} Linhas na ordem de exibição.
+ */
+function buildProjectListRows() {
+  const source = projectListView.inboxMode ? state.approvalInbox : state.projects;
+  const sorted = sortProjectListItems(filterProjectListItems(source), state.listView.sort);
+  const toCardRow = (item) => ({ type: 'card', key: `card:${item.Id}`, item });
+
+  const groupBy = state.listView.group;
+  if (!PROJECT_LIST_GROUPS[groupBy]) {
+    return sorted.map(toCardRow);
+  }
+
+  return groupProjectListItems(sorted, groupBy).flatMap(({ key, label, items }) => {
+    const collapsed = state.collapsedListGroups.has(`${groupBy}:${key}`);
+    const header = {
+      type: 'group',
+      key: `group:${groupBy}:${key}`,
+      groupBy,
+      value: key,
+      label,
+      count: items.length,
+      total: items.reduce((sum, item) => sum + toSortableBudget(item.budgetBrl), 0),
+      collapsed
+    };
+    return collapsed ? [header] : [header, ...items.map(toCardRow)];
+  });
+}
+
+/**
+ * @param {ProjectListRow} row - Linha da lista.
+ * @returns {number} Altura medida ou estimada da linha.
+ */
+function getProjectListRowHeight(row) {
+  return projectListView.heights.get(row.key) ?? PROJECT_LIST_ESTIMATED_HEIGHTS[row.type];
+}
+
+/**
+ * @param {ProjectListRow} row - Linha da lista.
+ * @returns {HTMLElement} Card ou cabeçalho de grupo, identificado por data-row-key.
+ */
+function createProjectListRowElement(row) {
+  const element = row.type === 'group'
+    ? createProjectGroupHeader(row)
+    : createProjectCard(row.item, projectListView.inboxMode);
+  element.dataset.rowKey = row.key;
+  return element;
+}
+
+/**
+ * Guarda a altura real das linhas renderizadas para os próximos cálculos da janela.
+ * @param {HTMLElement[]} elements - Linhas presentes no DOM.
+ */
+function measureProjectListRows(elements) {
+  elements.forEach((element) => {
+    if (element.offsetHeight) {
+      projectListView.heights.set(element.dataset.rowKey, element.offsetHeight + PROJECT_LIST_ROW_GAP);
+    }
+  });
+}
+
+/**
+ * Renderiza apenas as linhas que cruzam a área visível da lista.
+ * @param {{force?:boolean}} [options={}] - force redesenha mesmo que a janela não tenha mudado.
+ */
+function renderProjectListWindow({ force = false } = {}) {
+  const { rows } = projectListView;
+  if (!rows.length) return;
+
+  const heights = rows.map(getProjectListRowHeight);
+  const totalHeight = heights.reduce((sum, height) => sum + height, 0);
+  const viewport = projectList.clientHeight || window.innerHeight;
+  const maxScroll = Math.max(0, totalHeight - viewport);
+  if (projectList.scrollTop > maxScroll) {
+    projectList.scrollTop = maxScroll;
+  }
+  const scrollTop = projectList.scrollTop;
+
+  let start = 0;
+  let offset = 0;
+  while (start < rows.length - 1 && offset + heights[start] <= scrollTop) {
+    offset += heights[start];
+    start += 1;
+  }
+  let end = start;
+  while (end < rows.length && offset < scrollTop + viewport) {
+    offset += heights[end];
+    end += 1;
+  }
+  start = Math.max(0, start - PROJECT_LIST_OVERSCAN);
+  end = Math.min(rows.length, end + PROJECT_LIST_OVERSCAN);
+
+  if (!force && start === projectListView.start && end === projectListView.end) {
+    return;
+  }
+
+  const sumHeights = (from, to) => heights.slice(from, to).reduce((sum, height) => sum + height, 0);
+  projectListView.topSpacer.style.height = `${sumHeights(0, start)}px`;
+  projectListView.bottomSpacer.style.height = `${sumHeights(end, rows.length)}px`;
+
+  const elements = new Map();
+  const visible = rows.slice(start, end).map((row) => {
+    const element = projectListView.elements.get(row.key) || createProjectListRowElement(row);
+    elements.set(row.key, element);
+    return element;
+  });
+  projectListView.elements = elements;
+  projectListView.start = start;
+  projectListView.end = end;
+
+  projectList.replaceChildren(projectListView.topSpacer, ...visible, projectListView.bottomSpacer);
+  measureProjectListRows(visible);
+}
+
+/**
+ * Agenda o recálculo da janela após rolagem ou redimensionamento (um por quadro).
+ */
+function scheduleProjectListWindow() {
+  if (projectListView.frame) return;
+  projectListView.frame = requestAnimationFrame(() => {
+    projectListView.frame = null;
+    renderProjectListWindow();
+  });
+}
+
+/**
+ * Renderiza cards de projetos no painel lateral, aplicando busca e filtros, com defer opcional.
+ * Apenas a janela visível vai para o DOM; os cliques são tratados por handleProjectListClick.
+ * @param {{defer?:boolean}} [options={}] - Quando defer é true, usa requestAnimationFrame.
+ */
+function renderProjectList(options = {}) {
+  const drawList = () => {
+    projectListView.inboxMode = state.sidebarMode === 'inbox';
+    projectListView.rows = buildProjectListRows();
+    projectListView.elements = new Map();
+    projectListView.start = 0;
+    projectListView.end = 0;
+
+    if (projectListView.rows.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'hint';
+      empty.textContent = projectListView.inboxMode && !projectSearch?.value && !hasActiveListFilters()
+        ? 'Nenhum projeto aguardando sua aprovação.'
+        : 'Nenhum projeto encontrado.';
+      projectList.replaceChildren(empty);
+      return;
+    }
+
+    if (!projectListView.topSpacer) {
+      projectListView.topSpacer = document.createElement('div');
+      projectListView.bottomSpacer = document.createElement('div');
+      projectListView.topSpacer.className = 'project-list__spacer';
+      projectListView.bottomSpacer.className = 'project-list__spacer';
+      projectListView.topSpacer.setAttribute('aria-hidden', 'true');
+      projectListView.bottomSpacer.setAttribute('aria-hidden', 'true');
+    }
+    renderProjectListWindow({ force: true });
+  };
+
+  if (options?.defer) {
+    if (renderProjectListFrame) {
+      cancelAnimationFrame(renderProjectListFrame);
+    }
+    renderProjectListFrame = requestAnimationFrame(() => {
+      renderProjectListFrame = null;
+      drawList();
+    });
+    return;
+  }
+
+  if (renderProjectListFrame) {
+    cancelAnimationFrame(renderProjectListFrame);
+    renderProjectListFrame = null;
+  }
+  drawList();
+}
+
+/**
+ * Clique delegado da lista: cabeçalhos recolhem/expandem grupos e cards abrem o projeto.
+ * @param {MouseEvent} event - Clique dentro de projectList.
+ */
+function handleProjectListClick(event) {
+  const header = event.target.closest('.project-group__header');
+  if (header) {
+    const row = projectListView.rows.find((candidate) => candidate.key === header.dataset.rowKey);
+    if (!row) return;
+    const groupKey = `${row.groupBy}:${row.value}`;
+    if (state.collapsedListGroups.has(groupKey)) {
+      state.collapsedListGroups.delete(groupKey);
+    } else {
+      state.collapsedListGroups.add(groupKey);
+    }
+    renderProjectList();
+    return;
+  }
+
+  const card = event.target.closest('.project-card');
+  const row = card && projectListView.rows.find((candidate) => candidate.key === card.dataset.rowKey);
+  if (!row) return;
+  if (projectListView.inboxMode) {
+    openApprovalInboxProject(row.item.Id);
+  } else {
+    selectProject(row.item.Id);
+  }
+}
+
+/**
+ * Atualiza o destaque do card selecionado sem redesenhar a lista.
+ */
+function updateProjectListSelection() {
+  projectList.querySelectorAll('.project-card').forEach((card) => {
+    card.classList.toggle('selected', String(card.dataset.id) === String(state.selectedProjectId));
+  });
+}
+
+/**
+ * Reflete na lista a alteração de um projeto: quando os campos alterados afetam busca, filtros,
+ * ordenação ou agrupamento, a lista é redesenhada; caso contrário só o card é substituído.
+ * @param {Project} project - Projeto já atualizado em state.projects.
+ * @param {string[]} changedFields - Campos alterados.
+ */
+function refreshProjectListItem(project, changedFields) {
+  if (projectListView.inboxMode) return;
+
+  const layoutFields = new Set(Object.keys(state.listFilters).filter((key) => state.listFilters[key]));
+  if (projectSearch?.value) layoutFields.add('Title');
+  if (PROJECT_LIST_SORTS[state.listView.sort]) layoutFields.add(PROJECT_LIST_SORTS[state.listView.sort].field);
+  if (PROJECT_LIST_GROUPS[state.listView.group]) {
+    layoutFields.add(state.listView.group);
+    layoutFields.add('budgetBrl');
+  }
+  if (changedFields.some((field) => layoutFields.has(field))) {
+    renderProjectList({ defer: true });
+    return;
+  }
+
+  const key = `card:${project.Id}`;
+  const row = projectListView.rows.find((candidate) => candidate.key === key);
+  if (!row) return;
+  row.item = project;
+  projectListView.heights.delete(key);
+
+  const current = projectListView.elements.get(key);
+  if (!current?.isConnected) return;
+  const replacement = createProjectListRowElement(row);
+  current.replaceWith(replacement);
+  projectListView.elements.set(key, replacement);
+  measureProjectListRows([replacement]);
+}
+
+/**
+ * Seleciona projeto na lista, busca detalhes completos e atualiza painel principal.
+ * @param {number|string} projectId - Identificador do projeto selecionado.
+ * @returns {Promise<void>} Promessa concluída após renderizar detalhes.
+ */
+async function selectProject(projectId) {
+  if (renderProjectListFrame) {
+    cancelAnimationFrame(renderProjectListFrame);
+    renderProjectListFrame = null;
+  }
+  dashboardState.open = false;
+  state.selectedProjectId = projectId;
+  updateProjectListSelection();
+  await loadProjectDetails(projectId);
+}
+
+/**
+ * Abre um projeto da fila de aprovações direto no resumo somente leitura, com as ações de decisão.
+ * @param {number} projectId - Projeto selecionado na fila.
+ * @returns {Promise<void>}
+ */
+async function openApprovalInboxProject(projectId) {
+  await selectProject(projectId);
+  // Outra seleção pode ter substituído esta enquanto os detalhes carregavam
+  if (state.selectedProjectId !== projectId || Number(state.currentDetails?.project?.Id) !== Number(projectId)) {
+    return;
+  }
+  openProjectForm('edit', state.currentDetails);
+}
+
+/**
+ * Busca o projeto e seus itens relacionados (com __metadata.etag de cada item).
+ * @param {number} projectId - ID do projeto.
+ * @param {{signal?:AbortSignal}} [options={}] - Cancela todas as leituras quando abortado.
+ * @returns {Promise<{project:Project, milestones:Array, activities:Array, peps:Array, simplePeps:Array, activityPeps:Array}>}
+ *   Pacote de detalhes usado pelo painel e pelo formulário.
+ */
+async function fetchProjectDetail(projectId, options = {}) {
+  const { signal } = options;
+  const project = await sp.getItem('Projects', projectId, { signal });
+  const [milestones, activities, peps] = await Promise.all([
+    sp.getItems('Milestones', { filter: `projectsIdId eq ${projectId}` }, { all: true, signal }),
+    sp.getItems('Activities', { filter: `projectsIdId eq ${projectId}` }, { all: true, signal }),
+    sp.getItems('Peps', { filter: `projectsIdId eq ${projectId}` }, { all: true, signal })
+  ]);
+
+  return {
+    project,
+    milestones,
+    activities,
+    peps,
+    simplePeps: peps.filter((pep) => !pep.activitiesIdId),
+    activityPeps: peps.filter((pep) => pep.activitiesIdId)
+  };
+}
+
+async function loadProjectDetails(projectId) {
+  // Só a seleção mais recente pode renderizar: cancela a carga anterior ainda em andamento
+  if (projectDetailsController) {
+    projectDetailsController.abort();
+  }
+  projectPanelController?.abort();
+  const controller = new AbortController();
+  projectDetailsController = controller;
+
+  projectDetails.innerHTML = '';
+  const loader = document.createElement('p');
+  loader.textContent = 'Carregando…';
+  loader.className = 'hint';
+  projectDetails.append(loader);
+
+  try {
+    const detail = await fetchProjectDetail(projectId, { signal: controller.signal });
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    state.currentDetails = detail;
+    renderProjectDetails(detail);
+  } catch (error) {
+    if (isAbortError(error)) {
+      return;
+    }
+    console.error('Erro ao carregar detalhes do projeto', error);
+    projectDetails.innerHTML = '';
+    const errorBox = document.createElement('p');
+    errorBox.className = 'hint';
+    errorBox.textContent = 'Não foi possível carregar os dados do projeto.';
+    projectDetails.append(errorBox);
+  } finally {
+    if (projectDetailsController === controller) {
+      projectDetailsController = null;
+    }
+  }
+}
+
+/**
+ * Atualiza painel principal com dados ricos do projeto (cards, ações e descrição).
+ * @param {{project?: Project}} detail - Objeto completo retornado pela API.
+ */
+function renderProjectDetails(detail) {
+  projectDetails.innerHTML = '';
+  // Seções lidas sob demanda usam o sinal deste painel: redesenhar ou trocar de projeto cancela as leituras pendentes
+  projectPanelController?.abort();
+  projectPanelController = null;
+  if (!detail?.project) {
+    projectDetails.append(createEmptyState());
+    return;
+  }
+
+  const { project } = detail;
+  projectPanelController = new AbortController();
+  const { signal } = projectPanelController;
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'project-overview';
+
+  const header = document.createElement('div');
+  header.className = 'project-overview__header';
+  const title = document.createElement('h2');
+  title.className = 'project-overview__title';
+  title.textContent = project.Title || 'Projeto sem título';
+  const status = document.createElement('span');
+  status.className = 'status-pill';
+  status.style.background = statusColor(project.status);
+  status.textContent = project.status || 'Sem status';
+  header.append(title, status);
+
+  if (project.status === PROJECT_STATUSES.APPROVED) {
+    const info = document.createElement('p');
+    info.className = 'project-overview__hint';
+    info.textContent = 'Projeto aprovado - somente leitura.';
+    header.append(info);
+  }
+
+  const approvalStage = getCurrentApprovalStage(project);
+  if (approvalStage) {
+    const info = document.createElement('p');
+    info.className = 'project-overview__hint';
+    info.textContent = `Aguardando decisão: ${APPROVAL_STAGES[approvalStage]}.`;
+    header.append(info);
+  }
+
+  wrapper.append(header);
+
+  const highlightGrid = document.createElement('div');
+  highlightGrid.className = 'project-overview__grid';
+  highlightGrid.append(
+    createHighlightBox('Orçamento', project.budgetBrl ? BRL.format(project.budgetBrl) : '—', { variant: 'budget' }),
+    createHighlightBox('Responsável', project.projectLeader || project.projectUser || 'Não informado')
+  );
+  wrapper.append(highlightGrid);
+
+  const timelineGrid = document.createElement('div');
+  timelineGrid.className = 'project-overview__grid';
+  timelineGrid.append(
+    createHighlightBox('Data de Início', formatDateValue(project.startDate)),
+    createHighlightBox('Data de Conclusão', formatDateValue(project.endDate))
+  );
+  wrapper.append(timelineGrid);
+
+  const descriptionSection = document.createElement('section');
+  descriptionSection.className = 'project-description';
+  const descTitle = document.createElement('h3');
+  descTitle.textContent = 'Descrição do Projeto';
+  const descText = document.createElement('p');
+  descText.className = 'project-description__text';
+  descText.textContent = project.proposedSolution || project.businessNeed || 'Sem descrição informada.';
+  descriptionSection.append(descTitle, descText);
+  wrapper.append(descriptionSection);
+  wrapper.append(createApprovalSection(project));
+  wrapper.append(createSummaryVersionsSection(project.Id, { signal }));
+  wrapper.append(createAuditSection(project.Id));
+
+  const actions = document.createElement('div');
+  actions.className = 'project-overview__actions';
+
+  const statusKey = normalizeStatusKey(project.status);
+  const editableStatuses = STATUS_GROUPS.APPROVAL_ALLOWED;
+  const viewOnlyStatuses = STATUS_GROUPS.READ_ONLY;
+
+  if (viewOnlyStatuses.has(statusKey)) {
+    const viewBtn = document.createElement('button');
+    viewBtn.type = 'button';
+    viewBtn.className = 'btn ghost';
+    viewBtn.textContent = 'Visualizar Projeto';
+    viewBtn.addEventListener('click', () => openProjectForm('edit', detail));
+    actions.append(viewBtn);
+  } else if (editableStatuses.has(statusKey)) {
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.className = 'btn primary';
+    editBtn.textContent = 'Editar Projeto';
+    editBtn.addEventListener('click', () => openProjectForm('edit', detail));
+    actions.append(editBtn);
+
+    if (canSubmitForApproval(statusKey)) {
+      const approveBtn = document.createElement('button');
+      approveBtn.type = 'button';
+      approveBtn.className = 'btn accent';
+      approveBtn.textContent = 'Enviar para Aprovação';
+      approveBtn.addEventListener('click', () => {
+        openProjectForm('edit', detail);
+        requestAnimationFrame(() => {
+          projectForm.dataset.submitIntent = 'approval';
+          openSummaryOverlay(submitForApprovalBtn || approveBtn);
+        });
+      });
+      actions.append(approveBtn);
+    }
+  } else {
+    const fallbackBtn = document.createElement('button');
+    fallbackBtn.type = 'button';
+    fallbackBtn.className = 'btn ghost';
+    fallbackBtn.textContent = 'Visualizar Projeto';
+    fallbackBtn.addEventListener('click', () => openProjectForm('edit', detail));
+    actions.append(fallbackBtn);
+  }
+
+  // Disponível em qualquer status: a cópia sempre nasce como rascunho
+  const duplicateBtn = document.createElement('button');
+  duplicateBtn.type = 'button';
+  duplicateBtn.className = 'btn ghost';
+  duplicateBtn.textContent = 'Duplicar Projeto';
+  duplicateBtn.addEventListener('click', () => openDuplicateOverlay(detail, duplicateBtn));
+  actions.append(duplicateBtn);
+
+  if (actions.childElementCount) {
+    wrapper.append(actions);
+  }
+
+  projectDetails.append(wrapper);
+}
+
+/**
+ * Produz conteúdo padrão quando nenhum projeto está selecionado.
+ * @returns {HTMLDivElement} Elemento com mensagem de orientação.
+ */
+function createEmptyState() {
+  const empty = document.createElement('div');
+  empty.className = 'empty-state';
+  const title = document.createElement('h2');
+  title.textContent = 'Selecione um projeto';
+  const text = document.createElement('p');
+  text.textContent = 'Escolha um item na lista ao lado para visualizar os detalhes.';
+  empty.append(title, text);
+  return empty;
+}
+
+/**
+ * Monta card compacto exibindo meta-informações do projeto (orçamento, datas).
+ * @param {string} label - Rótulo apresentado no topo do card.
+ * @param {string} value - Valor formatado a exibir.
+ * @param {{variant?:string}} [options={}] - Permite aplicar estilos específicos.
+ * @returns {HTMLDivElement} Elemento configurado.
+ */
+function createHighlightBox(label, value, options = {}) {
+  const { variant } = options;
+  const box = document.createElement('div');
+  box.className = 'project-highlight';
+  if (variant) {
+    box.classList.add(`project-highlight--${variant}`);
+  }
+
+  const labelEl = document.createElement('span');
+  labelEl.className = 'project-highlight__label';
+  labelEl.textContent = label;
+
+  const valueEl = document.createElement('span');
+  valueEl.className = 'project-highlight__value';
+  valueEl.textContent = value || '—';
+  if (variant === 'budget') {
+    valueEl.classList.add('project-highlight__value--budget');
+  }
+
+  box.append(labelEl, valueEl);
+  return box;
+}
+
+/**
+ * Converte string de data em formato local pt-BR ou retorna traço quando inválido.
+ * @param {string|null|undefined} value - Data em formato ISO.
+ * @returns {string} Data formatada ou '—'.
+ */
+function formatDateValue(value) {
+  if (!value) {
+    return '—';
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return '—';
+  }
+
+  return DATE_FMT.format(date);
+}
+
+/**
+ * Converte data/hora em formato local pt-BR (dd/mm/aaaa hh:mm) ou retorna traço quando inválido.
+ * @param {string|Date|null|undefined} value - Data em formato ISO ou Date.
+ * @returns {string} Data e hora formatadas ou '—'.
+ */
+function formatDateTimeValue(value) {
+  if (!value) {
+    return '—';
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return '—';
+  }
+
+  return DATE_TIME_FMT.format(date);
+}
+
+/**
+ * Repopula options de um select conforme regras de negócio, preservando valor selecionado.
+ * @param {HTMLSelectElement|null} selectElement - Select alvo.
+ * @param {string[]} [options=[]] - Valores disponíveis.
+ * @param {string} [selectedValue=''] - Valor que deve permanecer selecionado.
+ */
+function populateSelectOptions(selectElement, options = [], selectedValue = '') {
+  if (!selectElement || selectElement.tagName !== 'SELECT') {
+    return;
+  }
+
+  const initialPlaceholderOption = selectElement.options?.[0];
+  const placeholderText = initialPlaceholderOption && initialPlaceholderOption.value === ''
+    ? initialPlaceholderOption.textContent || 'Selecione...'
+    : 'Selecione...';
+
+  const normalizedOptions = Array.isArray(options)
+    ? options.map((option) => String(option))
+    : [];
+  const normalizedSelectedValue = selectedValue != null ? String(selectedValue) : '';
+
+  selectElement.innerHTML = '';
+
+  const placeholderOption = document.createElement('option');
+  placeholderOption.value = '';
+  placeholderOption.textContent = placeholderText;
+  selectElement.appendChild(placeholderOption);
+
+  const fragment = document.createDocumentFragment();
+  normalizedOptions.forEach((text) => {
+    const option = document.createElement('option');
+    option.value = text;
+    option.textContent = text;
+    fragment.appendChild(option);
+  });
+
+  selectElement.appendChild(fragment);
+
+  if (normalizedSelectedValue && normalizedOptions.includes(normalizedSelectedValue)) {
+    selectElement.value = normalizedSelectedValue;
+  } else {
+    selectElement.value = '';
+  }
+}
+
+function fillOptions(selectEl, items = [], { placeholder = 'Selecione...' } = {}) {
+  if (!selectEl) return;
+  const prev = selectEl.value;
+  const normalizedItems = Array.isArray(items) ? items.map((item) => String(item)) : [];
+  selectEl.innerHTML = '';
+  if (placeholder) {
+    const opt0 = document.createElement('option');
+    opt0.value = '';
+    opt0.textContent = placeholder;
+    selectEl.appendChild(opt0);
+  }
+  const frag = document.createDocumentFragment();
+  for (const v of normalizedItems) {
+    const opt = document.createElement('option');
+    opt.value = v;
+    opt.textContent = v;
+    frag.appendChild(opt);
+  }
+  selectEl.appendChild(frag);
+  if (normalizedItems.includes(prev)) selectEl.value = prev; // preserva seleção válida
+}
+
+function getUnits(companyCode, centerCode) {
+  if (!companyCode || !centerCode) return EMPTY_ARRAY;
+  const rules = resolveCompanyRules();
+  const companyRule = rules?.[companyCode];
+  const centerRule = companyRule?.centers?.[centerCode];
+  return safeArray(centerRule?.units);
+}
+
+function getLocations(companyCode, centerCode) {
+  if (!companyCode || !centerCode) return EMPTY_ARRAY;
+  const rules = resolveCompanyRules();
+  const companyRule = rules?.[companyCode];
+  const centerRule = companyRule?.centers?.[centerCode];
+  return safeArray(centerRule?.locations);
+}
+
+function applyCompany(companyCode, { centerEl, locationEl, unitEl }) {
+  const rules = resolveCompanyRules();
+  const centersMap = rules?.[companyCode]?.centers || {};
+  const centers = Object.keys(centersMap);
+  fillOptions(centerEl, centers, { placeholder: 'Selecione o centro' });
+  fillOptions(locationEl, EMPTY_ARRAY, { placeholder: 'Selecione a localização' });
+  fillOptions(unitEl, EMPTY_ARRAY, { placeholder: 'Selecione a unidade' });
+}
+
+function applyCenter(companyCode, centerCode, { locationEl, unitEl }) {
+  const locs  = getLocations(companyCode, centerCode);
+  const units = getUnits(companyCode, centerCode);
+  fillOptions(locationEl, locs,  { placeholder: 'Selecione a localização' });
+  fillOptions(unitEl,      units,{ placeholder: 'Selecione a unidade' });
+}
+
+(function wireCompanyCenterLocationUnit() {
+  function ready() {
+    if (document.readyState === 'loading') return false;
+    const rules = resolveCompanyRules();
+    return Object.keys(rules || {}).length > 0;
+  }
+
+  function run() {
+    const companyEl  = document.getElementById('company');
+    const centerEl   = document.getElementById('center');
+    const locationEl = document.getElementById('location');
+    const unitEl     = document.getElementById('unit');
+    if (!companyEl || !centerEl || !locationEl || !unitEl) {
+      console.warn('[cascata] Ajuste os IDs: company, center, location, unit.');
+      return;
+    }
+
+    const els = { companyEl, centerEl, locationEl, unitEl };
+
+    const handleCompanyChange = (e) => {
+      const companyValue = e.target.value;
+      if (typeof updateCompanyDependentFields === 'function') {
+        const depValue = (document.getElementById('depreciationCostCenter')?.value || '').trim();
+        updateCompanyDependentFields(companyValue, {
+          center: '',
+          location: '',
+          unit: '',
+          depreciationCostCenter: depValue
+        });
+        // Ajuste CAPEX: sincroniza opções de PEP ao trocar empresa.
+        refreshAllPepDropdowns();
+        return;
+      }
+      applyCompany(companyValue, els);
+      // Ajuste CAPEX: sincroniza opções de PEP ao trocar empresa.
+      refreshAllPepDropdowns();
+    };
+
+    const handleCenterChange = (e) => {
+      const companyValue = companyEl.value || '';
+      const centerValue = e.target.value;
+      if (typeof updateCompanyDependentFields === 'function') {
+        const depValue = (document.getElementById('depreciationCostCenter')?.value || '').trim();
+        updateCompanyDependentFields(companyValue, {
+          center: centerValue,
+          location: '',
+          unit: '',
+          depreciationCostCenter: depValue
+        });
+        return;
+      }
+      applyCenter(companyValue, centerValue, els);
+    };
+
+    companyEl.addEventListener('change', handleCompanyChange);
+    centerEl.addEventListener('change', handleCenterChange);
+
+    const initCompany = companyEl.value || '';
+    if (initCompany) {
+      if (typeof updateCompanyDependentFields === 'function') {
+        const depValue = (document.getElementById('depreciationCostCenter')?.value || '').trim();
+        updateCompanyDependentFields(initCompany, {
+          center: centerEl.value || '',
+          location: locationEl.value || '',
+          unit: unitEl.value || '',
+          depreciationCostCenter: depValue
+        });
+      } else {
+        applyCompany(initCompany, els);
+        const initCenter = centerEl.value || '';
+        if (initCenter) applyCenter(initCompany, initCenter, els);
+      }
+    }
+  }
+
+  if (!ready()) {
+    const t0 = Date.now();
+    const iv = setInterval(() => {
+      if (ready()) { clearInterval(iv); run(); }
+      else if (Date.now() - t0 > 2000) { clearInterval(iv); console.warn('[cascata] Mapas/DOM não prontos.'); }
+    }, 50);
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => { /* no-op */ }, { once: true });
+    }
+  } else {
+    run();
+  }
+})();
+
+/**
+ * Atualiza selects dependentes (centro, unidade etc.) conforme empresa escolhida.
+ * @param {string} companyValue - Empresa selecionada.
+ * @param {{center?:string, unit?:string, location?:string, depreciation?:string, depreciationCostCenter?:string}} [selectedValues={}] - Valores previamente gravados.
+ */
+function updateCompanyDependentFields(companyValue, selectedValues) {
+  const companySelect = document.getElementById('company');
+  const centerSelect = document.getElementById('center');
+  const locationSelect = document.getElementById('location');
+  const unitSelect = document.getElementById('unit');
+  const depreciationFieldElement = document.getElementById('depreciationCostCenter');
+
+  if (!centerSelect && !locationSelect && !unitSelect && !depreciationFieldElement) {
+    return;
+  }
+
+  const hasSelectedValues = arguments.length > 1 && selectedValues && typeof selectedValues === 'object';
+  const preserve = hasSelectedValues
+    ? {
+        center: selectedValues.center != null ? String(selectedValues.center) : '',
+        location: selectedValues.location != null ? String(selectedValues.location) : '',
+        unit: selectedValues.unit != null ? String(selectedValues.unit) : '',
+        depreciation: (
+          selectedValues.depreciationCostCenter ?? selectedValues.depreciation ?? ''
+        )?.toString().trim()
+      }
+    : {
+        center: centerSelect?.value || '',
+        location: locationSelect?.value || '',
+        unit: unitSelect?.value || '',
+        depreciation: (depreciationFieldElement?.value ?? '').trim()
+      };
+
+  const allRules = typeof resolveCompanyRules === 'function' ? resolveCompanyRules() : {};
+  const companyKey = companyValue != null ? String(companyValue) : (companySelect?.value || '');
+  const rules = allRules?.[companyKey] || {};
+
+  const centersSource = rules.centers;
+  const centers = Array.isArray(centersSource)
+    ? centersSource.map((center) => String(center))
+    : centersSource && typeof centersSource === 'object'
+      ? Object.keys(centersSource)
+      : [];
+
+  populateSelectOptions(centerSelect, centers, preserve.center);
+
+  const activeCenter = centerSelect?.value || '';
+  let locations = [];
+  let units = [];
+
+  if (Array.isArray(rules.locations)) {
+    locations = rules.locations.map((location) => String(location));
+  } else if (centersSource && typeof centersSource === 'object') {
+    const centerRule = centersSource[activeCenter];
+    locations = Array.isArray(centerRule?.locations)
+      ? centerRule.locations.map((location) => String(location))
+      : [];
+    units = Array.isArray(centerRule?.units)
+      ? centerRule.units.map((unit) => String(unit))
+      : [];
+  }
+
+  if (Array.isArray(rules.units) && units.length === 0) {
+    units = rules.units.map((unit) => String(unit));
+  }
+
+  populateSelectOptions(locationSelect, locations, preserve.location);
+  populateSelectOptions(unitSelect, units, preserve.unit);
+
+  // --- Depreciação: suporta SELECT ou INPUT ---
+  const depreciationField = document.getElementById('depreciationCostCenter');
+  const preservedDep = (
+    (selectedValues && (selectedValues.depreciationCostCenter ?? selectedValues.depreciation)) ??
+    depreciationField?.value ??
+    ''
+  ).trim();
+
+  // Se houver regras de depreciação por empresa e o campo for SELECT, ainda permita popular.
+  const depreciationList = Array.isArray(rules?.depreciation)
+    ? rules.depreciation.map(String)
+    : [];
+
+  // Caso SELECT: popula como antes + opção legada se preciso
+  if (depreciationField && depreciationField.tagName === 'SELECT') {
+    populateSelectOptions(depreciationField, depreciationList, preservedDep);
+
+    if (preservedDep && !depreciationList.includes(preservedDep)) {
+      const legacyOption = document.createElement('option');
+      legacyOption.value = preservedDep;
+      legacyOption.textContent = preservedDep + ' (existente)';
+      legacyOption.dataset.legacy = 'true';
+      depreciationField.appendChild(legacyOption);
+      depreciationField.value = preservedDep;
+    }
+  } else if (depreciationField) {
+    // Caso INPUT: apenas preservar/escrever
+    if (preservedDep) depreciationField.value = preservedDep;
+    if (!depreciationField.placeholder) depreciationField.placeholder = 'Ex.: CC-01';
+  }
+}
+
+function isValidSelection({ company, center, location, unit }) {
+  const rules = resolveCompanyRules();
+  const companyRule = rules?.[company];
+  if (!companyRule) return false;
+  const centerRule = companyRule.centers?.[center];
+  if (!centerRule) return false;
+
+  const locations = safeArray(centerRule.locations);
+  const units = safeArray(centerRule.units);
+
+  const locationOk = locations.length === 0 ? !location : locations.includes(location);
+  if (!locationOk) return false;
+
+  const unitOk = units.length === 0 ? !unit : units.includes(unit);
+  return unitOk;
+}
+
+const form = document.querySelector('form#projectForm');
+if (form) {
+  form.addEventListener('submit', (ev) => {
+    const sels = {
+      company:  document.getElementById('company')?.value || '',
+      center:   document.getElementById('center')?.value || '',
+      location: document.getElementById('location')?.value || '',
+      unit:     document.getElementById('unit')?.value || '',
+    };
+    if (!isValidSelection(sels)) {
+      ev.preventDefault();
+      alert('Seleção inválida: verifique Empresa, Centro, Localização e Unidade.');
+    }
+  });
+}
+
+// ============================================================================
+// Formulário: abertura, preenchimento e coleta dos dados
+/**
+ * Alterna habilitação dos controles do formulário respeitando estados originais.
+ * @param {boolean} disabled - Indica se campos devem ser bloqueados.
+ */
+function setFormFieldsDisabled(disabled) {
+  if (!projectForm) return;
+  const elements = projectForm.querySelectorAll('input, textarea, select, button');
+
+  elements.forEach((element) => {
+    if (!element) return;
+    if (element.id === 'closeFormBtn') return;
+    if (element.closest('.form-summary')) return;
+    // Documentos seguem disponíveis para download no modo leitura; upload/exclusão são ocultados via CSS
+    if (element.closest('.document-section')) return;
+
+    if (disabled) {
+      if (!Object.prototype.hasOwnProperty.call(element.dataset, 'readonlyOriginalDisabled')) {
+        element.dataset.readonlyOriginalDisabled = element.disabled ? 'true' : 'false';
+      }
+      element.disabled = true;
+      element.setAttribute('aria-disabled', 'true');
+    } else {
+      if (!Object.prototype.hasOwnProperty.call(element.dataset, 'readonlyOriginalDisabled')) {
+        if (element.disabled) {
+          element.setAttribute('aria-disabled', 'true');
+        } else {
+          element.removeAttribute('aria-disabled');
+        }
+        return;
+      }
+      const original = element.dataset.readonlyOriginalDisabled;
+      if (original === 'true') {
+        element.disabled = true;
+        element.setAttribute('aria-disabled', 'true');
+      } else {
+        element.disabled = false;
+        element.removeAttribute('aria-disabled');
+      }
+      if (original !== undefined) {
+        delete element.dataset.readonlyOriginalDisabled;
+      }
+      if (element.disabled) {
+        element.setAttribute('aria-disabled', 'true');
+      }
+    }
+  });
+}
+
+/**
+ * Aplica modo de formulário (edição ou leitura) ajustando visibilidade de seções.
+ * @param {'edit'|'readonly'} mode - Modo desejado.
+ * @param {{showApprovalButton?:boolean, refreshSummary?:boolean}} [options={}] - Ajustes complementares.
+ */
+function setFormMode(mode, options = {}) {
+  if (!projectForm) return;
+  const { showApprovalButton = false, refreshSummary = false } = options;
+  const targetMode = mode === 'readonly' ? 'readonly' : 'edit';
+  const modeChanged = currentFormMode !== targetMode;
+  currentFormMode = targetMode;
+
+  if (targetMode === 'readonly') {
+    if (modeChanged) {
+      projectForm.classList.add('project-form--readonly');
+      setFormFieldsDisabled(true);
+      if (formSummaryView) {
+        formSummaryView.classList.remove('hidden');
+      }
+      if (formActions) {
+        formActions.classList.add('hidden');
+      }
+      if (saveProjectBtn) {
+        saveProjectBtn.classList.add('hidden');
+      }
+      if (submitForApprovalBtn) {
+        submitForApprovalBtn.classList.add('hidden');
+      }
+    }
+
+    if (formSummaryView && (modeChanged || refreshSummary)) {
+      populateSummaryContent({ context: formSummaryContext, refreshGantt: true });
+    }
+  } else {
+    if (modeChanged) {
+      projectForm.classList.remove('project-form--readonly');
+      setFormFieldsDisabled(false);
+      if (formSummaryView) {
+        formSummaryView.classList.add('hidden');
+        clearSummaryContent(formSummaryContext);
+      }
+    }
+
+    if (formActions) {
+      formActions.classList.remove('hidden');
+    }
+    if (saveProjectBtn) {
+      saveProjectBtn.classList.remove('hidden');
+    }
+    if (submitForApprovalBtn) {
+      submitForApprovalBtn.classList.toggle('hidden', !showApprovalButton);
+    }
+  }
+}
+
+/**
+ * Ajusta fluxo de exibição com base no status do projeto (ex.: somente leitura quando aprovado).
+ * @param {ProjectStatus|string} status - Status em avaliação.
+ */
+function applyStatusBehavior(status) {
+  const statusKey = normalizeStatusKey(status);
+  if (isReadOnlyStatus(statusKey)) {
+    if (formTitle) {
+      formTitle.textContent = 'Resumo do Projeto';
+    }
+    setFormMode('readonly', { refreshSummary: true });
+    if (projectForm) {
+      projectForm.dataset.submitIntent = 'save';
+    }
+    return;
+  }
+
+  const showApprovalButton = canSubmitForApproval(statusKey);
+  setFormMode('edit', { showApprovalButton });
+  if (projectForm) {
+    projectForm.dataset.submitIntent = 'save';
+  }
+}
+
+// ============================================================================
+/**
+ * Prepara overlay para criação/edição populando campos e aplicando regras iniciais.
+ * @param {'create'|'edit'} mode - Contexto do formulário.
+ * @param {{project?: Project}} [detail=null] - Dados carregados quando em edição.
+ */
+function openProjectForm(mode, detail = null) {
+  projectForm.reset();
+  refreshCurrencyPreview(projectBudgetInput);
+  refreshCurrencyPreview(roceGainInput);
+  refreshCurrencyPreview(roceLossInput);
+  refreshCommentFeedback();
+  resetFormStatus();
+  resetValidationState();
+  projectForm.dataset.mode = mode;
+  projectForm.dataset.projectId = detail?.project?.Id || '';
+  projectForm.dataset.submitIntent = 'save';
+
+  currentFormMode = null;
+  setFormMode('edit', { showApprovalButton: true });
+
+  updateInvestmentLevelField();
+
+  if (companySelect) {
+    companySelect.value = '';
+  }
+  updateCompanyDependentFields('');
+
+  state.editingSnapshot = {
+    simplePeps: new Set(),
+    milestones: new Set(),
+    activities: new Set(),
+    activityPeps: new Set(),
+    etags: new Map()
+  };
+
+  simplePepList.innerHTML = '';
+  milestoneList.innerHTML = '';
+
+  if (mode === 'create') {
+    formTitle.textContent = 'Novo Projeto';
+    statusField.value = PROJECT_STATUSES.DRAFT;
+    setApprovalYearToCurrent();
+    updateBudgetSections({ clear: true });
+  } else if (detail) {
+    fillFormWithProject(detail);
+  }
+
+  const statusKey = detail?.project?.status || statusField.value || PROJECT_STATUSES.DRAFT;
+  applyStatusBehavior(statusKey);
+  resetDocumentSection(detail?.project?.Id || null);
+  resetReviewComments(detail?.project || null);
+
+  updateSimplePepYears();
+  // Ajuste CAPEX: assegura selects de PEP consistentes após abrir o formulário.
+  refreshAllPepDropdowns();
+  overlay.classList.remove('hidden');
+  refreshFormSummaryApprovalActions(detail?.project || null);
+  queueGanttRefresh();
+  validateAllDateRanges();
+  updateRoceMetrics();
+}
+
+/**
+ * Aplica os campos do projeto (formato da lista Projects ou do resumo JSON) aos campos do formulário.
+ * @param {Project} project - Dados do projeto.
+ */
+function applyProjectFieldsToForm(project) {
+  document.getElementById('projectName').value = project.Title || '';
+  document.getElementById('category').value = project.category || '';
+  document.getElementById('investmentType').value = project.investmentType || '';
+  document.getElementById('assetType').value = project.assetType || '';
+  document.getElementById('projectFunction').value = project.projectFunction || '';
+
+  document.getElementById('approvalYear').value = project.approvalYear || '';
+  document.getElementById('startDate').value = project.startDate ? project.startDate.substring(0, 10) : '';
+  document.getElementById('endDate').value = project.endDate ? project.endDate.substring(0, 10) : '';
+
+  document.getElementById('projectBudget').value = sanitizeNumericInputValue(project.budgetBrl);
+  refreshCurrencyPreview(projectBudgetInput);
+  updateInvestmentLevelField();
+  document.getElementById('fundingSource').value = project.fundingSource || '';
+  const selectedCompany = project.company || '';
+  if (companySelect) {
+    companySelect.value = selectedCompany;
+  }
+  updateCompanyDependentFields(selectedCompany, {
+    center: project.center || '',
+    unit: project.unit || '',
+    location: project.location || '',
+    depreciationCostCenter: project.depreciationCostCenter || ''
+  });
+
+  document.getElementById('projectUser').value = project.projectUser || '';
+  document.getElementById('projectLeader').value = project.projectLeader || '';
+
+  document.getElementById('businessNeed').value = project.businessNeed || '';
+  document.getElementById('proposedSolution').value = project.proposedSolution || '';
+  refreshCommentFeedback();
+
+  document.getElementById('kpiType').value = project.kpiType || '';
+  document.getElementById('kpiName').value = project.kpiName || '';
+  document.getElementById('kpiDescription').value = project.kpiDescription || '';
+  document.getElementById('kpiCurrent').value = project.kpiCurrent ?? '';
+  document.getElementById('kpiExpected').value = project.kpiExpected ?? '';
+
+  if (roceGainInput) {
+    const gainValue = sanitizeNumericInputValue(project.roceGain);
+    roceGainInput.value = gainValue !== '' ? gainValue : '0';
+    refreshCurrencyPreview(roceGainInput);
+  }
+
+  if (roceLossInput) {
+    const lossValue = sanitizeNumericInputValue(project.roceLoss);
+    roceLossInput.value = lossValue !== '' ? lossValue : '0';
+    refreshCurrencyPreview(roceLossInput);
+  }
+
+  if (roceGainDescriptionField) {
+    roceGainDescriptionField.value = project.roceGainDescription || '';
+  }
+
+  if (roceLossDescriptionField) {
+    roceLossDescriptionField.value = project.roceLossDescription || '';
+  }
+
+  if (roceClassificationField && project.roceClassification) {
+    roceClassificationField.value = project.roceClassification;
+  }
+}
+
+/**
+ * Preenche o formulário com dados existentes de um projeto selecionado para edição.
+ * @param {{project: Project, simplePeps:Array, milestones:Array, activities:Array, activityPeps:Array}} detail - Pacote de dados relacionado ao projeto.
+ */
+function fillFormWithProject(detail) {
+  const { project, simplePeps, milestones, activities, activityPeps } = detail;
+  formTitle.textContent = `Editar Projeto #${project.Id}`;
+  rememberDetailEtags(detail);
+  statusField.value = project.status || PROJECT_STATUSES.DRAFT;
+  applyProjectFieldsToForm(project);
+
+  updateBudgetSections({ preserve: true });
+  updateRoceMetrics();
+
+  if (project.budgetBrl < BUDGET_THRESHOLD) {
+    simplePeps.forEach((pep) => {
+      // Ajuste CAPEX: recria selects de PEP respeitando valores salvos no modo edição.
+      const row = createSimplePepRow({
+        id: pep.Id,
+        pepTitle: pep.Title,
+        amount: pep.amountBrl,
+        year: pep.year
+      });
+      simplePepList.append(row);
+      state.editingSnapshot.simplePeps.add(Number(pep.Id));
+    });
+    if (!simplePeps.length) {
+      ensureSimplePepRow();
+    }
+  } else {
+    milestones.forEach((milestone) => {
+      const block = createMilestoneBlock({
+        id: milestone.Id,
+        title: milestone.Title
+      });
+      const relatedActivities = activities.filter((act) => act.milestonesIdId === milestone.Id);
+      relatedActivities.forEach((activity) => {
+        const actId = Number(activity.Id);
+        const relatedPeps = activityPeps.filter(
+          (pep) => Number(pep.activitiesIdId ?? pep.activitiesId) === actId
+        );
+        const primaryPep = relatedPeps[0] || null;
+        const activityBlock = addActivityBlock(block, {
+          id: activity.Id,
+          title: activity.Title,
+          start: activity.startDate,
+          end: activity.endDate,
+          supplier: activity.supplier,
+          description: activity.activityDescription,
+          pepId: primaryPep?.Id,
+          pepTitle: primaryPep?.Title,
+          pepAmount: primaryPep?.amountBrl,
+          pepYear: primaryPep?.year
+        });
+        relatedPeps.forEach((pep) => {
+          state.editingSnapshot.activityPeps.add(Number(pep.Id));
+        });
+        state.editingSnapshot.activities.add(Number(activity.Id));
+      });
+      if (!relatedActivities.length) {
+        addActivityBlock(block);
+      }
+      milestoneList.append(block);
+      state.editingSnapshot.milestones.add(Number(milestone.Id));
+    });
+    const isEditingMode = projectForm?.dataset.mode === 'edit';
+    if (!milestones.length && !isEditingMode) {
+      ensureMilestoneBlock();
+    }
+  }
+
+  // Ajuste CAPEX: garante listas corretas de PEP após montar formulário de edição.
+  refreshAllPepDropdowns();
+
+  queueGanttRefresh();
+  validatePepBudget();
+  validateActivityDates();
+  validateAllDateRanges();
+}
+
+/**
+ * Fecha overlay de formulário e garante fechamento do resumo embutido.
+ */
+function closeForm() {
+  cancelDocumentUpload();
+  setFeedback(formSummaryExportStatus, '');
+  overlay.classList.add('hidden');
+  closeSummaryOverlay({ restoreFocus: false });
+}
+
+/**
+ * Exibe overlay de resumo para revisão final, após validar campos obrigatórios.
+ * @param {HTMLButtonElement|null} [triggerButton=null] - Botão que acionou o resumo para restaurar foco.
+ */
+function openSummaryOverlay(triggerButton = null) {
+  const validation = runFormValidations({ scrollOnError: true, focusFirstError: true });
+  if (!validation.valid) {
+    return;
+  }
+
+  if (!summaryOverlay) {
+    return;
+  }
+
+  summaryTriggerButton = triggerButton || null;
+  if (summaryConfirmBtn) {
+    const intent = projectForm.dataset.submitIntent || 'save';
+    summaryConfirmBtn.textContent = intent === 'approval' ? 'Enviar para Aprovação' : 'Confirmar';
+  }
+  populateSummaryOverlay();
+  summaryOverlay.classList.remove('hidden');
+  summaryOverlay.scrollTop = 0;
+  if (summaryTitle) {
+    summaryTitle.focus();
+  } else if (summaryConfirmBtn) {
+    summaryConfirmBtn.focus();
+  }
+}
+
+/**
+ * Oculta overlay de resumo e limpa conteúdo, restaurando foco se necessário.
+ * @param {{restoreFocus?:boolean}} [options={}] - Controla retorno do foco ao botão acionador.
+ */
+function closeSummaryOverlay(options = {}) {
+  const { restoreFocus = true } = options;
+  if (!summaryOverlay || summaryOverlay.classList.contains('hidden')) {
+    summaryTriggerButton = null;
+    return;
+  }
+
+  summaryOverlay.classList.add('hidden');
+  setFeedback(summaryExportStatus, '');
+  if (summarySections) {
+    summarySections.innerHTML = '';
+  }
+  if (summaryGanttChart) {
+    summaryGanttChart.innerHTML = '';
+  }
+
+  if (restoreFocus && summaryTriggerButton) {
+    summaryTriggerButton.focus();
+  }
+  summaryTriggerButton = null;
+}
+
+/**
+ * Confirmador do overlay: fecha modal e dispara submit programático.
+ */
+function handleSummaryConfirm() {
+  closeSummaryOverlay({ restoreFocus: false });
+  projectForm.requestSubmit();
+}
+
+/**
+ * Atualiza overlay principal de resumo preenchendo seções e Gantt.
+ */
+function populateSummaryOverlay() {
+  if (!summarySections) return;
+  populateSummaryContent({ context: defaultSummaryContext, refreshGantt: true });
+  if (typeof queueGanttRefresh === 'function') {
+    queueGanttRefresh({ forSummary: true });
+  }
+}
+
+/**
+ * Agrupa dados do formulário em estrutura declarativa para renderização no resumo.
+ * @returns {Array<{title:string, entries:Array}>} Conjunto de seções e campos.
+ */
+function getSummarySectionsData() {
+  const roceMetrics = computeRoceMetrics({
+    gain: roceGainInput,
+    loss: roceLossInput,
+    budget: projectBudgetInput
+  });
+  const roceClassificationDisplay = resolveRoceClassificationLabel(roceMetrics);
+  const rocePercentDisplay = Number.isFinite(roceMetrics.value)
+    ? formatRocePercentage(roceMetrics.value)
+    : '—';
+
+  return [
+    {
+      title: 'Sobre o Projeto',
+      entries: [
+        { label: 'Nome do Projeto', value: getFieldDisplayValue('projectName'), field: 'projectName' },
+        { label: 'Orçamento do Projeto', value: formatCurrencyField('projectBudget'), field: 'projectBudget' },
+        { label: 'Nível de Investimento', value: getFieldDisplayValue('investmentLevel'), field: 'investmentLevel' },
+        { label: 'Ano de Aprovação', value: getFieldDisplayValue('approvalYear'), field: 'approvalYear' },
+        { label: 'Data de Início', value: formatDateValue(document.getElementById('startDate')?.value), field: 'startDate' },
+        { label: 'Data de Término', value: formatDateValue(document.getElementById('endDate')?.value), field: 'endDate' }
+      ]
+    },
+    {
+      title: 'Origem e Função',
+      entries: [
+        { label: 'Origem da Verba', value: getFieldDisplayValue('fundingSource'), field: 'fundingSource' },
+        { label: 'Função do Projeto', value: getFieldDisplayValue('projectFunction'), field: 'projectFunction' },
+        { label: 'Tipo de Investimento', value: getFieldDisplayValue('investmentType'), field: 'investmentType' },
+        { label: 'Tipo de Ativo', value: getFieldDisplayValue('assetType'), field: 'assetType' }
       ]
     },
-    "9881": {
-      "units": [
-        "LP - DIR. LOGÍSTICA E PLAN.",
-        "RP - TREFILARIA RIO DAS PEDRAS",
-        "SU - ALMOXARIFADO RIO DAS PEDRAS"
-      ],
-      "locations": [
-        "CS",
-        "GR",
-        "RP"
+    {
+      title: 'Informações Operacionais',
+      entries: [
+        { label: 'Empresa', value: getFieldDisplayValue('company'), field: 'company' },
+        { label: 'Centro', value: getFieldDisplayValue('center'), field: 'center' },
+        { label: 'Unidade', value: getFieldDisplayValue('unit'), field: 'unit' },
+        { label: 'Local de Implantação', value: getFieldDisplayValue('location'), field: 'location' },
+        { label: 'C. Custo Depreciação', value: getFieldDisplayValue('depreciationCostCenter'), field: 'depreciationCostCenter' },
+        { label: 'Categoria', value: getFieldDisplayValue('category'), field: 'category' },
+        { label: 'Usuário do Projeto', value: getFieldDisplayValue('projectUser'), field: 'projectUser' },
+        { label: 'Líder do Projeto', value: getFieldDisplayValue('projectLeader'), field: 'projectLeader' }
       ]
     },
-    "9910": {
-      "units": [
-        "BC - CDB FORTALEZA",
-        "CD - COMITÊ DIGITAL"
-      ],
-      "locations": [
-        "BP",
-        "RD",
-        "TI"
+    {
+      title: 'Detalhamento Complementar',
+      entries: [
+        { label: 'Necessidade do Negócio', value: getFieldDisplayValue('businessNeed'), fullWidth: true, field: 'businessNeed' },
+        { label: 'Solução da Proposta', value: getFieldDisplayValue('proposedSolution'), fullWidth: true, field: 'proposedSolution' }
       ]
     },
-    "EN01": {
-      "units": [
-        "CE - COMERCIALIZADORA DE ENERGIA"
-      ],
-      "locations": []
-    },
-    "MA10": {
-      "units": [
-        "MA - MINA DO ANDRADE"
-      ],
-      "locations": [
-        "BR",
-        "FR",
-        "GR",
-        "MA",
-        "MI",
-        "MS",
-        "OV",
-        "SF",
-        "TI",
-        "US"
+    {
+      title: 'Indicadores de Desempenho',
+      entries: [
+        { label: 'Tipo de KPI', value: getFieldDisplayValue('kpiType'), field: 'kpiType' },
+        { label: 'Nome do KPI', value: getFieldDisplayValue('kpiName'), field: 'kpiName' },
+        { label: 'KPI Atual', value: formatNumberField('kpiCurrent'), field: 'kpiCurrent' },
+        { label: 'KPI Esperado', value: formatNumberField('kpiExpected'), field: 'kpiExpected' },
+        { label: 'Descrição do KPI', value: getFieldDisplayValue('kpiDescription'), fullWidth: true, field: 'kpiDescription' }
       ]
     },
-    "SA20": {
-      "units": [
-        "MS - MINA SERRA AZUL"
-      ],
-      "locations": [
-        "BR",
-        "FR",
-        "GR",
-        "MA",
-        "MI",
-        "MS",
-        "OV",
-        "SF",
-        "TI",
-        "US"
+    {
+      title: 'ROCE',
+      entries: [
+        { label: 'Ganho', value: formatCurrencyField('roceGain'), field: 'roceGain' },
+        { label: 'Perda', value: formatCurrencyField('roceLoss'), field: 'roceLoss' },
+        { label: 'Classificação', value: roceClassificationDisplay },
+        { label: 'ROCE Calculado', value: rocePercentDisplay },
+        { label: 'Descrição do ganho', value: getFieldDisplayValue('roceGainDescription'), fullWidth: true, field: 'roceGainDescription' },
+        { label: 'Descrição da perda', value: getFieldDisplayValue('roceLossDescription'), fullWidth: true, field: 'roceLossDescription' }
       ]
     }
+  ];
+}
+
+/**
+ * Renderiza seções e gráficos do resumo conforme contexto ativo (overlay ou formulário).
+ * @param {{context?:Object, refreshGantt?:boolean}} [options={}] - Define destino e necessidade de atualizar o Gantt.
+ */
+function populateSummaryContent(options = {}) {
+  const { context = defaultSummaryContext, refreshGantt = false } = options;
+  const sections = context?.sections;
+  if (!sections) return;
+
+  withSummaryContext(context, () => {
+    clearSummaryContent(context);
+    getSummarySectionsData().forEach((section) => {
+      createSummarySection(section.title, section.entries);
+    });
+    renderPepSummary();
+    renderMilestoneSummary();
+    if (context === formSummaryContext) {
+      renderSummaryReviewComments();
+    }
+    const hasSummaryGanttSection = context?.ganttSection && context?.ganttChart;
+    if (context === defaultSummaryContext) {
+      populateSummaryGantt();
+      if (refreshGantt) {
+        if (typeof queueGanttRefresh === 'function' && typeof initGantt === 'function') {
+          if (typeof ganttLoaded !== 'undefined' && ganttLoaded) {
+            queueGanttRefresh({ forSummary: true });
+          } else if (window.google?.charts) {
+            google.charts.setOnLoadCallback(() => queueGanttRefresh({ forSummary: true }));
+          } else {
+            initGantt();
+            let attempts = 0;
+            const maxAttempts = 50;
+            const waitForLoad = () => {
+              if (typeof ganttLoaded !== 'undefined' && ganttLoaded) {
+                queueGanttRefresh({ forSummary: true });
+              } else if (attempts < maxAttempts) {
+                attempts += 1;
+                setTimeout(waitForLoad, 120);
+              }
+            };
+            waitForLoad();
+          }
+        }
+      }
+    } else if (hasSummaryGanttSection) {
+      const section = context?.ganttSection || null;
+      const chartElement = context?.ganttChart || null;
+      if (!section || !chartElement) {
+        return;
+      }
+
+      const titleElement = section.querySelector('h3') || null;
+
+      chartElement.innerHTML = '<div class="gantt-empty">Carregando cronograma...</div>';
+      section.classList.remove('hidden');
+
+      const isGanttReady = () => Boolean(
+        typeof ganttLoaded !== 'undefined' &&
+        ganttLoaded &&
+        window.google?.visualization?.Gantt
+      );
+
+      const drawWhenReady = () => {
+        if (!isGanttReady()) return;
+        if (!document.body.contains(chartElement)) return;
+        const { rows } = collectMilestonesForGantt();
+        drawGantt(rows, {
+          container: section,
+          chartElement,
+          titleElement
+        });
+      };
+
+      const scheduleDraw = () => {
+        if (!isGanttReady()) return;
+        if (typeof requestAnimationFrame === 'function') {
+          requestAnimationFrame(() => {
+            requestAnimationFrame(drawWhenReady);
+          });
+        } else {
+          setTimeout(drawWhenReady, 0);
+        }
+      };
+
+      if (isGanttReady()) {
+        scheduleDraw();
+      } else {
+        if (typeof initGantt === 'function') {
+          initGantt();
+        }
+
+        if (window.google?.charts) {
+          google.charts.setOnLoadCallback(scheduleDraw);
+        } else {
+          let attempts = 0;
+          const maxAttempts = 50;
+          const waitForGantt = () => {
+            if (isGanttReady()) {
+              scheduleDraw();
+            } else if (attempts < maxAttempts) {
+              attempts += 1;
+              setTimeout(waitForGantt, 120);
+            }
+          };
+          waitForGantt();
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Cria uma seção de resumo com base nos pares label/valor fornecidos.
+ * @param {string} title - Título da seção.
+ * @param {Array<{label:string, value:*, fullWidth?:boolean}>} entries - Campos exibidos na seção.
+ */
+function createSummarySection(title, entries = []) {
+  const sections = activeSummaryContext?.sections;
+  if (!sections || !entries.length) return;
+
+  const section = document.createElement('section');
+  section.className = 'summary-section';
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  section.appendChild(heading);
+
+  const list = document.createElement('div');
+  list.className = 'summary-list';
+
+  entries.forEach((entry) => {
+    if (!entry?.label) return;
+    const item = document.createElement('div');
+    item.className = 'summary-item';
+    if (entry.fullWidth) {
+      item.classList.add('summary-item--full');
+    }
+    if (entry.field) {
+      markReviewTarget(item, 'field', entry.field, entry.label);
+    }
+
+    const label = document.createElement('span');
+    label.className = 'summary-label';
+    label.textContent = entry.label;
+
+    const value = document.createElement('p');
+    value.className = 'summary-value';
+    value.textContent = resolveSummaryValue(entry.value);
+
+    item.append(label, value);
+    list.appendChild(item);
+  });
+
+  if (list.children.length) {
+    section.appendChild(list);
+    sections.appendChild(section);
   }
-};
+}
+
+/**
+ * Consolida as linhas de PEPs simples ou vinculados a atividades exibidas no resumo e no PDF.
+ * @returns {{rows:Array<{id:string, element:string, amount:string, year:string, activity?:string}>, hasActivityColumn:boolean}}
+ *   Linhas preenchidas e se a coluna de atividade é necessária.
+ */
+function collectPepSummaryRows() {
+  const rows = [];
+  if (!simplePepList || !milestoneList) {
+    return { rows, hasActivityColumn: false };
+  }
+
+  if (!simplePepSection.classList.contains('hidden')) {
+    simplePepList.querySelectorAll('.pep-row').forEach((row) => {
+      const element = getSelectOptionText(row.querySelector('.pep-title'));
+      const amount = formatCurrencyValueFromElement(row.querySelector('.pep-amount'));
+      const year = row.querySelector('.pep-year')?.value ?? '';
+
+      if (
+        resolveSummaryValue(element) === '—' &&
+        resolveSummaryValue(amount) === '—' &&
+        resolveSummaryValue(year) === '—'
+      ) {
+        return;
+      }
+
+      rows.push({
+        id: row.dataset.pepId,
+        element,
+        amount,
+        year
+      });
+    });
+  } else if (!keyProjectSection.classList.contains('hidden')) {
+    milestoneList.querySelectorAll('.activity').forEach((activity) => {
+      const element = getSelectOptionText(activity.querySelector('.activity-pep-title'));
+      const amount = formatCurrencyValueFromElement(activity.querySelector('.activity-pep-amount'));
+      const year = activity.querySelector('.activity-pep-year')?.value ?? '';
+      const activityTitle = activity.querySelector('.activity-title')?.value ?? '';
+
+      if (
+        resolveSummaryValue(element) === '—' &&
+        resolveSummaryValue(amount) === '—' &&
+        resolveSummaryValue(year) === '—'
+      ) {
+        return;
+      }
+
+      rows.push({
+        id: activity.dataset.pepId,
+        element,
+        amount,
+        year,
+        activity: activityTitle
+      });
+    });
+  }
+
+  const hasActivityColumn = rows.some((row) => resolveSummaryValue(row.activity) !== '—');
+  return { rows, hasActivityColumn };
+}
+
+/**
+ * Exibe a tabela de PEPs no resumo ativo.
+ */
+function renderPepSummary() {
+  const sections = activeSummaryContext?.sections;
+  if (!sections) return;
+
+  const { rows, hasActivityColumn } = collectPepSummaryRows();
+  if (!rows.length) {
+    return;
+  }
+
+  const section = document.createElement('section');
+  section.className = 'summary-section';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Elemento PEP';
+  section.appendChild(heading);
+
+  const table = document.createElement('table');
+  table.className = 'summary-table';
+
+  const thead = document.createElement('thead');
+  const headerRow = document.createElement('tr');
+  const headers = ['Elemento PEP', 'Valor (R$)', 'Ano'];
+  if (hasActivityColumn) {
+    headers.push('Atividade');
+  }
+  headers.forEach((label) => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  });
+  thead.appendChild(headerRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach((row) => {
+    const tr = document.createElement('tr');
+    if (row.id) {
+      markReviewTarget(tr, 'pep', row.id, `PEP ${resolveSummaryValue(row.element)}`);
+    }
+    const cells = [
+      resolveSummaryValue(row.element),
+      resolveSummaryValue(row.amount),
+      resolveSummaryValue(row.year)
+    ];
+
+    if (hasActivityColumn) {
+      cells.push(resolveSummaryValue(row.activity));
+    }
+
+    cells.forEach((value) => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
 
-const companyRules = {
-  BMJF: {
-    depreciation: ['CC-01', 'CC-02'],
-    centers: companyHierarchy.BMJF
-  },
-  BF00: {
-    depreciation: ['CC-03'],
-    centers: companyHierarchy.BF00
-  },
-  ACBR: {
-    depreciation: ['CC-03'],
-    centers: companyHierarchy.ACBR
-  },
-  AMTL: {
-    depreciation: ['CC-03'],
-    centers: companyHierarchy.AMTL
-  }
-};
+    tbody.appendChild(tr);
+  });
 
-const defaultCompanyRules = markCompanyRulesNormalized(normalizeCompanyRules(companyRules));
+  table.appendChild(tbody);
+  section.appendChild(table);
+  sections.appendChild(section);
+}
 
-function resolveCompanyRules() {
-  if (typeof window !== 'undefined') {
-    const globalRules = window.companyRules;
-    if (!globalRules) {
-      window.companyRules = defaultCompanyRules;
-      return window.companyRules;
+/**
+ * Consolida marcos e atividades de Key Projects exibidos no resumo e no PDF.
+ * @returns {Array<{id:string, title:string, activities:Array<{id:string, title:string,
+ *   details:Array<{label:string, value:*, fullWidth?:boolean}>}>}>} Marcos na ordem do formulário.
+ */
+function collectMilestoneSummaryData() {
+  if (!milestoneList || keyProjectSection.classList.contains('hidden')) return [];
+
+  return Array.from(milestoneList.querySelectorAll('.milestone')).map((milestone, index) => {
+    const resolvedTitle = resolveSummaryValue(milestone.querySelector('.milestone-title')?.value);
+    const activities = Array.from(milestone.querySelectorAll('.activity')).map((activity, actIndex) => {
+      const resolvedActivityTitle = resolveSummaryValue(activity.querySelector('.activity-title')?.value);
+      return {
+        id: activity.dataset.activityId,
+        title: resolvedActivityTitle === '—' ? `Atividade ${actIndex + 1}` : resolvedActivityTitle,
+        details: [
+          { label: 'Período', value: buildActivityPeriod(activity) },
+          { label: 'Valor da Atividade', value: formatCurrencyValueFromElement(activity.querySelector('.activity-pep-amount')) },
+          { label: 'Elemento PEP', value: getSelectOptionText(activity.querySelector('.activity-pep-title')) },
+          { label: 'Ano do PEP', value: activity.querySelector('.activity-pep-year')?.value ?? '' },
+          { label: 'Fornecedor', value: activity.querySelector('.activity-supplier')?.value ?? '' },
+          { label: 'Descrição', value: activity.querySelector('.activity-description')?.value ?? '', fullWidth: true }
+        ]
+      };
+    });
+    return {
+      id: milestone.dataset.milestoneId,
+      title: resolvedTitle === '—' ? `Marco ${index + 1}` : resolvedTitle,
+      activities
+    };
+  });
+}
+
+/**
+ * Exibe marcos e atividades no resumo final quando Key Projects está habilitado.
+ */
+function renderMilestoneSummary() {
+  const sections = activeSummaryContext?.sections;
+  if (!sections) return;
+
+  const milestones = collectMilestoneSummaryData();
+  if (!milestones.length) return;
+
+  const section = document.createElement('section');
+  section.className = 'summary-section';
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Key Projects';
+  section.appendChild(heading);
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'summary-milestones';
+
+  milestones.forEach((milestone) => {
+    const card = document.createElement('article');
+    card.className = 'summary-milestone';
+
+    const title = document.createElement('h4');
+    title.textContent = milestone.title;
+    card.appendChild(title);
+    if (milestone.id) {
+      markReviewTarget(card, 'milestone', milestone.id, `Marco ${milestone.title}`);
     }
-    if (!globalRules.__normalized) {
-      window.companyRules = markCompanyRulesNormalized(normalizeCompanyRules(globalRules));
+
+    if (milestone.activities.length) {
+      const activityContainer = document.createElement('div');
+      activityContainer.className = 'summary-activities';
+
+      milestone.activities.forEach((activity) => {
+        const activityCard = document.createElement('article');
+        activityCard.className = 'summary-activity';
+
+        const headingEl = document.createElement('h5');
+        headingEl.textContent = activity.title;
+        activityCard.appendChild(headingEl);
+        if (activity.id) {
+          markReviewTarget(activityCard, 'activity', activity.id, `Atividade ${activity.title}`);
+        }
+
+        const detailList = document.createElement('div');
+        detailList.className = 'summary-list summary-list--activity';
+
+        activity.details.forEach((item) => {
+          if (!item?.label) return;
+          const detailItem = document.createElement('div');
+          detailItem.className = 'summary-item';
+          if (item.fullWidth) {
+            detailItem.classList.add('summary-item--full');
+          }
+
+          const detailLabel = document.createElement('span');
+          detailLabel.className = 'summary-label';
+          detailLabel.textContent = item.label;
+
+          const detailValue = document.createElement('p');
+          detailValue.className = 'summary-value';
+          detailValue.textContent = resolveSummaryValue(item.value);
+
+          detailItem.append(detailLabel, detailValue);
+          detailList.appendChild(detailItem);
+        });
+
+        activityCard.appendChild(detailList);
+        activityContainer.appendChild(activityCard);
+      });
+
+      card.appendChild(activityContainer);
     }
-    return window.companyRules;
+
+    wrapper.appendChild(card);
+  });
+
+  section.appendChild(wrapper);
+  sections.appendChild(section);
+}
+
+/**
+ * Monta string amigável representando período de uma atividade.
+ * @param {Element} activity - Elemento DOM da atividade.
+ * @returns {string} Intervalo formatado ou vazio quando não informado.
+ */
+function buildActivityPeriod(activity) {
+  if (!activity) return '';
+  const startValue = activity.querySelector('.activity-start')?.value;
+  const endValue = activity.querySelector('.activity-end')?.value;
+  const start = formatDateValue(startValue);
+  const end = formatDateValue(endValue);
+
+  const hasStart = start !== '—';
+  const hasEnd = end !== '—';
+
+  if (hasStart && hasEnd) {
+    return `${start} a ${end}`;
   }
-  return defaultCompanyRules;
+  if (hasStart) {
+    return `A partir de ${start}`;
+  }
+  if (hasEnd) {
+    return `Até ${end}`;
+  }
+  return '';
 }
 
-function safeArray(value) {
-  return Array.isArray(value) ? value : EMPTY_ARRAY;
+/**
+ * Recupera valor textual exibível de campos do formulário, respeitando selects.
+ * @param {string} fieldId - ID do elemento.
+ * @returns {string} Texto puro ou vazio.
+ */
+function getFieldDisplayValue(fieldId) {
+  const field = document.getElementById(fieldId);
+  if (!field) return '';
+  if (field.tagName === 'SELECT') {
+    return getSelectOptionText(field);
+  }
+  return field.value ?? '';
 }
 
 /**
- * Atualiza o estado local de um projeto específico preservando imutabilidade do array.
- * @param {number|string} projectId - Identificador do projeto a atualizar.
- * @param {Partial<Project>} [changes={}] - Campos alterados retornados após operações CRUD.
+ * Extrai texto da option selecionada ou retorna valor direto do select.
+ * @param {HTMLSelectElement|null} selectElement - Elemento alvo.
+ * @returns {string} Texto amigável.
  */
-function updateProjectState(projectId, changes = {}) {
-  if (!projectId) return;
-  const index = state.projects.findIndex((item) => Number(item.Id) === Number(projectId));
-  if (index === -1) return;
-  state.projects[index] = {
-    ...state.projects[index],
-    ...changes
-  };
+function getSelectOptionText(selectElement) {
+  if (!selectElement) return '';
+  const option = selectElement.options?.[selectElement.selectedIndex];
+  if (option) {
+    return option.textContent?.trim() ?? '';
+  }
+  return selectElement.value ?? '';
 }
 
-const newProjectBtn = document.getElementById('newProjectBtn');
-const projectSearch = document.getElementById('projectSearch');
-const projectList = document.getElementById('projectList');
-const projectDetails = document.getElementById('projectDetails');
-const overlay = document.getElementById('formOverlay');
-const projectForm = document.getElementById('projectForm');
-const projectSectionLegend = projectForm?.querySelector('fieldset.form-section legend') || null;
-let projectDateWarningEl = projectSectionLegend?.querySelector('.date-warning') || null;
-const formTitle = document.getElementById('formTitle');
-const closeFormBtn = document.getElementById('closeFormBtn');
-const floatingCloseBtn = document.querySelector('.form-close-btn');
-const saveProjectBtn = document.getElementById('saveProjectBtn');
-const submitForApprovalBtn = document.getElementById('submitForApprovalBtn');
-const formActions = projectForm?.querySelector('.form-actions') || null;
-const formStatus = document.getElementById('formStatus');
-const formErrors = document.getElementById('formErrors');
-const formErrorsTitle = document.getElementById('formErrorsTitle');
-const errorSummaryList = document.getElementById('errorSummaryList');
-const statusField = document.getElementById('statusField');
-const budgetHint = document.getElementById('budgetHint');
-const dateHint = document.getElementById('dateHint');
-const simplePepSection = document.getElementById('simplePepSection');
-const simplePepList = document.getElementById('simplePepList');
-const addSimplePepBtn = document.getElementById('addSimplePepBtn');
-const keyProjectSection = document.getElementById('keyProjectSection');
-const milestoneList = document.getElementById('milestoneList');
-const addMilestoneBtn = document.getElementById('addMilestoneBtn');
+/**
+ * Associa um elemento de visualização para exibir o valor de um campo como moeda BRL.
+ * @param {HTMLInputElement|null} input - Campo de origem.
+ * @param {HTMLElement|null} preview - Elemento que exibirá o valor formatado.
+ */
+function attachCurrencyPreview(input, preview) {
+  if (!input || !preview) return;
 
-const ganttContainer = document.getElementById('ganttSection') || document.getElementById('ganttContainer');
-const ganttTitleEl = document.getElementById('ganttTitle') || document.getElementById('ganttChartTitle');
-const ganttChartEl = document.getElementById('ganttChart');
+  const updatePreview = () => {
+    if (!preview.isConnected) {
+      currencyPreviewRegistry.delete(input);
+      return;
+    }
 
-if (ganttContainer && !document.getElementById('ganttSection')) {
-  ganttContainer.id = 'ganttSection';
-}
-if (ganttTitleEl && !document.getElementById('ganttTitle')) {
-  ganttTitleEl.id = 'ganttTitle';
-}
+    const rawValue = input.value;
+    if (rawValue === null || rawValue === undefined || rawValue === '') {
+      preview.textContent = '—';
+      return;
+    }
 
-const summaryOverlay = document.getElementById('summaryOverlay');
-const summarySections = document.getElementById('summarySections');
-const summaryGanttSection = document.getElementById('summaryGanttSection');
-const summaryGanttChart = document.getElementById('summaryGanttChart');
-const summaryGanttTitleEl = document.getElementById('summaryGanttTitle') || summaryGanttSection?.querySelector('h3') || null;
-const summaryConfirmBtn = document.getElementById('summaryConfirmBtn');
-const summaryEditBtn = document.getElementById('summaryEditBtn');
+    const numericValue = parseNumericInputValue(input);
+    if (!Number.isFinite(numericValue)) {
+      preview.textContent = '—';
+      return;
+    }
 
-const summaryTitle = document.getElementById('summaryTitle');
+    preview.textContent = BRL.format(numericValue);
+  };
 
-const formSummaryView = document.getElementById('formSummaryView');
-const formSummarySections = document.getElementById('formSummarySections');
-const formSummaryGanttSection = document.getElementById('formSummaryGanttSection');
-const formSummaryGanttChart = document.getElementById('formSummaryGanttChart');
-const formSummaryCloseBtn = document.getElementById('formSummaryCloseBtn');
+  currencyPreviewRegistry.set(input, { preview, update: updatePreview });
+  updatePreview();
+}
 
-if (summaryGanttTitleEl && !summaryGanttTitleEl.id) {
-  summaryGanttTitleEl.id = 'summaryGanttTitle';
+/**
+ * Atualiza o elemento de visualização associado a um campo numérico.
+ * @param {HTMLInputElement|null} input - Campo monitorado.
+ */
+function refreshCurrencyPreview(input) {
+  if (!input) return;
+  const entry = currencyPreviewRegistry.get(input);
+  if (!entry) return;
+  entry.update();
 }
 
-if (summaryTitle && !summaryTitle.hasAttribute('tabindex')) {
-  summaryTitle.setAttribute('tabindex', '-1');
+/**
+ * Converte valor numérico de um campo para moeda brasileira.
+ * @param {string} fieldId - ID do input.
+ * @returns {string} Valor formatado ou vazio.
+ */
+/**
+ * Converte valor numérico de input para moeda brasileira.
+ * @param {string} fieldId - ID do campo.
+ * @returns {string} Valor formatado ou string vazia.
+ */
+function formatCurrencyField(fieldId) {
+  const field = document.getElementById(fieldId);
+  if (!field) return '';
+  const raw = field.value;
+  if (raw === undefined || raw === null || raw === '') {
+    return '';
+  }
+  const value = parseNumericInputValue(raw);
+  if (!Number.isFinite(value)) {
+    return '';
+  }
+  return BRL.format(value);
 }
 
-const companySelect = document.getElementById('company');
-const centerSelect = document.getElementById('center');
-const unitSelect = document.getElementById('unit');
-const locationSelect = document.getElementById('location');
-const approvalYearInput = document.getElementById('approvalYear');
-const projectBudgetInput = document.getElementById('projectBudget');
-const investmentLevelSelect = document.getElementById('investmentLevel');
-const projectStartDateInput = document.getElementById('startDate');
-const projectEndDateInput = document.getElementById('endDate');
-const roceGainInput = document.getElementById('roceGain');
-const roceLossInput = document.getElementById('roceLoss');
-const roceClassificationField = document.getElementById('roceClassification');
-const roceGainDescriptionField = document.getElementById('roceGainDescription');
-const roceLossDescriptionField = document.getElementById('roceLossDescription');
-const roceValueDisplay = document.getElementById('roceValueDisplay');
-const projectBudgetPreview = document.getElementById('projectBudgetPreview');
-const roceGainPreview = document.getElementById('roceGainPreview');
-const roceLossPreview = document.getElementById('roceLossPreview');
+/**
+ * Formata um valor decimal como porcentagem seguindo o locale pt-BR.
+ * @param {number} value - Valor decimal (ex.: 0.12 para 12%).
+ * @returns {string} Percentual formatado ou '—' quando inválido.
+ */
+function formatRocePercentage(value) {
+  if (!Number.isFinite(value)) {
+    return '—';
+  }
+  return value.toLocaleString('pt-BR', {
+    style: 'percent',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0
+  });
+}
 
-if (projectBudgetInput && projectBudgetPreview) {
-  attachCurrencyPreview(projectBudgetInput, projectBudgetPreview);
+/**
+ * Converte campo numérico para string localizada, mantendo fallback em caso de parsing inválido.
+ * @param {string} fieldId - ID do input.
+ * @returns {string} Valor formatado ou original.
+ */
+function formatNumberField(fieldId) {
+  const field = document.getElementById(fieldId);
+  if (!field) return '';
+  const raw = field.value;
+  if (raw === undefined || raw === null || raw === '') {
+    return '';
+  }
+  const normalized = String(raw).replace(',', '.');
+  const value = Number.parseFloat(normalized);
+  if (!Number.isFinite(value)) {
+    return raw;
+  }
+  return value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
 }
-if (roceGainInput && roceGainPreview) {
-  attachCurrencyPreview(roceGainInput, roceGainPreview);
+
+/**
+ * Lê valor numérico de um input e devolve formato monetário pt-BR.
+ * @param {HTMLInputElement|null} element - Campo de origem.
+ * @returns {string} Valor formatado ou string vazia.
+ */
+function formatCurrencyValueFromElement(element) {
+  if (!element) return '';
+  const raw = element.value;
+  if (raw === undefined || raw === null || raw === '') {
+    return '';
+  }
+  const value = parseNumericInputValue(element);
+  if (!Number.isFinite(value)) {
+    return '';
+  }
+  return BRL.format(value);
 }
-if (roceLossInput && roceLossPreview) {
-  attachCurrencyPreview(roceLossInput, roceLossPreview);
+
+/**
+ * Normaliza valores exibidos no resumo, retornando '—' quando não informado.
+ * @param {*} value - Valor bruto.
+ * @returns {string} Texto pronto para exibição.
+ */
+function resolveSummaryValue(value) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      return '—';
+    }
+    return value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+  }
+  const text = String(value).trim();
+  return text ? text : '—';
 }
 
-const businessNeedField = document.getElementById('businessNeed');
-const proposedSolutionField = document.getElementById('proposedSolution');
-const businessNeedFeedback = document.querySelector('#businessNeed + .comment-feedback');
-const proposedSolutionFeedback = document.querySelector('#proposedSolution + .comment-feedback');
+/**
+ * Solicita confirmação antes de fechar o formulário e garante fechamento do resumo ativo.
+ */
+function handleCloseFormRequest() {
+  if (importOverlay && !importOverlay.classList.contains('hidden')) {
+    closeImportOverlay();
+    return;
+  }
 
-const COMMENT_FEEDBACK_CLASSES = ['danger', 'warning', 'success'];
+  if (duplicateOverlay && !duplicateOverlay.classList.contains('hidden')) {
+    closeDuplicateOverlay();
+    return;
+  }
 
-const simplePepTemplate = document.getElementById('simplePepTemplate');
-const milestoneTemplate = document.getElementById('milestoneTemplate');
-const activityTemplate = document.getElementById('activityTemplate');
+  if (reviewCommentOverlay && !reviewCommentOverlay.classList.contains('hidden')) {
+    closeReviewCommentOverlay();
+    return;
+  }
 
-/**
- * Atualiza campos visuais da seção de ROCE com base nos valores atuais.
- * @returns {{gain:number,loss:number,budget:number,value:number,classification:string}} Métricas calculadas.
- */
-function updateRoceMetrics() {
-  const metrics = computeRoceMetrics({
-    gain: roceGainInput,
-    loss: roceLossInput,
-    budget: projectBudgetInput
-  });
+  if (approvalDecisionOverlay && !approvalDecisionOverlay.classList.contains('hidden')) {
+    closeApprovalDecisionOverlay();
+    return;
+  }
 
-  if (roceClassificationField) {
-    const classificationText = resolveRoceClassificationLabel(metrics);
-    roceClassificationField.value = classificationText;
+  if (versionDiffOverlay && !versionDiffOverlay.classList.contains('hidden')) {
+    closeVersionDiffOverlay();
+    return;
   }
 
-  if (roceValueDisplay) {
-    const percentageText = formatRocePercentage(metrics.value);
-    roceValueDisplay.textContent = `ROCE: ${percentageText}`;
-    roceValueDisplay.dataset.state = Number.isFinite(metrics.value) ? 'calculated' : 'pending';
+  if (conflictOverlay && !conflictOverlay.classList.contains('hidden')) {
+    closeConflictOverlay();
+    return;
   }
 
-  return metrics;
-}
+  if (summaryOverlay && !summaryOverlay.classList.contains('hidden')) {
+    closeSummaryOverlay();
+    return;
+  }
 
-// Ajuste CAPEX: listas de PEP segmentadas por empresa para popular selects dinamicamente.
-const PEP_OPTIONS_DEFAULT = [
-  'DESP.ENGENHARIA / DETALHAMENTO PROJETO',
-  'AQUISIÇÃO DE EQUIPAMENTOS NACIONAIS',
-  'AQUISIÇÃO DE EQUIPAMENTOS IMPORTADOS',
-  'AQUISIÇÃO DE VEÍCULOS',
-  'DESPESAS COM OBRAS CIVIS',
-  'DESP.MONTAGEM EQUIPTOS/ESTRUTURAS/OUTRAS',
-  'AQ.DE COMPONENTES/MAT.INSTAL./FERRAMENTA',
-  'DESPESAS COM MEIO AMBIENTE',
-  'DESPESAS COM SEGURANÇA',
-  'DESPESAS COM SEGUROS',
-  'DESP.CONSULTORIA INTERNA (AMS)-TEC.INFOR',
-  'DESP.CONSULTORIA EXTERNA - TEC.INFOR',
-  'AQUISIÇÃO DE HARDWARE (NOTEBOOKS, ETC)',
-  'AQUISIÇÃO DE SOFTWARE',
-  'AQUISIÇÃO DE IMÓVEIS',
-  'DESP.GERENCIAMENTO E COORDENAÇÃO',
-  'CONTINGÊNCIAS'
-];
+  if (!overlay || overlay.classList.contains('hidden')) {
+    return;
+  }
 
-// Ajuste CAPEX: opções exclusivas para a empresa BF00.
-const PEP_OPTIONS_BF00 = [
-  'CONSTRUÇÃO/REFORMA DE FORNOS',
-  'CONSTRUÇÃO/REFORMA DE QUEIMADORES',
-  'INSTALAÇÕES INDUSTRIAIS',
-  'INSTALAÇÕES PREDIAIS',
-  'COMPUTADORES E PERIFÉRICOS',
-  'SOFTWARES',
-  'CERTIFICAÇÕES E LICENÇAS',
-  "INFRAESTRUTURA UPC'S",
-  'CONTRUÇÃO DE FORNOS',
-  'CONSTRUÇÃO QUEIMADORES',
-  'MÓDULOS MOVIMENTAÇÃO',
-  'MÓDULOS MECANIZAÇÃO',
-  'CONSTRUÇÃO DE VIVEIROS',
-  'INSTALAÇÕES PREDIAIS',
-  'MELHORIAS INDUSTRIAIS',
-  'MELHORIAS AMBIENTAIS',
-  'TECNOLOGIA DA INFORMAÇÃO',
-  'MÁQUINAS E EQUIPAMENTOS',
-  'FERRAMENTAS',
-  'IMPLEMENTOS AGRÍCOLAS',
-  'MÓVEIS E UTENSÍLIOS',
-  'VEÍCULOS LEVES',
-  'VEÍCULOS PESADOS'
-];
+  const shouldClose = window.confirm(
+    'Tem certeza que deseja fechar o formulário? Suas alterações não salvas serão perdidas.'
+  );
 
-// Ajuste CAPEX: resolve lista correta de PEP conforme empresa corrente.
-function getPepOptionsForCompany(companyCode) {
-  const normalizedCode = (companyCode || '').toString().trim().toUpperCase();
-  const options = normalizedCode === 'BF00' ? PEP_OPTIONS_BF00 : PEP_OPTIONS_DEFAULT;
-  return uniquePreserveOrder(options);
+  if (shouldClose) {
+    closeForm();
+  }
 }
 
-// Ajuste CAPEX: repovoa um select de PEP preservando placeholder e seleção atual.
-function populatePepTitleSelect(selectEl, companyCode, selectedValue = '') {
-  if (!selectEl || selectEl.tagName !== 'SELECT') {
+/**
+ * Intercepta tecla ESC para iniciar fluxo de fechamento controlado do formulário.
+ * @param {KeyboardEvent} event - Evento de teclado.
+ */
+function handleOverlayEscape(event) {
+  if (event.key !== 'Escape') return;
+  handleCloseFormRequest();
+}
+
+/**
+ * Alterna visibilidade entre seção de PEP simples e Key Projects com base no orçamento.
+ * @param {{preserve?:boolean, clear?:boolean}} [options={}] - Controla limpeza de listas dinâmicas.
+ */
+function updateBudgetSections(options = {}) {
+  const { preserve = false, clear = false } = options;
+  const value = getProjectBudgetValue();
+  const isNumber = Number.isFinite(value);
+  setSectionInteractive(simplePepSection, false);
+  setSectionInteractive(keyProjectSection, false);
+
+  if (!isNumber) {
+    simplePepSection.classList.add('hidden');
+    keyProjectSection.classList.add('hidden');
+    if (clear) {
+      simplePepList.innerHTML = '';
+      milestoneList.innerHTML = '';
+    }
+    updateBudgetHintMessage({ budget: NaN });
     return;
   }
 
-  const datasetPlaceholder = selectEl.dataset.placeholder;
-  const firstOption = selectEl.options?.[0];
-  const placeholderText = datasetPlaceholder
-    || (firstOption && firstOption.value === '' ? firstOption.textContent || 'Selecione...'
-    : 'Selecione...');
-  if (!selectEl.dataset.placeholder) {
-    selectEl.dataset.placeholder = placeholderText;
+  if (value >= BUDGET_THRESHOLD) {
+    simplePepSection.classList.add('hidden');
+    keyProjectSection.classList.remove('hidden');
+    setSectionInteractive(keyProjectSection, true);
+    if (!preserve) {
+      simplePepList.innerHTML = '';
+    }
+    if (!milestoneList.children.length && !preserve) {
+      ensureMilestoneBlock();
+    }
+  } else {
+    keyProjectSection.classList.add('hidden');
+    simplePepSection.classList.remove('hidden');
+    setSectionInteractive(simplePepSection, true);
+    if (!preserve) {
+      milestoneList.innerHTML = '';
+    }
+    if (!simplePepList.children.length && !preserve) {
+      ensureSimplePepRow();
+    }
   }
 
-  const normalizedSelected = selectedValue != null ? String(selectedValue).trim() : '';
-  const options = getPepOptionsForCompany(companyCode);
-  const normalizedOptions = Array.isArray(options)
-    ? options.map((option) => String(option))
-    : [];
-
-  selectEl.innerHTML = '';
-
-  const placeholderOption = document.createElement('option');
-  placeholderOption.value = '';
-  placeholderOption.textContent = selectEl.dataset.placeholder || 'Selecione...';
-  selectEl.appendChild(placeholderOption);
+  updateBudgetHintMessage({ budget: value });
+  queueGanttRefresh();
+}
 
-  const fragment = document.createDocumentFragment();
-  normalizedOptions.forEach((optionText) => {
-    const option = document.createElement('option');
-    option.value = optionText;
-    option.textContent = optionText;
-    fragment.appendChild(option);
+/**
+ * Habilita ou desabilita interações dentro de uma seção específica.
+ * @param {HTMLElement|null} section - Fieldset alvo.
+ * @param {boolean} enabled - Indica se inputs permanecem ativos.
+ */
+function setSectionInteractive(section, enabled) {
+  if (!section) return;
+  section.querySelectorAll('input, textarea, button').forEach((element) => {
+    if (element.type === 'hidden') return;
+    element.disabled = !enabled;
   });
-  selectEl.appendChild(fragment);
+}
 
-  let valueToApply = '';
-  if (normalizedSelected && normalizedOptions.includes(normalizedSelected)) {
-    valueToApply = normalizedSelected;
-  } else if (normalizedSelected) {
-    const legacyOption = document.createElement('option');
-    legacyOption.value = normalizedSelected;
-    legacyOption.textContent = normalizedSelected;
-    legacyOption.dataset.legacy = 'true';
-    selectEl.appendChild(legacyOption);
-    valueToApply = normalizedSelected;
+// ============================================================================
+// Validações de formulário
+// ============================================================================
+function resolveCommentFeedbackState(length) {
+  if (length > 300) {
+    return { tone: 'success', message: 'Ótima descrição' };
+  }
+  if (length >= 100) {
+    return { tone: 'warning', message: 'Boa descrição' };
+  }
+  if (length > 0) {
+    return { tone: 'danger', message: 'Abaixo de 100 caracteres: sujeito a reprovação' };
   }
+  return { tone: '', message: '' };
+}
 
-  selectEl.value = valueToApply;
-  selectEl.dataset.selected = normalizedSelected;
+function updateCommentFeedback(field, feedback) {
+  if (!field || !feedback) {
+    return;
+  }
+  const length = field.value.trim().length;
+  const { tone, message } = resolveCommentFeedbackState(length);
+  COMMENT_FEEDBACK_CLASSES.forEach((className) => feedback.classList.remove(className));
+  if (tone) {
+    feedback.classList.add(tone);
+  }
+  feedback.textContent = message;
 }
 
-// Ajuste CAPEX: aplica lista de PEP em todos os selects ativos conforme empresa selecionada.
-function refreshAllPepDropdowns() {
-  const currentCompany = companySelect?.value || '';
-  const selects = document.querySelectorAll('.activity-pep-title, .pep-title');
-  selects.forEach((select) => {
-    const storedValue = select.dataset?.selected ?? select.value ?? '';
-    populatePepTitleSelect(select, currentCompany, storedValue);
-  });
+function refreshCommentFeedback() {
+  updateCommentFeedback(businessNeedField, businessNeedFeedback);
+  updateCommentFeedback(proposedSolutionField, proposedSolutionFeedback);
 }
 
-const PROJECT_STATUSES = Object.freeze({
-  APPROVED: 'Aprovado',
-  DRAFT: 'Rascunho',
-  REJECTED: 'Reprovado',
-  REJECTED_FOR_REVIEW: 'Reprovado para Revisão',
-  IN_APPROVAL: 'Em Aprovação'
-});
+function resetFormStatus() {
+  if (!formStatus) return;
+  formStatus.textContent = '';
+  formStatus.classList.remove('show', 'feedback--info', 'feedback--success', 'feedback--warning', 'feedback--error');
+}
 
-/**
- * Retorna a cor utilizada para representar o status do projeto em chips e cards.
- * @param {ProjectStatus|string} status - Status atual do projeto.
- * @returns {string} Cor em hexadecimal.
- */
-function statusColor(status) {
-  switch (status) {
-    case PROJECT_STATUSES.DRAFT:
-      return '#414141';
-    case PROJECT_STATUSES.IN_APPROVAL:
-      return '#970886';
-    case PROJECT_STATUSES.REJECTED_FOR_REVIEW:
-      return '#fe8f46';
-    case PROJECT_STATUSES.APPROVED:
-      return '#3d9308';
-    case PROJECT_STATUSES.REJECTED:
-      return '#f83241';
-    default:
-      return '#414141';
+function clearErrorSummary() {
+  if (!formErrors) return;
+  formErrors.classList.remove('show', 'feedback--info', 'feedback--success', 'feedback--warning', 'feedback--error');
+  if (formErrorsTitle) {
+    formErrorsTitle.textContent = '';
+  }
+  if (errorSummaryList) {
+    errorSummaryList.innerHTML = '';
   }
 }
 
-const STATUS_GROUPS = Object.freeze({
-  READ_ONLY: new Set([PROJECT_STATUSES.APPROVED, PROJECT_STATUSES.IN_APPROVAL]),
-  APPROVAL_ALLOWED: new Set([
-    PROJECT_STATUSES.DRAFT,
-    PROJECT_STATUSES.REJECTED,
-    PROJECT_STATUSES.REJECTED_FOR_REVIEW
-  ])
-});
-const defaultSummaryContext = {
-  sections: summarySections,
-  ganttSection: summaryGanttSection,
-  ganttChart: summaryGanttChart
-};
+function renderErrorSummary(issues = [], options = {}) {
+  if (!formErrors || !errorSummaryList) {
+    return;
+  }
 
-if (typeof window !== 'undefined') {
-  resolveCompanyRules();
-}
+  const entries = Array.isArray(issues) ? issues.filter(Boolean) : [];
+  if (!entries.length) {
+    clearErrorSummary();
+    return;
+  }
 
-const formSummaryContext = {
-  sections: formSummarySections,
-  ganttSection: formSummaryGanttSection,
-  ganttChart: formSummaryGanttChart
-};
+  const tone = options.tone || 'error';
+  const titleMessage = options.title || (tone === 'warning'
+    ? 'Alguns campos estão incompletos.'
+    : 'Não foi possível salvar. Verifique os erros abaixo.');
 
-let activeSummaryContext = defaultSummaryContext;
-let currentFormMode = null;
-let renderProjectListFrame = null;
+  formErrors.classList.add('show');
+  formErrors.classList.remove('feedback--info', 'feedback--success', 'feedback--warning', 'feedback--error');
+  formErrors.classList.add(`feedback--${tone}`);
+  if (formErrorsTitle) {
+    formErrorsTitle.textContent = titleMessage;
+  }
 
-/**
- * Normaliza status removendo espaços extras para comparações simples.
- * @param {string} status - Status retornado do SharePoint.
- * @returns {string} Representação simplificada.
- */
-function normalizeStatusKey(status) {
-  return typeof status === 'string' ? status.trim() : '';
+  errorSummaryList.innerHTML = '';
+  const fragment = document.createDocumentFragment();
+
+  entries.forEach((issue) => {
+    const messages = Array.isArray(issue.items)
+      ? [...new Set(issue.items.filter((item) => Boolean(item && String(item).trim())))]
+      : [];
+    const listItem = document.createElement('li');
+    listItem.className = 'error-summary__item';
+
+    if (issue.title) {
+      const strong = document.createElement('strong');
+      strong.textContent = issue.title;
+      listItem.appendChild(strong);
+    }
+
+    if (messages.length === 1) {
+      const messageText = issue.title ? ` — ${messages[0]}` : messages[0];
+      listItem.appendChild(document.createTextNode(messageText));
+    } else if (messages.length > 1) {
+      if (issue.title) {
+        listItem.appendChild(document.createTextNode(':'));
+      }
+      const nestedList = document.createElement('ul');
+      nestedList.className = 'error-summary__sublist';
+      messages.forEach((message) => {
+        const nestedItem = document.createElement('li');
+        nestedItem.textContent = message;
+        nestedList.appendChild(nestedItem);
+      });
+      listItem.appendChild(nestedList);
+    } else if (issue.message) {
+      const messageText = issue.title ? ` — ${issue.message}` : issue.message;
+      listItem.appendChild(document.createTextNode(messageText));
+    } else if (!issue.title) {
+      return;
+    }
+
+    fragment.appendChild(listItem);
+  });
+
+  errorSummaryList.appendChild(fragment);
 }
 
-/**
- * Verifica se o status atual deve bloquear edição do formulário.
- * @param {ProjectStatus|string} status - Status do projeto.
- * @returns {boolean} True quando o modo leitura deve ser aplicado.
- */
-function isReadOnlyStatus(status) {
-  return STATUS_GROUPS.READ_ONLY.has(normalizeStatusKey(status));
+function ensureFieldControlWrapper(element) {
+  if (!element) return null;
+  const parent = element.parentElement;
+  if (!parent) return null;
+  if (parent.classList.contains('field-control')) {
+    return parent;
+  }
+  if (parent.classList.contains('field-group')) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'field-control';
+    parent.insertBefore(wrapper, element);
+    wrapper.appendChild(element);
+    return wrapper;
+  }
+  return parent;
 }
 
-/**
- * Define se o botão "Enviar para Aprovação" deve estar disponível.
- * @param {ProjectStatus|string} status - Status atual.
- * @returns {boolean} True quando envio é permitido.
- */
-function canSubmitForApproval(status) {
-  const key = normalizeStatusKey(status);
-  return !key || STATUS_GROUPS.APPROVAL_ALLOWED.has(key);
+function clearFieldErrors() {
+  if (!projectForm) return;
+  // Comentários de revisão não são erros de validação e permanecem até o formulário ser reaberto
+  projectForm.querySelectorAll('.field-error:not(.field-error--review)').forEach((node) => node.remove());
+  projectForm.querySelectorAll('.field-group.has-error').forEach((group) => group.classList.remove('has-error'));
+  projectForm.querySelectorAll('.field-invalid').forEach((input) => input.classList.remove('field-invalid'));
 }
 
 /**
- * Utilitário de debounce para evitar múltiplas execuções durante digitação.
- * @param {Function} fn - Função original a ser adiada.
- * @param {number} [delay=200] - Janela em milissegundos.
- * @returns {Function} Função decorada que respeita o intervalo informado.
+ * Exibe mensagem junto ao campo. Erros de validação substituem a mensagem anterior; comentários de
+ * revisão (variant 'review') acumulam uma mensagem por key e não são removidos por clearFieldErrors.
+ * @param {HTMLElement|null} element - Campo alvo (dentro de um .field-group).
+ * @param {string} message - Texto exibido.
+ * @param {{variant?:'error'|'review', key?:string|number}} [options={}] - Tipo da mensagem.
+ * @returns {HTMLSpanElement|null} Elemento da mensagem, para complementos do chamador.
  */
-function debounce(fn, delay = 200) {
-  let timerId = null;
-  return function debouncedFunction(...args) {
-    if (timerId) {
-      clearTimeout(timerId);
+function applyFieldError(element, message, options = {}) {
+  const { variant = 'error', key = '' } = options;
+  if (!element) return null;
+  const group = element.closest('.field-group');
+  if (!group) return null;
+  const isReview = variant === 'review';
+  if (isReview) {
+    group.classList.add('has-review');
+  } else {
+    group.classList.add('has-error');
+    element.classList.add('field-invalid');
+  }
+  const wrapper = ensureFieldControlWrapper(element);
+  if (!wrapper) return null;
+  let feedback = isReview
+    ? Array.from(wrapper.querySelectorAll('.field-error--review')).find((node) => node.dataset.key === String(key))
+    : wrapper.querySelector('.field-error:not(.field-error--review)');
+  if (!feedback) {
+    feedback = document.createElement('span');
+    feedback.className = isReview ? 'field-error field-error--review' : 'field-error';
+    if (isReview) {
+      feedback.dataset.key = String(key);
     }
-    timerId = setTimeout(() => {
-      timerId = null;
-      fn.apply(this, args);
-    }, delay);
-  };
+    wrapper.appendChild(feedback);
+  }
+  feedback.textContent = message;
+  return feedback;
 }
 
-/**
- * Executa callback com contexto de resumo temporariamente ajustado.
- * @param {Object} context - Referências de seções/gráfico a utilizar.
- * @param {Function} callback - Rotina a executar com o contexto ativo.
- */
-function withSummaryContext(context, callback) {
-  if (typeof callback !== 'function') return;
-  const previousContext = activeSummaryContext;
-  activeSummaryContext = context || previousContext;
-  try {
-    callback();
-  } finally {
-    activeSummaryContext = previousContext;
+function getFieldLabel(element) {
+  if (!element) return 'Campo';
+  const group = element.closest('.field-group');
+  const label = group?.querySelector('label');
+  if (label?.textContent) {
+    return label.textContent.trim();
   }
+  return element.getAttribute('aria-label') || element.name || element.id || 'Campo';
 }
 
 /**
- * Limpa áreas de resumo (seções e gráfico) antes de nova renderização.
- * @param {Object} context - Referências de DOM do resumo.
+ * Executa validações nativas HTML5 e retorna lista estruturada de problemas.
+ * @returns {Array<{element:HTMLElement, label:string, message:string, type:string}>} Erros detectados.
  */
-function clearSummaryContent(context) {
-  if (!context) return;
-  if (context.sections) {
-    context.sections.innerHTML = '';
-  }
-  if (context.ganttChart) {
-    context.ganttChart.innerHTML = '';
-  }
-  if (context.ganttSection) {
-    context.ganttSection.classList.add('hidden');
-  }
-}
+function collectInvalidFields() {
+  if (!projectForm) return [];
+  const invalid = [];
+  const elements = projectForm.querySelectorAll('input, select, textarea');
 
-function ensureActivityRowClasses(root = document) {
-  const list = root?.classList?.contains?.('activity')
-    ? [root, ...root.querySelectorAll('.activity')]
-    : root.querySelectorAll('.activity');
+  elements.forEach((element) => {
+    if (!element?.willValidate) return;
+    if (element.disabled) return;
+    if (element.type === 'hidden') return;
+    if (element.closest('.hidden')) return;
 
-  list.forEach((activity) => {
-    if (!activity.classList.contains('activity-row')) {
-      activity.classList.add('activity-row');
-    }
-    const titleInput = activity.querySelector('.activity-title');
-    if (titleInput && !titleInput.classList.contains('activity-name')) {
-      titleInput.classList.add('activity-name');
+    const validity = element.validity;
+    if (!validity || validity.valid) {
+      return;
     }
-  });
-}
 
-// ============================================================================
-// Gantt Chart
-// ============================================================================
-let summaryTriggerButton = null;
+    const label = getFieldLabel(element);
+    let type = 'general';
+    let message = element.validationMessage || `Verifique “${label}”.`;
 
-// ===== Utilitário seguro de datas =====
-function parseDateSafe(v) {
-  if (!v) return null;
-  if (v instanceof Date && !isNaN(v.valueOf())) return v;
-  if (typeof v === 'number') {
-    const d = new Date(v);
-    return isNaN(d.valueOf()) ? null : d;
-  }
-  if (typeof v === 'string') {
-    const m = v.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if (m) {
-      const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
-      return isNaN(d.valueOf()) ? null : d;
+    if (validity.valueMissing) {
+      type = 'required';
+      message = `Preencha “${label}”.`;
+    } else if (message === PROJECT_START_MIN_ERROR_MESSAGE) {
+      type = 'date';
+      message = `${label}: ${PROJECT_START_MIN_ERROR_MESSAGE}`;
+    } else if (element.dataset?.dateRangeInvalid === 'true' || message === DATE_RANGE_ERROR_MESSAGE) {
+      type = 'date';
+      message = `${label}: ${DATE_RANGE_ERROR_MESSAGE}`;
     }
-    const d = new Date(v);
-    return isNaN(d.valueOf()) ? null : d;
-  }
-  return null;
-}
-
-// ===== Coleta as linhas do Gantt a partir do formulário =====
-function collectMilestonesForGantt() {
-  const rows = [];
-  let minDate = null;
-  let maxDate = null;
-
-  // 1) Atividades
-  document.querySelectorAll('.activity-row').forEach((row, idx) => {
-    const name = row.querySelector('.activity-name')?.value?.trim() || `Atividade ${idx+1}`;
-    const start = parseDateSafe(row.querySelector('.activity-start')?.value);
-    const end   = parseDateSafe(row.querySelector('.activity-end')?.value);
-    if (!start || !end || end < start) return;
-
-    minDate = (!minDate || start < minDate) ? start : minDate;
-    maxDate = (!maxDate || end   > maxDate) ? end   : maxDate;
 
-    rows.push([
-      `A${idx+1}`,  // Task ID
-      name,         // Task Name
-      'Atividade',  // Resource
-      start,        // Start Date (Date)
-      end,          // End Date (Date)
-      null,         // Duration SEMPRE null (evita bug "datefield")
-      100,          // % Complete
-      null,         // Dependencies
-      null          // Tooltip (html) - opcional
-    ]);
+    invalid.push({ element, label, message, type });
   });
 
-  // 2) Marcos (opcional)
-  document.querySelectorAll('.milestone').forEach((block, idx) => {
-    const title = block.querySelector('.milestone-title')?.value?.trim();
-    const start = parseDateSafe(block.querySelector('.milestone-date')?.value);
-    if (!title || !start) return;
-
-    minDate = (!minDate || start < minDate) ? start : minDate;
-    maxDate = (!maxDate || start > maxDate) ? start : maxDate;
-
-    rows.push([
-      `M${idx+1}`,
-      title,
-      'Marco',
-      start,
-      start,  // marco: start = end
-      null,   // Duration null
-      100,
-      null,
-      null
-    ]);
-  });
+  return invalid;
+}
 
-  return { rows, minDate, maxDate };
+/**
+ * Reestabelece o estado das validações customizadas e limpa mensagens auxiliares.
+ */
+function resetValidationState() {
+  validationState.pepBudget = null;
+  validationState.pepBudgetDetails = null;
+  validationState.activityDates = null;
+  validationState.activityDateDetails = null;
+  clearDateRangeValidity();
+  clearFieldErrors();
+  clearErrorSummary();
 }
 
-let ganttLoaderStarted = false;
-let ganttLoaded = false;
-let ganttRefreshScheduled = false;
-let summaryGanttRefreshScheduled = false;
+/**
+ * Atualiza caches de mensagens e detalhes usados pelos validadores personalizados.
+ * @param {string} key - Nome da propriedade em validationState.
+ * @param {string|null} message - Mensagem registrada.
+ * @param {*} [details=null] - Metadados adicionais.
+ */
+function setValidationError(key, message, details = null) {
+  validationState[key] = message || null;
+  const detailsKey = `${key}Details`;
+  if (detailsKey in validationState) {
+    validationState[detailsKey] = details || null;
+  }
+}
 
-// ===== Desenha o Gantt (edição/criação por padrão) =====
-function drawGantt(rows, { container, chartElement, titleElement } = {}) {
-  const fallbackContainer  = document.getElementById('ganttSection') || document.body;
-  const fallbackChartEl    = document.getElementById('ganttChart');
-  const fallbackTitleEl    = document.getElementById('ganttTitle');
+/**
+ * Memoriza valor anterior de um campo para restauração em validações corretivas.
+ * @param {HTMLElement|null} element - Campo monitorado.
+ */
+function rememberFieldPreviousValue(element) {
+  if (!element || typeof element !== 'object') return;
+  if (!('dataset' in element)) return;
+  element.dataset.previousValue = element.value ?? '';
+}
 
-  const useContainer   = container     || fallbackContainer;
-  const useChartEl     = chartElement  || fallbackChartEl;
-  const useTitleEl     = titleElement  || fallbackTitleEl;
+/**
+ * Normaliza strings numéricas aceitando apenas dígitos.
+ * Remove espaços, pontos, vírgulas e quaisquer caracteres não numéricos.
+ * @param {*} value - Valor bruto informado pelo usuário.
+ * @returns {string} Representação numérica apenas com dígitos.
+ */
+function normalizeNumericString(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
 
-  if (!rows || !rows.length || !useChartEl) {
-    if (useChartEl) useChartEl.innerHTML = '<div class="gantt-empty">Nenhuma atividade válida para exibir.</div>';
-    if (useTitleEl) useTitleEl.classList.add('hidden');
-    if (useContainer) useContainer.classList.remove('hidden');
-    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+  const text = String(value).trim();
+  if (!text) {
+    return '';
   }
 
-  const data = new google.visualization.DataTable();
-  data.addColumn('string', 'Task ID');
-  data.addColumn('string', 'Task Name');
-  data.addColumn('string', 'Resource');
-  data.addColumn('date',   'Start Date');
-  data.addColumn('date',   'End Date');
-  data.addColumn('number', 'Duration');         // manter a coluna, mas usar null
-  data.addColumn('number', 'Percent Complete');
-  data.addColumn('string', 'Dependencies');
-  data.addColumn({ type: 'string', role: 'tooltip', p: { html: true } });
+  const withoutWhitespace = text.replace(/\s+/g, '');
+  const digitsOnly = withoutWhitespace
+    .replace(/[.,]/g, '')
+    .replace(/[^0-9]/g, '');
 
-  const safeRows = rows.map(r => {
-    const start = parseDateSafe(r[3]) || null;
-    const end   = parseDateSafe(r[4]) || null;
-    return [
-      String(r[0] ?? ''),
-      String(r[1] ?? ''),
-      String(r[2] ?? ''),
-      start,
-      end,
-      null,                       // Duration forçado a null
-      Number(r[6] ?? 100) || 0,
-      r[7] ? String(r[7]) : null,
-      r[8] ?? null
-    ];
-  });
+  return digitsOnly;
+}
 
-  const anyValid = safeRows.some(r => r[3] instanceof Date && r[4] instanceof Date);
-  if (!anyValid) {
-    useChartEl.innerHTML = '<div class="gantt-empty">Nenhuma atividade válida para exibir.</div>';
-    if (useTitleEl) useTitleEl.classList.add('hidden');
-    useContainer.classList.remove('hidden');
-    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+/**
+ * Converte valores variados em inteiro não negativo, respeitando normalização para dígitos.
+ * @param {*} value - Valor a converter.
+ * @returns {number} Número coerente ou NaN.
+ */
+function coerceNumericValue(value) {
+  const normalized = normalizeNumericString(value);
+  if (!normalized) {
+    return NaN;
   }
 
-  data.addRows(safeRows);
+  const number = Number.parseInt(normalized, 10);
+  return Number.isFinite(number) ? number : NaN;
+}
 
-  let minDate = null, maxDate = null;
-  for (const r of safeRows) {
-    const s = r[3], e = r[4];
-    if (s && (!minDate || s < minDate)) minDate = s;
-    if (e && (!maxDate || e > maxDate)) maxDate = e;
-  }
+/**
+ * Gera string numérica pronta para setar em inputs, mantendo apenas inteiros não negativos.
+ * @param {*} value - Valor de origem.
+ * @returns {string} Valor sanitizado ou vazio.
+ */
+function sanitizeNumericInputValue(value) {
+  const number = coerceNumericValue(value);
+  return Number.isFinite(number) ? number.toString() : '';
+}
 
-  const chart = new google.visualization.Gantt(useChartEl);
-  const options = {
-    tooltip: { isHtml: true },
-    gantt: {
-      trackHeight: 28,
-      innerGridHorizLine: { strokeWidth: 0.4 },
-      innerGridTrack:     { fill: '#fafafa' },
-      innerGridDarkTrack: { fill: '#f2f2f2' },
-      labelStyle: { fontName: 'Inter, Arial, sans-serif' },
-      ...(minDate ? { minDate } : {}),
-      ...(maxDate ? { maxDate } : {})
-    }
-  };
+/**
+ * Interpreta valor numérico a partir de input ou string, devolvendo inteiros sanitizados.
+ * @param {HTMLInputElement|number|string} source - Fonte do valor.
+ * @returns {number} Número válido ou 0.
+ */
+function parseNumericInputValue(source) {
+  if (!source) return 0;
 
-  try {
-    chart.draw(data, options);
-  } catch (err) {
-    console.warn('Gantt falhou, tentando fallback sem tooltip/duração', err);
-    const view = new google.visualization.DataView(data);
-    view.setColumns([0,1,2,3,4,5,6,7]); // sem tooltip
-    try {
-      chart.draw(view, options);
-    } catch (err2) {
-      useChartEl.innerHTML = '<div class="gantt-empty">Não foi possível renderizar o Gantt com os dados atuais.</div>';
-      if (useTitleEl) useTitleEl.classList.add('hidden');
-      useContainer.classList.remove('hidden');
-      return { rowCount: safeRows.length, minDate, maxDate, chart: null };
-    }
+  if (typeof source === 'object' && source !== null) {
+    const numericValue = coerceNumericValue(source.value);
+    return Number.isFinite(numericValue) ? numericValue : 0;
   }
 
-  if (useTitleEl) useTitleEl.classList.remove('hidden');
-  useContainer.classList.remove('hidden');
-  return { rowCount: safeRows.length, minDate, maxDate, chart };
+  const numericValue = coerceNumericValue(source);
+  return Number.isFinite(numericValue) ? numericValue : 0;
 }
 
-function refreshGantt() {
-  if (!ganttLoaded || !window.google?.visualization?.Gantt) {
-    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+/**
+ * Normaliza diferentes fontes de valor numérico, retornando NaN quando não houver número válido.
+ * @param {*} source - Valor de origem (input, string ou número).
+ * @returns {number} Valor numérico ou NaN.
+ */
+function readNumericValue(source) {
+  if (source === null || source === undefined) {
+    return NaN;
   }
-  const data = collectMilestonesForGantt();
-  return drawGantt(data.rows);
-}
-
-// ===== Desenha o Gantt no RESUMO usando os containers do resumo =====
-function populateSummaryGantt(options = {}) {
-  const { refreshFirst = false } = options;
-  const container   = document.getElementById('summaryGanttSection');
-  const chartEl     = document.getElementById('summaryGanttChart');
-  const titleEl     = document.getElementById('summaryGanttTitle');
 
-  if (!container || !chartEl) {
-    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
-  }
-  if (!window.google?.visualization?.Gantt) {
-    return { rowCount: 0, minDate: null, maxDate: null, chart: null };
+  if (typeof source === 'number') {
+    return Number.isFinite(source) ? source : NaN;
   }
 
-  if (refreshFirst && chartEl) {
-    chartEl.innerHTML = '';
+  if (typeof source === 'object' && 'value' in source) {
+    return readNumericValue(source.value);
   }
 
-  const { rows } = collectMilestonesForGantt();
-  return drawGantt(rows, { container, chartElement: chartEl, titleElement: titleEl });
+  const coerced = coerceNumericValue(source);
+  return Number.isFinite(coerced) ? coerced : NaN;
 }
 
-// ===== Carregamento Google Charts/Gantt (uma única vez) =====
-function initGantt() {
-  if (ganttLoaded || ganttLoaderStarted) return;
-  ganttLoaderStarted = true;
+/**
+ * Calcula os indicadores de ROCE a partir de ganho, perda e orçamento informados.
+ * @param {{gain?:*, loss?:*, budget?:*}} [param0={}] - Valores de entrada para cálculo.
+ * @returns {{gain:number, loss:number, budget:number, value:number, classification:string}} Métricas calculadas.
+ */
+function computeRoceMetrics({ gain, loss, budget } = {}) {
+  const gainValue = readNumericValue(gain);
+  const lossValue = readNumericValue(loss);
+  const budgetValue = readNumericValue(budget);
 
-  const start = () => {
-    google.charts.load('current', { packages: ['gantt'] });
-    google.charts.setOnLoadCallback(() => {
-      ganttLoaded = true;
-      queueGanttRefresh();
-    });
-  };
+  const safeGain = Number.isFinite(gainValue) ? gainValue : 0;
+  const safeLoss = Number.isFinite(lossValue) ? lossValue : 0;
 
-  if (!window.google || !google.charts) {
-    const s = document.createElement('script');
-    s.src = 'https://www.gstatic.com/charts/loader.js';
-    s.async = true;
-    s.onload = start;
-    document.head.appendChild(s);
-  } else {
-    start();
+  if (!Number.isFinite(budgetValue) || budgetValue <= 0) {
+    return {
+      gain: safeGain,
+      loss: safeLoss,
+      budget: Number.isFinite(budgetValue) ? budgetValue : NaN,
+      value: NaN,
+      classification: ''
+    };
   }
-}
 
-// ===== Agenda/redesenha Gantt com requestAnimationFrame duplo =====
-function queueGanttRefresh({ forSummary = false } = {}) {
-  if (!ganttLoaded) return;
+  const value = (safeGain - safeLoss) / budgetValue;
+  const classification = value >= 0.1 ? 'Estratégico' : 'Regular';
 
-  if (forSummary) {
-    if (summaryGanttRefreshScheduled) return;
-    summaryGanttRefreshScheduled = true;
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        summaryGanttRefreshScheduled = false;
-        populateSummaryGantt({ refreshFirst: true });
-      });
-    });
-    return;
-  }
+  return {
+    gain: safeGain,
+    loss: safeLoss,
+    budget: budgetValue,
+    value,
+    classification
+  };
+}
 
-  if (ganttRefreshScheduled) return;
-  ganttRefreshScheduled = true;
-  requestAnimationFrame(() => {
-    requestAnimationFrame(() => {
-      ganttRefreshScheduled = false;
-      refreshGantt();
-    });
-  });
+/**
+ * Resolve o texto apresentado para a classificação do ROCE conforme orçamento disponível.
+ * @param {{budget:number, classification:string}} metrics - Resultado de computeRoceMetrics.
+ * @returns {string} Texto final para classificação.
+ */
+function resolveRoceClassificationLabel(metrics) {
+  if (!metrics) {
+    return '';
+  }
+  if (!Number.isFinite(metrics.budget) || metrics.budget <= 0) {
+    return 'Aguardando orçamento válido';
+  }
+  return metrics.classification || 'Regular';
 }
 
-// ===== Redraw do Gantt conforme tamanho/visibilidade =====
-let __ganttRO;
-function setupGanttRedrawObservers() {
-  const targets = [
-    document.getElementById('ganttContainer'),
-    document.getElementById('summaryGanttSection'),
-    document.getElementById('formSummaryGanttSection')
-  ].filter(Boolean);
+/**
+ * Calcula nível de investimento com base no orçamento convertido para USD.
+ * @param {number} budgetBrl - Orçamento em reais.
+ * @returns {string} Código N1..N4 ou vazio.
+ */
+function determineInvestmentLevel(budgetBrl) {
+  if (!Number.isFinite(budgetBrl) || budgetBrl < 0) {
+    return '';
+  }
 
-  const triggerRedraw = () => {
-    queueGanttRefresh();
-    populateSummaryGantt({ refreshFirst: true });
-  };
+  const budgetUsd = budgetBrl / EXCHANGE_RATE;
+
+  if (budgetUsd >= 150_000_000) {
+    return 'N1';
+  }
+  if (budgetUsd >= 10_000_000) {
+    return 'N2';
+  }
+  if (budgetUsd >= 2_000_000) {
+    return 'N3';
+  }
+  return 'N4';
+}
 
-  if ('ResizeObserver' in window) {
-    __ganttRO?.disconnect?.();
-    __ganttRO = new ResizeObserver(() => {
-      triggerRedraw();
-    });
-    targets.forEach(t => __ganttRO.observe(t));
+/**
+ * Recupera valor numérico do orçamento informado no formulário.
+ * @returns {number} Valor em reais ou NaN se inválido.
+ */
+function getProjectBudgetValue() {
+  if (!projectBudgetInput) return NaN;
+  const rawValue = projectBudgetInput.value;
+  if (rawValue === undefined || rawValue === null || rawValue === '') {
+    return NaN;
   }
+  return parseNumericInputValue(projectBudgetInput);
+}
 
-  window.addEventListener('resize', triggerRedraw);
+/**
+ * Atualiza select de nível de investimento conforme valor do orçamento.
+ * @param {number} [budgetBrl=getProjectBudgetValue()] - Valor base para cálculo.
+ */
+function updateInvestmentLevelField(budgetBrl = getProjectBudgetValue()) {
+  if (!investmentLevelSelect) return;
+  const level = determineInvestmentLevel(budgetBrl);
+  investmentLevelSelect.value = level;
 }
 
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', setupGanttRedrawObservers, { once: true });
-} else {
-  setupGanttRedrawObservers();
+/**
+ * Retorna lista de inputs que compõem o somatório de PEP.
+ * @returns {HTMLInputElement[]} Inputs de valores PEP.
+ */
+function getPepAmountInputs() {
+  const simplePepInputs = Array.from(simplePepList.querySelectorAll('.pep-amount'));
+  const activityPepInputs = Array.from(milestoneList.querySelectorAll('.activity-pep-amount'));
+  return [...simplePepInputs, ...activityPepInputs];
 }
 
-// ============================================================================
-// Inicialização
-// ============================================================================
 /**
- * Define o ano de aprovação padrão igual ao ano corrente e protege campo contra valores futuros.
+ * Soma todos os valores de PEP considerando listas simples e atividades.
+ * @returns {number} Total em reais.
  */
-function setApprovalYearToCurrent() {
-  if (!approvalYearInput) {
-    return;
-  }
-  const currentYear = new Date().getFullYear();
-  approvalYearInput.value = currentYear;
-  approvalYearInput.max = currentYear;
+function calculatePepTotal() {
+  return getPepAmountInputs().reduce((sum, input) => sum + parseNumericInputValue(input), 0);
 }
 
 /**
- * Fluxo principal de inicialização: prepara selects, registra eventos e carrega dados iniciais.
+ * Garante a existência do indicador de orçamento restante junto ao título da seção.
+ * @param {HTMLLegendElement|null} legend - Legenda onde o indicador será inserido.
+ * @returns {HTMLElement|null} Elemento criado ou reutilizado.
  */
-function init() {
-  if (investmentLevelSelect) {
-    investmentLevelSelect.disabled = true;
-    investmentLevelSelect.setAttribute('aria-readonly', 'true');
+function ensurePepRemainingElement(legend) {
+  if (!legend) {
+    return null;
   }
 
-  bindEvents();
-  updateRoceMetrics();
-  ensureActivityRowClasses();
-  updateCompanyDependentFields(companySelect?.value || '');
-  // Ajuste CAPEX: garante selects de PEP alinhados com empresa atual na inicialização.
-  refreshAllPepDropdowns();
-  setApprovalYearToCurrent();
-  updateInvestmentLevelField();
-  loadProjects();
-  initGantt();
-  window.addEventListener('load', initGantt, { once: true });
+  let indicator = legend.querySelector('.pep-remaining');
+  if (indicator) {
+    return indicator;
+  }
+
+  indicator = document.createElement('span');
+  indicator.className = 'pep-remaining';
+  legend.appendChild(indicator);
+
+  return indicator;
 }
 
 /**
- * Centraliza o registro de listeners de interface, garantindo foco e acessibilidade.
+ * Atualiza mensagens de orçamento restante em PEPs simples e vinculados.
+ * @param {{budget?:number,total?:number}} [param0={}] - Valores opcionais para evitar recálculo.
  */
-function bindEvents() {
-  newProjectBtn.addEventListener('click', () => openProjectForm('create'));
-  closeFormBtn.addEventListener('click', handleCloseFormRequest);
-  if (floatingCloseBtn) {
-    floatingCloseBtn.addEventListener('click', handleCloseFormRequest);
+function updatePepRemainingDisplays({ budget = getProjectBudgetValue(), total = calculatePepTotal() } = {}) {
+  const hasBudget = Number.isFinite(budget);
+  const remainingValue = hasBudget ? budget - total : 0;
+  const formattedRemaining = BRL.format(Math.round(remainingValue * 100) / 100);
+
+  const legends = [];
+
+  if (simplePepSection) {
+    const legend = simplePepSection.querySelector('legend');
+    if (legend) {
+      legends.push(legend);
+    }
   }
-  // Habilita o fechamento do formulário pela tecla ESC.
-  document.addEventListener('keydown', handleOverlayEscape);
-  document.addEventListener('input', handleGlobalDateInput);
-  if (projectSearch) {
-    projectSearch.addEventListener('input', () => renderProjectList({ defer: true }));
+
+  if (keyProjectSection) {
+    const legend = keyProjectSection.querySelector('legend');
+    if (legend) {
+      legends.push(legend);
+    }
   }
 
-  [
-    { field: businessNeedField, feedback: businessNeedFeedback },
-    { field: proposedSolutionField, feedback: proposedSolutionFeedback }
-  ].forEach(({ field, feedback }) => {
-    if (!field || !feedback) {
+  legends.forEach((legend) => {
+    if (!hasBudget) {
+      const existing = legend.querySelector('.pep-remaining');
+      if (existing) {
+        existing.remove();
+      }
       return;
     }
-    const handler = () => updateCommentFeedback(field, feedback);
-    field.addEventListener('input', handler);
-    field.addEventListener('keyup', handler);
+
+    const indicator = ensurePepRemainingElement(legend);
+    if (indicator) {
+      indicator.textContent = `Orçamento restante: ${formattedRemaining}`;
+    }
   });
+}
 
-  refreshCommentFeedback();
+/**
+ * Atualiza mensagem informativa abaixo do formulário com saldo/ excedente de orçamento.
+ * @param {{budget?:number,total?:number}} [param0={}] - Valores utilizados no cálculo.
+ */
+function updateBudgetHintMessage({ budget = getProjectBudgetValue(), total = calculatePepTotal() } = {}) {
+  if (!budgetHint) return;
 
-  projectForm.addEventListener('submit', handleFormSubmit);
-  projectForm.addEventListener('focusin', handleFormFocusCapture);
-  if (saveProjectBtn) {
-    saveProjectBtn.addEventListener('click', (event) => {
-      event.preventDefault();
-      projectForm.dataset.submitIntent = 'save';
-      openSummaryOverlay(saveProjectBtn);
-    });
+  if (!Number.isFinite(budget)) {
+    if (total > 0) {
+      budgetHint.textContent = 'Informe o orçamento do projeto para validar os valores de PEP.';
+      budgetHint.style.color = '#c62828';
+    } else {
+      budgetHint.textContent = '';
+      budgetHint.style.color = '';
+    }
+    return;
   }
 
-  if (submitForApprovalBtn) {
-    submitForApprovalBtn.addEventListener('click', (event) => {
-      event.preventDefault();
-      projectForm.dataset.submitIntent = 'approval';
-      openSummaryOverlay(submitForApprovalBtn);
-    });
+  const remaining = budget - total;
+  const tolerance = 0.009;
+  if (remaining >= -tolerance) {
+    const safeRemaining = Math.max(0, Math.round(remaining * 100) / 100);
+    budgetHint.textContent = `💰 Orçamento restante: ${BRL.format(safeRemaining)} (Total PEPs: ${BRL.format(total)} de ${BRL.format(budget)})`;
+    budgetHint.style.color = '#2e7d32';
+    return;
   }
 
-  if (summaryConfirmBtn) {
-    summaryConfirmBtn.addEventListener('click', handleSummaryConfirm);
-  }
+  const exceeded = Math.abs(Math.round(remaining * 100) / 100);
+  budgetHint.textContent = `⚠️ Orçamento excedido em ${BRL.format(exceeded)} (Total PEPs: ${BRL.format(total)} de ${BRL.format(budget)})`;
+  budgetHint.style.color = '#c62828';
+}
 
-  if (summaryEditBtn) {
-    summaryEditBtn.addEventListener('click', () => closeSummaryOverlay());
-  }
+/**
+ * Garante que o somatório dos PEPs corresponda ao orçamento do projeto antes de persistir os dados.
+ * @param {{budgetBrl?:number}} project - Dados do projeto contendo o orçamento em reais.
+ * @param {Pep[]} peps - Lista de PEPs simples e vinculados a atividades.
+ * @throws {Error} Quando o somatório dos PEPs divergir do orçamento informado.
+ */
+function validateBudgetDistribution(project, peps) {
+  const totalBudget = Number.isFinite(Number(project?.budgetBrl)) ? Number(project.budgetBrl) : 0;
+  const totalAllocated = Array.isArray(peps)
+    ? peps.reduce((sum, pep) => {
+        const amount = Number(pep?.amountBrl);
+        return sum + (Number.isFinite(amount) ? amount : 0);
+      }, 0)
+    : 0;
 
-  if (formSummaryCloseBtn) {
-    formSummaryCloseBtn.addEventListener('click', () => closeForm());
+  if (totalAllocated !== totalBudget) {
+    const formattedBudget = totalBudget.toLocaleString('pt-BR');
+    const formattedAllocated = totalAllocated.toLocaleString('pt-BR');
+    throw new Error(
+      `O orçamento do projeto é R$ ${formattedBudget}, ` +
+        `mas a soma dos PEPs é R$ ${formattedAllocated}. ` +
+        'É necessário distribuir 100% do valor antes de salvar ou enviar para aprovação.'
+    );
   }
+}
 
-  const debouncedBudgetRecalculation = debounce(() => {
-    updateInvestmentLevelField();
-    updateBudgetSections();
-    validatePepBudget();
-  }, 180);
-  projectBudgetInput.addEventListener('input', (event) => {
-    const sanitized = sanitizeNumericInputValue(event.target.value);
-    if (event.target.value !== sanitized) {
-      event.target.value = sanitized;
-    }
-    refreshCurrencyPreview(projectBudgetInput);
-    debouncedBudgetRecalculation();
-    updateRoceMetrics();
-  });
-
-  const handleRoceNumericInput = (event) => {
-    const sanitized = sanitizeNumericInputValue(event.target.value);
-    if (event.target.value !== sanitized) {
-      event.target.value = sanitized;
-    }
-    refreshCurrencyPreview(event.target);
-    updateRoceMetrics();
-  };
+/**
+ * Valida se somatório de PEP está dentro do orçamento informado.
+ * @param {{changedInput?:HTMLInputElement}} [options={}] - Campo modificado recentemente.
+ * @returns {boolean} True quando orçamento e PEP estão consistentes.
+ */
+function validatePepBudget(options = {}) {
+  const { changedInput = null } = options;
+  const budget = getProjectBudgetValue();
+  const total = calculatePepTotal();
 
-  if (roceGainInput) {
-    roceGainInput.addEventListener('input', handleRoceNumericInput);
-  }
+  updateBudgetHintMessage({ budget, total });
+  updatePepRemainingDisplays({ budget, total });
 
-  if (roceLossInput) {
-    roceLossInput.addEventListener('input', handleRoceNumericInput);
+  if (!Number.isFinite(budget)) {
+    setValidationError('pepBudget', null, null);
+    return true;
   }
 
-  const scheduleActivityDateValidation = debounce((input) => {
-    if (input) {
-      validateActivityDates({ changedInput: input });
-    } else {
-      validateActivityDates();
-    }
-  }, 180);
+  const remaining = budget - total;
+  const roundedRemaining = Math.round(remaining * 100) / 100;
 
-  const schedulePepBudgetValidation = debounce((input) => {
-    if (input) {
-      validatePepBudget({ changedInput: input });
-    } else {
-      validatePepBudget();
-    }
-  }, 180);
+  if (remaining < -0.009) {
+    const exceeded = Math.abs(roundedRemaining);
+    const message = `A soma dos PEPs (${BRL.format(total)}) ultrapassa o orçamento do projeto (${BRL.format(budget)}) em ${BRL.format(exceeded)}.`;
+    setValidationError('pepBudget', message, { budget, total, remaining: roundedRemaining });
 
-  if (projectStartDateInput) {
-    const handleProjectStartChange = (event) => {
-      scheduleActivityDateValidation(event.target);
-    };
-    projectStartDateInput.addEventListener('input', handleProjectStartChange);
-    projectStartDateInput.addEventListener('change', handleProjectStartChange);
+    if (changedInput) {
+      const previousValue = changedInput.dataset?.previousValue ?? '';
+      if (changedInput.value !== previousValue) {
+        changedInput.value = previousValue;
+      }
+    }
+    return false;
   }
 
-  if (projectEndDateInput) {
-    const handleProjectEndChange = (event) => {
-      scheduleActivityDateValidation(event.target);
-    };
-    projectEndDateInput.addEventListener('input', handleProjectEndChange);
-    projectEndDateInput.addEventListener('change', handleProjectEndChange);
+  setValidationError('pepBudget', null, { budget, total, remaining: roundedRemaining });
+  if (changedInput) {
+    rememberFieldPreviousValue(changedInput);
   }
+  return true;
+}
 
-  approvalYearInput.addEventListener('input', () => updateSimplePepYears());
+function parseDateInputValue(value) {
+  if (!value) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) return null;
+  const [_, y, mo, d] = m.map(Number);
+  return new Date(y, mo - 1, d, 0, 0, 0, 0);
+}
 
-  addSimplePepBtn.addEventListener('click', () => {
-    ensureSimplePepRow();
-  });
+function yyyyMmDdLocal(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
 
-  addMilestoneBtn.addEventListener('click', () => {
-    ensureMilestoneBlock();
-  });
+function getDateRangePairs() {
+  const pairs = [];
 
-  simplePepList.addEventListener('click', (event) => {
-    if (event.target.classList.contains('remove-row')) {
-      const row = event.target.closest('.pep-row');
-      row?.remove();
-      validatePepBudget();
-    }
-  });
+  if (projectStartDateInput || projectEndDateInput) {
+    pairs.push({ start: projectStartDateInput, end: projectEndDateInput });
+  }
 
-  simplePepList.addEventListener('input', (event) => {
-    if (event.target.classList?.contains('pep-amount')) {
-      const sanitized = sanitizeNumericInputValue(event.target.value);
-      if (event.target.value !== sanitized) {
-        event.target.value = sanitized;
+  if (milestoneList) {
+    milestoneList.querySelectorAll('.milestone').forEach((milestone) => {
+      const milestoneStart = milestone.querySelector('.milestone-start');
+      const milestoneEnd = milestone.querySelector('.milestone-end');
+      if (milestoneStart || milestoneEnd) {
+        pairs.push({ start: milestoneStart, end: milestoneEnd });
       }
-      schedulePepBudgetValidation(event.target);
-    }
-  });
+    });
 
-  milestoneList.addEventListener('click', (event) => {
-    const button = event.target.closest('button');
-    if (!button) return;
+    milestoneList.querySelectorAll('.activity').forEach((activity) => {
+      const startInput = activity.querySelector('.activity-start');
+      const endInput = activity.querySelector('.activity-end');
+      if (startInput || endInput) {
+        pairs.push({ start: startInput, end: endInput });
+      }
+    });
+  }
 
-    if (button.classList.contains('remove-milestone')) {
-      button.closest('.milestone')?.remove();
-      queueGanttRefresh();
-      validatePepBudget();
-      validateActivityDates();
-      validateAllDateRanges();
-      return;
-    }
-    if (button.classList.contains('add-activity')) {
-      const milestone = button.closest('.milestone');
-      addActivityBlock(milestone);
-      queueGanttRefresh();
-      return;
-    }
-    if (button.classList.contains('remove-activity')) {
-      const activity = button.closest('.activity');
-      activity?.remove();
-      queueGanttRefresh();
-      validatePepBudget();
-      validateActivityDates();
-      validateAllDateRanges();
+  return pairs;
+}
+
+function validateDateRange(startInput, endInput, options = {}) {
+  const { report = false } = options;
+  const relevantInputs = [startInput, endInput].filter(
+    (input) => input && typeof input.setCustomValidity === 'function'
+  );
+
+  if (!relevantInputs.length) {
+    return true;
+  }
+
+  relevantInputs.forEach((input) => {
+    input.setCustomValidity('');
+    if (input.dataset) {
+      delete input.dataset.dateRangeInvalid;
     }
   });
 
-  const handleMilestoneFormChange = (event) => {
-    if (!event.target) return;
-    if (event.target.classList?.contains('activity-start')) {
-      const activity = event.target.closest('.activity');
-      updateActivityPepYear(activity, { force: true });
-      scheduleActivityDateValidation(event.target);
-    }
-    if (event.target.classList?.contains('activity-end')) {
-      scheduleActivityDateValidation(event.target);
-    }
-    if (event.target.classList?.contains('activity-pep-amount')) {
-      const sanitized = sanitizeNumericInputValue(event.target.value);
-      if (event.target.value !== sanitized) {
-        event.target.value = sanitized;
+  const startDate = startInput ? parseDateInputValue(startInput.value) : null;
+  const endDate = endInput ? parseDateInputValue(endInput.value) : null;
+
+  if (startDate && endDate && endDate < startDate) {
+    const invalidTarget = endInput && typeof endInput.setCustomValidity === 'function' ? endInput : startInput;
+    if (invalidTarget) {
+      invalidTarget.setCustomValidity(DATE_RANGE_ERROR_MESSAGE);
+      if (invalidTarget.dataset) {
+        invalidTarget.dataset.dateRangeInvalid = 'true';
+      }
+      if (report && typeof invalidTarget.reportValidity === 'function') {
+        invalidTarget.reportValidity();
       }
-      schedulePepBudgetValidation(event.target);
-      refreshCurrencyPreview(event.target);
     }
-    queueGanttRefresh();
-  };
+    return false;
+  }
 
-  milestoneList.addEventListener('input', handleMilestoneFormChange);
-  milestoneList.addEventListener('change', handleMilestoneFormChange);
+  return true;
 }
 
-// ============================================================================
-// Carregamento e renderização da lista de projetos
-// ============================================================================
 /**
- * Recupera as unidades do usuário logado a partir da lista UnitGroups.
- * @returns {Promise<string[]>} Lista com os nomes (Title) das unidades.
+ * Executa validação em todos os pares de datas, reportando o primeiro inválido.
+ * @param {{report?:boolean}} [options={}] - Quando true, chama reportValidity no primeiro campo inválido.
+ * @returns {boolean} True se nenhum intervalo estiver inconsistente.
  */
-async function getUserUnits() {
-  const userId = _spPageContextInfo?.userId;
-  if (!userId) {
-    console.warn('Usuário atual não identificado ao buscar unidades.');
-    return [];
-  }
+function validateAllDateRanges(options = {}) {
+  const { report = false } = options;
+  let firstInvalidField = null;
 
-  try {
-    const items = await sp.getItems('UnitGroups', {
-      select: 'Id,Title,members/Id',
-      expand: 'members',
-      filter: `members/Id eq ${userId}`,
-      top: 5000
-    });
+  getDateRangePairs().forEach(({ start, end }) => {
+    const isValid = validateDateRange(start, end);
+    if (!isValid && !firstInvalidField) {
+      firstInvalidField = (end && typeof end.setCustomValidity === 'function') ? end : start;
+    }
+  });
 
-    return items
-      .map((item) => (typeof item?.Title === 'string' ? item.Title.trim() : ''))
-      .filter(Boolean);
-  } catch (error) {
-    console.warn('Erro ao carregar unidades do usuário', error);
-    return [];
+  if (report && firstInvalidField && typeof firstInvalidField.reportValidity === 'function') {
+    firstInvalidField.reportValidity();
   }
+
+  return !firstInvalidField;
 }
 
 /**
- * Fragmenta um array em blocos menores para evitar URLs muito longas.
- * @template T
- * @param {T[]} items - Lista a ser dividida.
- * @param {number} size - Tamanho máximo de cada bloco.
- * @returns {T[][]} Conjunto de blocos respeitando o tamanho informado.
+ * Limpa customValidity aplicado em todos os campos de data do formulário.
  */
-function chunkArray(items, size) {
-  if (!Array.isArray(items) || size <= 0) {
-    return [];
-  }
+function clearDateRangeValidity() {
+  const inputs = new Set();
+  getDateRangePairs().forEach(({ start, end }) => {
+    if (start) inputs.add(start);
+    if (end) inputs.add(end);
+  });
 
-  const chunks = [];
-  for (let index = 0; index < items.length; index += size) {
-    chunks.push(items.slice(index, index + size));
+  inputs.forEach((input) => {
+    if (input && typeof input.setCustomValidity === 'function') {
+      input.setCustomValidity('');
+      if (input.dataset) {
+        delete input.dataset.dateRangeInvalid;
+      }
+    }
+  });
+}
+
+function ensureProjectDateWarningElement() {
+  if (projectDateWarningEl && projectDateWarningEl.isConnected) {
+    return projectDateWarningEl;
+  }
+  const legend = projectSectionLegend || projectForm?.querySelector('fieldset.form-section legend');
+  if (!legend) {
+    return null;
+  }
+  projectDateWarningEl = legend.querySelector('.date-warning');
+  if (!projectDateWarningEl) {
+    projectDateWarningEl = document.createElement('span');
+    projectDateWarningEl.className = 'date-warning';
+    projectDateWarningEl.hidden = true;
+    legend.appendChild(projectDateWarningEl);
   }
-  return chunks;
+  return projectDateWarningEl;
 }
 
-/**
- * Remove itens duplicados (por Id) mantendo o primeiro encontrado.
- * @param {Project[]} projects - Conjunto de projetos retornados da API.
- * @returns {Project[]} Lista sem duplicidades.
- */
-function dedupeProjects(projects) {
-  if (!Array.isArray(projects)) {
-    return [];
-  }
-
-  const map = new Map();
-  for (const project of projects) {
-    if (project && !map.has(project.Id)) {
-      map.set(project.Id, project);
-    }
+function updateProjectDateWarning(message = '') {
+  const warningEl = ensureProjectDateWarningElement();
+  if (!warningEl) return;
+  if (message) {
+    warningEl.textContent = message;
+    warningEl.hidden = false;
+  } else {
+    warningEl.textContent = '';
+    warningEl.hidden = true;
   }
-
-  return Array.from(map.values());
 }
 
-/**
- * Executa consulta na lista Projects para um bloco específico de unidades.
- * @param {string[]} unitsChunk - Grupo de até 10 unidades.
- * @param {number} currentUserId - Identificador do usuário logado.
- * @returns {Promise<Project[]>} Projetos retornados para o bloco informado.
- */
-async function fetchProjectsByUnitsChunk(unitsChunk, currentUserId) {
-  const clauses = [`AuthorId eq ${currentUserId}`];
-
-  if (Array.isArray(unitsChunk) && unitsChunk.length) {
-    const unitClauses = unitsChunk
-      .map((unitName) => (typeof unitName === 'string' ? unitName.trim() : ''))
-      .filter(Boolean)
-      .map((unitName) => `unit eq '${unitName.replace(/'/g, "''")}'`);
+function applyProjectStartMinConstraint() {
+  const input = projectStartDateInput || document.getElementById('startDate');
+  if (!input) return;
+  input.min = yyyyMmDdLocal(new Date());
+}
 
-    if (unitClauses.length) {
-      clauses.push(`(${unitClauses.join(' or ')})`);
-    }
+function validateProjectStartDateMinimum(options = {}) {
+  const { report = false } = options;
+  if (!projectStartDateInput || typeof projectStartDateInput.setCustomValidity !== 'function') {
+    return true;
   }
 
-  const query = {
-    orderby: 'Created desc',
-    filter: clauses.join(' or ')
-  };
+  projectStartDateInput.setCustomValidity('');
+  updateProjectDateWarning('');
 
-  try {
-    const response = await sp.getItems('Projects', query);
-    return Array.isArray(response) ? response : [];
-  } catch (error) {
-    console.warn('Erro ao carregar projetos para bloco de unidades', unitsChunk, error);
-    return [];
+  const startValue = projectStartDateInput.value;
+  if (!startValue) {
+    return true;
   }
-}
 
-/**
- * Recupera projetos do SharePoint filtrando pelo autor logado e unidades associadas.
- * @returns {Promise<void>} Promessa resolvida após renderizar lista.
- */
-async function loadProjects() {
-  const currentUserId = _spPageContextInfo?.userId;
-  if (!currentUserId) {
-    console.warn('Usuário atual não identificado ao carregar projetos.');
-    state.projects = [];
-    renderProjectList();
-    return;
+  const start = parseDateInputValue(startValue);
+  if (!start) {
+    return true;
   }
 
-  const userUnits = await getUserUnits();
-  const unitChunks = chunkArray(userUnits, 10);
-  const chunksToFetch = unitChunks.length ? unitChunks : [[]];
-
-  try {
-    const results = await Promise.all(
-      chunksToFetch.map((chunk) => fetchProjectsByUnitsChunk(chunk, currentUserId))
-    );
-    const merged = results.flat();
-    const deduped = dedupeProjects(merged);
-
-    deduped.sort((a, b) => {
-      const dateA = a?.Created ? new Date(a.Created).getTime() : 0;
-      const dateB = b?.Created ? new Date(b.Created).getTime() : 0;
-      return dateB - dateA;
-    });
+  const today = new Date();
+  const today0 = new Date(today.getFullYear(), today.getMonth(), today.getDate());
 
-    state.projects = deduped;
-  } catch (error) {
-    console.warn('Erro inesperado ao consolidar projetos', error);
-    state.projects = [];
+  if (start < today0) {
+    projectStartDateInput.setCustomValidity(PROJECT_START_MIN_ERROR_MESSAGE);
+    updateProjectDateWarning(PROJECT_START_MIN_ERROR_MESSAGE);
+    if (report && typeof projectStartDateInput.reportValidity === 'function') {
+      projectStartDateInput.reportValidity();
+    }
+    return false;
   }
 
-  renderProjectList();
+  updateProjectDateWarning('');
+  return true;
 }
 
 /**
- * Renderiza cards de projetos no painel lateral, com filtro opcional e defer.
- * @param {{defer?:boolean}} [options={}] - Quando defer é true, usa requestAnimationFrame.
+ * Atualiza mensagem informativa relacionada às datas do projeto e atividades.
+ * @param {{hasProjectStart?:boolean,hasProjectEnd?:boolean,hasStartIssue?:boolean,hasEndIssue?:boolean,activityCount?:number}} [param0={}] - Indicadores para montagem do texto.
  */
-function renderProjectList(options = {}) {
-  const filter = (projectSearch?.value || '').toLowerCase();
-
-  const drawList = () => {
-    projectList.innerHTML = '';
-
-    const filtered = state.projects.filter((item) =>
-      item.Title?.toLowerCase().includes(filter)
-    );
-
-    if (filtered.length === 0) {
-      const empty = document.createElement('p');
-      empty.className = 'hint';
-      empty.textContent = 'Nenhum projeto encontrado.';
-      projectList.append(empty);
-      return;
-    }
-
-    filtered.forEach((item) => {
-      const card = document.createElement('article');
-      card.className = 'project-card';
-      if (state.selectedProjectId === item.Id) {
-        card.classList.add('selected');
-      }
-      card.dataset.id = item.Id;
-
-      const accent = document.createElement('span');
-      accent.className = 'project-card-accent';
-      accent.style.background = statusColor(item.status);
-
-      const content = document.createElement('div');
-      content.className = 'project-card-content';
+function updateDateHintMessage({
+  hasProjectStart = false,
+  hasProjectEnd = false,
+  hasStartIssue = false,
+  hasEndIssue = false,
+  activityCount = 0
+} = {}) {
+  if (!dateHint) return;
 
-      const status = document.createElement('span');
-      status.className = 'project-card-status';
-      status.textContent = item.status || 'Sem status';
-      status.style.color = statusColor(item.status);
-
-      const title = document.createElement('span');
-      title.className = 'project-card-title';
-      title.textContent = item.Title || 'Projeto sem título';
-      content.append(status, title);
-      if (item.budgetBrl) {
-        const budgetRow = document.createElement('div');
-        budgetRow.className = 'project-card-bottom';
-        const budget = document.createElement('span');
-        budget.className = 'project-card-meta';
-        budget.textContent = BRL.format(item.budgetBrl);
-        budgetRow.append(budget);
-        content.append(budgetRow);
-      }
-      card.append(accent, content);
-      card.addEventListener('click', () => selectProject(item.Id));
-      projectList.append(card);
-    });
-  };
+  if (!hasProjectStart || !hasProjectEnd) {
+    dateHint.textContent = '';
+    dateHint.style.color = '';
+    return;
+  }
 
-  if (options?.defer) {
-    if (renderProjectListFrame) {
-      cancelAnimationFrame(renderProjectListFrame);
-    }
-    renderProjectListFrame = requestAnimationFrame(() => {
-      renderProjectListFrame = null;
-      drawList();
-    });
+  if (activityCount === 0) {
+    dateHint.textContent = '✅ Todas as atividades estão dentro do intervalo do projeto.';
+    dateHint.style.color = '#2e7d32';
     return;
   }
 
-  if (renderProjectListFrame) {
-    cancelAnimationFrame(renderProjectListFrame);
-    renderProjectListFrame = null;
+  if (!hasStartIssue && !hasEndIssue) {
+    dateHint.textContent = '✅ Todas as atividades estão dentro do intervalo do projeto.';
+    dateHint.style.color = '#2e7d32';
+    return;
   }
-  drawList();
-}
 
-/**
- * Seleciona projeto na lista, busca detalhes completos e atualiza painel principal.
- * @param {number|string} projectId - Identificador do projeto selecionado.
- * @returns {Promise<void>} Promessa concluída após renderizar detalhes.
- */
-async function selectProject(projectId) {
-  if (renderProjectListFrame) {
-    cancelAnimationFrame(renderProjectListFrame);
-    renderProjectListFrame = null;
+  const messages = [];
+  if (hasStartIssue) {
+    messages.push('⚠️ Atividade começa antes da data inicial do projeto.');
   }
-  state.selectedProjectId = projectId;
-  renderProjectList();
-  await loadProjectDetails(projectId);
+  if (hasEndIssue) {
+    messages.push('⚠️ Atividade termina depois da data final do projeto.');
+  }
+  dateHint.textContent = messages.join(' ');
+  dateHint.style.color = '#c62828';
 }
 
-async function loadProjectDetails(projectId) {
-  projectDetails.innerHTML = '';
-  const loader = document.createElement('p');
-  loader.textContent = 'Carregando…';
-  loader.className = 'hint';
-  projectDetails.append(loader);
-
-  try {
-    const project = await sp.getItem('Projects', projectId);
-    const [milestones, activities, peps] = await Promise.all([
-      sp.getItems('Milestones', { filter: `projectsIdId eq ${projectId}` }),
-      sp.getItems('Activities', { filter: `projectsIdId eq ${projectId}` }),
-      sp.getItems('Peps', { filter: `projectsIdId eq ${projectId}` })
-    ]);
+function validateActivityDates(options = {}) {
+  const { changedInput = null } = options;
+  const projectStart = parseDateInputValue(projectStartDateInput?.value);
+  const projectEnd = parseDateInputValue(projectEndDateInput?.value);
 
-    const detail = {
-      project,
-      milestones,
-      activities,
-      peps,
-      simplePeps: peps.filter((pep) => !pep.activitiesIdId),
-      activityPeps: peps.filter((pep) => pep.activitiesIdId)
-    };
+  const activities = milestoneList.querySelectorAll('.activity');
+  const activityCount = activities.length;
 
-    state.currentDetails = detail;
-    renderProjectDetails(detail);
-  } catch (error) {
-    console.error('Erro ao carregar detalhes do projeto', error);
-    projectDetails.innerHTML = '';
-    const errorBox = document.createElement('p');
-    errorBox.className = 'hint';
-    errorBox.textContent = 'Não foi possível carregar os dados do projeto.';
-    projectDetails.append(errorBox);
+  if (!projectStart || !projectEnd) {
+    updateDateHintMessage({
+      hasProjectStart: Boolean(projectStart),
+      hasProjectEnd: Boolean(projectEnd),
+      activityCount
+    });
+    setValidationError('activityDates', null, null);
+    return true;
   }
-}
 
-/**
- * Atualiza painel principal com dados ricos do projeto (cards, ações e descrição).
- * @param {{project?: Project}} detail - Objeto completo retornado pela API.
- */
-function renderProjectDetails(detail) {
-  projectDetails.innerHTML = '';
-  if (!detail?.project) {
-    projectDetails.append(createEmptyState());
-    return;
+  let invalidMessage = null;
+  let invalidField = null;
+  let invalidTitle = null;
+  let hasStartIssue = false;
+  let hasEndIssue = false;
+  for (const activity of activities) {
+    const startInput = activity.querySelector('.activity-start');
+    const endInput = activity.querySelector('.activity-end');
+    const title = activity.querySelector('.activity-title')?.value?.trim() || 'Atividade';
+    const startDate = parseDateInputValue(startInput?.value);
+    const endDate = parseDateInputValue(endInput?.value);
+
+    if (startDate && startDate < projectStart) {
+      hasStartIssue = true;
+      if (!invalidMessage) {
+        invalidMessage = `A data de início da atividade "${title}" não pode ser anterior à data de início do projeto.`;
+        invalidField = changedInput === projectStartDateInput ? projectStartDateInput : startInput;
+        invalidTitle = title;
+      }
+    }
+
+    if (endDate && endDate > projectEnd) {
+      hasEndIssue = true;
+      if (!invalidMessage) {
+        invalidMessage = `A data de término da atividade "${title}" não pode ser posterior à data de término do projeto.`;
+        invalidField = changedInput === projectEndDateInput ? projectEndDateInput : endInput;
+        invalidTitle = title;
+      }
+    }
   }
 
-  const { project } = detail;
-
-  const wrapper = document.createElement('div');
-  wrapper.className = 'project-overview';
-
-  const header = document.createElement('div');
-  header.className = 'project-overview__header';
-  const title = document.createElement('h2');
-  title.className = 'project-overview__title';
-  title.textContent = project.Title || 'Projeto sem título';
-  const status = document.createElement('span');
-  status.className = 'status-pill';
-  status.style.background = statusColor(project.status);
-  status.textContent = project.status || 'Sem status';
-  header.append(title, status);
+  updateDateHintMessage({
+    hasProjectStart: true,
+    hasProjectEnd: true,
+    hasStartIssue,
+    hasEndIssue,
+    activityCount
+  });
 
-  if (project.status === PROJECT_STATUSES.APPROVED) {
-    const info = document.createElement('p');
-    info.className = 'project-overview__hint';
-    info.textContent = 'Projeto aprovado - somente leitura.';
-    header.append(info);
+  if (invalidMessage) {
+    setValidationError('activityDates', invalidMessage, {
+      field: invalidField || null,
+      activityTitle: invalidTitle,
+      hasStartIssue,
+      hasEndIssue
+    });
+    if (invalidField) {
+      const previousValue = invalidField.dataset?.previousValue ?? '';
+      if (invalidField.value !== previousValue) {
+        invalidField.value = previousValue;
+      }
+    }
+    return false;
   }
 
-  wrapper.append(header);
+  setValidationError('activityDates', null, {
+    field: null,
+    activityTitle: null,
+    hasStartIssue: false,
+    hasEndIssue: false
+  });
+  if (changedInput) {
+    rememberFieldPreviousValue(changedInput);
+  }
+  return true;
+}
 
-  const highlightGrid = document.createElement('div');
-  highlightGrid.className = 'project-overview__grid';
-  highlightGrid.append(
-    createHighlightBox('Orçamento', project.budgetBrl ? BRL.format(project.budgetBrl) : '—', { variant: 'budget' }),
-    createHighlightBox('Responsável', project.projectLeader || project.projectUser || 'Não informado')
-  );
-  wrapper.append(highlightGrid);
+/**
+ * Coordena validações customizadas e nativas retornando resumo das inconsistências.
+ * @param {{scrollOnError?:boolean, focusFirstError?:boolean}} [options={}] - Comportamento pós-validação.
+ * @returns {{valid:boolean, issues:Array}} Resultado consolidado.
+ */
+function runFormValidations(options = {}) {
+  const { scrollOnError = false, focusFirstError = false } = options;
 
-  const timelineGrid = document.createElement('div');
-  timelineGrid.className = 'project-overview__grid';
-  timelineGrid.append(
-    createHighlightBox('Data de Início', formatDateValue(project.startDate)),
-    createHighlightBox('Data de Conclusão', formatDateValue(project.endDate))
-  );
-  wrapper.append(timelineGrid);
+  clearFieldErrors();
+  refreshCommentFeedback();
 
-  const descriptionSection = document.createElement('section');
-  descriptionSection.className = 'project-description';
-  const descTitle = document.createElement('h3');
-  descTitle.textContent = 'Descrição do Projeto';
-  const descText = document.createElement('p');
-  descText.className = 'project-description__text';
-  descText.textContent = project.proposedSolution || project.businessNeed || 'Sem descrição informada.';
-  descriptionSection.append(descTitle, descText);
-  wrapper.append(descriptionSection);
+  const pepValid = validatePepBudget();
+  const activityValid = validateActivityDates();
+  const dateRangesValid = validateAllDateRanges();
+  const projectStartMinValid = validateProjectStartDateMinimum();
 
-  const actions = document.createElement('div');
-  actions.className = 'project-overview__actions';
+  const invalidFields = collectInvalidFields();
+  [businessNeedField, proposedSolutionField]
+    .filter(Boolean)
+    .forEach((field) => {
+      const trimmedLength = field.value.trim().length;
+      if (trimmedLength > 0 && trimmedLength < 30) {
+        const label = getFieldLabel(field);
+        const message = `${label} deve ter pelo menos 30 caracteres.`;
+        invalidFields.push({
+          element: field,
+          label,
+          message,
+          type: 'general'
+        });
+      }
+    });
+  invalidFields.forEach((issue) => {
+    applyFieldError(issue.element, issue.message);
+  });
 
-  const statusKey = normalizeStatusKey(project.status);
-  const editableStatuses = STATUS_GROUPS.APPROVAL_ALLOWED;
-  const viewOnlyStatuses = STATUS_GROUPS.READ_ONLY;
+  const issues = [];
 
-  if (viewOnlyStatuses.has(statusKey)) {
-    const viewBtn = document.createElement('button');
-    viewBtn.type = 'button';
-    viewBtn.className = 'btn ghost';
-    viewBtn.textContent = 'Visualizar Projeto';
-    viewBtn.addEventListener('click', () => openProjectForm('edit', detail));
-    actions.append(viewBtn);
-  } else if (editableStatuses.has(statusKey)) {
-    const editBtn = document.createElement('button');
-    editBtn.type = 'button';
-    editBtn.className = 'btn primary';
-    editBtn.textContent = 'Editar Projeto';
-    editBtn.addEventListener('click', () => openProjectForm('edit', detail));
-    actions.append(editBtn);
+  const requiredIssues = invalidFields.filter((issue) => issue.type === 'required');
+  if (requiredIssues.length) {
+    issues.push({
+      title: 'Campos obrigatórios',
+      items: requiredIssues.map((issue) => issue.message),
+      type: 'required',
+      focusElement: requiredIssues[0]?.element || null
+    });
+  }
 
-    if (canSubmitForApproval(statusKey)) {
-      const approveBtn = document.createElement('button');
-      approveBtn.type = 'button';
-      approveBtn.className = 'btn accent';
-      approveBtn.textContent = 'Enviar para Aprovação';
-      approveBtn.addEventListener('click', () => {
-        openProjectForm('edit', detail);
-        requestAnimationFrame(() => {
-          projectForm.dataset.submitIntent = 'approval';
-          openSummaryOverlay(submitForApprovalBtn || approveBtn);
-        });
-      });
-      actions.append(approveBtn);
+  const dateFieldIssues = invalidFields.filter((issue) => issue.type === 'date');
+  const dateMessages = dateFieldIssues.map((issue) => issue.message);
+  if (validationState.activityDates) {
+    dateMessages.push(validationState.activityDates);
+  }
+  const uniqueDateMessages = [...new Set(dateMessages.filter(Boolean))];
+  if (uniqueDateMessages.length) {
+    const activityField = validationState.activityDateDetails?.field || null;
+    const isFieldAlreadyHighlighted = activityField
+      ? invalidFields.some((issue) => issue.element === activityField)
+      : false;
+    if (activityField && !isFieldAlreadyHighlighted) {
+      applyFieldError(activityField, validationState.activityDates || uniqueDateMessages[0]);
     }
-  } else {
-    const fallbackBtn = document.createElement('button');
-    fallbackBtn.type = 'button';
-    fallbackBtn.className = 'btn ghost';
-    fallbackBtn.textContent = 'Visualizar Projeto';
-    fallbackBtn.addEventListener('click', () => openProjectForm('edit', detail));
-    actions.append(fallbackBtn);
+    issues.push({
+      title: 'Datas',
+      items: uniqueDateMessages,
+      type: 'date',
+      focusElement: activityField || dateFieldIssues[0]?.element || null
+    });
   }
 
-  if (actions.childElementCount) {
-    wrapper.append(actions);
+  if (!pepValid && validationState.pepBudgetDetails) {
+    const { budget = 0, total = 0, remaining = 0 } = validationState.pepBudgetDetails;
+    const difference = Math.abs(Math.round(remaining * 100) / 100);
+    const detailMessage = remaining < 0
+      ? `Orçamento: ${BRL.format(budget)} · Soma dos PEPs: ${BRL.format(total)} · Excedente: ${BRL.format(difference)}.`
+      : `Orçamento: ${BRL.format(budget)} · Soma dos PEPs: ${BRL.format(total)} · Restante: ${BRL.format(difference)}.`;
+    const pepInputs = getPepAmountInputs().filter((input) => !input.closest('.hidden'));
+    const pepFocus = pepInputs[0] || projectBudgetInput;
+    if (projectBudgetInput && !invalidFields.some((issue) => issue.element === projectBudgetInput)) {
+      applyFieldError(projectBudgetInput, 'Ajuste o orçamento do projeto ou redistribua os valores de PEP.');
+    }
+    if (pepFocus && pepFocus !== projectBudgetInput && !invalidFields.some((issue) => issue.element === pepFocus)) {
+      applyFieldError(pepFocus, 'Revise os valores dos PEPs para manter o projeto dentro do orçamento.');
+    }
+    issues.push({
+      title: 'Orçamento x PEPs',
+      items: [detailMessage],
+      type: 'pep',
+      focusElement: pepFocus || null
+    });
   }
 
-  projectDetails.append(wrapper);
-}
-
-/**
- * Produz conteúdo padrão quando nenhum projeto está selecionado.
- * @returns {HTMLDivElement} Elemento com mensagem de orientação.
- */
-function createEmptyState() {
-  const empty = document.createElement('div');
-  empty.className = 'empty-state';
-  const title = document.createElement('h2');
-  title.textContent = 'Selecione um projeto';
-  const text = document.createElement('p');
-  text.textContent = 'Escolha um item na lista ao lado para visualizar os detalhes.';
-  empty.append(title, text);
-  return empty;
-}
-
-/**
- * Monta card compacto exibindo meta-informações do projeto (orçamento, datas).
- * @param {string} label - Rótulo apresentado no topo do card.
- * @param {string} value - Valor formatado a exibir.
- * @param {{variant?:string}} [options={}] - Permite aplicar estilos específicos.
- * @returns {HTMLDivElement} Elemento configurado.
- */
-function createHighlightBox(label, value, options = {}) {
-  const { variant } = options;
-  const box = document.createElement('div');
-  box.className = 'project-highlight';
-  if (variant) {
-    box.classList.add(`project-highlight--${variant}`);
+  const otherIssues = invalidFields.filter((issue) => issue.type === 'general');
+  if (otherIssues.length) {
+    issues.push({
+      title: 'Validações',
+      items: otherIssues.map((issue) => issue.message),
+      type: 'general',
+      focusElement: otherIssues[0]?.element || null
+    });
   }
 
-  const labelEl = document.createElement('span');
-  labelEl.className = 'project-highlight__label';
-  labelEl.textContent = label;
+  const isValid = issues.length === 0 && pepValid && activityValid && dateRangesValid && projectStartMinValid;
 
-  const valueEl = document.createElement('span');
-  valueEl.className = 'project-highlight__value';
-  valueEl.textContent = value || '—';
-  if (variant === 'budget') {
-    valueEl.classList.add('project-highlight__value--budget');
+  if (isValid) {
+    clearErrorSummary();
+    if (formStatus && (formStatus.classList.contains('feedback--warning') || formStatus.classList.contains('feedback--error'))) {
+      resetFormStatus();
+    }
+    return { valid: true, issues: [] };
   }
 
-  box.append(labelEl, valueEl);
-  return box;
-}
-
-/**
- * Converte string de data em formato local pt-BR ou retorna traço quando inválido.
- * @param {string|null|undefined} value - Data em formato ISO.
- * @returns {string} Data formatada ou '—'.
- */
-function formatDateValue(value) {
-  if (!value) {
-    return '—';
+  if (scrollOnError) {
+    scrollFormToTop();
   }
 
-  const date = new Date(value);
-  if (Number.isNaN(date.getTime())) {
-    return '—';
+  const hasNonRequiredIssue = issues.some((issue) => issue.type !== 'required');
+  const severity = hasNonRequiredIssue ? 'error' : 'warning';
+  const statusMessage = severity === 'warning'
+    ? 'Alguns campos estão incompletos.'
+    : 'Não foi possível salvar. Verifique os erros abaixo.';
+
+  showStatus(statusMessage, { type: severity });
+  renderErrorSummary(issues, { tone: severity, title: statusMessage });
+
+  if (focusFirstError) {
+    const focusCandidate = issues.find((issue) => issue.focusElement)?.focusElement
+      || invalidFields[0]?.element
+      || validationState.activityDateDetails?.field
+      || null;
+    if (focusCandidate && typeof focusCandidate.focus === 'function') {
+      requestAnimationFrame(() => {
+        try {
+          focusCandidate.focus({ preventScroll: true });
+        } catch (error) {
+          focusCandidate.focus();
+        }
+      });
+    }
   }
 
-  return DATE_FMT.format(date);
+  return { valid: false, issues };
 }
 
 /**
- * Repopula options de um select conforme regras de negócio, preservando valor selecionado.
- * @param {HTMLSelectElement|null} selectElement - Select alvo.
- * @param {string[]} [options=[]] - Valores disponíveis.
- * @param {string} [selectedValue=''] - Valor que deve permanecer selecionado.
+ * Escuta eventos de input em campos de data para aplicar validações contextuais.
+ * @param {Event} event - Evento disparado no formulário.
  */
-function populateSelectOptions(selectElement, options = [], selectedValue = '') {
-  if (!selectElement || selectElement.tagName !== 'SELECT') {
+function handleGlobalDateInput(event) {
+  const target = event.target;
+  if (!target || typeof target.matches !== 'function') {
     return;
   }
 
-  const initialPlaceholderOption = selectElement.options?.[0];
-  const placeholderText = initialPlaceholderOption && initialPlaceholderOption.value === ''
-    ? initialPlaceholderOption.textContent || 'Selecione...'
-    : 'Selecione...';
-
-  const normalizedOptions = Array.isArray(options)
-    ? options.map((option) => String(option))
-    : [];
-  const normalizedSelectedValue = selectedValue != null ? String(selectedValue) : '';
-
-  selectElement.innerHTML = '';
-
-  const placeholderOption = document.createElement('option');
-  placeholderOption.value = '';
-  placeholderOption.textContent = placeholderText;
-  selectElement.appendChild(placeholderOption);
-
-  const fragment = document.createDocumentFragment();
-  normalizedOptions.forEach((text) => {
-    const option = document.createElement('option');
-    option.value = text;
-    option.textContent = text;
-    fragment.appendChild(option);
-  });
-
-  selectElement.appendChild(fragment);
-
-  if (normalizedSelectedValue && normalizedOptions.includes(normalizedSelectedValue)) {
-    selectElement.value = normalizedSelectedValue;
-  } else {
-    selectElement.value = '';
+  if (target === projectStartDateInput || target === projectEndDateInput) {
+    validateDateRange(projectStartDateInput, projectEndDateInput, { report: true });
+    validateProjectStartDateMinimum({ report: true });
+    return;
   }
-}
 
-function fillOptions(selectEl, items = [], { placeholder = 'Selecione...' } = {}) {
-  if (!selectEl) return;
-  const prev = selectEl.value;
-  const normalizedItems = Array.isArray(items) ? items.map((item) => String(item)) : [];
-  selectEl.innerHTML = '';
-  if (placeholder) {
-    const opt0 = document.createElement('option');
-    opt0.value = '';
-    opt0.textContent = placeholder;
-    selectEl.appendChild(opt0);
-  }
-  const frag = document.createDocumentFragment();
-  for (const v of normalizedItems) {
-    const opt = document.createElement('option');
-    opt.value = v;
-    opt.textContent = v;
-    frag.appendChild(opt);
+  if (target.classList?.contains('activity-start') || target.classList?.contains('activity-end')) {
+    const activity = target.closest('.activity');
+    const startInput = activity?.querySelector('.activity-start');
+    const endInput = activity?.querySelector('.activity-end');
+    validateDateRange(startInput, endInput, { report: true });
+    return;
   }
-  selectEl.appendChild(frag);
-  if (normalizedItems.includes(prev)) selectEl.value = prev; // preserva seleção válida
-}
-
-function getUnits(companyCode, centerCode) {
-  if (!companyCode || !centerCode) return EMPTY_ARRAY;
-  const rules = resolveCompanyRules();
-  const companyRule = rules?.[companyCode];
-  const centerRule = companyRule?.centers?.[centerCode];
-  return safeArray(centerRule?.units);
-}
-
-function getLocations(companyCode, centerCode) {
-  if (!companyCode || !centerCode) return EMPTY_ARRAY;
-  const rules = resolveCompanyRules();
-  const companyRule = rules?.[companyCode];
-  const centerRule = companyRule?.centers?.[centerCode];
-  return safeArray(centerRule?.locations);
-}
 
-function applyCompany(companyCode, { centerEl, locationEl, unitEl }) {
-  const rules = resolveCompanyRules();
-  const centersMap = rules?.[companyCode]?.centers || {};
-  const centers = Object.keys(centersMap);
-  fillOptions(centerEl, centers, { placeholder: 'Selecione o centro' });
-  fillOptions(locationEl, EMPTY_ARRAY, { placeholder: 'Selecione a localização' });
-  fillOptions(unitEl, EMPTY_ARRAY, { placeholder: 'Selecione a unidade' });
+  if (target.classList?.contains('milestone-start') || target.classList?.contains('milestone-end')) {
+    const milestone = target.closest('.milestone');
+    const startInput = milestone?.querySelector('.milestone-start');
+    const endInput = milestone?.querySelector('.milestone-end');
+    validateDateRange(startInput, endInput, { report: true });
+  }
 }
 
-function applyCenter(companyCode, centerCode, { locationEl, unitEl }) {
-  const locs  = getLocations(companyCode, centerCode);
-  const units = getUnits(companyCode, centerCode);
-  fillOptions(locationEl, locs,  { placeholder: 'Selecione a localização' });
-  fillOptions(unitEl,      units,{ placeholder: 'Selecione a unidade' });
-}
+/**
+ * Armazena valor atual de campos sensíveis antes da edição para suportar rollback.
+ * @param {FocusEvent} event - Evento focusin delegado do formulário.
+ */
+function handleFormFocusCapture(event) {
+  const target = event.target;
+  if (!target) return;
 
-(function wireCompanyCenterLocationUnit() {
-  function ready() {
-    if (document.readyState === 'loading') return false;
-    const rules = resolveCompanyRules();
-    return Object.keys(rules || {}).length > 0;
+  if (target === projectStartDateInput || target === projectEndDateInput) {
+    rememberFieldPreviousValue(target);
+    return;
   }
 
-  function run() {
-    const companyEl  = document.getElementById('company');
-    const centerEl   = document.getElementById('center');
-    const locationEl = document.getElementById('location');
-    const unitEl     = document.getElementById('unit');
-    if (!companyEl || !centerEl || !locationEl || !unitEl) {
-      console.warn('[cascata] Ajuste os IDs: company, center, location, unit.');
-      return;
-    }
-
-    const els = { companyEl, centerEl, locationEl, unitEl };
+  if (target.classList?.contains('pep-amount')) {
+    rememberFieldPreviousValue(target);
+    return;
+  }
 
-    const handleCompanyChange = (e) => {
-      const companyValue = e.target.value;
-      if (typeof updateCompanyDependentFields === 'function') {
-        const depValue = (document.getElementById('depreciationCostCenter')?.value || '').trim();
-        updateCompanyDependentFields(companyValue, {
-          center: '',
-          location: '',
-          unit: '',
-          depreciationCostCenter: depValue
-        });
-        // Ajuste CAPEX: sincroniza opções de PEP ao trocar empresa.
-        refreshAllPepDropdowns();
-        return;
-      }
-      applyCompany(companyValue, els);
-      // Ajuste CAPEX: sincroniza opções de PEP ao trocar empresa.
-      refreshAllPepDropdowns();
-    };
+  if (
+    target.classList?.contains('activity-pep-amount') ||
+    target.classList?.contains('activity-start') ||
+    target.classList?.contains('activity-end')
+  ) {
+    rememberFieldPreviousValue(target);
+  }
+}
 
-    const handleCenterChange = (e) => {
-      const companyValue = companyEl.value || '';
-      const centerValue = e.target.value;
-      if (typeof updateCompanyDependentFields === 'function') {
-        const depValue = (document.getElementById('depreciationCostCenter')?.value || '').trim();
-        updateCompanyDependentFields(companyValue, {
-          center: centerValue,
-          location: '',
-          unit: '',
-          depreciationCostCenter: depValue
-        });
-        return;
-      }
-      applyCenter(companyValue, centerValue, els);
-    };
+/**
+ * Ajusta ano do PEP de uma atividade considerando data de início ou ano de aprovação.
+ * @param {HTMLElement|null} activityElement - Container da atividade.
+ * @param {{fallbackYear?:number|null, force?:boolean}} [options={}] - Estratégia de atualização.
+ */
+function updateActivityPepYear(activityElement, options = {}) {
+  if (!activityElement) return;
+  const pepYearInput = activityElement.querySelector('.activity-pep-year');
+  if (!pepYearInput) return;
 
-    companyEl.addEventListener('change', handleCompanyChange);
-    centerEl.addEventListener('change', handleCenterChange);
+  const startValue = activityElement.querySelector('.activity-start')?.value || '';
+  const startYear = startValue ? parseInt(startValue.substring(0, 4), 10) : NaN;
+  const fallbackYear = options.fallbackYear ?? parseNumber(approvalYearInput.value);
+  const resolvedYear = Number.isFinite(startYear) ? startYear : fallbackYear;
 
-    const initCompany = companyEl.value || '';
-    if (initCompany) {
-      if (typeof updateCompanyDependentFields === 'function') {
-        const depValue = (document.getElementById('depreciationCostCenter')?.value || '').trim();
-        updateCompanyDependentFields(initCompany, {
-          center: centerEl.value || '',
-          location: locationEl.value || '',
-          unit: unitEl.value || '',
-          depreciationCostCenter: depValue
-        });
-      } else {
-        applyCompany(initCompany, els);
-        const initCenter = centerEl.value || '';
-        if (initCenter) applyCenter(initCompany, initCenter, els);
-      }
-    }
+  if (options.force || !pepYearInput.value) {
+    pepYearInput.value = resolvedYear ?? '';
   }
+}
 
-  if (!ready()) {
-    const t0 = Date.now();
-    const iv = setInterval(() => {
-      if (ready()) { clearInterval(iv); run(); }
-      else if (Date.now() - t0 > 2000) { clearInterval(iv); console.warn('[cascata] Mapas/DOM não prontos.'); }
-    }, 50);
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => { /* no-op */ }, { once: true });
-    }
-  } else {
-    run();
+/**
+ * Propaga ano padrão para PEPs simples e atividades quando o campo principal muda.
+ */
+function updateSimplePepYears() {
+  const year = parseInt(approvalYearInput.value, 10) || '';
+  simplePepList.querySelectorAll('.pep-year').forEach((input) => {
+    input.value = year;
+  });
+  if (milestoneList) {
+    milestoneList.querySelectorAll('.activity').forEach((activity) => {
+      const startValue = activity.querySelector('.activity-start')?.value;
+      const forceUpdate = !startValue;
+      updateActivityPepYear(activity, { fallbackYear: year || null, force: forceUpdate });
+    });
   }
-})();
+}
 
 /**
- * Atualiza selects dependentes (centro, unidade etc.) conforme empresa escolhida.
- * @param {string} companyValue - Empresa selecionada.
- * @param {{center?:string, unit?:string, location?:string, depreciation?:string, depreciationCostCenter?:string}} [selectedValues={}] - Valores previamente gravados.
+ * Garante ao menos uma linha de PEP simples pronta para preenchimento.
  */
-function updateCompanyDependentFields(companyValue, selectedValues) {
-  const companySelect = document.getElementById('company');
-  const centerSelect = document.getElementById('center');
-  const locationSelect = document.getElementById('location');
-  const unitSelect = document.getElementById('unit');
-  const depreciationFieldElement = document.getElementById('depreciationCostCenter');
+function ensureSimplePepRow() {
+  const row = createSimplePepRow({ year: parseInt(approvalYearInput.value, 10) || '' });
+  simplePepList.append(row);
+  updatePepRemainingDisplays();
+}
 
-  if (!centerSelect && !locationSelect && !unitSelect && !depreciationFieldElement) {
-    return;
+/**
+ * Adiciona bloco de marco padrão e agenda atualização do Gantt.
+ */
+function ensureMilestoneBlock() {
+  const block = createMilestoneBlock();
+  milestoneList.append(block);
+  addActivityBlock(block);
+  queueGanttRefresh();
+}
+
+/**
+ * Normaliza valores de ID para uso consistente em data attributes.
+ * @param {*} value - Valor original informado.
+ * @returns {string} Representação textual segura ou string vazia.
+ */
+function resolveDatasetId(value) {
+  if (value === null || value === undefined) {
+    return '';
   }
+  const stringValue = String(value);
+  return stringValue ? stringValue : '';
+}
 
-  const hasSelectedValues = arguments.length > 1 && selectedValues && typeof selectedValues === 'object';
-  const preserve = hasSelectedValues
-    ? {
-        center: selectedValues.center != null ? String(selectedValues.center) : '',
-        location: selectedValues.location != null ? String(selectedValues.location) : '',
-        unit: selectedValues.unit != null ? String(selectedValues.unit) : '',
-        depreciation: (
-          selectedValues.depreciationCostCenter ?? selectedValues.depreciation ?? ''
-        )?.toString().trim()
-      }
-    : {
-        center: centerSelect?.value || '',
-        location: locationSelect?.value || '',
-        unit: unitSelect?.value || '',
-        depreciation: (depreciationFieldElement?.value ?? '').trim()
-      };
+/**
+ * Cria linha PEP a partir do template aplicando dados já salvos, quando houver.
+ * @param {{id?:string|number,title?:string,amount?:number|string,year?:number|string}} [param0={}] - Dados iniciais.
+ * @returns {HTMLElement} Linha gerada.
+ */
+function createSimplePepRow({ id = '', pepTitle = '', title = '', amount = '', year = '' } = {}) {
+  const fragment = simplePepTemplate.content.cloneNode(true);
+  const row = fragment.querySelector('.pep-row');
+  row.dataset.pepId = resolveDatasetId(id);
+  const select = row.querySelector('.pep-title');
+  // Ajuste CAPEX: garante opções corretas de PEP ao criar linhas simples.
+  populatePepTitleSelect(select, companySelect?.value || '', pepTitle || title || '');
+  row.querySelector('.pep-amount').value = sanitizeNumericInputValue(amount);
+  row.querySelector('.pep-year').value = year ?? '';
+  return row;
+}
 
-  const allRules = typeof resolveCompanyRules === 'function' ? resolveCompanyRules() : {};
-  const companyKey = companyValue != null ? String(companyValue) : (companySelect?.value || '');
-  const rules = allRules?.[companyKey] || {};
+/**
+ * Cria bloco de marco a partir do template e aplica identificadores existentes.
+ * @param {{id?:string|number,title?:string}} [param0={}] - Dados iniciais.
+ * @returns {HTMLElement} Bloco de marco.
+ */
+function createMilestoneBlock({ id = '', title = '' } = {}) {
+  const fragment = milestoneTemplate.content.cloneNode(true);
+  const block = fragment.querySelector('.milestone');
+  block.dataset.milestoneId = resolveDatasetId(id);
+  block.querySelector('.milestone-title').value = title || '';
+  return block;
+}
 
-  const centersSource = rules.centers;
-  const centers = Array.isArray(centersSource)
-    ? centersSource.map((center) => String(center))
-    : centersSource && typeof centersSource === 'object'
-      ? Object.keys(centersSource)
-      : [];
+/**
+ * Cria atividade dentro de um marco, preenchendo campos quando dados são fornecidos.
+ * @param {HTMLElement|null} milestoneElement - Container do marco.
+ * @param {Object} [data={}] - Valores opcionais (id, datas, PEP etc.).
+ * @returns {HTMLElement|null} Atividade recém criada.
+ */
+function addActivityBlock(milestoneElement, data = {}) {
+  if (!milestoneElement) return null;
+  const fragment = activityTemplate.content.cloneNode(true);
+  const activity = fragment.querySelector('.activity');
+  ensureActivityRowClasses(activity);
+  const startInput = activity.querySelector('.activity-start');
+  const endInput = activity.querySelector('.activity-end');
+  const amountInput = activity.querySelector('.activity-pep-amount');
+  const amountPreview = activity.querySelector('[data-currency-preview]');
+  const pepTitleInput = activity.querySelector('.activity-pep-title');
+  const pepYearInput = activity.querySelector('.activity-pep-year');
 
-  populateSelectOptions(centerSelect, centers, preserve.center);
+  const resolvedMilestoneId = resolveDatasetId(
+    data.milestoneId ?? milestoneElement.dataset?.milestoneId ?? ''
+  );
+  activity.dataset.activityId = resolveDatasetId(data.id);
+  activity.dataset.pepId = resolveDatasetId(data.pepId);
+  activity.dataset.milestoneId = resolvedMilestoneId;
 
-  const activeCenter = centerSelect?.value || '';
-  let locations = [];
-  let units = [];
+  activity.querySelector('.activity-title').value = data.title || '';
+  if (amountInput) {
+    amountInput.type = 'text';
+    amountInput.setAttribute('inputmode', 'decimal');
+    amountInput.value = sanitizeNumericInputValue(data.pepAmount);
+    if (amountPreview) {
+      attachCurrencyPreview(amountInput, amountPreview);
+    }
+  }
+  if (startInput) {
+    startInput.value = data.start ? data.start.substring(0, 10) : '';
+  }
+  if (endInput) {
+    endInput.value = data.end ? data.end.substring(0, 10) : '';
+  }
+  activity.querySelector('.activity-supplier').value = data.supplier || '';
+  activity.querySelector('.activity-description').value = data.description || '';
+  if (pepTitleInput) {
+    // Ajuste CAPEX: repopula select de PEP conforme empresa ao montar atividade.
+    populatePepTitleSelect(pepTitleInput, companySelect?.value || '', data?.pepTitle || '');
+  }
+  if (pepYearInput) {
+    const startYear = startInput?.value ? parseInt(startInput.value.substring(0, 4), 10) : null;
+    const fallbackYear = parseNumber(approvalYearInput.value) || null;
+    const resolvedYear = data.pepYear ?? (Number.isFinite(startYear) ? startYear : null) ?? fallbackYear;
+    pepYearInput.value = resolvedYear ?? '';
+  }
 
-  if (Array.isArray(rules.locations)) {
-    locations = rules.locations.map((location) => String(location));
-  } else if (centersSource && typeof centersSource === 'object') {
-    const centerRule = centersSource[activeCenter];
-    locations = Array.isArray(centerRule?.locations)
-      ? centerRule.locations.map((location) => String(location))
-      : [];
-    units = Array.isArray(centerRule?.units)
-      ? centerRule.units.map((unit) => String(unit))
-      : [];
+  milestoneElement.querySelector('.activity-list').append(activity);
+  if (!data.pepYear) {
+    updateActivityPepYear(activity);
   }
+  validateDateRange(startInput, endInput);
+  queueGanttRefresh();
+  updatePepRemainingDisplays();
+  return activity;
+}
 
-  if (Array.isArray(rules.units) && units.length === 0) {
-    units = rules.units.map((unit) => String(unit));
+// ============================================================================
+// Envio do formulário e persistência (CRUD)
+// ============================================================================
+/**
+ * Trata submissão do formulário executando persistência no SharePoint e anexos JSON.
+ * @param {Event} event - Evento submit interceptado.
+ */
+async function handleFormSubmit(event) {
+  event.preventDefault();
+  const mode = projectForm.dataset.mode;
+  const projectId = projectForm.dataset.projectId;
+  const submitIntent = projectForm.dataset.submitIntent || 'save';
+  const isApproval = submitIntent === 'approval';
+
+  document.querySelectorAll('.activity-pep-amount').forEach((inp) => {
+    inp.value = sanitizeNumericInputValue(inp.value);
+    refreshCurrencyPreview(inp);
+  });
+
+  const validation = runFormValidations({ scrollOnError: true, focusFirstError: true });
+  if (!validation.valid) {
+    return;
   }
 
-  populateSelectOptions(locationSelect, locations, preserve.location);
-  populateSelectOptions(unitSelect, units, preserve.unit);
+  const normalizedStatus = isApproval
+    ? PROJECT_STATUSES.IN_APPROVAL
+    : PROJECT_STATUSES.DRAFT;
 
-  // --- Depreciação: suporta SELECT ou INPUT ---
-  const depreciationField = document.getElementById('depreciationCostCenter');
-  const preservedDep = (
-    (selectedValues && (selectedValues.depreciationCostCenter ?? selectedValues.depreciation)) ??
-    depreciationField?.value ??
-    ''
-  ).trim();
+  const payload = collectProjectData();
+  payload.status = normalizedStatus;
+  const sharePointProjectPayload = buildProjectSharePointPayload(payload);
+  // Na submissão o projeto entra na primeira etapa da cadeia definida pelo nível de investimento
+  const approvalStart = isApproval ? buildApprovalStartPayload(payload.investmentLevel) : {};
 
-  // Se houver regras de depreciação por empresa e o campo for SELECT, ainda permita popular.
-  const depreciationList = Array.isArray(rules?.depreciation)
-    ? rules.depreciation.map(String)
-    : [];
+  const simplePeps = collectSimplePepDataForSummary();
+  const milestones = collectMilestonesForSummary();
+  const activities = collectActivitiesForSummary(milestones);
+  const pepList = collectPepEntriesForSummary(simplePeps, activities);
 
-  // Caso SELECT: popula como antes + opção legada se preciso
-  if (depreciationField && depreciationField.tagName === 'SELECT') {
-    populateSelectOptions(depreciationField, depreciationList, preservedDep);
+  scrollFormToTop();
 
-    if (preservedDep && !depreciationList.includes(preservedDep)) {
-      const legacyOption = document.createElement('option');
-      legacyOption.value = preservedDep;
-      legacyOption.textContent = preservedDep + ' (existente)';
-      legacyOption.dataset.legacy = 'true';
-      depreciationField.appendChild(legacyOption);
-      depreciationField.value = preservedDep;
-    }
-  } else if (depreciationField) {
-    // Caso INPUT: apenas preservar/escrever
-    if (preservedDep) depreciationField.value = preservedDep;
-    if (!depreciationField.placeholder) depreciationField.placeholder = 'Ex.: CC-01';
+  try {
+    validateBudgetDistribution(payload, pepList);
+  } catch (validationError) {
+    console.error('Erro na distribuição do orçamento do projeto', validationError);
+    showStatus(validationError.message, { type: 'error' });
+    projectForm.dataset.submitIntent = 'save';
+    return;
   }
-}
 
-function isValidSelection({ company, center, location, unit }) {
-  const rules = resolveCompanyRules();
-  const companyRule = rules?.[company];
-  if (!companyRule) return false;
-  const centerRule = companyRule.centers?.[center];
-  if (!centerRule) return false;
+  statusField.value = normalizedStatus;
+  showStatus(isApproval ? 'Enviando para aprovação…' : 'Salvando…', { type: 'info' });
 
-  const locations = safeArray(centerRule.locations);
-  const units = safeArray(centerRule.units);
+  let resolvedId = Number(projectId) || null;
 
-  const locationOk = locations.length === 0 ? !location : locations.includes(location);
-  if (!locationOk) return false;
+  // Snapshot carregado antes da edição: base para restaurar itens caso o salvamento falhe no meio
+  const detailSnapshot =
+    mode !== 'create' && Number(state.currentDetails?.project?.Id) === resolvedId ? state.currentDetails : null;
+  const unitOfWork = new SaveUnitOfWork(sp, detailSnapshot, { onEtag: rememberItemEtag });
+  const editingSnapshotBackup = cloneEditingSnapshot(state.editingSnapshot);
 
-  const unitOk = units.length === 0 ? !unit : units.includes(unit);
-  return unitOk;
-}
+  try {
+    let savedProjectId = projectId;
+    if (mode === 'create') {
+      const result = await unitOfWork.createItem('Projects', sharePointProjectPayload);
+      savedProjectId = result?.Id;
+      rememberItemEtag('Projects', result?.Id, result?.__metadata?.etag);
+    } else {
+      const { etag } = await unitOfWork.updateItem('Projects', Number(projectId), sharePointProjectPayload, {
+        etag: getItemEtag('Projects', projectId)
+      });
+      rememberItemEtag('Projects', projectId, etag);
+    }
 
-const form = document.querySelector('form#projectForm');
-if (form) {
-  form.addEventListener('submit', (ev) => {
-    const sels = {
-      company:  document.getElementById('company')?.value || '',
-      center:   document.getElementById('center')?.value || '',
-      location: document.getElementById('location')?.value || '',
-      unit:     document.getElementById('unit')?.value || '',
-    };
-    if (!isValidSelection(sels)) {
-      ev.preventDefault();
-      alert('Seleção inválida: verifique Empresa, Centro, Localização e Unidade.');
+    resolvedId = Number(savedProjectId || projectId);
+    if (!Number.isFinite(resolvedId)) {
+      throw new Error('ID do projeto inválido após salvar.');
     }
-  });
-}
 
-// ============================================================================
-// Formulário: abertura, preenchimento e coleta dos dados
-/**
- * Alterna habilitação dos controles do formulário respeitando estados originais.
- * @param {boolean} disabled - Indica se campos devem ser bloqueados.
- */
-function setFormFieldsDisabled(disabled) {
-  if (!projectForm) return;
-  const elements = projectForm.querySelectorAll('input, textarea, select, button');
+    await persistRelatedRecords(resolvedId, payload, unitOfWork);
 
-  elements.forEach((element) => {
-    if (!element) return;
-    if (element.id === 'closeFormBtn') return;
-    if (element.closest('.form-summary')) return;
+    if (isApproval) {
+      // Cada submissão gera um novo anexo numerado; versões anteriores são preservadas para histórico
+      const version = mode === 'create' ? 1 : await getNextSummaryVersion(resolvedId);
+      const submittedAt = new Date();
+      const submittedBy = describeSubmitter();
+      const approvalSummary = {
+        ...buildApprovalSummary(resolvedId, payload),
+        submission: { version, submittedAt: submittedAt.toISOString(), submittedBy }
+      };
+      const jsonContent = JSON.stringify(approvalSummary, null, 2);
+      const jsonBlob = new Blob([jsonContent], { type: 'application/json' });
 
-    if (disabled) {
-      if (!Object.prototype.hasOwnProperty.call(element.dataset, 'readonlyOriginalDisabled')) {
-        element.dataset.readonlyOriginalDisabled = element.disabled ? 'true' : 'false';
-      }
-      element.disabled = true;
-      element.setAttribute('aria-disabled', 'true');
-    } else {
-      if (!Object.prototype.hasOwnProperty.call(element.dataset, 'readonlyOriginalDisabled')) {
-        if (element.disabled) {
-          element.setAttribute('aria-disabled', 'true');
-        } else {
-          element.removeAttribute('aria-disabled');
-        }
-        return;
-      }
-      const original = element.dataset.readonlyOriginalDisabled;
-      if (original === 'true') {
-        element.disabled = true;
-        element.setAttribute('aria-disabled', 'true');
-      } else {
-        element.disabled = false;
-        element.removeAttribute('aria-disabled');
-      }
-      if (original !== undefined) {
-        delete element.dataset.readonlyOriginalDisabled;
-      }
-      if (element.disabled) {
-        element.setAttribute('aria-disabled', 'true');
-      }
+      // O anexo incrementa a versão do projeto; o ETag só é relido se ninguém o alterou após a atualização acima
+      await runAttachmentChange(
+        'Projects',
+        resolvedId,
+        () => unitOfWork.addAttachment(
+          'Projects',
+          resolvedId,
+          buildSummaryVersionFileName(resolvedId, version, submittedAt, submittedBy.displayName || submittedBy.email),
+          jsonBlob
+        ),
+        { requireUnchanged: true }
+      );
+
+      const { etag } = await unitOfWork.updateItem('Projects', resolvedId, approvalStart, {
+        etag: getItemEtag('Projects', resolvedId)
+      });
+      rememberItemEtag('Projects', resolvedId, etag);
     }
-  });
-}
 
-/**
- * Aplica modo de formulário (edição ou leitura) ajustando visibilidade de seções.
- * @param {'edit'|'readonly'} mode - Modo desejado.
- * @param {{showApprovalButton?:boolean, refreshSummary?:boolean}} [options={}] - Ajustes complementares.
- */
-function setFormMode(mode, options = {}) {
-  if (!projectForm) return;
-  const { showApprovalButton = false, refreshSummary = false } = options;
-  const targetMode = mode === 'readonly' ? 'readonly' : 'edit';
-  const modeChanged = currentFormMode !== targetMode;
-  currentFormMode = targetMode;
+    // O registro de auditoria faz parte do salvamento: se não puder ser gravado, tudo é desfeito
+    await unitOfWork.createItem(
+      'AuditLog',
+      buildAuditEntry(resolvedId, isApproval ? 'submit' : mode === 'create' ? 'create' : 'save', {
+        before: mode === 'create' ? null : detailSnapshot ? buildDetailSummary(detailSnapshot) : undefined,
+        after: buildApprovalSummary(resolvedId, { ...payload, ...approvalStart }),
+        statusFrom: detailSnapshot?.project?.status || '',
+        statusTo: payload.status
+      })
+    );
 
-  if (targetMode === 'readonly') {
-    if (modeChanged) {
-      projectForm.classList.add('project-form--readonly');
-      setFormFieldsDisabled(true);
-      if (formSummaryView) {
-        formSummaryView.classList.remove('hidden');
-      }
-      if (formActions) {
-        formActions.classList.add('hidden');
-      }
-      if (saveProjectBtn) {
-        saveProjectBtn.classList.add('hidden');
-      }
-      if (submitForApprovalBtn) {
-        submitForApprovalBtn.classList.add('hidden');
+    unitOfWork.commit();
+
+    if (resolvedId) {
+      updateProjectState(resolvedId, {
+        Title: payload.Title,
+        status: payload.status,
+        ...approvalStart,
+        budgetBrl: payload.budgetBrl,
+        investmentLevel: payload.investmentLevel,
+        roceGain: payload.roceGain,
+        roceLoss: payload.roceLoss,
+        roceGainDescription: payload.roceGainDescription,
+        roceLossDescription: payload.roceLossDescription,
+        roceClassification: payload.roceClassification
+      });
+      if (state.currentDetails?.project?.Id === resolvedId) {
+        state.currentDetails = {
+          ...state.currentDetails,
+          project: {
+            ...state.currentDetails.project,
+            Title: payload.Title,
+            status: payload.status,
+            ...approvalStart,
+            budgetBrl: payload.budgetBrl,
+            investmentLevel: payload.investmentLevel,
+            roceGain: payload.roceGain,
+            roceLoss: payload.roceLoss,
+            roceGainDescription: payload.roceGainDescription,
+            roceLossDescription: payload.roceLossDescription,
+            roceClassification: payload.roceClassification
+          }
+        };
+        renderProjectDetails(state.currentDetails);
       }
     }
 
-    if (formSummaryView && (modeChanged || refreshSummary)) {
-      populateSummaryContent({ context: formSummaryContext, refreshGantt: true });
+    const successMessage = isApproval
+      ? 'Projeto enviado para aprovação!'
+      : 'Projeto salvo com sucesso!';
+    showStatus(successMessage, { type: 'success' });
+    await loadProjects();
+    loadApprovalInbox();
+    if (resolvedId) {
+      await selectProject(resolvedId);
     }
-  } else {
-    if (modeChanged) {
-      projectForm.classList.remove('project-form--readonly');
-      setFormFieldsDisabled(false);
-      if (formSummaryView) {
-        formSummaryView.classList.add('hidden');
-        clearSummaryContent(formSummaryContext);
+    closeForm();
+  } catch (error) {
+    console.error('Erro ao salvar projeto', error);
+
+    let rollbackFailures = [];
+    if (!unitOfWork.committed) {
+      // Desfaz todas as escritas já confirmadas para não deixar o projeto em estado parcial
+      ({ failures: rollbackFailures } = await unitOfWork.rollback());
+      state.editingSnapshot = {
+        ...unitOfWork.remapEditingSnapshot(editingSnapshotBackup),
+        etags: state.editingSnapshot.etags
+      };
+
+      const previousStatus = detailSnapshot?.project?.status || PROJECT_STATUSES.DRAFT;
+      if (mode !== 'create' && Number.isFinite(resolvedId)) {
+        updateProjectState(resolvedId, { status: previousStatus });
+        if (state.currentDetails?.project?.Id === resolvedId) {
+          state.currentDetails = {
+            ...state.currentDetails,
+            project: {
+              ...state.currentDetails.project,
+              status: previousStatus
+            }
+          };
+          renderProjectDetails(state.currentDetails);
+        }
       }
+      statusField.value = previousStatus;
     }
 
-    if (formActions) {
-      formActions.classList.remove('hidden');
-    }
-    if (saveProjectBtn) {
-      saveProjectBtn.classList.remove('hidden');
-    }
-    if (submitForApprovalBtn) {
-      submitForApprovalBtn.classList.toggle('hidden', !showApprovalButton);
+    if (!unitOfWork.committed && sp.isConcurrencyConflict(error) && Number.isFinite(resolvedId)) {
+      showStatus('Conflito de edição: o projeto foi alterado por outra pessoa.', { type: 'warning' });
+      await openConflictOverlay(resolvedId, {
+        intent: submitIntent,
+        localProject: payload,
+        activities,
+        peps: pepList
+      });
+      return;
     }
+
+    scrollFormToTop();
+    const statusMessage = isApproval
+      ? 'Não foi possível enviar para aprovação. Verifique os erros abaixo.'
+      : 'Não foi possível salvar. Verifique os erros abaixo.';
+    showStatus(statusMessage, { type: 'error' });
+    renderErrorSummary(
+      [
+        {
+          title: isApproval ? 'Erro ao enviar para aprovação' : 'Erro ao salvar',
+          items: [
+            isApproval
+              ? 'Não foi possível concluir o envio para aprovação. Verifique os dados, tente novamente ou contate o suporte.'
+              : 'Não foi possível salvar o projeto. Verifique os dados e tente novamente.',
+            ...(rollbackFailures.length
+              ? [
+                  `${rollbackFailures.length} alteração(ões) não puderam ser desfeitas automaticamente. Confira marcos, atividades e PEPs do projeto antes de tentar novamente.`
+                ]
+              : [])
+          ],
+          type: 'general'
+        }
+      ],
+      { tone: 'error', title: statusMessage }
+    );
+  } finally {
+    projectForm.dataset.submitIntent = 'save';
   }
 }
 
+// ============================================================================
+// Conflitos de edição (concorrência otimista via ETag)
+// ============================================================================
 /**
- * Ajusta fluxo de exibição com base no status do projeto (ex.: somente leitura quando aprovado).
- * @param {ProjectStatus|string} status - Status em avaliação.
+ * Campos do projeto comparados no overlay de conflito e entre versões do resumo, com os rótulos usados no resumo.
  */
-function applyStatusBehavior(status) {
-  const statusKey = normalizeStatusKey(status);
-  if (isReadOnlyStatus(statusKey)) {
-    if (formTitle) {
-      formTitle.textContent = 'Resumo do Projeto';
-    }
-    setFormMode('readonly', { refreshSummary: true });
-    if (projectForm) {
-      projectForm.dataset.submitIntent = 'save';
+const PROJECT_FIELD_LABELS = Object.freeze({
+  Title: 'Nome do Projeto',
+  status: 'Status',
+  budgetBrl: 'Orçamento do Projeto',
+  approvalYear: 'Ano de Aprovação',
+  startDate: 'Data de Início',
+  endDate: 'Data de Término',
+  fundingSource: 'Origem da Verba',
+  projectFunction: 'Função do Projeto',
+  investmentType: 'Tipo de Investimento',
+  assetType: 'Tipo de Ativo',
+  company: 'Empresa',
+  center: 'Centro',
+  unit: 'Unidade',
+  location: 'Local de Implantação',
+  depreciationCostCenter: 'C. Custo Depreciação',
+  category: 'Categoria',
+  projectUser: 'Usuário do Projeto',
+  projectLeader: 'Líder do Projeto',
+  businessNeed: 'Necessidade do Negócio',
+  proposedSolution: 'Solução da Proposta',
+  kpiType: 'Tipo de KPI',
+  kpiName: 'Nome do KPI',
+  kpiCurrent: 'KPI Atual',
+  kpiExpected: 'KPI Esperado',
+  kpiDescription: 'Descrição do KPI',
+  roceGain: 'Ganho ROCE',
+  roceLoss: 'Perda ROCE',
+  roceGainDescription: 'Descrição do ganho',
+  roceLossDescription: 'Descrição da perda'
+});
+
+let pendingConflict = null;
+
+/**
+ * Normaliza valores de campos do projeto para comparação e exibição (conflito e versões do resumo).
+ * @param {string} field - Nome interno do campo.
+ * @param {*} value - Valor bruto (formulário, SharePoint ou resumo anexado).
+ * @returns {string} Texto exibido; '—' quando vazio.
+ */
+function formatProjectFieldValue(field, value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return '—';
+  }
+  if (field === 'startDate' || field === 'endDate') {
+    return formatDateValue(String(value).substring(0, 10));
+  }
+  if (field === 'budgetBrl' || field === 'roceGain' || field === 'roceLoss') {
+    const number = coerceNumericValue(value);
+    return Number.isFinite(number) ? BRL.format(number) : String(value);
+  }
+  return String(value).trim();
+}
+
+/**
+ * Descreve PEPs em linhas ordenadas (título, valor e ano) para comparação.
+ * @param {Array<{title?:string, Title?:string, amountBrl?:*, year?:*}>} peps - PEPs do formulário ou do SharePoint.
+ * @returns {string} Linhas ordenadas ou '—'.
+ */
+function describeConflictPeps(peps) {
+  const lines = safeArray(peps).map((pep) => {
+    const title = pep.title ?? pep.Title ?? '';
+    const amount = coerceNumericValue(pep.amountBrl);
+    return `${title || 'Sem título'} · ${BRL.format(Number.isFinite(amount) ? amount : 0)} · ${pep.year || '—'}`;
+  });
+  return lines.length ? lines.sort().join('\n') : '—';
+}
+
+/**
+ * Descreve atividades em linhas ordenadas (título e período) para comparação.
+ * @param {Array<{title?:string, Title?:string, startDate?:string, endDate?:string}>} activities - Atividades.
+ * @returns {string} Linhas ordenadas ou '—'.
+ */
+function describeConflictActivities(activities) {
+  const lines = safeArray(activities).map((activity) => {
+    const title = activity.title ?? activity.Title ?? '';
+    const start = formatDateValue(activity.startDate ? String(activity.startDate).substring(0, 10) : '');
+    const end = formatDateValue(activity.endDate ? String(activity.endDate).substring(0, 10) : '');
+    return `${title || 'Sem título'} · ${start} a ${end}`;
+  });
+  return lines.length ? lines.sort().join('\n') : '—';
+}
+
+/**
+ * Monta as linhas de comparação entre a versão do formulário e a versão atual do SharePoint.
+ * @param {{localProject:Project, activities:Activity[], peps:Pep[]}} local - Dados coletados no envio.
+ * @param {{project:Project, activities:Array, peps:Array}} server - Detalhes recém-carregados.
+ * @returns {Array<{label:string, local:string, server:string, changed:boolean}>} Linhas da tabela.
+ */
+function buildConflictRows(local, server) {
+  const rows = Object.entries(PROJECT_FIELD_LABELS).map(([field, label]) => {
+    const localValue = formatProjectFieldValue(field, local.localProject?.[field]);
+    const serverValue = formatProjectFieldValue(field, server.project?.[field]);
+    return { label, local: localValue, server: serverValue, changed: localValue !== serverValue };
+  });
+
+  const related = [
+    {
+      label: 'Atividades',
+      local: describeConflictActivities(local.activities),
+      server: describeConflictActivities(server.activities)
+    },
+    {
+      label: 'PEPs',
+      local: describeConflictPeps(local.peps),
+      server: describeConflictPeps(server.peps)
     }
+  ];
+  related.forEach((row) => rows.push({ ...row, changed: row.local !== row.server }));
+
+  return rows;
+}
+
+/**
+ * Renderiza a tabela de diferenças do conflito; campos iguais são omitidos.
+ * @param {Array<{label:string, local:string, server:string, changed:boolean}>} rows - Linhas de comparação.
+ */
+function renderConflictDiff(rows) {
+  if (!conflictDiff) return;
+  conflictDiff.innerHTML = '';
+
+  const changedRows = rows.filter((row) => row.changed);
+  if (!changedRows.length) {
+    const empty = document.createElement('p');
+    empty.className = 'conflict-empty';
+    empty.textContent =
+      'Os dados visíveis são iguais; a alteração concorrente afetou apenas campos internos do projeto.';
+    conflictDiff.append(empty);
     return;
   }
 
-  const showApprovalButton = canSubmitForApproval(statusKey);
-  setFormMode('edit', { showApprovalButton });
-  if (projectForm) {
-    projectForm.dataset.submitIntent = 'save';
-  }
+  const table = document.createElement('table');
+  table.className = 'summary-table conflict-table';
+  const thead = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  ['Campo', 'Sua versão', 'Versão atual no SharePoint'].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.append(th);
+  });
+  thead.append(headRow);
+
+  const tbody = document.createElement('tbody');
+  changedRows.forEach((row) => {
+    const tr = document.createElement('tr');
+    tr.className = 'conflict-row--changed';
+    [row.label, row.local, row.server].forEach((text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.append(td);
+    });
+    tbody.append(tr);
+  });
+
+  table.append(thead, tbody);
+  conflictDiff.append(table);
 }
 
-// ============================================================================
 /**
- * Prepara overlay para criação/edição populando campos e aplicando regras iniciais.
- * @param {'create'|'edit'} mode - Contexto do formulário.
- * @param {{project?: Project}} [detail=null] - Dados carregados quando em edição.
+ * Abre o overlay de conflito após um 412, carregando a versão atual do projeto para comparação.
+ * @param {number} projectId - Projeto em conflito.
+ * @param {{intent:string, localProject:Project, activities:Activity[], peps:Pep[]}} local
+ *   - Dados do formulário no momento do envio.
  */
-function openProjectForm(mode, detail = null) {
-  projectForm.reset();
-  refreshCurrencyPreview(projectBudgetInput);
-  refreshCurrencyPreview(roceGainInput);
-  refreshCurrencyPreview(roceLossInput);
-  refreshCommentFeedback();
-  resetFormStatus();
-  resetValidationState();
-  projectForm.dataset.mode = mode;
-  projectForm.dataset.projectId = detail?.project?.Id || '';
-  projectForm.dataset.submitIntent = 'save';
+async function openConflictOverlay(projectId, local) {
+  if (!conflictOverlay) return;
 
-  currentFormMode = null;
-  setFormMode('edit', { showApprovalButton: true });
+  let serverDetail;
+  try {
+    serverDetail = await fetchProjectDetail(projectId);
+  } catch (error) {
+    console.error('Erro ao carregar versão atual do projeto em conflito', error);
+    const message = error?.status === 404
+      ? 'O projeto foi excluído por outra pessoa e não pode ser salvo.'
+      : 'O projeto foi alterado por outra pessoa e não foi possível carregar a versão atual.';
+    showStatus(message, { type: 'error' });
+    return;
+  }
 
-  updateInvestmentLevelField();
+  pendingConflict = { projectId, intent: local.intent, serverDetail };
 
-  if (companySelect) {
-    companySelect.value = '';
+  if (conflictSubtitle) {
+    const modified = serverDetail.project?.Modified
+      ? ` (última alteração em ${DATE_FMT.format(new Date(serverDetail.project.Modified))})`
+      : '';
+    conflictSubtitle.textContent =
+      `Este projeto foi alterado por outra pessoa desde que você abriu o formulário${modified}. ` +
+      'Nenhuma das suas alterações foi gravada.';
   }
-  updateCompanyDependentFields('');
-
-  state.editingSnapshot = {
-    simplePeps: new Set(),
-    milestones: new Set(),
-    activities: new Set(),
-    activityPeps: new Set()
-  };
+  renderConflictDiff(buildConflictRows(local, serverDetail));
 
-  simplePepList.innerHTML = '';
-  milestoneList.innerHTML = '';
+  conflictOverlay.classList.remove('hidden');
+  conflictOverlay.scrollTop = 0;
+  (conflictTitle || conflictOverlay).focus();
+}
 
-  if (mode === 'create') {
-    formTitle.textContent = 'Novo Projeto';
-    statusField.value = PROJECT_STATUSES.DRAFT;
-    setApprovalYearToCurrent();
-    updateBudgetSections({ clear: true });
-  } else if (detail) {
-    fillFormWithProject(detail);
+/**
+ * Fecha o overlay de conflito mantendo o formulário como está.
+ */
+function closeConflictOverlay() {
+  if (!conflictOverlay) return;
+  conflictOverlay.classList.add('hidden');
+  if (conflictDiff) {
+    conflictDiff.innerHTML = '';
   }
+  pendingConflict = null;
+}
 
-  const statusKey = detail?.project?.status || statusField.value || PROJECT_STATUSES.DRAFT;
-  applyStatusBehavior(statusKey);
-
-  updateSimplePepYears();
-  // Ajuste CAPEX: assegura selects de PEP consistentes após abrir o formulário.
-  refreshAllPepDropdowns();
-  overlay.classList.remove('hidden');
-  queueGanttRefresh();
-  validateAllDateRanges();
-  updateRoceMetrics();
+/**
+ * Descarta a edição local e reabre o formulário com a versão atual do SharePoint.
+ */
+async function handleConflictReload() {
+  if (!pendingConflict) return;
+  const { projectId } = pendingConflict;
+  closeConflictOverlay();
+  closeForm();
+  await selectProject(projectId);
+  if (Number(state.currentDetails?.project?.Id) === Number(projectId)) {
+    openProjectForm('edit', state.currentDetails);
+  }
 }
 
 /**
- * Preenche o formulário com dados existentes de um projeto selecionado para edição.
- * @param {{project: Project, simplePeps:Array, milestones:Array, activities:Array, activityPeps:Array}} detail - Pacote de dados relacionado ao projeto.
+ * Adota os ETags e IDs atuais do SharePoint mantendo os dados do formulário, e reenvia.
+ * Itens removidos por outra pessoa voltam a ser criados; itens adicionados por ela e ausentes no formulário são excluídos.
  */
-function fillFormWithProject(detail) {
-  const { project, simplePeps, milestones, activities, activityPeps } = detail;
-  formTitle.textContent = `Editar Projeto #${project.Id}`;
-  statusField.value = project.status || PROJECT_STATUSES.DRAFT;
+function handleConflictOverwrite() {
+  if (!pendingConflict) return;
+  const { intent, serverDetail } = pendingConflict;
+  closeConflictOverlay();
 
-  document.getElementById('projectName').value = project.Title || '';
-  document.getElementById('category').value = project.category || '';
-  document.getElementById('investmentType').value = project.investmentType || '';
-  document.getElementById('assetType').value = project.assetType || '';
-  document.getElementById('projectFunction').value = project.projectFunction || '';
+  const idsOf = (items) => new Set(safeArray(items).map((item) => Number(item.Id)));
+  const serverMilestones = idsOf(serverDetail.milestones);
+  const serverActivities = idsOf(serverDetail.activities);
+  const serverPeps = idsOf(serverDetail.peps);
 
-  document.getElementById('approvalYear').value = project.approvalYear || '';
-  document.getElementById('startDate').value = project.startDate ? project.startDate.substring(0, 10) : '';
-  document.getElementById('endDate').value = project.endDate ? project.endDate.substring(0, 10) : '';
+  state.editingSnapshot = {
+    simplePeps: idsOf(serverDetail.simplePeps),
+    milestones: serverMilestones,
+    activities: serverActivities,
+    activityPeps: idsOf(serverDetail.activityPeps),
+    etags: new Map()
+  };
+  rememberDetailEtags(serverDetail);
 
-  document.getElementById('projectBudget').value = sanitizeNumericInputValue(project.budgetBrl);
-  refreshCurrencyPreview(projectBudgetInput);
-  updateInvestmentLevelField();
-  document.getElementById('fundingSource').value = project.fundingSource || '';
-  const selectedCompany = project.company || '';
-  if (companySelect) {
-    companySelect.value = selectedCompany;
-  }
-  updateCompanyDependentFields(selectedCompany, {
-    center: project.center || '',
-    unit: project.unit || '',
-    location: project.location || '',
-    depreciationCostCenter: project.depreciationCostCenter || ''
+  const clearMissing = (element, datasetKey, serverIds) => {
+    const id = element.dataset[datasetKey];
+    if (id && !serverIds.has(Number(id))) {
+      element.dataset[datasetKey] = '';
+    }
+  };
+  simplePepList.querySelectorAll('.pep-row').forEach((row) => clearMissing(row, 'pepId', serverPeps));
+  milestoneList.querySelectorAll('.milestone').forEach((milestone) => {
+    clearMissing(milestone, 'milestoneId', serverMilestones);
+  });
+  milestoneList.querySelectorAll('.activity').forEach((activity) => {
+    clearMissing(activity, 'activityId', serverActivities);
+    clearMissing(activity, 'pepId', serverPeps);
   });
 
-  document.getElementById('projectUser').value = project.projectUser || '';
-  document.getElementById('projectLeader').value = project.projectLeader || '';
+  projectForm.dataset.submitIntent = intent || 'save';
+  projectForm.requestSubmit();
+}
 
-  document.getElementById('businessNeed').value = project.businessNeed || '';
-  document.getElementById('proposedSolution').value = project.proposedSolution || '';
-  refreshCommentFeedback();
+/**
+ * Extrai dados do formulário para montar payload a ser enviado à lista Projects.
+ * @returns {Project} Objeto com campos normalizados.
+ */
+function collectProjectData() {
+  const budgetValue = getProjectBudgetValue();
+  const budgetBrl = Number.isFinite(budgetValue) ? budgetValue : 0;
+  const investmentLevelValue = determineInvestmentLevel(budgetValue);
 
-  document.getElementById('kpiType').value = project.kpiType || '';
-  document.getElementById('kpiName').value = project.kpiName || '';
-  document.getElementById('kpiDescription').value = project.kpiDescription || '';
-  document.getElementById('kpiCurrent').value = project.kpiCurrent ?? '';
-  document.getElementById('kpiExpected').value = project.kpiExpected ?? '';
+  const depField = document.getElementById('depreciationCostCenter');
+  const depreciationValue = depField?.value || '';
 
-  if (roceGainInput) {
-    const gainValue = sanitizeNumericInputValue(project.roceGain);
-    roceGainInput.value = gainValue !== '' ? gainValue : '0';
-    refreshCurrencyPreview(roceGainInput);
-  }
+  const roceGainValue = readNumericValue(roceGainInput);
+  const roceLossValue = readNumericValue(roceLossInput);
+  const roceGainDescription = (roceGainDescriptionField?.value || '').trim();
+  const roceLossDescription = (roceLossDescriptionField?.value || '').trim();
 
-  if (roceLossInput) {
-    const lossValue = sanitizeNumericInputValue(project.roceLoss);
-    roceLossInput.value = lossValue !== '' ? lossValue : '0';
-    refreshCurrencyPreview(roceLossInput);
-  }
+  const normalizedRoceGain = Number.isFinite(roceGainValue) ? roceGainValue : 0;
+  const normalizedRoceLoss = Number.isFinite(roceLossValue) ? roceLossValue : 0;
 
-  if (roceGainDescriptionField) {
-    roceGainDescriptionField.value = project.roceGainDescription || '';
-  }
+  const roceMetrics = computeRoceMetrics({
+    gain: normalizedRoceGain,
+    loss: normalizedRoceLoss,
+    budget: budgetBrl
+  });
 
-  if (roceLossDescriptionField) {
-    roceLossDescriptionField.value = project.roceLossDescription || '';
+  const roceClassification = resolveRoceClassificationLabel(roceMetrics);
+  if (roceClassificationField) {
+    roceClassificationField.value = roceClassification;
   }
 
-  if (roceClassificationField && project.roceClassification) {
-    roceClassificationField.value = project.roceClassification;
-  }
+  const data = {
+    Title: document.getElementById('projectName').value.trim(),
+    category: document.getElementById('category').value.trim(),
+    investmentType: document.getElementById('investmentType').value.trim(),
+    assetType: document.getElementById('assetType').value.trim(),
+    projectFunction: document.getElementById('projectFunction').value.trim(),
+    approvalYear: String(document.getElementById('approvalYear').value), // ← muda para string
+    startDate: document.getElementById('startDate').value || null,
+    endDate: document.getElementById('endDate').value || null,
+    budgetBrl,
+    investmentLevel: investmentLevelValue,
+    fundingSource: document.getElementById('fundingSource').value.trim(),
+    depreciationCostCenter: depreciationValue,
+    company: document.getElementById('company').value.trim(),
+    center: document.getElementById('center').value.trim(),
+    unit: document.getElementById('unit').value.trim(),
+    location: document.getElementById('location').value.trim(),
+    projectUser: document.getElementById('projectUser').value.trim(),
+    projectLeader: document.getElementById('projectLeader').value.trim(),
+    businessNeed: document.getElementById('businessNeed').value.trim(),
+    proposedSolution: document.getElementById('proposedSolution').value.trim(),
+    kpiType: document.getElementById('kpiType').value.trim(),
+    kpiName: document.getElementById('kpiName').value.trim(),
+    kpiDescription: document.getElementById('kpiDescription').value.trim(),
+    kpiCurrent: document.getElementById('kpiCurrent').value.trim(),
+    kpiExpected: document.getElementById('kpiExpected').value.trim(),
 
-  updateBudgetSections({ preserve: true });
-  updateRoceMetrics();
+    // 🆕 Correções ROCE
+    roceGain: String(normalizedRoceGain ?? ''),
+    roceGainDescription,
+    roceLoss: String(normalizedRoceLoss ?? ''),
+    roceLossDescription,
+    roceClassification: String(roceClassification ?? '')
+  };
 
-  if (project.budgetBrl < BUDGET_THRESHOLD) {
-    simplePeps.forEach((pep) => {
-      // Ajuste CAPEX: recria selects de PEP respeitando valores salvos no modo edição.
-      const row = createSimplePepRow({
-        id: pep.Id,
-        pepTitle: pep.Title,
-        amount: pep.amountBrl,
-        year: pep.year
-      });
-      simplePepList.append(row);
-      state.editingSnapshot.simplePeps.add(Number(pep.Id));
-    });
-    if (!simplePeps.length) {
-      ensureSimplePepRow();
-    }
-  } else {
-    milestones.forEach((milestone) => {
-      const block = createMilestoneBlock({
-        id: milestone.Id,
-        title: milestone.Title
-      });
-      const relatedActivities = activities.filter((act) => act.milestonesIdId === milestone.Id);
-      relatedActivities.forEach((activity) => {
-        const actId = Number(activity.Id);
-        const relatedPeps = activityPeps.filter(
-          (pep) => Number(pep.activitiesIdId ?? pep.activitiesId) === actId
-        );
-        const primaryPep = relatedPeps[0] || null;
-        const activityBlock = addActivityBlock(block, {
-          id: activity.Id,
-          title: activity.Title,
-          start: activity.startDate,
-          end: activity.endDate,
-          supplier: activity.supplier,
-          description: activity.activityDescription,
-          pepId: primaryPep?.Id,
-          pepTitle: primaryPep?.Title,
-          pepAmount: primaryPep?.amountBrl,
-          pepYear: primaryPep?.year
-        });
-        relatedPeps.forEach((pep) => {
-          state.editingSnapshot.activityPeps.add(Number(pep.Id));
-        });
-        state.editingSnapshot.activities.add(Number(activity.Id));
-      });
-      if (!relatedActivities.length) {
-        addActivityBlock(block);
-      }
-      milestoneList.append(block);
-      state.editingSnapshot.milestones.add(Number(milestone.Id));
-    });
-    const isEditingMode = projectForm?.dataset.mode === 'edit';
-    if (!milestones.length && !isEditingMode) {
-      ensureMilestoneBlock();
-    }
+  return data;
+}
+
+/**
+ * Ajusta campos do payload do projeto para respeitar tipos esperados pelo SharePoint.
+ * @param {Project} projectData - Dados coletados do formulário.
+ * @returns {Object} Payload pronto para envio à lista Projects.
+ */
+function buildProjectSharePointPayload(projectData) {
+  if (!projectData || typeof projectData !== 'object') {
+    return {};
   }
 
-  // Ajuste CAPEX: garante listas corretas de PEP após montar formulário de edição.
-  refreshAllPepDropdowns();
+  const payload = { ...projectData };
 
-  queueGanttRefresh();
-  validatePepBudget();
-  validateActivityDates();
-  validateAllDateRanges();
+  if ('approvalYear' in payload) {
+    const yearValue = payload.approvalYear;
+    if (Number.isFinite(yearValue)) {
+      payload.approvalYear = yearValue.toString();
+    } else if (typeof yearValue === 'string') {
+      const trimmed = yearValue.trim();
+      payload.approvalYear = trimmed || null;
+    } else {
+      payload.approvalYear = null;
+    }
+  }
+
+  return payload;
 }
 
 /**
- * Fecha overlay de formulário e garante fechamento do resumo embutido.
+ * Decide entre persistir PEPs simples ou estrutura Key Projects de acordo com o orçamento.
+ * @param {number} projectId - ID do projeto salvo.
+ * @param {Project} projectData - Dados coletados do formulário.
+ * @param {SharePointService|SaveUnitOfWork} [writer=sp] - Destino das escritas.
  */
-function closeForm() {
-  overlay.classList.add('hidden');
-  closeSummaryOverlay({ restoreFocus: false });
+async function persistRelatedRecords(projectId, projectData, writer = sp) {
+  if (!projectId) return;
+  const approvalYear = projectData.approvalYear;
+  const budget = projectData.budgetBrl;
+
+  if (budget >= BUDGET_THRESHOLD) {
+    await persistKeyProjects(projectId, writer);
+    await cleanupSimplePeps(writer);
+  } else {
+    await persistSimplePeps(projectId, approvalYear, writer);
+    await cleanupKeyProjects(writer);
+  }
 }
 
 /**
- * Exibe overlay de resumo para revisão final, após validar campos obrigatórios.
- * @param {HTMLButtonElement|null} [triggerButton=null] - Botão que acionou o resumo para restaurar foco.
+ * Extrai PEPs simples do formulário para uso em resumos e persistência.
+ * @returns {Pep[]} Lista de PEPs simples.
  */
-function openSummaryOverlay(triggerButton = null) {
-  const validation = runFormValidations({ scrollOnError: true, focusFirstError: true });
-  if (!validation.valid) {
-    return;
-  }
+function collectSimplePepDataForSummary() {
+  if (!simplePepList) return [];
 
-  if (!summaryOverlay) {
-    return;
-  }
+  const peps = [];
+  simplePepList.querySelectorAll('.pep-row').forEach((row) => {
+    const idValue = parseNumber(row.dataset.pepId);
+    const titleSelect = row.querySelector('.pep-title');
+    const titleValue = titleSelect?.value?.trim() || '';
+    const titleDisplay = getSelectOptionText(titleSelect);
+    const amountInput = row.querySelector('.pep-amount');
+    const amountText = amountInput?.value ?? '';
+    const yearInput = row.querySelector('.pep-year');
+    const yearText = yearInput?.value ?? '';
 
-  summaryTriggerButton = triggerButton || null;
-  if (summaryConfirmBtn) {
-    const intent = projectForm.dataset.submitIntent || 'save';
-    summaryConfirmBtn.textContent = intent === 'approval' ? 'Enviar para Aprovação' : 'Confirmar';
-  }
-  populateSummaryOverlay();
-  summaryOverlay.classList.remove('hidden');
-  summaryOverlay.scrollTop = 0;
-  if (summaryTitle) {
-    summaryTitle.focus();
-  } else if (summaryConfirmBtn) {
-    summaryConfirmBtn.focus();
-  }
+    const hasData = Boolean(titleValue) || amountText.trim() !== '' || yearText.trim() !== '';
+    if (!hasData) {
+      return;
+    }
+
+    const parsedId = Number.isFinite(idValue) ? idValue : null;
+    const parsedAmount = parseNumericInputValue(amountInput);
+    const parsedYear = parseNumber(yearText);
+
+    peps.push({
+      id: parsedId,
+      title: titleValue,
+      titleDisplay,
+      amountBrl: Number.isFinite(parsedAmount) ? parsedAmount : 0,
+      amountText,
+      year: Number.isFinite(parsedYear) ? parsedYear : null,
+      yearText,
+      type: 'simple'
+    });
+  });
+
+  return peps;
 }
 
 /**
- * Oculta overlay de resumo e limpa conteúdo, restaurando foco se necessário.
- * @param {{restoreFocus?:boolean}} [options={}] - Controla retorno do foco ao botão acionador.
+ * Consolida dados de marcos e atividades presentes no formulário para resumos e anexos.
+ * @returns {Milestone[]} Estrutura normalizada.
  */
-function closeSummaryOverlay(options = {}) {
-  const { restoreFocus = true } = options;
-  if (!summaryOverlay || summaryOverlay.classList.contains('hidden')) {
-    summaryTriggerButton = null;
-    return;
-  }
+function collectMilestonesForSummary() {
+  if (!milestoneList) return [];
 
-  summaryOverlay.classList.add('hidden');
-  if (summarySections) {
-    summarySections.innerHTML = '';
-  }
-  if (summaryGanttChart) {
-    summaryGanttChart.innerHTML = '';
-  }
+  const milestones = [];
+  milestoneList.querySelectorAll('.milestone').forEach((milestoneEl) => {
+    const milestoneIdValue = parseNumber(milestoneEl.dataset.milestoneId);
+    const resolvedMilestoneId = Number.isFinite(milestoneIdValue) ? milestoneIdValue : null;
+    const titleValue = milestoneEl.querySelector('.milestone-title')?.value.trim() || '';
+    const activities = [];
 
-  if (restoreFocus && summaryTriggerButton) {
-    summaryTriggerButton.focus();
-  }
-  summaryTriggerButton = null;
+    milestoneEl.querySelectorAll('.activity').forEach((activityEl) => {
+      const activityIdValue = parseNumber(activityEl.dataset.activityId);
+      const resolvedActivityId = Number.isFinite(activityIdValue) ? activityIdValue : null;
+      const title = activityEl.querySelector('.activity-title')?.value.trim() || '';
+      const startDateValue = activityEl.querySelector('.activity-start')?.value || '';
+      const endDateValue = activityEl.querySelector('.activity-end')?.value || '';
+      const supplier = activityEl.querySelector('.activity-supplier')?.value.trim() || '';
+      const description = activityEl.querySelector('.activity-description')?.value.trim() || '';
+
+      const pepTitleSelect = activityEl.querySelector('.activity-pep-title');
+      const pepTitleValue = pepTitleSelect?.value?.trim() || '';
+      const pepTitleDisplay = getSelectOptionText(pepTitleSelect);
+      const pepAmountInput = activityEl.querySelector('.activity-pep-amount');
+      const pepAmountText = pepAmountInput?.value ?? '';
+      const pepYearInput = activityEl.querySelector('.activity-pep-year');
+      const pepYearText = pepYearInput?.value ?? '';
+      const pepIdValue = parseNumber(activityEl.dataset.pepId);
+
+      const hasActivityData = [
+        title,
+        startDateValue,
+        endDateValue,
+        supplier,
+        description,
+        pepTitleValue,
+        pepAmountText,
+        pepYearText
+      ].some((value) => (typeof value === 'string' ? value.trim() !== '' : value !== null));
+
+      if (!hasActivityData) {
+        return;
+      }
+
+      const parsedPepAmount = parseNumericInputValue(pepAmountInput);
+      const parsedPepYear = parseNumber(pepYearText);
+
+      const pep =
+        pepTitleValue || pepAmountText.trim() !== '' || pepYearText.trim() !== ''
+          ? {
+              id: Number.isFinite(pepIdValue) ? pepIdValue : null,
+              title: pepTitleValue,
+              titleDisplay: pepTitleDisplay,
+              amountBrl: Number.isFinite(parsedPepAmount) ? parsedPepAmount : 0,
+              amountText: pepAmountText,
+              year: Number.isFinite(parsedPepYear) ? parsedPepYear : null,
+              yearText: pepYearText
+            }
+          : null;
+
+      activities.push({
+        id: resolvedActivityId,
+        milestoneId: resolvedMilestoneId,
+        title,
+        startDate: startDateValue || null,
+        endDate: endDateValue || null,
+        supplier,
+        description,
+        pep
+      });
+    });
+
+    if (!activities.length && !titleValue) {
+      return;
+    }
+
+    milestones.push({
+      id: resolvedMilestoneId,
+      title: titleValue,
+      activities
+    });
+  });
+
+  return milestones;
 }
 
 /**
- * Confirmador do overlay: fecha modal e dispara submit programático.
+ * Lineariza atividades associadas aos marcos para facilitar exportação.
+ * @param {Milestone[]} milestones - Marcos coletados previamente.
+ * @returns {Activity[]} Lista de atividades enriquecida com referência ao marco.
  */
-function handleSummaryConfirm() {
-  closeSummaryOverlay({ restoreFocus: false });
-  projectForm.requestSubmit();
+function collectActivitiesForSummary(milestones) {
+  const activities = [];
+  const safeMilestones = Array.isArray(milestones) ? milestones : [];
+
+  safeMilestones.forEach((milestone) => {
+    const milestoneId = milestone?.id ?? null;
+    const milestoneTitle = milestone?.title ?? '';
+    const milestoneActivities = Array.isArray(milestone?.activities) ? milestone.activities : [];
+
+    milestoneActivities.forEach((activity) => {
+      if (!activity) return;
+      activities.push({
+        ...activity,
+        milestoneId,
+        milestoneTitle
+      });
+    });
+  });
+
+  return activities;
 }
 
 /**
- * Atualiza overlay principal de resumo preenchendo seções e Gantt.
+ * Agrupa PEPs simples e vinculados às atividades para compor anexos e resumos.
+ * @param {Pep[]} simplePeps - PEPs independentes coletados.
+ * @param {Activity[]} activities - Atividades com eventual PEP.
+ * @returns {Pep[]} Conjunto consolidado.
  */
-function populateSummaryOverlay() {
-  if (!summarySections) return;
-  populateSummaryContent({ context: defaultSummaryContext, refreshGantt: true });
-  if (typeof queueGanttRefresh === 'function') {
-    queueGanttRefresh({ forSummary: true });
-  }
+function collectPepEntriesForSummary(simplePeps, activities) {
+  const peps = Array.isArray(simplePeps)
+    ? simplePeps.map((pep) => ({ ...pep }))
+    : [];
+
+  const activityList = Array.isArray(activities) ? activities : [];
+  activityList.forEach((activity) => {
+    if (!activity?.pep) return;
+    peps.push({
+      ...activity.pep,
+      type: 'activity',
+      activityId: activity.id ?? null,
+      activityTitle: activity.title ?? '',
+      milestoneId: activity.milestoneId ?? null,
+      milestoneTitle: activity.milestoneTitle ?? ''
+    });
+  });
+
+  return peps;
 }
 
 /**
- * Agrupa dados do formulário em estrutura declarativa para renderização no resumo.
- * @returns {Array<{title:string, entries:Array}>} Conjunto de seções e campos.
+ * Reúne rótulos amigáveis de selects para compor anexos e resumos.
+ * @returns {Object} Mapa de valores exibidos ao usuário.
  */
-function getSummarySectionsData() {
+function collectProjectDisplayValues() {
+  const depField = document.getElementById('depreciationCostCenter');
+  const depValue = depField?.value || '';
   const roceMetrics = computeRoceMetrics({
     gain: roceGainInput,
     loss: roceLossInput,
     budget: projectBudgetInput
   });
-  const roceClassificationDisplay = resolveRoceClassificationLabel(roceMetrics);
   const rocePercentDisplay = Number.isFinite(roceMetrics.value)
     ? formatRocePercentage(roceMetrics.value)
-    : '—';
-
-  return [
-    {
-      title: 'Sobre o Projeto',
-      entries: [
-        { label: 'Nome do Projeto', value: getFieldDisplayValue('projectName') },
-        { label: 'Orçamento do Projeto', value: formatCurrencyField('projectBudget') },
-        { label: 'Nível de Investimento', value: getFieldDisplayValue('investmentLevel') },
-        { label: 'Ano de Aprovação', value: getFieldDisplayValue('approvalYear') },
-        { label: 'Data de Início', value: formatDateValue(document.getElementById('startDate')?.value) },
-        { label: 'Data de Término', value: formatDateValue(document.getElementById('endDate')?.value) }
-      ]
-    },
-    {
-      title: 'Origem e Função',
-      entries: [
-        { label: 'Origem da Verba', value: getFieldDisplayValue('fundingSource') },
-        { label: 'Função do Projeto', value: getFieldDisplayValue('projectFunction') },
-        { label: 'Tipo de Investimento', value: getFieldDisplayValue('investmentType') },
-        { label: 'Tipo de Ativo', value: getFieldDisplayValue('assetType') }
-      ]
-    },
-    {
-      title: 'Informações Operacionais',
-      entries: [
-        { label: 'Empresa', value: getFieldDisplayValue('company') },
-        { label: 'Centro', value: getFieldDisplayValue('center') },
-        { label: 'Unidade', value: getFieldDisplayValue('unit') },
-        { label: 'Local de Implantação', value: getFieldDisplayValue('location') },
-        { label: 'C. Custo Depreciação', value: getFieldDisplayValue('depreciationCostCenter') },
-        { label: 'Categoria', value: getFieldDisplayValue('category') },
-        { label: 'Usuário do Projeto', value: getFieldDisplayValue('projectUser') },
-        { label: 'Líder do Projeto', value: getFieldDisplayValue('projectLeader') }
-      ]
-    },
-    {
-      title: 'Detalhamento Complementar',
-      entries: [
-        { label: 'Necessidade do Negócio', value: getFieldDisplayValue('businessNeed'), fullWidth: true },
-        { label: 'Solução da Proposta', value: getFieldDisplayValue('proposedSolution'), fullWidth: true }
-      ]
-    },
-    {
-      title: 'Indicadores de Desempenho',
-      entries: [
-        { label: 'Tipo de KPI', value: getFieldDisplayValue('kpiType') },
-        { label: 'Nome do KPI', value: getFieldDisplayValue('kpiName') },
-        { label: 'KPI Atual', value: formatNumberField('kpiCurrent') },
-        { label: 'KPI Esperado', value: formatNumberField('kpiExpected') },
-        { label: 'Descrição do KPI', value: getFieldDisplayValue('kpiDescription'), fullWidth: true }
-      ]
-    },
-    {
-      title: 'ROCE',
-      entries: [
-        { label: 'Ganho', value: formatCurrencyField('roceGain') },
-        { label: 'Perda', value: formatCurrencyField('roceLoss') },
-        { label: 'Classificação', value: roceClassificationDisplay },
-        { label: 'ROCE Calculado', value: rocePercentDisplay },
-        { label: 'Descrição do ganho', value: getFieldDisplayValue('roceGainDescription'), fullWidth: true },
-        { label: 'Descrição da perda', value: getFieldDisplayValue('roceLossDescription'), fullWidth: true }
-      ]
-    }
-  ];
+    : '';
+  return {
+    investmentLevel: getSelectOptionText(investmentLevelSelect),
+    company: getSelectOptionText(companySelect),
+    center: getSelectOptionText(centerSelect),
+    unit: getSelectOptionText(unitSelect),
+    location: getSelectOptionText(locationSelect),
+    depreciationCostCenter: depValue,
+    category: getSelectOptionText(document.getElementById('category')),
+    investmentType: getSelectOptionText(document.getElementById('investmentType')),
+    assetType: getSelectOptionText(document.getElementById('assetType')),
+    kpiType: getSelectOptionText(document.getElementById('kpiType')),
+    roceClassification: resolveRoceClassificationLabel(roceMetrics),
+    roceValue: rocePercentDisplay
+  };
 }
 
 /**
- * Renderiza seções e gráficos do resumo conforme contexto ativo (overlay ou formulário).
- * @param {{context?:Object, refreshGantt?:boolean}} [options={}] - Define destino e necessidade de atualizar o Gantt.
+ * Estrutura payload resumido do projeto utilizado em anexos JSON.
+ * @param {number|string} projectId - Identificador do projeto.
+ * @param {Project} [projectData={}] - Dados coletados do formulário.
+ * @returns {SummaryPayload} Resumo consolidado.
  */
-function populateSummaryContent(options = {}) {
-  const { context = defaultSummaryContext, refreshGantt = false } = options;
-  const sections = context?.sections;
-  if (!sections) return;
-
-  withSummaryContext(context, () => {
-    clearSummaryContent(context);
-    getSummarySectionsData().forEach((section) => {
-      createSummarySection(section.title, section.entries);
-    });
-    renderPepSummary();
-    renderMilestoneSummary();
-    const hasSummaryGanttSection = context?.ganttSection && context?.ganttChart;
-    if (context === defaultSummaryContext) {
-      populateSummaryGantt();
-      if (refreshGantt) {
-        if (typeof queueGanttRefresh === 'function' && typeof initGantt === 'function') {
-          if (typeof ganttLoaded !== 'undefined' && ganttLoaded) {
-            queueGanttRefresh({ forSummary: true });
-          } else if (window.google?.charts) {
-            google.charts.setOnLoadCallback(() => queueGanttRefresh({ forSummary: true }));
-          } else {
-            initGantt();
-            let attempts = 0;
-            const maxAttempts = 50;
-            const waitForLoad = () => {
-              if (typeof ganttLoaded !== 'undefined' && ganttLoaded) {
-                queueGanttRefresh({ forSummary: true });
-              } else if (attempts < maxAttempts) {
-                attempts += 1;
-                setTimeout(waitForLoad, 120);
-              }
-            };
-            waitForLoad();
-          }
-        }
-      }
-    } else if (hasSummaryGanttSection) {
-      const section = context?.ganttSection || null;
-      const chartElement = context?.ganttChart || null;
-      if (!section || !chartElement) {
-        return;
-      }
-
-      const titleElement = section.querySelector('h3') || null;
-
-      chartElement.innerHTML = '<div class="gantt-empty">Carregando cronograma...</div>';
-      section.classList.remove('hidden');
-
-      const isGanttReady = () => Boolean(
-        typeof ganttLoaded !== 'undefined' &&
-        ganttLoaded &&
-        window.google?.visualization?.Gantt
-      );
-
-      const drawWhenReady = () => {
-        if (!isGanttReady()) return;
-        if (!document.body.contains(chartElement)) return;
-        const { rows } = collectMilestonesForGantt();
-        drawGantt(rows, {
-          container: section,
-          chartElement,
-          titleElement
-        });
-      };
+function buildApprovalSummary(projectId, projectData = {}) {
+  const simplePeps = collectSimplePepDataForSummary();
+  const milestones = collectMilestonesForSummary();
+  const activities = collectActivitiesForSummary(milestones);
+  const peps = collectPepEntriesForSummary(simplePeps, activities);
+  const displayValues = collectProjectDisplayValues();
+  const roceMetrics = computeRoceMetrics({
+    gain: projectData.roceGain,
+    loss: projectData.roceLoss,
+    budget: projectData.budgetBrl
+  });
+  const roceClassification = resolveRoceClassificationLabel(roceMetrics);
+  const roceValue = Number.isFinite(roceMetrics.value) ? roceMetrics.value : null;
 
-      const scheduleDraw = () => {
-        if (!isGanttReady()) return;
-        if (typeof requestAnimationFrame === 'function') {
-          requestAnimationFrame(() => {
-            requestAnimationFrame(drawWhenReady);
-          });
-        } else {
-          setTimeout(drawWhenReady, 0);
-        }
-      };
+  const numericId = Number(projectId);
+  const resolvedId = Number.isFinite(numericId) ? numericId : projectId;
 
-      if (isGanttReady()) {
-        scheduleDraw();
-      } else {
-        if (typeof initGantt === 'function') {
-          initGantt();
-        }
+  const projectSummary = {
+    id: resolvedId,
+    ...projectData,
+    roceClassification,
+    roceValue,
+    displayValues
+  };
 
-        if (window.google?.charts) {
-          google.charts.setOnLoadCallback(scheduleDraw);
-        } else {
-          let attempts = 0;
-          const maxAttempts = 50;
-          const waitForGantt = () => {
-            if (isGanttReady()) {
-              scheduleDraw();
-            } else if (attempts < maxAttempts) {
-              attempts += 1;
-              setTimeout(waitForGantt, 120);
-            }
-          };
-          waitForGantt();
-        }
-      }
-    }
-  });
+  return {
+    project: projectSummary,
+    milestones,
+    activities,
+    peps
+  };
 }
 
 /**
- * Cria uma seção de resumo com base nos pares label/valor fornecidos.
- * @param {string} title - Título da seção.
- * @param {Array<{label:string, value:*, fullWidth?:boolean}>} entries - Campos exibidos na seção.
+ * Campos regraváveis por lista, usados para recriar itens excluídos durante um salvamento que falhou.
  */
-function createSummarySection(title, entries = []) {
-  const sections = activeSummaryContext?.sections;
-  if (!sections || !entries.length) return;
-
-  const section = document.createElement('section');
-  section.className = 'summary-section';
-
-  const heading = document.createElement('h3');
-  heading.textContent = title;
-  section.appendChild(heading);
+const RESTORABLE_FIELDS = Object.freeze({
+  Milestones: ['Title', 'projectsIdId'],
+  Activities: ['Title', 'startDate', 'endDate', 'activityDescription', 'supplier', 'projectsIdId', 'milestonesIdId'],
+  Peps: ['Title', 'amountBrl', 'year', 'projectsIdId', 'activitiesIdId']
+});
 
-  const list = document.createElement('div');
-  list.className = 'summary-list';
+/**
+ * Colunas lookup que referenciam outras listas e precisam seguir IDs recriados na compensação.
+ */
+const RESTORABLE_LOOKUPS = Object.freeze({
+  milestonesIdId: 'Milestones',
+  activitiesIdId: 'Activities'
+});
 
-  entries.forEach((entry) => {
-    if (!entry?.label) return;
-    const item = document.createElement('div');
-    item.className = 'summary-item';
-    if (entry.fullWidth) {
-      item.classList.add('summary-item--full');
-    }
+/**
+ * Onde cada lista fica no pacote de detalhes carregado por loadProjectDetails.
+ */
+const DETAIL_SNAPSHOT_KEYS = Object.freeze({
+  Projects: 'project',
+  Milestones: 'milestones',
+  Activities: 'activities',
+  Peps: 'peps'
+});
 
-    const label = document.createElement('span');
-    label.className = 'summary-label';
-    label.textContent = entry.label;
+/**
+ * Unidade de trabalho de um salvamento: registra cada escrita feita no SharePoint e, se o fluxo falhar,
+ * compensa na ordem inversa (exclui itens criados, restaura atualizados e recria excluídos) a partir
+ * do snapshot carregado antes da edição. Expõe a mesma superfície de escrita de SharePointService.
+ */
+class SaveUnitOfWork {
+  /**
+   * @param {SharePointService} service - Serviço usado para as escritas e compensações.
+   * @param {Object|null} [snapshot=null] - Detalhes do projeto antes da edição (state.currentDetails).
+   * @param {{onEtag?:function(string, number, string):void}} [options={}] - Notificado com o novo ETag
+   *   dos itens regravados na compensação.
+   */
+  constructor(service, snapshot = null, options = {}) {
+    this.service = service;
+    this.snapshot = snapshot;
+    this.onEtag = typeof options.onEtag === 'function' ? options.onEtag : () => {};
+    this.entries = [];
+    // listName -> Map(ID original -> ID recriado), preenchido ao recriar itens excluídos
+    this.idMap = new Map();
+    this.committed = false;
+  }
 
-    const value = document.createElement('p');
-    value.className = 'summary-value';
-    value.textContent = resolveSummaryValue(entry.value);
+  /**
+   * Confirma o salvamento: as escritas registradas deixam de ser compensáveis.
+   */
+  commit() {
+    this.entries = [];
+    this.committed = true;
+  }
 
-    item.append(label, value);
-    list.appendChild(item);
-  });
+  /**
+   * Localiza a versão original de um item no snapshot.
+   * @param {string} listName - Lista do item.
+   * @param {number|string} id - ID do item.
+   * @returns {Object|null} Item como carregado do SharePoint ou null.
+   */
+  findSnapshotItem(listName, id) {
+    const key = DETAIL_SNAPSHOT_KEYS[listName];
+    if (!this.snapshot || !key) return null;
+    const source = this.snapshot[key];
+    const items = Array.isArray(source) ? source : [source];
+    return items.find((item) => item && Number(item.Id) === Number(id)) || null;
+  }
 
-  if (list.children.length) {
-    section.appendChild(list);
-    sections.appendChild(section);
+  /**
+   * Registra o resultado de uma operação concluída com sucesso.
+   * @param {BatchOperation} operation - Operação executada.
+   * @param {Object|null} createdItem - Item retornado em criações.
+   */
+  record(operation, createdItem = null) {
+    const { type, listName, id, payload = {}, element = null, datasetKey = '' } = operation;
+    if (type === 'create') {
+      this.entries.push({ type, listName, id: Number(createdItem?.Id), element, datasetKey });
+      return;
+    }
+    this.entries.push({
+      type,
+      listName,
+      id: Number(id),
+      fields: Object.keys(payload),
+      previous: this.findSnapshotItem(listName, id)
+    });
   }
-}
-
-/**
- * Consolida dados de PEPs simples ou vinculados a atividades para exibição no resumo.
- */
-function renderPepSummary() {
-  const sections = activeSummaryContext?.sections;
-  if (!sections) return;
-  if (!simplePepList || !milestoneList) return;
 
-  const rows = [];
+  /**
+   * Cria item registrando-o para exclusão em caso de rollback.
+   * @param {string} listName - Lista alvo.
+   * @param {Object} payload - Campos do item.
+   * @returns {Promise<Object|null>} Item criado.
+   */
+  async createItem(listName, payload) {
+    const created = await this.service.createItem(listName, payload);
+    this.record({ type: 'create', listName, payload }, created);
+    return created;
+  }
 
-  if (!simplePepSection.classList.contains('hidden')) {
-    simplePepList.querySelectorAll('.pep-row').forEach((row) => {
-      const element = getSelectOptionText(row.querySelector('.pep-title'));
-      const amount = formatCurrencyValueFromElement(row.querySelector('.pep-amount'));
-      const year = row.querySelector('.pep-year')?.value ?? '';
+  /**
+   * Atualiza item registrando os campos alterados para restauração.
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @param {Object} payload - Campos a atualizar.
+   * @param {{etag?:string}} [options={}] - Repassado a SharePointService.updateItem.
+   * @returns {Promise<{etag:string|null}>} Resultado de SharePointService.updateItem.
+   */
+  async updateItem(listName, id, payload, options = {}) {
+    const result = await this.service.updateItem(listName, id, payload, options);
+    this.record({ type: 'update', listName, id, payload });
+    return result;
+  }
 
-      if (
-        resolveSummaryValue(element) === '—' &&
-        resolveSummaryValue(amount) === '—' &&
-        resolveSummaryValue(year) === '—'
-      ) {
-        return;
-      }
+  /**
+   * Exclui item registrando-o para recriação.
+   * @param {string} listName - Lista alvo.
+   * @param {number|string} id - ID do item.
+   * @param {{etag?:string}} [options={}] - Repassado a SharePointService.deleteItem.
+   * @returns {Promise<boolean>} Resultado de SharePointService.deleteItem.
+   */
+  async deleteItem(listName, id, options = {}) {
+    const result = await this.service.deleteItem(listName, id, options);
+    this.record({ type: 'delete', listName, id });
+    return result;
+  }
 
-      rows.push({
-        element,
-        amount,
-        year
+  /**
+   * Executa lote registrando cada operação bem-sucedida, inclusive quando o lote falha no meio.
+   * @param {BatchOperation[]} operations - Operações do lote.
+   * @returns {Promise<Array>} Resultados alinhados por índice.
+   */
+  async submitBatch(operations) {
+    const recordResults = (results) => {
+      safeArray(results).forEach((result, index) => {
+        if (result && result.status < 400 && operations[index]) {
+          this.record(operations[index], result.data);
+        }
       });
-    });
-  } else if (!keyProjectSection.classList.contains('hidden')) {
-    milestoneList.querySelectorAll('.activity').forEach((activity) => {
-      const element = getSelectOptionText(activity.querySelector('.activity-pep-title'));
-      const amount = formatCurrencyValueFromElement(activity.querySelector('.activity-pep-amount'));
-      const year = activity.querySelector('.activity-pep-year')?.value ?? '';
-      const activityTitle = activity.querySelector('.activity-title')?.value ?? '';
+    };
 
-      if (
-        resolveSummaryValue(element) === '—' &&
-        resolveSummaryValue(amount) === '—' &&
-        resolveSummaryValue(year) === '—'
-      ) {
-        return;
-      }
+    try {
+      const results = await this.service.submitBatch(operations);
+      recordResults(results);
+      return results;
+    } catch (error) {
+      recordResults(error.results);
+      throw error;
+    }
+  }
 
-      rows.push({
-        element,
-        amount,
-        year,
-        activity: activityTitle
-      });
+  /**
+   * Envia anexo JSON registrando-o para remoção em caso de rollback.
+   * @param {string} listName - Lista do item pai.
+   * @param {number|string} itemId - ID do item pai.
+   * @param {string} fileName - Nome sugerido.
+   * @param {Blob|Object|string} fileContent - Conteúdo do anexo.
+   * @param {Object} [options={}] - Opções repassadas a addAttachment.
+   * @returns {Promise<boolean>} Resultado de SharePointService.addAttachment.
+   */
+  async addAttachment(listName, itemId, fileName, fileContent, options = {}) {
+    const resolvedFileName = this.service.resolveAttachmentFileName(itemId, fileName);
+    // Com overwrite o anexo anterior é apagado; guarda o conteúdo para reenviá-lo no rollback
+    const previousContent = options.overwrite
+      ? await this.service.getAttachmentContent(listName, itemId, resolvedFileName)
+      : null;
+    const result = await this.service.addAttachment(listName, itemId, fileName, fileContent, options);
+    this.entries.push({
+      type: 'attachment',
+      listName,
+      id: Number(itemId),
+      fileName: resolvedFileName,
+      previousContent
     });
+    return result;
   }
 
-  if (!rows.length) {
-    return;
+  /**
+   * Traduz um ID original para o ID recriado durante a compensação, quando houver.
+   * @param {string} listName - Lista de origem do ID.
+   * @param {number|string} id - ID original.
+   * @returns {number} ID vigente.
+   */
+  resolveId(listName, id) {
+    const numericId = Number(id);
+    return this.idMap.get(listName)?.get(numericId) ?? numericId;
   }
 
-  const hasActivityColumn = rows.some((row) => resolveSummaryValue(row.activity) !== '—');
+  /**
+   * Copia campos de um item do snapshot, ajustando lookups para itens recriados.
+   * @param {Object} previous - Item original.
+   * @param {string[]} fields - Campos desejados.
+   * @returns {Object} Payload de restauração.
+   */
+  buildRestorePayload(previous, fields) {
+    return fields.reduce((payload, field) => {
+      if (field === '__metadata') return payload;
+      const value = previous[field] ?? null;
+      const lookupList = RESTORABLE_LOOKUPS[field];
+      payload[field] = lookupList && value !== null ? this.resolveId(lookupList, value) : value;
+      return payload;
+    }, {});
+  }
 
-  const section = document.createElement('section');
-  section.className = 'summary-section';
+  /**
+   * Aplica a compensação de uma entrada registrada.
+   * @param {Object} entry - Entrada do log da unidade de trabalho.
+   */
+  async compensate(entry) {
+    const { type, listName, id } = entry;
 
-  const heading = document.createElement('h3');
-  heading.textContent = 'Elemento PEP';
-  section.appendChild(heading);
+    if (type === 'create') {
+      try {
+        await this.service.deleteItem(listName, id);
+      } catch (error) {
+        if (error?.status !== 404) throw error;
+      }
+      if (entry.element && entry.datasetKey) {
+        entry.element.dataset[entry.datasetKey] = '';
+      }
+      return;
+    }
 
-  const table = document.createElement('table');
-  table.className = 'summary-table';
+    if (type === 'attachment') {
+      await this.service.deleteAttachment(listName, id, entry.fileName);
+      if (entry.previousContent !== null) {
+        await this.service.addAttachment(listName, id, entry.fileName, entry.previousContent);
+      }
+      return;
+    }
 
-  const thead = document.createElement('thead');
-  const headerRow = document.createElement('tr');
-  const headers = ['Elemento PEP', 'Valor (R$)', 'Ano'];
-  if (hasActivityColumn) {
-    headers.push('Atividade');
-  }
-  headers.forEach((label) => {
-    const th = document.createElement('th');
-    th.textContent = label;
-    headerRow.appendChild(th);
-  });
-  thead.appendChild(headerRow);
-  table.appendChild(thead);
+    const createdInThisSave = this.entries.some(
+      (candidate) => candidate.type === 'create' && candidate.listName === listName && candidate.id === id
+    );
+    if (createdInThisSave) {
+      return;
+    }
 
-  const tbody = document.createElement('tbody');
-  rows.forEach((row) => {
-    const tr = document.createElement('tr');
-    const cells = [
-      resolveSummaryValue(row.element),
-      resolveSummaryValue(row.amount),
-      resolveSummaryValue(row.year)
-    ];
+    if (!entry.previous) {
+      console.warn('Sem snapshot para compensar alteração; item mantido como está.', { type, listName, id });
+      return;
+    }
 
-    if (hasActivityColumn) {
-      cells.push(resolveSummaryValue(row.activity));
+    // Compensações usam IF-MATCH * (padrão do serviço): o próprio salvamento já mudou o ETag carregado
+    if (type === 'update') {
+      const { etag } = await this.service.updateItem(listName, id, this.buildRestorePayload(entry.previous, entry.fields));
+      this.onEtag(listName, id, etag);
+      return;
     }
 
-    cells.forEach((value) => {
-      const td = document.createElement('td');
-      td.textContent = value;
-      tr.appendChild(td);
-    });
+    if (type === 'delete') {
+      const fields = RESTORABLE_FIELDS[listName] || [];
+      const recreated = await this.service.createItem(listName, this.buildRestorePayload(entry.previous, fields));
+      if (!this.idMap.has(listName)) {
+        this.idMap.set(listName, new Map());
+      }
+      this.idMap.get(listName).set(id, Number(recreated?.Id));
+      this.onEtag(listName, Number(recreated?.Id), recreated?.__metadata?.etag);
+    }
+  }
 
-    tbody.appendChild(tr);
-  });
+  /**
+   * Desfaz todas as escritas registradas, da mais recente para a mais antiga.
+   * Falhas individuais são acumuladas para que o restante da compensação prossiga.
+   * @returns {Promise<{failures:Array<{entry:Object, error:Error}>}>} Compensações que não puderam ser aplicadas.
+   */
+  async rollback() {
+    const failures = [];
+    const entries = [...this.entries].reverse();
+    for (const entry of entries) {
+      try {
+        await this.compensate(entry);
+      } catch (error) {
+        console.error('Falha ao compensar alteração durante rollback', {
+          type: entry.type,
+          listName: entry.listName,
+          id: entry.id,
+          error
+        });
+        failures.push({ entry, error });
+      }
+    }
+    this.entries = [];
+    return { failures };
+  }
 
-  table.appendChild(tbody);
-  section.appendChild(table);
-  sections.appendChild(section);
+  /**
+   * Reconstrói o snapshot de edição trocando IDs de itens recriados pelos novos IDs,
+   * para que uma nova tentativa de salvamento continue sincronizando os mesmos registros.
+   * @param {{simplePeps:Set<number>, milestones:Set<number>, activities:Set<number>, activityPeps:Set<number>}} editingSnapshot - Cópia feita antes do salvamento.
+   * @returns {{simplePeps:Set<number>, milestones:Set<number>, activities:Set<number>, activityPeps:Set<number>}} Snapshot ajustado.
+   */
+  remapEditingSnapshot(editingSnapshot) {
+    const remap = (listName, ids) => new Set([...ids].map((id) => this.resolveId(listName, id)));
+    return {
+      simplePeps: remap('Peps', editingSnapshot.simplePeps),
+      milestones: remap('Milestones', editingSnapshot.milestones),
+      activities: remap('Activities', editingSnapshot.activities),
+      activityPeps: remap('Peps', editingSnapshot.activityPeps)
+    };
+  }
 }
 
 /**
- * Exibe marcos e atividades no resumo final quando Key Projects está habilitado.
+ * Copia os conjuntos de IDs do snapshot de edição (os originais são esvaziados durante o salvamento).
+ * @param {{simplePeps:Set<number>, milestones:Set<number>, activities:Set<number>, activityPeps:Set<number>}} editingSnapshot - Snapshot atual.
+ * @returns {{simplePeps:Set<number>, milestones:Set<number>, activities:Set<number>, activityPeps:Set<number>}} Cópia independente.
  */
-function renderMilestoneSummary() {
-  const sections = activeSummaryContext?.sections;
-  if (!sections || !milestoneList) return;
-  if (keyProjectSection.classList.contains('hidden')) return;
+function cloneEditingSnapshot(editingSnapshot) {
+  return {
+    simplePeps: new Set(editingSnapshot.simplePeps),
+    milestones: new Set(editingSnapshot.milestones),
+    activities: new Set(editingSnapshot.activities),
+    activityPeps: new Set(editingSnapshot.activityPeps)
+  };
+}
 
-  const milestones = milestoneList.querySelectorAll('.milestone');
-  if (!milestones.length) return;
+/**
+ * Monta a chave do mapa de ETags do snapshot de edição.
+ * @param {string} listName - Lista do item.
+ * @param {number|string} id - ID do item.
+ * @returns {string} Chave no formato Lista:ID.
+ */
+function getEtagKey(listName, id) {
+  return `${listName}:${Number(id)}`;
+}
 
-  const section = document.createElement('section');
-  section.className = 'summary-section';
+/**
+ * Guarda o ETag mais recente de um item editado no formulário.
+ * @param {string} listName - Lista do item.
+ * @param {number|string} id - ID do item.
+ * @param {string|null|undefined} etag - ETag devolvido pelo SharePoint.
+ */
+function rememberItemEtag(listName, id, etag) {
+  if (!etag || !Number.isFinite(Number(id))) return;
+  state.editingSnapshot.etags?.set(getEtagKey(listName, id), etag);
+}
 
-  const heading = document.createElement('h3');
-  heading.textContent = 'Key Projects';
-  section.appendChild(heading);
+/**
+ * Obtém o ETag esperado para escrever um item; '*' quando o item não foi carregado no formulário.
+ * @param {string} listName - Lista do item.
+ * @param {number|string} id - ID do item.
+ * @returns {string} Valor para o cabeçalho IF-MATCH.
+ */
+function getItemEtag(listName, id) {
+  return state.editingSnapshot.etags?.get(getEtagKey(listName, id)) || '*';
+}
 
-  const wrapper = document.createElement('div');
-  wrapper.className = 'summary-milestones';
+/**
+ * Relê o ETag do item após escritas que não o devolvem, como anexos (que incrementam a versão do item).
+ * @param {string} listName - Lista do item.
+ * @param {number|string} id - ID do item.
+ * @returns {Promise<void>}
+ */
+async function refreshItemEtag(listName, id) {
+  const item = await sp.getItem(listName, id);
+  rememberItemEtag(listName, id, item?.__metadata?.etag);
+}
 
-  milestones.forEach((milestone, index) => {
-    const card = document.createElement('article');
-    card.className = 'summary-milestone';
+/**
+ * Executa uma escrita de anexo e relê em seguida o ETag do item, que o SharePoint incrementa sem devolvê-lo.
+ * O ETag novo só é guardado se o item estava na versão guardada antes da operação; caso contrário o ETag
+ * antigo é mantido e o próximo IF-MATCH falha (412), preservando a detecção de conflito.
+ * @param {string} listName - Lista do item.
+ * @param {number|string} id - ID do item.
+ * @param {function():Promise<*>} operation - Upload ou exclusão de anexo.
+ * @param {{requireUnchanged?:boolean}} [options={}] - requireUnchanged recusa a operação (412) se o item mudou.
+ * @returns {Promise<*>} Resultado da operação.
+ * @throws {Error} Com status 412 quando requireUnchanged e o item foi alterado por outra pessoa.
+ */
+async function runAttachmentChange(listName, id, operation, { requireUnchanged = false } = {}) {
+  const expectedEtag = getItemEtag(listName, id);
+  const current = expectedEtag === '*' ? null : await sp.getItem(listName, id);
+  const unchanged = expectedEtag === '*' || current?.__metadata?.etag === expectedEtag;
+  if (!unchanged && requireUnchanged) {
+    const error = new Error('O item foi alterado por outra pessoa desde a última leitura.');
+    error.status = 412;
+    throw error;
+  }
+  try {
+    return await operation();
+  } finally {
+    if (unchanged) {
+      // Sem a releitura, o ETag antigo faz o próximo salvamento falhar com 412, o que é seguro
+      await refreshItemEtag(listName, id).catch((error) => {
+        console.warn('Não foi possível reler o ETag após alterar anexos', error);
+      });
+    }
+  }
+}
 
-    const titleInput = milestone.querySelector('.milestone-title');
-    const resolvedTitle = resolveSummaryValue(titleInput?.value);
-    const titleText = resolvedTitle === '—' ? `Marco ${index + 1}` : resolvedTitle;
+/**
+ * Registra os ETags do projeto e de todos os itens relacionados carregados por loadProjectDetails.
+ * @param {{project?:Object, milestones?:Array, activities?:Array, peps?:Array}} detail - Pacote de detalhes.
+ */
+function rememberDetailEtags(detail) {
+  if (!detail) return;
+  const register = (listName, items) => {
+    safeArray(items).forEach((item) => rememberItemEtag(listName, item?.Id, item?.__metadata?.etag));
+  };
+  register('Projects', detail.project ? [detail.project] : []);
+  register('Milestones', detail.milestones);
+  register('Activities', detail.activities);
+  register('Peps', detail.peps);
+}
 
-    const title = document.createElement('h4');
-    title.textContent = titleText;
-    card.appendChild(title);
+/**
+ * Atualiza o mapa de ETags com as respostas de um $batch (cabeçalho ETag ou __metadata do item criado).
+ * @param {BatchOperation[]} operations - Operações enviadas.
+ * @param {Array} results - Resultados alinhados por índice.
+ */
+function rememberBatchEtags(operations, results) {
+  if (!Array.isArray(results)) return;
+  operations.forEach((operation, index) => {
+    const result = results[index];
+    if (!result || result.status >= 400 || operation.type === 'delete') return;
+    if (operation.type === 'create') {
+      rememberItemEtag(operation.listName, result.data?.Id, result.data?.__metadata?.etag);
+    } else {
+      rememberItemEtag(operation.listName, operation.id, result.headers?.etag);
+    }
+  });
+}
 
-    const activities = milestone.querySelectorAll('.activity');
-    if (activities.length) {
-      const activityContainer = document.createElement('div');
-      activityContainer.className = 'summary-activities';
+/**
+ * Aplica os IDs criados pelo $batch nos elementos DOM de origem, como resolveDatasetId faz nas linhas.
+ * @param {BatchOperation[]} operations - Operações enviadas.
+ * @param {Array} results - Resultados alinhados por índice.
+ */
+function applyBatchResultsToElements(operations, results) {
+  if (!Array.isArray(results)) return;
+  operations.forEach((operation, index) => {
+    if (operation.type !== 'create' || !operation.element || !operation.datasetKey) return;
+    const result = results[index];
+    if (!result || result.status >= 400) return;
+    operation.element.dataset[operation.datasetKey] = resolveDatasetId(result.data?.Id);
+  });
+}
 
-      activities.forEach((activity, actIndex) => {
-        const activityCard = document.createElement('article');
-        activityCard.className = 'summary-activity';
+/**
+ * Envia operações em lote (com o ETag carregado de cada item) e propaga IDs e ETags devolvidos.
+ * Mesmo em falha parcial, itens já criados recebem seus IDs para evitar duplicidade em nova tentativa.
+ * @param {BatchOperation[]} operations - Operações a executar.
+ * @param {SharePointService|SaveUnitOfWork} [writer=sp] - Destino das escritas.
+ * @returns {Promise<Array>} Resultados alinhados por índice às operações.
+ */
+async function executeBatchOperations(operations, writer = sp) {
+  if (!operations.length) return [];
+  operations.forEach((operation) => {
+    if (operation.type !== 'create' && !operation.etag) {
+      operation.etag = getItemEtag(operation.listName, operation.id);
+    }
+  });
+  try {
+    const results = await writer.submitBatch(operations);
+    applyBatchResultsToElements(operations, results);
+    rememberBatchEtags(operations, results);
+    return results;
+  } catch (error) {
+    applyBatchResultsToElements(operations, error.results);
+    rememberBatchEtags(operations, error.results);
+    throw error;
+  }
+}
 
-        const activityTitleInput = activity.querySelector('.activity-title');
-        const resolvedActivityTitle = resolveSummaryValue(activityTitleInput?.value);
-        const activityTitle = resolvedActivityTitle === '—' ? `Atividade ${actIndex + 1}` : resolvedActivityTitle;
+/**
+ * Sincroniza PEPs simples com a lista SharePoint, criando, atualizando e removendo conforme necessário.
+ * Todas as escritas seguem em um único $batch.
+ * @param {number} projectId - ID do projeto pai.
+ * @param {number} approvalYear - Ano de aprovação usado como fallback.
+ * @param {SharePointService|SaveUnitOfWork} [writer=sp] - Destino das escritas.
+ */
+async function persistSimplePeps(projectId, approvalYear, writer = sp) {
+  const operations = [];
+  const currentIds = new Set();
 
-        const headingEl = document.createElement('h5');
-        headingEl.textContent = activityTitle;
-        activityCard.appendChild(headingEl);
+  simplePepList.querySelectorAll('.pep-row').forEach((row) => {
+    const id = row.dataset.pepId;
+    const title = row.querySelector('.pep-title').value.trim();
+    const amount = parseNumericInputValue(row.querySelector('.pep-amount')) || 0;
+    const year = parseNumber(row.querySelector('.pep-year').value) || approvalYear;
+    const payload = {
+      Title: title,
+      amountBrl: amount,
+      year,
+      projectsIdId: projectId
+    };
+    if (id) {
+      operations.push({ type: 'update', listName: 'Peps', id: Number(id), payload });
+      currentIds.add(Number(id));
+    } else {
+      operations.push({ type: 'create', listName: 'Peps', payload, element: row, datasetKey: 'pepId' });
+    }
+  });
+
+  [...state.editingSnapshot.simplePeps]
+    .filter((id) => !currentIds.has(id))
+    .forEach((id) => {
+      operations.push({ type: 'delete', listName: 'Peps', id: Number(id) });
+    });
+
+  await executeBatchOperations(operations, writer);
+}
+
+/**
+ * Remove PEPs previamente associados quando projeto migra para modo Key Projects.
+ * @param {SharePointService|SaveUnitOfWork} [writer=sp] - Destino das escritas.
+ */
+async function cleanupSimplePeps(writer = sp) {
+  const operations = [...state.editingSnapshot.simplePeps].map((id) => ({
+    type: 'delete',
+    listName: 'Peps',
+    id: Number(id)
+  }));
+  await executeBatchOperations(operations, writer);
+  state.editingSnapshot.simplePeps.clear();
+}
+
+/**
+ * Resolve o ano do PEP de uma atividade, preenchendo o campo oculto quando estiver vazio.
+ * @param {HTMLElement} activity - Bloco da atividade.
+ * @returns {number|null} Ano aplicado ao PEP.
+ */
+function resolveActivityPepYear(activity) {
+  const pepYearInput = activity.querySelector('.activity-pep-year');
+  let pepYear = parseNumber(pepYearInput?.value);
+  if (!pepYear) {
+    const startValue = activity.querySelector('.activity-start')?.value;
+    const startYear = startValue ? parseInt(startValue.substring(0, 4), 10) : NaN;
+    if (Number.isFinite(startYear)) {
+      pepYear = startYear;
+    } else {
+      const fallback = parseNumber(approvalYearInput.value);
+      if (fallback) {
+        pepYear = fallback;
+      }
+    }
+    if (pepYearInput) {
+      pepYearInput.value = pepYear ?? '';
+    }
+  }
+  return pepYear;
+}
 
-        const detailList = document.createElement('div');
-        detailList.className = 'summary-list summary-list--activity';
+/**
+ * Sincroniza marcos, atividades e PEPs vinculados com suas respectivas listas SharePoint.
+ * Cada nível segue em um $batch próprio, pois depende dos IDs criados no nível anterior.
+ * @param {number} projectId - ID do projeto pai.
+ * @param {SharePointService|SaveUnitOfWork} [writer=sp] - Destino das escritas.
+ */
+async function persistKeyProjects(projectId, writer = sp) {
+  const milestoneIds = new Set();
+  const activityIds = new Set();
+  const activityPepIds = new Set();
+  const milestones = Array.from(milestoneList.querySelectorAll('.milestone'));
 
-        const detailItems = [
-          { label: 'Período', value: buildActivityPeriod(activity) },
-          { label: 'Valor da Atividade', value: formatCurrencyValueFromElement(activity.querySelector('.activity-pep-amount')) },
-          { label: 'Elemento PEP', value: getSelectOptionText(activity.querySelector('.activity-pep-title')) },
-          { label: 'Ano do PEP', value: activity.querySelector('.activity-pep-year')?.value ?? '' },
-          { label: 'Fornecedor', value: activity.querySelector('.activity-supplier')?.value ?? '' },
-          { label: 'Descrição', value: activity.querySelector('.activity-description')?.value ?? '', fullWidth: true }
-        ];
+  // Passo 1: marcos
+  const milestoneOperations = milestones.map((milestone) => {
+    const id = milestone.dataset.milestoneId;
+    const payload = {
+      Title: milestone.querySelector('.milestone-title').value.trim(),
+      projectsIdId: projectId
+    };
+    return id
+      ? { type: 'update', listName: 'Milestones', id: Number(id), payload }
+      : { type: 'create', listName: 'Milestones', payload, element: milestone, datasetKey: 'milestoneId' };
+  });
+  await executeBatchOperations(milestoneOperations, writer);
 
-        detailItems.forEach((item) => {
-          if (!item?.label) return;
-          const detailItem = document.createElement('div');
-          detailItem.className = 'summary-item';
-          if (item.fullWidth) {
-            detailItem.classList.add('summary-item--full');
-          }
+  // Passo 2: atividades, já com o ID definitivo de cada marco
+  const activityOperations = [];
+  milestones.forEach((milestone) => {
+    const milestoneId = Number(milestone.dataset.milestoneId);
+    milestoneIds.add(milestoneId);
 
-          const detailLabel = document.createElement('span');
-          detailLabel.className = 'summary-label';
-          detailLabel.textContent = item.label;
+    milestone.querySelectorAll('.activity').forEach((activity) => {
+      const activityIdRaw = activity.dataset.activityId;
+      const payload = {
+        Title: activity.querySelector('.activity-title').value.trim(),
+        startDate: activity.querySelector('.activity-start').value || null,
+        endDate: activity.querySelector('.activity-end').value || null,
+        activityDescription: activity.querySelector('.activity-description').value.trim(),
+        supplier: activity.querySelector('.activity-supplier').value.trim(),
+        projectsIdId: projectId,
+        milestonesIdId: milestoneId
+      };
+      activity.dataset.milestoneId = resolveDatasetId(milestoneId);
+      activityOperations.push(
+        activityIdRaw
+          ? { type: 'update', listName: 'Activities', id: Number(activityIdRaw), payload }
+          : { type: 'create', listName: 'Activities', payload, element: activity, datasetKey: 'activityId' }
+      );
+    });
+  });
+  await executeBatchOperations(activityOperations, writer);
 
-          const detailValue = document.createElement('p');
-          detailValue.className = 'summary-value';
-          detailValue.textContent = resolveSummaryValue(item.value);
+  // Passo 3: PEPs vinculados às atividades
+  const pepOperations = [];
+  const clearedPepActivities = [];
+  milestones.forEach((milestone) => {
+    milestone.querySelectorAll('.activity').forEach((activity) => {
+      const activityId = Number(activity.dataset.activityId);
+      activityIds.add(activityId);
 
-          detailItem.append(detailLabel, detailValue);
-          detailList.appendChild(detailItem);
-        });
+      const pepTitle = activity.querySelector('.activity-pep-title')?.value.trim() || '';
+      const pepAmount = parseNumericInputValue(activity.querySelector('.activity-pep-amount')) || 0;
+      const pepYear = resolveActivityPepYear(activity);
+      const pepIdRaw = activity.dataset.pepId;
+      const hasPepData = Boolean(pepTitle) || pepAmount > 0;
 
-        activityCard.appendChild(detailList);
-        activityContainer.appendChild(activityCard);
-      });
+      if (hasPepData) {
+        const payload = {
+          Title: pepTitle,
+          amountBrl: pepAmount,
+          year: pepYear,
+          projectsIdId: projectId,
+          activitiesIdId: activityId
+        };
+        if (pepIdRaw) {
+          pepOperations.push({ type: 'update', listName: 'Peps', id: Number(pepIdRaw), payload });
+          activityPepIds.add(Number(pepIdRaw));
+        } else {
+          pepOperations.push({ type: 'create', listName: 'Peps', payload, element: activity, datasetKey: 'pepId' });
+        }
+      } else if (pepIdRaw) {
+        pepOperations.push({ type: 'delete', listName: 'Peps', id: Number(pepIdRaw) });
+        clearedPepActivities.push(activity);
+      }
+    });
+  });
+  await executeBatchOperations(pepOperations, writer);
 
-      card.appendChild(activityContainer);
+  clearedPepActivities.forEach((activity) => {
+    activity.dataset.pepId = '';
+  });
+  pepOperations.forEach((operation) => {
+    if (operation.type === 'create') {
+      activityPepIds.add(Number(operation.element.dataset.pepId));
     }
-
-    wrapper.appendChild(card);
   });
 
-  section.appendChild(wrapper);
-  sections.appendChild(section);
+  // Passo 4: exclusões do que saiu do formulário, dos filhos para os pais
+  await deleteMissing([
+    { listName: 'Peps', previousSet: state.editingSnapshot.activityPeps, currentSet: activityPepIds },
+    { listName: 'Activities', previousSet: state.editingSnapshot.activities, currentSet: activityIds },
+    { listName: 'Milestones', previousSet: state.editingSnapshot.milestones, currentSet: milestoneIds }
+  ], writer);
 }
 
+/**
+ * Remove registros de Key Projects associados ao projeto quando orçamento cai abaixo do limiar.
+ * @param {SharePointService|SaveUnitOfWork} [writer=sp] - Destino das escritas.
+ */
+async function cleanupKeyProjects(writer = sp) {
+  await deleteMissing([
+    { listName: 'Peps', previousSet: state.editingSnapshot.activityPeps, currentSet: new Set() },
+    { listName: 'Activities', previousSet: state.editingSnapshot.activities, currentSet: new Set() },
+    { listName: 'Milestones', previousSet: state.editingSnapshot.milestones, currentSet: new Set() }
+  ], writer);
+}
 
 /**
- * Monta string amigável representando período de uma atividade.
- * @param {Element} activity - Elemento DOM da atividade.
- * @returns {string} Intervalo formatado ou vazio quando não informado.
+ * Remove em um único $batch itens SharePoint que estavam relacionados anteriormente
+ * mas não existem mais localmente, respeitando a ordem dos grupos informados.
+ * @param {Array<{listName:string, previousSet:Set<number>, currentSet:Set<number>}>} groups - Listas avaliadas.
+ * @param {SharePointService|SaveUnitOfWork} [writer=sp] - Destino das escritas.
  */
-function buildActivityPeriod(activity) {
-  if (!activity) return '';
-  const startValue = activity.querySelector('.activity-start')?.value;
-  const endValue = activity.querySelector('.activity-end')?.value;
-  const start = formatDateValue(startValue);
-  const end = formatDateValue(endValue);
+async function deleteMissing(groups, writer = sp) {
+  const operations = [];
+  groups.forEach(({ listName, previousSet, currentSet }) => {
+    previousSet.forEach((id) => {
+      if (!currentSet.has(id)) {
+        operations.push({ type: 'delete', listName, id: Number(id) });
+      }
+    });
+  });
 
-  const hasStart = start !== '—';
-  const hasEnd = end !== '—';
+  await executeBatchOperations(operations, writer);
+  groups.forEach(({ previousSet }) => previousSet.clear());
+}
 
-  if (hasStart && hasEnd) {
-    return `${start} a ${end}`;
-  }
-  if (hasStart) {
-    return `A partir de ${start}`;
-  }
-  if (hasEnd) {
-    return `Até ${end}`;
+// ============================================================================
+// Fluxo de aprovação (cadeia de etapas por nível de investimento)
+// ============================================================================
+let approverStagesPromise = null;
+let pendingApprovalDecision = null;
+
+/**
+ * Nível de investimento que define a cadeia do projeto; recalculado pelo orçamento quando ausente.
+ * @param {Project} project - Projeto avaliado.
+ * @returns {string} N1–N4 (N1, a cadeia mais longa, quando não é possível determinar).
+ */
+function resolveProjectInvestmentLevel(project) {
+  const level = String(project?.investmentLevel || '').trim().toUpperCase();
+  if (APPROVAL_CHAINS[level]) {
+    return level;
   }
-  return '';
+  return determineInvestmentLevel(coerceNumericValue(project?.budgetBrl)) || 'N1';
 }
 
 /**
- * Recupera valor textual exibível de campos do formulário, respeitando selects.
- * @param {string} fieldId - ID do elemento.
- * @returns {string} Texto puro ou vazio.
+ * @param {Project} project - Projeto avaliado.
+ * @returns {ReadonlyArray<ApprovalStageKey>} Etapas que o projeto precisa percorrer, em ordem.
  */
-function getFieldDisplayValue(fieldId) {
-  const field = document.getElementById(fieldId);
-  if (!field) return '';
-  if (field.tagName === 'SELECT') {
-    return getSelectOptionText(field);
-  }
-  return field.value ?? '';
+function getApprovalChain(project) {
+  return APPROVAL_CHAINS[resolveProjectInvestmentLevel(project)] || APPROVAL_CHAINS.N1;
 }
 
 /**
- * Extrai texto da option selecionada ou retorna valor direto do select.
- * @param {HTMLSelectElement|null} selectElement - Elemento alvo.
- * @returns {string} Texto amigável.
+ * Etapa pendente de decisão; projetos enviados antes da cadeia existir começam pela primeira etapa.
+ * @param {Project} project - Projeto avaliado.
+ * @returns {ApprovalStageKey|null} Etapa atual ou null fora de aprovação.
  */
-function getSelectOptionText(selectElement) {
-  if (!selectElement) return '';
-  const option = selectElement.options?.[selectElement.selectedIndex];
-  if (option) {
-    return option.textContent?.trim() ?? '';
+function getCurrentApprovalStage(project) {
+  if (normalizeStatusKey(project?.status) !== PROJECT_STATUSES.IN_APPROVAL) {
+    return null;
   }
-  return selectElement.value ?? '';
+  const chain = getApprovalChain(project);
+  return chain.includes(project.approvalStage) ? project.approvalStage : chain[0];
 }
 
 /**
- * Associa um elemento de visualização para exibir o valor de um campo como moeda BRL.
- * @param {HTMLInputElement|null} input - Campo de origem.
- * @param {HTMLElement|null} preview - Elemento que exibirá o valor formatado.
+ * Campos gravados no projeto ao enviá-lo para aprovação.
+ * @param {string} investmentLevel - Nível calculado no formulário.
+ * @returns {{status:ProjectStatus, approvalStage:ApprovalStageKey, approvalStageSince:string}} Payload de atualização.
  */
-function attachCurrencyPreview(input, preview) {
-  if (!input || !preview) return;
-
-  const updatePreview = () => {
-    if (!preview.isConnected) {
-      currencyPreviewRegistry.delete(input);
-      return;
-    }
-
-    const rawValue = input.value;
-    if (rawValue === null || rawValue === undefined || rawValue === '') {
-      preview.textContent = '—';
-      return;
-    }
-
-    const numericValue = parseNumericInputValue(input);
-    if (!Number.isFinite(numericValue)) {
-      preview.textContent = '—';
-      return;
-    }
-
-    preview.textContent = BRL.format(numericValue);
+function buildApprovalStartPayload(investmentLevel) {
+  return {
+    status: PROJECT_STATUSES.IN_APPROVAL,
+    approvalStage: getApprovalChain({ investmentLevel })[0],
+    approvalStageSince: new Date().toISOString()
   };
-
-  currencyPreviewRegistry.set(input, { preview, update: updatePreview });
-  updatePreview();
 }
 
 /**
- * Atualiza o elemento de visualização associado a um campo numérico.
- * @param {HTMLInputElement|null} input - Campo monitorado.
+ * Calcula o próximo estado do projeto após uma decisão: aprovar avança para a etapa seguinte
+ * (ou conclui a aprovação na última), reprovar encerra e devolver libera o projeto para revisão.
+ * @param {Project} project - Projeto em aprovação.
+ * @param {'approve'|'reject'|'return'} decision - Decisão tomada.
+ * @returns {{status:ProjectStatus, approvalStage:string, approvalStageSince:string|null}} Payload de atualização.
+ * @throws {Error} Quando o projeto não está em aprovação.
  */
-function refreshCurrencyPreview(input) {
-  if (!input) return;
-  const entry = currencyPreviewRegistry.get(input);
-  if (!entry) return;
-  entry.update();
+function computeApprovalTransition(project, decision) {
+  const stage = getCurrentApprovalStage(project);
+  if (!stage) {
+    throw new Error('O projeto não está em aprovação.');
+  }
+  const closed = { approvalStage: '', approvalStageSince: null };
+  if (decision === 'reject') {
+    return { status: PROJECT_STATUSES.REJECTED, ...closed };
+  }
+  if (decision === 'return') {
+    return { status: PROJECT_STATUSES.REJECTED_FOR_REVIEW, ...closed };
+  }
+  const chain = getApprovalChain(project);
+  const nextStage = chain[chain.indexOf(stage) + 1];
+  if (!nextStage) {
+    return { status: PROJECT_STATUSES.APPROVED, ...closed };
+  }
+  return {
+    status: PROJECT_STATUSES.IN_APPROVAL,
+    approvalStage: nextStage,
+    approvalStageSince: new Date().toISOString()
+  };
 }
 
 /**
- * Converte valor numérico de um campo para moeda brasileira.
- * @param {string} fieldId - ID do input.
- * @returns {string} Valor formatado ou vazio.
- */
-/**
- * Converte valor numérico de input para moeda brasileira.
- * @param {string} fieldId - ID do campo.
- * @returns {string} Valor formatado ou string vazia.
+ * Etapas em que o usuário atual pode decidir (grupos de ApproverGroups dos quais é membro), com cache por sessão.
+ * @returns {Promise<Set<ApprovalStageKey>>} Etapas habilitadas.
  */
-function formatCurrencyField(fieldId) {
-  const field = document.getElementById(fieldId);
-  if (!field) return '';
-  const raw = field.value;
-  if (raw === undefined || raw === null || raw === '') {
-    return '';
-  }
-  const value = parseNumericInputValue(raw);
-  if (!Number.isFinite(value)) {
-    return '';
+function getUserApproverStages() {
+  if (!approverStagesPromise) {
+    approverStagesPromise = (async () => {
+      const userId = sp.getCurrentUser()?.id;
+      if (!userId) {
+        return new Set();
+      }
+      try {
+        const items = await sp.getItems(
+          'ApproverGroups',
+          { select: 'Id,Title,members/Id', expand: 'members', filter: `members/Id eq ${userId}` },
+          { all: true }
+        );
+        return new Set(
+          items.map((item) => String(item?.Title || '').trim()).filter((stage) => stage in APPROVAL_STAGES)
+        );
+      } catch (error) {
+        console.warn('Erro ao carregar grupos de aprovadores do usuário', error);
+        // Falha transitória não deve bloquear as próximas tentativas
+        approverStagesPromise = null;
+        return new Set();
+      }
+    })();
   }
-  return BRL.format(value);
+  return approverStagesPromise;
 }
 
 /**
- * Formata um valor decimal como porcentagem seguindo o locale pt-BR.
- * @param {number} value - Valor decimal (ex.: 0.12 para 12%).
- * @returns {string} Percentual formatado ou '—' quando inválido.
+ * @param {number} projectId - Projeto consultado.
+ * @returns {Promise<ApprovalRecord[]>} Decisões registradas, da mais antiga para a mais recente.
  */
-function formatRocePercentage(value) {
-  if (!Number.isFinite(value)) {
-    return '—';
-  }
-  return value.toLocaleString('pt-BR', {
-    style: 'percent',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  });
+function fetchProjectApprovals(projectId) {
+  return sp.getItems('Approvals', { filter: `projectsIdId eq ${projectId}`, orderby: 'Created asc' }, { all: true });
 }
 
 /**
- * Converte campo numérico para string localizada, mantendo fallback em caso de parsing inválido.
- * @param {string} fieldId - ID do input.
- * @returns {string} Valor formatado ou original.
+ * Relê o ETag do projeto quando o painel foi exibido sem ele; a decisão nunca é gravada sem IF-MATCH.
+ * @param {Project} project - Projeto como exibido no painel.
+ * @param {string} stage - Etapa exibida ao aprovador.
+ * @returns {Promise<string>} ETag atual do projeto.
+ * @throws {Error} Com status 412 quando a etapa mudou ou o ETag não pôde ser obtido.
  */
-function formatNumberField(fieldId) {
-  const field = document.getElementById(fieldId);
-  if (!field) return '';
-  const raw = field.value;
-  if (raw === undefined || raw === null || raw === '') {
-    return '';
-  }
-  const normalized = String(raw).replace(',', '.');
-  const value = Number.parseFloat(normalized);
-  if (!Number.isFinite(value)) {
-    return raw;
+async function fetchApprovalEtag(project, stage) {
+  const current = await sp.getItem('Projects', project.Id);
+  const etag = current?.__metadata?.etag;
+  if (!etag || getCurrentApprovalStage(current) !== stage) {
+    const error = new Error('O projeto foi alterado por outra pessoa. Recarregue os detalhes antes de decidir.');
+    error.status = 412;
+    throw error;
   }
-  return value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+  return etag;
 }
 
 /**
- * Lê valor numérico de um input e devolve formato monetário pt-BR.
- * @param {HTMLInputElement|null} element - Campo de origem.
- * @returns {string} Valor formatado ou string vazia.
+ * Grava a decisão: atualiza o projeto (IF-MATCH com o ETag exibido, impedindo duas decisões sobre a
+ * mesma etapa) e registra o item em Approvals; se o registro falhar, o projeto volta ao estado anterior.
+ * @param {Project} project - Projeto como exibido no painel (com __metadata.etag).
+ * @param {'approve'|'reject'|'return'} decision - Decisão tomada.
+ * @param {string} comment - Justificativa do aprovador.
+ * @returns {Promise<Object>} Campos atualizados no projeto.
+ * @throws {Error} Com status 403 quando o usuário não pertence ao grupo da etapa; 412 quando o projeto mudou.
  */
-function formatCurrencyValueFromElement(element) {
-  if (!element) return '';
-  const raw = element.value;
-  if (raw === undefined || raw === null || raw === '') {
-    return '';
-  }
-  const value = parseNumericInputValue(element);
-  if (!Number.isFinite(value)) {
-    return '';
+async function recordApprovalDecision(project, decision, comment) {
+  const stage = getCurrentApprovalStage(project);
+  const approverStages = await getUserApproverStages();
+  if (!stage || !approverStages.has(stage)) {
+    const error = new Error('Você não faz parte do grupo aprovador desta etapa.');
+    error.status = 403;
+    throw error;
+  }
+
+  const etag = project.__metadata?.etag || (await fetchApprovalEtag(project, stage));
+  const changes = computeApprovalTransition(project, decision);
+  const user = sp.getCurrentUser();
+  const unitOfWork = new SaveUnitOfWork(sp, { project });
+  try {
+    await unitOfWork.updateItem('Projects', project.Id, changes, { etag });
+    await unitOfWork.createItem('Approvals', {
+      Title: `${APPROVAL_STAGES[stage]} · ${APPROVAL_DECISIONS[decision]}`,
+      projectsIdId: Number(project.Id),
+      stage,
+      decision,
+      comment,
+      approverName: user?.displayName || user?.email || '',
+      investmentLevel: resolveProjectInvestmentLevel(project)
+    });
+    await unitOfWork.createItem(
+      'AuditLog',
+      buildAuditEntry(project.Id, decision, {
+        before: { project },
+        after: { project: { ...project, ...changes } },
+        statusFrom: project.status,
+        statusTo: changes.status,
+        comment
+      })
+    );
+    unitOfWork.commit();
+  } catch (error) {
+    if (!unitOfWork.committed) {
+      const { failures } = await unitOfWork.rollback();
+      if (failures.length) {
+        console.error('Não foi possível desfazer a decisão parcialmente gravada', failures);
+      }
+    }
+    throw error;
   }
-  return BRL.format(value);
+  return changes;
 }
 
 /**
- * Normaliza valores exibidos no resumo, retornando '—' quando não informado.
- * @param {*} value - Valor bruto.
- * @returns {string} Texto pronto para exibição.
+ * Cria a seção de aprovação do painel de detalhes: etapas da cadeia, ações do aprovador e histórico.
+ * Ações e histórico são carregados de forma assíncrona.
+ * @param {Project} project - Projeto exibido.
+ * @returns {HTMLElement} Seção pronta para inserir no painel.
  */
-function resolveSummaryValue(value) {
-  if (value === null || value === undefined) {
-    return '—';
-  }
-  if (typeof value === 'number') {
-    if (!Number.isFinite(value)) {
-      return '—';
+function createApprovalSection(project) {
+  const section = document.createElement('section');
+  section.className = 'project-approval';
+  const title = document.createElement('h3');
+  title.textContent = `Fluxo de aprovação (${resolveProjectInvestmentLevel(project)})`;
+  section.append(title);
+
+  const statusKey = normalizeStatusKey(project.status);
+  const currentStage = getCurrentApprovalStage(project);
+  const chain = getApprovalChain(project);
+  const currentIndex = currentStage ? chain.indexOf(currentStage) : -1;
+
+  const steps = document.createElement('ol');
+  steps.className = 'approval-steps';
+  chain.forEach((stage, index) => {
+    const step = document.createElement('li');
+    let stepState = 'pending';
+    if (statusKey === PROJECT_STATUSES.APPROVED || (currentIndex >= 0 && index < currentIndex)) {
+      stepState = 'done';
+    } else if (index === currentIndex) {
+      stepState = 'current';
+    }
+    step.className = `approval-step approval-step--${stepState}`;
+    step.textContent = APPROVAL_STAGES[stage];
+    if (stepState === 'current' && project.approvalStageSince) {
+      const since = document.createElement('span');
+      since.className = 'approval-step__since';
+      since.textContent = `desde ${formatDateValue(project.approvalStageSince)}`;
+      step.append(since);
     }
-    return value.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
-  }
-  const text = String(value).trim();
-  return text ? text : '—';
+    steps.append(step);
+  });
+  section.append(steps);
+
+  const actions = document.createElement('div');
+  actions.className = 'project-overview__actions approval-actions';
+  const history = document.createElement('ol');
+  history.className = 'project-versions__list approval-history';
+  section.append(actions, history);
+
+  renderApprovalActivity(project, { actions, history });
+  return section;
 }
 
 /**
- * Solicita confirmação antes de fechar o formulário e garante fechamento do resumo ativo.
+ * Preenche ações (apenas para membros do grupo da etapa atual) e histórico de decisões.
+ * @param {Project} project - Projeto exibido.
+ * @param {{actions:HTMLElement, history:HTMLOListElement}} targets - Containers da seção.
+ * @returns {Promise<void>}
  */
-function handleCloseFormRequest() {
-  if (summaryOverlay && !summaryOverlay.classList.contains('hidden')) {
-    closeSummaryOverlay();
+async function renderApprovalActivity(project, targets) {
+  const { actions, history } = targets;
+  const [approverStages, approvals] = await Promise.all([
+    getUserApproverStages(),
+    fetchProjectApprovals(project.Id).catch((error) => {
+      console.warn('Erro ao carregar decisões de aprovação', error);
+      return null;
+    })
+  ]);
+  if (!history.isConnected) {
     return;
   }
 
-  if (!overlay || overlay.classList.contains('hidden')) {
+  const stage = getCurrentApprovalStage(project);
+  if (stage && approverStages.has(stage)) {
+    [
+      { decision: 'approve', label: 'Aprovar', className: 'btn primary' },
+      { decision: 'return', label: 'Devolver para revisão', className: 'btn secondary' },
+      { decision: 'reject', label: 'Reprovar', className: 'btn danger' }
+    ].forEach(({ decision, label, className }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = label;
+      button.addEventListener('click', () => openApprovalDecisionOverlay(project, decision, button));
+      actions.append(button);
+    });
+  }
+
+  history.innerHTML = '';
+  if (!approvals?.length) {
+    const empty = document.createElement('li');
+    empty.className = 'project-versions__empty';
+    empty.textContent = approvals ? 'Nenhuma decisão registrada.' : 'Não foi possível carregar as decisões registradas.';
+    history.append(empty);
     return;
   }
 
-  const shouldClose = window.confirm(
-    'Tem certeza que deseja fechar o formulário? Suas alterações não salvas serão perdidas.'
-  );
+  approvals.forEach((record) => {
+    const item = document.createElement('li');
+    item.className = `project-versions__item approval-record approval-record--${record.decision}`;
+    const label = document.createElement('strong');
+    label.textContent = `${APPROVAL_STAGES[record.stage] || record.stage} · ${APPROVAL_DECISIONS[record.decision] || record.decision}`;
+    const meta = document.createElement('span');
+    meta.className = 'project-versions__meta';
+    meta.textContent = `${formatDateTimeValue(record.Created)} · ${record.approverName || 'aprovador não identificado'}`;
+    const comment = document.createElement('p');
+    comment.className = 'approval-record__comment';
+    comment.textContent = record.comment || '';
+    item.append(label, meta, comment);
+    history.append(item);
+  });
+}
 
-  if (shouldClose) {
-    closeForm();
+/**
+ * Abre o diálogo de comentário obrigatório para a decisão escolhida.
+ * @param {Project} project - Projeto exibido.
+ * @param {'approve'|'reject'|'return'} decision - Decisão a registrar.
+ * @param {HTMLButtonElement} [trigger] - Botão que recebe o foco ao fechar.
+ */
+function openApprovalDecisionOverlay(project, decision, trigger = null) {
+  if (!approvalDecisionOverlay) return;
+  const stage = getCurrentApprovalStage(project);
+  if (!stage) return;
+
+  pendingApprovalDecision = { project, decision, trigger };
+  const chain = getApprovalChain(project);
+  const nextStage = chain[chain.indexOf(stage) + 1];
+  const outcomes = {
+    approve: nextStage
+      ? `O projeto seguirá para a etapa ${APPROVAL_STAGES[nextStage]}.`
+      : 'Esta é a última etapa: o projeto ficará Aprovado.',
+    return: 'O projeto voltará ao solicitante com status Reprovado para Revisão, junto com os comentários feitos no resumo.',
+    reject: 'O projeto ficará Reprovado e a aprovação será encerrada.'
+  };
+  const titles = { approve: 'Aprovar projeto', return: 'Devolver para revisão', reject: 'Reprovar projeto' };
+
+  if (approvalDecisionTitle) {
+    approvalDecisionTitle.textContent = titles[decision];
   }
+  if (approvalDecisionSubtitle) {
+    approvalDecisionSubtitle.textContent = `${project.Title || 'Projeto'} · etapa ${APPROVAL_STAGES[stage]}. ${outcomes[decision]}`;
+  }
+  if (approvalDecisionConfirmBtn) {
+    approvalDecisionConfirmBtn.className = decision === 'reject' ? 'btn danger' : 'btn primary';
+    approvalDecisionConfirmBtn.disabled = false;
+  }
+  if (approvalDecisionComment) {
+    approvalDecisionComment.value = '';
+    approvalDecisionComment.disabled = false;
+    clearApprovalCommentError();
+  }
+  setFeedback(approvalDecisionStatus, '');
+
+  approvalDecisionOverlay.classList.remove('hidden');
+  approvalDecisionComment?.focus();
 }
 
 /**
- * Intercepta tecla ESC para iniciar fluxo de fechamento controlado do formulário.
- * @param {KeyboardEvent} event - Evento de teclado.
+ * Remove a marcação de erro do campo de justificativa.
  */
-function handleOverlayEscape(event) {
-  if (event.key !== 'Escape') return;
-  handleCloseFormRequest();
+function clearApprovalCommentError() {
+  const group = approvalDecisionComment?.closest('.field-group');
+  group?.classList.remove('has-error');
+  group?.querySelector('.field-error')?.remove();
+  approvalDecisionComment?.classList.remove('field-invalid');
 }
 
 /**
- * Alterna visibilidade entre seção de PEP simples e Key Projects com base no orçamento.
- * @param {{preserve?:boolean, clear?:boolean}} [options={}] - Controla limpeza de listas dinâmicas.
+ * Fecha o diálogo de decisão e devolve o foco ao botão que o abriu.
  */
-function updateBudgetSections(options = {}) {
-  const { preserve = false, clear = false } = options;
-  const value = getProjectBudgetValue();
-  const isNumber = Number.isFinite(value);
-  setSectionInteractive(simplePepSection, false);
-  setSectionInteractive(keyProjectSection, false);
+function closeApprovalDecisionOverlay() {
+  if (!approvalDecisionOverlay) return;
+  approvalDecisionOverlay.classList.add('hidden');
+  const trigger = pendingApprovalDecision?.trigger;
+  pendingApprovalDecision = null;
+  if (trigger?.isConnected) {
+    trigger.focus();
+  }
+}
 
-  if (!isNumber) {
-    simplePepSection.classList.add('hidden');
-    keyProjectSection.classList.add('hidden');
-    if (clear) {
-      simplePepList.innerHTML = '';
-      milestoneList.innerHTML = '';
-    }
-    updateBudgetHintMessage({ budget: NaN });
+/**
+ * Valida o comentário e grava a decisão; em caso de conflito recarrega o painel com a etapa vigente.
+ * @returns {Promise<void>}
+ */
+async function handleApprovalDecisionConfirm() {
+  if (!pendingApprovalDecision) return;
+  const { project, decision } = pendingApprovalDecision;
+  const comment = (approvalDecisionComment?.value || '').trim();
+
+  clearApprovalCommentError();
+  if (!comment) {
+    applyFieldError(approvalDecisionComment, 'Informe um comentário para registrar a decisão.');
+    approvalDecisionComment?.focus();
     return;
   }
 
-  if (value >= BUDGET_THRESHOLD) {
-    simplePepSection.classList.add('hidden');
-    keyProjectSection.classList.remove('hidden');
-    setSectionInteractive(keyProjectSection, true);
-    if (!preserve) {
-      simplePepList.innerHTML = '';
-    }
-    if (!milestoneList.children.length && !preserve) {
-      ensureMilestoneBlock();
+  approvalDecisionConfirmBtn.disabled = true;
+  approvalDecisionComment.disabled = true;
+  setFeedback(approvalDecisionStatus, 'Registrando decisão…');
+
+  try {
+    const changes = await recordApprovalDecision(project, decision, comment);
+    closeApprovalDecisionOverlay();
+    if (isFormOpenForProject(project.Id)) {
+      closeForm();
     }
-  } else {
-    keyProjectSection.classList.add('hidden');
-    simplePepSection.classList.remove('hidden');
-    setSectionInteractive(simplePepSection, true);
-    if (!preserve) {
-      milestoneList.innerHTML = '';
+    updateProjectState(project.Id, changes);
+    loadApprovalInbox();
+    if (Number(state.selectedProjectId) === Number(project.Id)) {
+      await loadProjectDetails(project.Id);
     }
-    if (!simplePepList.children.length && !preserve) {
-      ensureSimplePepRow();
+  } catch (error) {
+    console.error('Erro ao registrar decisão de aprovação', error);
+    approvalDecisionConfirmBtn.disabled = false;
+    approvalDecisionComment.disabled = false;
+    if (sp.isConcurrencyConflict(error)) {
+      setFeedback(
+        approvalDecisionStatus,
+        'O projeto foi alterado (possivelmente por outro aprovador) desde que foi aberto. O painel foi atualizado; confira a etapa atual.',
+        'warning'
+      );
+      approvalDecisionConfirmBtn.disabled = true;
+      await loadProjectDetails(project.Id);
+      loadApprovalInbox();
+      if (isFormOpenForProject(project.Id)) {
+        refreshFormSummaryApprovalActions(state.currentDetails?.project || null);
+      }
+      return;
     }
+    setFeedback(
+      approvalDecisionStatus,
+      error?.status === 403 ? error.message : 'Não foi possível registrar a decisão. Tente novamente.',
+      'error'
+    );
   }
-
-  updateBudgetHintMessage({ budget: value });
-  queueGanttRefresh();
 }
 
 /**
- * Habilita ou desabilita interações dentro de uma seção específica.
- * @param {HTMLElement|null} section - Fieldset alvo.
- * @param {boolean} enabled - Indica se inputs permanecem ativos.
+ * @param {number} projectId - Projeto verificado.
+ * @returns {boolean} True quando o formulário/resumo está aberto para o projeto informado.
  */
-function setSectionInteractive(section, enabled) {
-  if (!section) return;
-  section.querySelectorAll('input, textarea, button').forEach((element) => {
-    if (element.type === 'hidden') return;
-    element.disabled = !enabled;
-  });
+function isFormOpenForProject(projectId) {
+  return !overlay.classList.contains('hidden') && projectForm.dataset.projectId === String(projectId);
 }
 
-// ============================================================================
-// Validações de formulário
-// ============================================================================
-function resolveCommentFeedbackState(length) {
-  if (length > 300) {
-    return { tone: 'success', message: 'Ótima descrição' };
-  }
-  if (length >= 100) {
-    return { tone: 'warning', message: 'Boa descrição' };
-  }
-  if (length > 0) {
-    return { tone: 'danger', message: 'Abaixo de 100 caracteres: sujeito a reprovação' };
-  }
-  return { tone: '', message: '' };
-}
+/**
+ * Exibe no resumo somente leitura as decisões disponíveis quando o usuário pertence ao grupo
+ * da etapa atual do projeto aberto.
+ * @param {Project|null} project - Projeto carregado no formulário.
+ * @returns {Promise<void>}
+ */
+async function refreshFormSummaryApprovalActions(project) {
+  if (!formSummaryApprovalActions) return;
+  formSummaryApprovalActions.classList.add('hidden');
+  const stage = project ? getCurrentApprovalStage(project) : null;
+  if (!stage) return;
 
-function updateCommentFeedback(field, feedback) {
-  if (!field || !feedback) {
-    return;
-  }
-  const length = field.value.trim().length;
-  const { tone, message } = resolveCommentFeedbackState(length);
-  COMMENT_FEEDBACK_CLASSES.forEach((className) => feedback.classList.remove(className));
-  if (tone) {
-    feedback.classList.add(tone);
+  const approverStages = await getUserApproverStages();
+  // O formulário pode ter sido fechado ou trocado de projeto durante a consulta
+  if (approverStages.has(stage) && isFormOpenForProject(project.Id)) {
+    formSummaryApprovalActions.classList.remove('hidden');
   }
-  feedback.textContent = message;
 }
 
-function refreshCommentFeedback() {
-  updateCommentFeedback(businessNeedField, businessNeedFeedback);
-  updateCommentFeedback(proposedSolutionField, proposedSolutionFeedback);
+/**
+ * Delegação dos botões de decisão do resumo somente leitura.
+ * @param {MouseEvent} event - Clique dentro de #formSummaryApprovalActions.
+ */
+function handleFormSummaryApprovalClick(event) {
+  const button = event.target.closest('button[data-decision]');
+  const project = state.currentDetails?.project;
+  if (!button || !project || !isFormOpenForProject(project.Id)) return;
+  openApprovalDecisionOverlay(project, button.dataset.decision, button);
 }
 
-function resetFormStatus() {
-  if (!formStatus) return;
-  formStatus.textContent = '';
-  formStatus.classList.remove('show', 'feedback--info', 'feedback--success', 'feedback--warning', 'feedback--error');
+// ============================================================================
+// Comentários de revisão (campos, PEPs, marcos e atividades)
+// ============================================================================
+let reviewState = { projectId: null, comments: [], canComment: false };
+let pendingReviewTarget = null;
+
+const REVIEW_TARGET_SELECTORS = Object.freeze({
+  pep: (id) => `.pep-row[data-pep-id="${id}"] .pep-title, .activity[data-pep-id="${id}"] .activity-pep-title`,
+  milestone: (id) => `.milestone[data-milestone-id="${id}"] .milestone-title`,
+  activity: (id) => `.activity[data-activity-id="${id}"] .activity-title`
+});
+
+/**
+ * Identifica um elemento do resumo como alvo de comentários de revisão.
+ * @param {HTMLElement} element - Item, linha de PEP ou card de marco/atividade do resumo.
+ * @param {'field'|'pep'|'milestone'|'activity'} type - Tipo do alvo.
+ * @param {string|number} key - ID do campo no formulário ou ID do item relacionado.
+ * @param {string} label - Descrição exibida no diálogo e gravada com o comentário.
+ */
+function markReviewTarget(element, type, key, label) {
+  element.dataset.reviewType = type;
+  element.dataset.reviewKey = String(key);
+  element.dataset.reviewLabel = label;
 }
 
-function clearErrorSummary() {
-  if (!formErrors) return;
-  formErrors.classList.remove('show', 'feedback--info', 'feedback--success', 'feedback--warning', 'feedback--error');
-  if (formErrorsTitle) {
-    formErrorsTitle.textContent = '';
-  }
-  if (errorSummaryList) {
-    errorSummaryList.innerHTML = '';
-  }
+/**
+ * @param {number} projectId - Projeto consultado.
+ * @returns {Promise<ReviewComment[]>} Comentários do projeto, do mais antigo para o mais recente.
+ */
+function fetchReviewComments(projectId) {
+  return sp.getItems('ReviewComments', { filter: `projectsIdId eq ${projectId}`, orderby: 'Created asc' }, { all: true });
 }
 
-function renderErrorSummary(issues = [], options = {}) {
-  if (!formErrors || !errorSummaryList) {
-    return;
-  }
+/**
+ * @param {string} type - Tipo do alvo.
+ * @param {string} key - ID do campo ou do item.
+ * @returns {ReviewComment[]} Comentários presos ao alvo.
+ */
+function getReviewCommentsFor(type, key) {
+  return reviewState.comments.filter((comment) => (
+    comment.targetType === type &&
+    (type === 'field' ? comment.fieldName === key : String(comment.targetId) === key)
+  ));
+}
 
-  const entries = Array.isArray(issues) ? issues.filter(Boolean) : [];
-  if (!entries.length) {
-    clearErrorSummary();
-    return;
+/**
+ * Limpa os comentários do formulário anterior e carrega os do projeto aberto.
+ * @param {Project|null} project - Projeto aberto no formulário (null em criações).
+ */
+function resetReviewComments(project) {
+  projectForm.querySelectorAll('.field-error--review').forEach((node) => node.remove());
+  projectForm.querySelectorAll('.field-group.has-review').forEach((group) => group.classList.remove('has-review'));
+  reviewState = { projectId: project?.Id ?? null, comments: [], canComment: false };
+  if (project?.Id) {
+    loadReviewComments(project);
   }
+}
 
-  const tone = options.tone || 'error';
-  const titleMessage = options.title || (tone === 'warning'
-    ? 'Alguns campos estão incompletos.'
-    : 'Não foi possível salvar. Verifique os erros abaixo.');
-
-  formErrors.classList.add('show');
-  formErrors.classList.remove('feedback--info', 'feedback--success', 'feedback--warning', 'feedback--error');
-  formErrors.classList.add(`feedback--${tone}`);
-  if (formErrorsTitle) {
-    formErrorsTitle.textContent = titleMessage;
+/**
+ * Carrega comentários e permissão de comentar (aprovador da etapa atual) e os exibe conforme o modo do formulário.
+ * @param {Project} project - Projeto aberto.
+ * @returns {Promise<void>}
+ */
+async function loadReviewComments(project) {
+  const [comments, approverStages] = await Promise.all([
+    fetchReviewComments(project.Id).catch((error) => {
+      console.warn('Erro ao carregar comentários de revisão', error);
+      return [];
+    }),
+    getUserApproverStages()
+  ]);
+  // Outro projeto pode ter sido aberto enquanto a consulta estava em andamento
+  if (reviewState.projectId !== project.Id) return;
+
+  const stage = getCurrentApprovalStage(project);
+  reviewState = {
+    projectId: project.Id,
+    comments: safeArray(comments),
+    canComment: Boolean(stage && approverStages.has(stage))
+  };
+  if (currentFormMode === 'readonly') {
+    renderSummaryReviewComments();
+  } else {
+    renderFormReviewComments();
   }
+}
 
-  errorSummaryList.innerHTML = '';
-  const fragment = document.createDocumentFragment();
-
-  entries.forEach((issue) => {
-    const messages = Array.isArray(issue.items)
-      ? [...new Set(issue.items.filter((item) => Boolean(item && String(item).trim())))]
-      : [];
-    const listItem = document.createElement('li');
-    listItem.className = 'error-summary__item';
+/**
+ * Monta a lista de comentários de um alvo, com estado pendente/resolvido.
+ * @param {ReviewComment[]} comments - Comentários do alvo.
+ * @returns {HTMLUListElement} Lista pronta para inserção.
+ */
+function createReviewCommentList(comments) {
+  const list = document.createElement('ul');
+  list.className = 'review-comment-list';
+  comments.forEach((comment) => {
+    const item = document.createElement('li');
+    item.className = `review-comment${comment.resolved ? ' review-comment--resolved' : ''}`;
+    const text = document.createElement('p');
+    text.textContent = comment.comment;
+    const meta = document.createElement('span');
+    meta.className = 'review-comment__meta';
+    meta.textContent = [
+      comment.resolved ? 'Resolvido' : 'Pendente',
+      comment.reviewerName,
+      formatDateTimeValue(comment.Created)
+    ].filter(Boolean).join(' · ');
+    item.append(text, meta);
+    list.append(item);
+  });
+  return list;
+}
 
-    if (issue.title) {
-      const strong = document.createElement('strong');
-      strong.textContent = issue.title;
-      listItem.appendChild(strong);
+/**
+ * Exibe no resumo somente leitura os comentários de cada alvo e, para o aprovador da etapa,
+ * o botão de novo comentário.
+ */
+function renderSummaryReviewComments() {
+  if (!formSummarySections) return;
+  if (!reviewState.projectId || String(reviewState.projectId) !== projectForm.dataset.projectId) return;
+
+  formSummarySections.querySelectorAll('.review-thread').forEach((node) => node.remove());
+  formSummarySections.querySelectorAll('[data-review-type]').forEach((target) => {
+    const comments = getReviewCommentsFor(target.dataset.reviewType, target.dataset.reviewKey);
+    if (!comments.length && !reviewState.canComment) return;
+
+    const thread = document.createElement('div');
+    thread.className = 'review-thread';
+    if (comments.length) {
+      thread.append(createReviewCommentList(comments));
     }
-
-    if (messages.length === 1) {
-      const messageText = issue.title ? ` — ${messages[0]}` : messages[0];
-      listItem.appendChild(document.createTextNode(messageText));
-    } else if (messages.length > 1) {
-      if (issue.title) {
-        listItem.appendChild(document.createTextNode(':'));
-      }
-      const nestedList = document.createElement('ul');
-      nestedList.className = 'error-summary__sublist';
-      messages.forEach((message) => {
-        const nestedItem = document.createElement('li');
-        nestedItem.textContent = message;
-        nestedList.appendChild(nestedItem);
-      });
-      listItem.appendChild(nestedList);
-    } else if (issue.message) {
-      const messageText = issue.title ? ` — ${issue.message}` : issue.message;
-      listItem.appendChild(document.createTextNode(messageText));
-    } else if (!issue.title) {
-      return;
+    if (reviewState.canComment) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn ghost review-comment-add';
+      button.textContent = 'Comentar';
+      button.setAttribute('aria-label', `Comentar: ${target.dataset.reviewLabel}`);
+      thread.append(button);
     }
 
-    fragment.appendChild(listItem);
+    // Linhas de PEP recebem o comentário na primeira célula; cards logo abaixo do título
+    const host = target.tagName === 'TR' ? target.cells[0] : target;
+    const heading = host.querySelector(':scope > h4, :scope > h5');
+    if (heading) {
+      heading.after(thread);
+    } else {
+      host.append(thread);
+    }
   });
-
-  errorSummaryList.appendChild(fragment);
 }
 
-function ensureFieldControlWrapper(element) {
-  if (!element) return null;
-  const parent = element.parentElement;
-  if (!parent) return null;
-  if (parent.classList.contains('field-control')) {
-    return parent;
+/**
+ * @param {ReviewComment} comment - Comentário avaliado.
+ * @returns {HTMLElement|null} Campo do formulário ao qual o comentário se refere.
+ */
+function findReviewCommentField(comment) {
+  if (comment.targetType === 'field') {
+    const field = comment.fieldName ? document.getElementById(comment.fieldName) : null;
+    return field && projectForm.contains(field) ? field : null;
   }
-  if (parent.classList.contains('field-group')) {
-    const wrapper = document.createElement('div');
-    wrapper.className = 'field-control';
-    parent.insertBefore(wrapper, element);
-    wrapper.appendChild(element);
-    return wrapper;
+  const selector = REVIEW_TARGET_SELECTORS[comment.targetType];
+  const id = Number(comment.targetId);
+  if (!selector || !Number.isFinite(id)) return null;
+  return projectForm.querySelector(selector(id));
+}
+
+/**
+ * Exibe os comentários junto aos campos do formulário em edição (via applyFieldError) e resume
+ * as pendências no status do formulário.
+ */
+function renderFormReviewComments() {
+  projectForm.querySelectorAll('.field-error--review').forEach((node) => node.remove());
+  projectForm.querySelectorAll('.field-group.has-review').forEach((group) => group.classList.remove('has-review'));
+  if (!reviewState.comments.length) return;
+
+  const detached = [];
+  reviewState.comments.forEach((comment) => {
+    const field = findReviewCommentField(comment);
+    const feedback = field ? applyFieldError(field, '', { variant: 'review', key: comment.Id }) : null;
+    if (!feedback) {
+      if (!comment.resolved) detached.push(comment);
+      return;
+    }
+    feedback.classList.toggle('field-error--resolved', Boolean(comment.resolved));
+    const text = document.createElement('span');
+    text.className = 'review-comment__text';
+    text.textContent = `${comment.resolved ? 'Resolvido' : 'Revisão'}: ${comment.comment}`;
+    const meta = document.createElement('span');
+    meta.className = 'review-comment__meta';
+    meta.textContent = [comment.reviewerName, formatDateTimeValue(comment.Created)].filter(Boolean).join(' · ');
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'review-resolve-toggle';
+    toggle.dataset.commentId = String(comment.Id);
+    toggle.textContent = comment.resolved ? 'Reabrir' : 'Marcar como resolvido';
+    feedback.append(text, meta, toggle);
+  });
+
+  const pending = reviewState.comments.filter((comment) => !comment.resolved).length;
+  if (!pending) return;
+  let message = `Há ${pending} comentário(s) de revisão pendente(s) indicados junto aos campos.`;
+  if (detached.length) {
+    const labels = detached.map((comment) => `${comment.targetLabel}: ${comment.comment}`).join('; ');
+    message += ` Comentários sobre itens que não estão mais no formulário: ${labels}.`;
   }
-  return parent;
+  showStatus(message, { type: 'warning' });
 }
 
-function clearFieldErrors() {
-  if (!projectForm) return;
-  projectForm.querySelectorAll('.field-error').forEach((node) => node.remove());
-  projectForm.querySelectorAll('.field-group.has-error').forEach((group) => group.classList.remove('has-error'));
-  projectForm.querySelectorAll('.field-invalid').forEach((input) => input.classList.remove('field-invalid'));
+/**
+ * Marca ou reabre um comentário de revisão a partir do formulário em edição, com IF-MATCH do ETag lido;
+ * se outra pessoa alterou o comentário (412), recarrega os comentários do projeto.
+ * @param {number} commentId - ID do item em ReviewComments.
+ * @returns {Promise<void>}
+ */
+async function toggleReviewCommentResolved(commentId) {
+  const { projectId } = reviewState;
+  const comment = reviewState.comments.find((item) => Number(item.Id) === commentId);
+  // Só quem está editando o projeto dono do comentário pode resolvê-lo
+  if (!comment || currentFormMode === 'readonly' || Number(comment.projectsIdId) !== Number(projectId)) return;
+  const resolved = !comment.resolved;
+  const changes = { resolved, resolvedAt: resolved ? new Date().toISOString() : null };
+  try {
+    const { etag } = await sp.updateItem('ReviewComments', commentId, changes, { etag: comment.__metadata?.etag });
+    Object.assign(comment, changes);
+    if (etag) {
+      comment.__metadata = { ...comment.__metadata, etag };
+    }
+    renderFormReviewComments();
+  } catch (error) {
+    if (!sp.isConcurrencyConflict(error)) {
+      console.error('Erro ao atualizar comentário de revisão', error);
+      showStatus('Não foi possível atualizar o comentário de revisão. Tente novamente.', { type: 'error' });
+      return;
+    }
+    try {
+      const comments = await fetchReviewComments(projectId);
+      if (reviewState.projectId !== projectId) return;
+      reviewState.comments = safeArray(comments);
+      renderFormReviewComments();
+      showStatus('O comentário foi alterado por outra pessoa. Os comentários foram recarregados.', { type: 'warning' });
+    } catch (reloadError) {
+      console.error('Erro ao recarregar comentários de revisão', reloadError);
+      showStatus('O comentário foi alterado por outra pessoa. Reabra o projeto para ver a versão atual.', { type: 'error' });
+    }
+  }
 }
 
-function applyFieldError(element, message) {
-  if (!element) return;
-  const group = element.closest('.field-group');
-  if (!group) return;
-  group.classList.add('has-error');
-  element.classList.add('field-invalid');
-  const wrapper = ensureFieldControlWrapper(element);
-  if (!wrapper) return;
-  let feedback = wrapper.querySelector('.field-error');
-  if (!feedback) {
-    feedback = document.createElement('span');
-    feedback.className = 'field-error';
-    wrapper.appendChild(feedback);
+/**
+ * Abre o diálogo de novo comentário para um alvo do resumo.
+ * @param {HTMLElement|null} target - Elemento marcado com markReviewTarget.
+ * @param {HTMLButtonElement} [trigger] - Botão que abriu o diálogo.
+ */
+function openReviewCommentOverlay(target, trigger = null) {
+  if (!reviewCommentOverlay || !target || !reviewState.canComment) return;
+  pendingReviewTarget = {
+    type: target.dataset.reviewType,
+    key: target.dataset.reviewKey,
+    label: target.dataset.reviewLabel || '',
+    trigger
+  };
+  if (reviewCommentTarget) {
+    reviewCommentTarget.textContent = pendingReviewTarget.label;
   }
-  feedback.textContent = message;
+  if (reviewCommentText) {
+    reviewCommentText.value = '';
+    reviewCommentText.disabled = false;
+    const group = reviewCommentText.closest('.field-group');
+    group?.classList.remove('has-error');
+    group?.querySelector('.field-error')?.remove();
+    reviewCommentText.classList.remove('field-invalid');
+  }
+  if (reviewCommentSaveBtn) {
+    reviewCommentSaveBtn.disabled = false;
+  }
+  setFeedback(reviewCommentStatus, '');
+  reviewCommentOverlay.classList.remove('hidden');
+  reviewCommentText?.focus();
 }
 
-function getFieldLabel(element) {
-  if (!element) return 'Campo';
-  const group = element.closest('.field-group');
-  const label = group?.querySelector('label');
-  if (label?.textContent) {
-    return label.textContent.trim();
+/**
+ * Fecha o diálogo de comentário de revisão e devolve o foco ao botão que o abriu.
+ */
+function closeReviewCommentOverlay() {
+  if (!reviewCommentOverlay) return;
+  reviewCommentOverlay.classList.add('hidden');
+  const trigger = pendingReviewTarget?.trigger;
+  pendingReviewTarget = null;
+  if (trigger?.isConnected) {
+    trigger.focus();
   }
-  return element.getAttribute('aria-label') || element.name || element.id || 'Campo';
 }
 
 /**
- * Executa validações nativas HTML5 e retorna lista estruturada de problemas.
- * @returns {Array<{element:HTMLElement, label:string, message:string, type:string}>} Erros detectados.
+ * Grava o comentário do aprovador e atualiza o resumo.
+ * @returns {Promise<void>}
  */
-function collectInvalidFields() {
-  if (!projectForm) return [];
-  const invalid = [];
-  const elements = projectForm.querySelectorAll('input, select, textarea');
-
-  elements.forEach((element) => {
-    if (!element?.willValidate) return;
-    if (element.disabled) return;
-    if (element.type === 'hidden') return;
-    if (element.closest('.hidden')) return;
+async function handleReviewCommentSave() {
+  if (!pendingReviewTarget) return;
+  const project = state.currentDetails?.project;
+  const text = (reviewCommentText?.value || '').trim();
+  if (!text) {
+    applyFieldError(reviewCommentText, 'Descreva o que precisa ser ajustado.');
+    reviewCommentText?.focus();
+    return;
+  }
+  if (!project || String(project.Id) !== String(reviewState.projectId)) {
+    setFeedback(reviewCommentStatus, 'O projeto revisado não está mais aberto.', 'error');
+    return;
+  }
 
-    const validity = element.validity;
-    if (!validity || validity.valid) {
-      return;
-    }
+  const { type, key, label } = pendingReviewTarget;
+  const user = sp.getCurrentUser();
+  reviewCommentSaveBtn.disabled = true;
+  reviewCommentText.disabled = true;
+  setFeedback(reviewCommentStatus, 'Salvando comentário…');
+  try {
+    const created = await sp.createItem('ReviewComments', {
+      Title: label.slice(0, 255),
+      projectsIdId: Number(project.Id),
+      targetType: type,
+      fieldName: type === 'field' ? key : '',
+      targetId: type === 'field' ? null : Number(key),
+      targetLabel: label,
+      comment: text,
+      reviewerName: user?.displayName || user?.email || '',
+      stage: getCurrentApprovalStage(project) || '',
+      resolved: false,
+      resolvedAt: null
+    });
+    reviewState.comments.push(created);
+    pendingReviewTarget.trigger = null;
+    closeReviewCommentOverlay();
+    renderSummaryReviewComments();
+  } catch (error) {
+    console.error('Erro ao salvar comentário de revisão', error);
+    reviewCommentSaveBtn.disabled = false;
+    reviewCommentText.disabled = false;
+    setFeedback(reviewCommentStatus, 'Não foi possível salvar o comentário. Tente novamente.', 'error');
+  }
+}
 
-    const label = getFieldLabel(element);
-    let type = 'general';
-    let message = element.validationMessage || `Verifique “${label}”.`;
+// ============================================================================
+// Histórico de alterações (lista AuditLog)
+// ============================================================================
+/**
+ * Rótulo de cada ação registrada no histórico.
+ */
+const AUDIT_ACTION_LABELS = Object.freeze({
+  create: 'Projeto criado',
+  save: 'Alterações salvas',
+  submit: 'Enviado para aprovação',
+  approve: 'Etapa aprovada',
+  reject: 'Projeto reprovado',
+  return: 'Devolvido para revisão'
+});
 
-    if (validity.valueMissing) {
-      type = 'required';
-      message = `Preencha “${label}”.`;
-    } else if (message === PROJECT_START_MIN_ERROR_MESSAGE) {
-      type = 'date';
-      message = `${label}: ${PROJECT_START_MIN_ERROR_MESSAGE}`;
-    } else if (element.dataset?.dateRangeInvalid === 'true' || message === DATE_RANGE_ERROR_MESSAGE) {
-      type = 'date';
-      message = `${label}: ${DATE_RANGE_ERROR_MESSAGE}`;
-    }
+/**
+ * Converte os detalhes carregados do SharePoint para o formato de buildApprovalSummary,
+ * permitindo comparar o estado salvo com o formulário via diffApprovalSummaries.
+ * @param {{project:Project, milestones?:Array, activities?:Array, peps?:Array}} detail - Pacote de loadProjectDetails.
+ * @returns {SummaryPayload} Resumo equivalente.
+ */
+function buildDetailSummary(detail) {
+  const milestones = safeArray(detail?.milestones).map((item) => ({ id: item.Id, title: item.Title || '' }));
+  const milestoneTitles = new Map(milestones.map((item) => [Number(item.id), item.title]));
+  const activities = safeArray(detail?.activities).map((item) => ({
+    id: item.Id,
+    title: item.Title || '',
+    milestoneId: item.milestonesIdId ?? null,
+    milestoneTitle: milestoneTitles.get(Number(item.milestonesIdId)) || '',
+    startDate: item.startDate || null,
+    endDate: item.endDate || null,
+    supplier: item.supplier || '',
+    description: item.activityDescription || ''
+  }));
+  const activityTitles = new Map(activities.map((item) => [Number(item.id), item.title]));
+  const peps = safeArray(detail?.peps).map((item) => ({
+    id: item.Id,
+    title: item.Title || '',
+    amountBrl: item.amountBrl,
+    year: item.year ?? null,
+    type: item.activitiesIdId ? 'activity' : 'simple',
+    activityId: item.activitiesIdId ?? null,
+    activityTitle: item.activitiesIdId ? activityTitles.get(Number(item.activitiesIdId)) || '' : ''
+  }));
+  return { project: detail?.project || {}, milestones, activities, peps };
+}
 
-    invalid.push({ element, label, message, type });
-  });
+/**
+ * Monta o item de AuditLog: usuário, transição de status e diferenças de campos e itens relacionados.
+ * @param {number} projectId - Projeto alterado.
+ * @param {'create'|'save'|'submit'|'approve'|'reject'|'return'} action - Ação registrada.
+ * @param {{before?:SummaryPayload|null, after?:SummaryPayload, statusFrom?:string, statusTo?:string, comment?:string}} [details={}]
+ *   Estado anterior e posterior (sem before, as diferenças não são registradas).
+ * @returns {Object} Payload para createItem('AuditLog').
+ */
+function buildAuditEntry(projectId, action, details = {}) {
+  const { before, after, statusFrom = '', statusTo = '', comment = '' } = details;
+  let changes = null;
+  if (before !== undefined && after) {
+    const diff = diffApprovalSummaries(before || {}, after);
+    changes = {
+      fields: diff.fields,
+      budget: diff.budget.delta ? diff.budget : null,
+      pepTotal: diff.pepTotal.delta ? diff.pepTotal : null,
+      milestones: diff.milestones,
+      activities: diff.activities,
+      peps: diff.peps
+    };
+  }
+  const user = sp.getCurrentUser();
+  return {
+    Title: AUDIT_ACTION_LABELS[action] || action,
+    projectsIdId: Number(projectId),
+    action,
+    statusFrom: statusFrom || '',
+    statusTo: statusTo || '',
+    userId: user?.id ?? null,
+    userName: user?.displayName || user?.email || '',
+    comment,
+    changes: changes ? JSON.stringify(changes) : ''
+  };
+}
 
-  return invalid;
+/**
+ * @param {number} projectId - Projeto consultado.
+ * @returns {Promise<Object[]>} Registros do histórico, do mais recente para o mais antigo.
+ */
+function fetchAuditEntries(projectId) {
+  return sp.getItems('AuditLog', { filter: `projectsIdId eq ${projectId}`, orderby: 'Created desc' }, { all: true });
 }
 
 /**
- * Reestabelece o estado das validações customizadas e limpa mensagens auxiliares.
+ * @param {Object} entry - Item de AuditLog.
+ * @returns {Object|null} Diferenças gravadas ou null quando ausentes/ilegíveis.
  */
-function resetValidationState() {
-  validationState.pepBudget = null;
-  validationState.pepBudgetDetails = null;
-  validationState.activityDates = null;
-  validationState.activityDateDetails = null;
-  clearDateRangeValidity();
-  clearFieldErrors();
-  clearErrorSummary();
+function parseAuditChanges(entry) {
+  if (!entry?.changes) return null;
+  try {
+    return JSON.parse(entry.changes);
+  } catch (error) {
+    console.warn('Registro de auditoria com alterações ilegíveis', entry.Id, error);
+    return null;
+  }
 }
 
 /**
- * Atualiza caches de mensagens e detalhes usados pelos validadores personalizados.
- * @param {string} key - Nome da propriedade em validationState.
- * @param {string|null} message - Mensagem registrada.
- * @param {*} [details=null] - Metadados adicionais.
+ * Converte as diferenças gravadas em linhas de texto para a linha do tempo.
+ * @param {Object|null} changes - Diferenças de parseAuditChanges.
+ * @returns {Array<{text:string, delta?:number}>} Linhas exibidas no detalhe do registro.
  */
-function setValidationError(key, message, details = null) {
-  validationState[key] = message || null;
-  const detailsKey = `${key}Details`;
-  if (detailsKey in validationState) {
-    validationState[detailsKey] = details || null;
+function describeAuditChanges(changes) {
+  if (!changes) return [];
+  // A transição de status já aparece no cabeçalho do registro
+  const lines = safeArray(changes.fields)
+    .filter((row) => row.field !== 'status')
+    .map((row) => ({
+      text: `${row.label}: ${row.before} → ${row.after}`,
+      delta: row.field === 'budgetBrl' ? changes.budget?.delta : undefined
+    }));
+  if (changes.pepTotal) {
+    lines.push({
+      text: `Total de PEPs: ${BRL.format(changes.pepTotal.before)} → ${BRL.format(changes.pepTotal.after)}`,
+      delta: changes.pepTotal.delta
+    });
   }
+  const statusLabels = { added: 'incluído', removed: 'removido', changed: 'alterado' };
+  [
+    ['milestones', 'Marco'],
+    ['activities', 'Atividade'],
+    ['peps', 'PEP']
+  ].forEach(([kind, prefix]) => {
+    safeArray(changes[kind]).forEach((item) => {
+      const details = safeArray(item.changes).map((change) => `${change.label}: ${change.before} → ${change.after}`);
+      lines.push({
+        text: `${prefix} ${statusLabels[item.status] || item.status}: ${item.label}${details.length ? ` (${details.join('; ')})` : ''}`,
+        delta: kind === 'peps' ? item.budgetDelta : undefined
+      });
+    });
+  });
+  return lines;
 }
 
 /**
- * Memoriza valor anterior de um campo para restauração em validações corretivas.
- * @param {HTMLElement|null} element - Campo monitorado.
+ * Cria a seção de histórico do painel de detalhes; os registros são carregados de forma assíncrona.
+ * @param {number} projectId - Projeto exibido.
+ * @returns {HTMLElement} Seção pronta para inserir no painel.
  */
-function rememberFieldPreviousValue(element) {
-  if (!element || typeof element !== 'object') return;
-  if (!('dataset' in element)) return;
-  element.dataset.previousValue = element.value ?? '';
+function createAuditSection(projectId) {
+  const section = document.createElement('section');
+  section.className = 'project-audit';
+  const title = document.createElement('h3');
+  title.textContent = 'Histórico de alterações';
+  const list = document.createElement('ol');
+  list.className = 'audit-timeline';
+  const loading = document.createElement('li');
+  loading.className = 'project-versions__empty';
+  loading.textContent = 'Carregando histórico…';
+  list.append(loading);
+  section.append(title, list);
+
+  renderAuditTimeline(projectId, list);
+  return section;
 }
 
 /**
- * Normaliza strings numéricas aceitando apenas dígitos.
- * Remove espaços, pontos, vírgulas e quaisquer caracteres não numéricos.
- * @param {*} value - Valor bruto informado pelo usuário.
- * @returns {string} Representação numérica apenas com dígitos.
+ * Renderiza a linha do tempo; descarta o resultado se o painel já mostra outro projeto.
+ * @param {number} projectId - Projeto exibido.
+ * @param {HTMLOListElement} list - Lista a preencher.
+ * @returns {Promise<void>}
  */
-function normalizeNumericString(value) {
-  if (value === null || value === undefined) {
-    return '';
+async function renderAuditTimeline(projectId, list) {
+  let entries;
+  try {
+    entries = await fetchAuditEntries(projectId);
+  } catch (error) {
+    console.warn('Erro ao carregar histórico de alterações', error);
+    entries = null;
   }
+  if (!list.isConnected) return;
 
-  const text = String(value).trim();
-  if (!text) {
-    return '';
+  list.innerHTML = '';
+  if (!entries?.length) {
+    const empty = document.createElement('li');
+    empty.className = 'project-versions__empty';
+    empty.textContent = entries ? 'Nenhuma alteração registrada.' : 'Não foi possível carregar o histórico.';
+    list.append(empty);
+    return;
   }
 
-  const withoutWhitespace = text.replace(/\s+/g, '');
-  const digitsOnly = withoutWhitespace
-    .replace(/[.,]/g, '')
-    .replace(/[^0-9]/g, '');
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = `audit-entry audit-entry--${entry.action || 'save'}`;
+
+    const header = document.createElement('div');
+    header.className = 'audit-entry__header';
+    const label = document.createElement('strong');
+    label.textContent = AUDIT_ACTION_LABELS[entry.action] || entry.Title || 'Alteração';
+    const meta = document.createElement('span');
+    meta.className = 'project-versions__meta';
+    meta.textContent = `${formatDateTimeValue(entry.Created)} · ${entry.userName || 'usuário não identificado'}`;
+    header.append(label, meta);
+    item.append(header);
+
+    if (entry.statusTo && entry.statusFrom !== entry.statusTo) {
+      const status = document.createElement('span');
+      status.className = 'audit-entry__status';
+      status.textContent = `${entry.statusFrom || 'Novo'} → ${entry.statusTo}`;
+      item.append(status);
+    }
 
-  return digitsOnly;
+    if (entry.comment) {
+      const comment = document.createElement('p');
+      comment.className = 'approval-record__comment';
+      comment.textContent = entry.comment;
+      item.append(comment);
+    }
+
+    const lines = describeAuditChanges(parseAuditChanges(entry));
+    if (lines.length) {
+      const details = document.createElement('details');
+      details.className = 'audit-entry__details';
+      const summary = document.createElement('summary');
+      summary.textContent = `${lines.length} alteração(ões)`;
+      const changeList = document.createElement('ul');
+      lines.forEach((line) => {
+        const row = document.createElement('li');
+        row.textContent = line.text;
+        const badge = createBudgetDeltaBadge(line.delta);
+        if (badge) {
+          row.append(' ', badge);
+        }
+        changeList.append(row);
+      });
+      details.append(summary, changeList);
+      item.append(details);
+    }
+
+    list.append(item);
+  });
 }
 
+// ============================================================================
+// Exportação do resumo em PDF (gerado no navegador com jsPDF)
+// ============================================================================
+const JSPDF_SRC = window.CAPEX_JSPDF_URL || 'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js';
+// Hash SRI do arquivo padrão; uma URL própria usa window.CAPEX_JSPDF_INTEGRITY (vazio dispensa a verificação).
+// Ao trocar a versão, recalcule sobre o arquivo publicado na URL acima (o jsDelivr serve o pacote npm sem alterações):
+//   curl -sL <JSPDF_SRC> | openssl dgst -sha384 -binary | openssl base64 -A
+// Um hash errado impede o carregamento e a exportação em PDF falha com "Não foi possível carregar a biblioteca de PDF."
+const JSPDF_INTEGRITY = window.CAPEX_JSPDF_URL
+  ? window.CAPEX_JSPDF_INTEGRITY || ''
+  : 'sha384-JcnsjUPPylna1s1fvi1u12X5qjY5OL56iySh75FdtrwhO/SWXgMjoVqcKyIIWOLk';
+const PDF_LOGO_SRC = 'Images/logo.png';
+const PDF_BRAND_COLOR = [70, 10, 120];
+const PDF_MUTED_COLOR = [104, 104, 104];
+let jsPdfLoader = null;
+
 /**
- * Converte valores variados em inteiro não negativo, respeitando normalização para dígitos.
- * @param {*} value - Valor a converter.
- * @returns {number} Número coerente ou NaN.
+ * Carrega a biblioteca jsPDF sob demanda (mesmo padrão do loader do Google Charts).
+ * @returns {Promise<Function>} Construtor jsPDF.
  */
-function coerceNumericValue(value) {
-  const normalized = normalizeNumericString(value);
-  if (!normalized) {
-    return NaN;
+function loadJsPdf() {
+  if (window.jspdf?.jsPDF) {
+    return Promise.resolve(window.jspdf.jsPDF);
+  }
+  if (!jsPdfLoader) {
+    jsPdfLoader = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = JSPDF_SRC;
+      script.async = true;
+      script.crossOrigin = 'anonymous';
+      if (JSPDF_INTEGRITY) {
+        script.integrity = JSPDF_INTEGRITY;
+      }
+      script.onload = () => (window.jspdf?.jsPDF ? resolve(window.jspdf.jsPDF) : reject(new Error('jsPDF indisponível.')));
+      script.onerror = () => reject(new Error('Não foi possível carregar a biblioteca de PDF.'));
+      document.head.appendChild(script);
+    }).catch((error) => {
+      // Permite nova tentativa após falha de rede
+      jsPdfLoader = null;
+      throw error;
+    });
   }
-
-  const number = Number.parseInt(normalized, 10);
-  return Number.isFinite(number) ? number : NaN;
+  return jsPdfLoader;
 }
 
 /**
- * Gera string numérica pronta para setar em inputs, mantendo apenas inteiros não negativos.
- * @param {*} value - Valor de origem.
- * @returns {string} Valor sanitizado ou vazio.
+ * Carrega uma imagem como data URL PNG, com as dimensões originais.
+ * @param {string} src - URL da imagem (mesma origem) ou object URL.
+ * @param {{scale?:number}} [options={}] - Fator de ampliação aplicado ao rasterizar.
+ * @returns {Promise<{dataUrl:string, width:number, height:number}>} Imagem rasterizada.
  */
-function sanitizeNumericInputValue(value) {
-  const number = coerceNumericValue(value);
-  return Number.isFinite(number) ? number.toString() : '';
+function rasterizeImage(src, options = {}) {
+  const { scale = 1 } = options;
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const width = image.naturalWidth || image.width;
+      const height = image.naturalHeight || image.height;
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve({ dataUrl: canvas.toDataURL('image/png'), width, height });
+    };
+    image.onerror = () => reject(new Error(`Imagem não carregada: ${src}`));
+    image.src = src;
+  });
 }
 
 /**
- * Interpreta valor numérico a partir de input ou string, devolvendo inteiros sanitizados.
- * @param {HTMLInputElement|number|string} source - Fonte do valor.
- * @returns {number} Número válido ou 0.
+ * Converte o SVG do Gantt exibido no resumo em imagem PNG.
+ * @param {HTMLElement|null} chartElement - Container do gráfico no resumo ativo.
+ * @returns {Promise<{dataUrl:string, width:number, height:number}|null>} Imagem ou null sem gráfico desenhado.
  */
-function parseNumericInputValue(source) {
-  if (!source) return 0;
-
-  if (typeof source === 'object' && source !== null) {
-    const numericValue = coerceNumericValue(source.value);
-    return Number.isFinite(numericValue) ? numericValue : 0;
+async function captureGanttImage(chartElement) {
+  const svgs = Array.from(chartElement?.querySelectorAll('svg') || []);
+  const svg = svgs.sort((a, b) => b.getBoundingClientRect().height - a.getBoundingClientRect().height)[0];
+  if (!svg) return null;
+
+  const { width, height } = svg.getBoundingClientRect();
+  if (!width || !height) return null;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', String(width));
+  clone.setAttribute('height', String(height));
+  const url = URL.createObjectURL(
+    new Blob([new XMLSerializer().serializeToString(clone)], { type: 'image/svg+xml;charset=utf-8' })
+  );
+  try {
+    return await rasterizeImage(url, { scale: 2 });
+  } finally {
+    URL.revokeObjectURL(url);
   }
-
-  const numericValue = coerceNumericValue(source);
-  return Number.isFinite(numericValue) ? numericValue : 0;
 }
 
 /**
- * Normaliza diferentes fontes de valor numérico, retornando NaN quando não houver número válido.
- * @param {*} source - Valor de origem (input, string ou número).
- * @returns {number} Valor numérico ou NaN.
+ * Monta páginas A4 com cabeçalho da marca, controlando quebras de página.
  */
-function readNumericValue(source) {
-  if (source === null || source === undefined) {
-    return NaN;
+class SummaryPdfBuilder {
+  /**
+   * @param {Object} doc - Instância jsPDF (unidade mm, A4 retrato).
+   * @param {{title:string, subtitle:string, logo:{dataUrl:string, width:number, height:number}|null}} options - Cabeçalho.
+   */
+  constructor(doc, options) {
+    this.doc = doc;
+    this.title = options.title;
+    this.subtitle = options.subtitle;
+    this.logo = options.logo;
+    this.margin = 15;
+    this.pageWidth = doc.internal.pageSize.getWidth();
+    this.pageHeight = doc.internal.pageSize.getHeight();
+    this.contentWidth = this.pageWidth - this.margin * 2;
+    this.bottomLimit = this.pageHeight - this.margin - 8;
+    this.drawPageHeader();
   }
 
-  if (typeof source === 'number') {
-    return Number.isFinite(source) ? source : NaN;
+  /**
+   * Desenha o cabeçalho da página (logo, título e subtítulo) e posiciona o cursor abaixo dele.
+   */
+  drawPageHeader() {
+    const { doc, margin } = this;
+    let textX = margin;
+    if (this.logo) {
+      const logoHeight = 10;
+      const logoWidth = (this.logo.width / this.logo.height) * logoHeight;
+      doc.addImage(this.logo.dataUrl, 'PNG', margin, margin - 4, logoWidth, logoHeight);
+      textX = margin + logoWidth + 4;
+    }
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(13);
+    doc.setTextColor(...PDF_BRAND_COLOR);
+    doc.text(this.title, textX, margin + 1);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...PDF_MUTED_COLOR);
+    doc.text(this.subtitle, textX, margin + 5.5);
+    doc.setDrawColor(...PDF_BRAND_COLOR);
+    doc.setLineWidth(0.6);
+    doc.line(margin, margin + 9, this.pageWidth - margin, margin + 9);
+    this.y = margin + 16;
   }
 
-  if (typeof source === 'object' && 'value' in source) {
-    return readNumericValue(source.value);
+  /**
+   * Garante espaço vertical, abrindo nova página quando necessário.
+   * @param {number} height - Altura necessária em mm.
+   */
+  ensureSpace(height) {
+    if (this.y + height <= this.bottomLimit) return;
+    this.doc.addPage();
+    this.drawPageHeader();
   }
 
-  const coerced = coerceNumericValue(source);
-  return Number.isFinite(coerced) ? coerced : NaN;
+  /**
+   * Escreve um título de seção, abrindo nova página quando não houver espaço.
+   * @param {string} text - Texto do título.
+   * @param {1|2|3} [level=1] - Nível do título (define tamanho e cor).
+   */
+  heading(text, level = 1) {
+    const size = level === 1 ? 12 : level === 2 ? 10.5 : 9.5;
+    this.ensureSpace(12);
+    this.doc.setFont('helvetica', 'bold');
+    this.doc.setFontSize(size);
+    this.doc.setTextColor(...(level === 1 ? PDF_BRAND_COLOR : [51, 51, 51]));
+    this.doc.text(text, this.margin, this.y);
+    this.y += level === 1 ? 6 : 5;
+  }
+
+  /**
+   * Escreve pares rótulo/valor em duas colunas; entradas fullWidth ocupam a linha inteira.
+   * @param {Array<{label:string, value:*, fullWidth?:boolean}>} entries - Campos da seção.
+   */
+  fields(entries) {
+    const { doc, margin, contentWidth } = this;
+    const gap = 6;
+    const columnWidth = (contentWidth - gap) / 2;
+    const lineHeight = 4.2;
+    let column = 0;
+    let rowHeight = 0;
+
+    const measure = (entry, width) => {
+      doc.setFontSize(9);
+      return doc.splitTextToSize(resolveSummaryValue(entry.value), width);
+    };
+    const draw = (entry, x, width, lines) => {
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(7.5);
+      doc.setTextColor(...PDF_MUTED_COLOR);
+      doc.text(entry.label.toUpperCase(), x, this.y);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(9);
+      doc.setTextColor(51, 51, 51);
+      doc.text(lines, x, this.y + 4);
+      return 4 + lines.length * lineHeight + 2;
+    };
+    const closeRow = () => {
+      this.y += rowHeight;
+      rowHeight = 0;
+      column = 0;
+    };
+
+    entries.filter((entry) => entry?.label).forEach((entry) => {
+      if (entry.fullWidth) {
+        if (column) closeRow();
+        const lines = measure(entry, contentWidth);
+        this.ensureSpace(4 + lines.length * lineHeight + 2);
+        this.y += draw(entry, margin, contentWidth, lines);
+        return;
+      }
+      const lines = measure(entry, columnWidth);
+      const height = 4 + lines.length * lineHeight + 2;
+      if (!column) this.ensureSpace(height);
+      const x = margin + column * (columnWidth + gap);
+      rowHeight = Math.max(rowHeight, draw(entry, x, columnWidth, lines));
+      column += 1;
+      if (column === 2) closeRow();
+    });
+    if (column) closeRow();
+    this.y += 2;
+  }
+
+  /**
+   * Desenha tabela simples com cabeçalho repetido a cada nova página.
+   * @param {string[]} headers - Títulos das colunas.
+   * @param {string[][]} rows - Valores já formatados.
+   */
+  table(headers, rows) {
+    const { doc, margin, contentWidth } = this;
+    const columnWidth = contentWidth / headers.length;
+    const lineHeight = 4.2;
+
+    const drawHeader = () => {
+      this.ensureSpace(14);
+      doc.setFillColor(...PDF_BRAND_COLOR);
+      doc.rect(margin, this.y - 4, contentWidth, 6.5, 'F');
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(8.5);
+      doc.setTextColor(255, 255, 255);
+      headers.forEach((header, index) => doc.text(header, margin + index * columnWidth + 2, this.y));
+      this.y += 5;
+    };
+
+    drawHeader();
+    rows.forEach((row, rowIndex) => {
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8.5);
+      const cells = row.map((value) => doc.splitTextToSize(String(value), columnWidth - 4));
+      const height = Math.max(...cells.map((lines) => lines.length)) * lineHeight + 2;
+      if (this.y + height > this.bottomLimit) {
+        this.ensureSpace(this.pageHeight);
+        drawHeader();
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8.5);
+      }
+      if (rowIndex % 2 === 1) {
+        doc.setFillColor(248, 249, 251);
+        doc.rect(margin, this.y - 3.5, contentWidth, height, 'F');
+      }
+      doc.setTextColor(51, 51, 51);
+      cells.forEach((lines, index) => doc.text(lines, margin + index * columnWidth + 2, this.y));
+      this.y += height;
+    });
+    this.y += 4;
+  }
+
+  /**
+   * Insere imagem ajustada à largura útil (e à altura da página, se necessário).
+   * @param {{dataUrl:string, width:number, height:number}} image - Imagem rasterizada.
+   */
+  image(image) {
+    const maxHeight = this.bottomLimit - (this.margin + 16);
+    let width = this.contentWidth;
+    let height = (image.height / image.width) * width;
+    if (height > maxHeight) {
+      width *= maxHeight / height;
+      height = maxHeight;
+    }
+    this.ensureSpace(height + 2);
+    this.doc.addImage(image.dataUrl, 'PNG', this.margin, this.y, width, height);
+    this.y += height + 6;
+  }
+
+  /**
+   * Numera as páginas no rodapé.
+   * @param {string} note - Texto à esquerda do rodapé.
+   */
+  finish(note) {
+    const { doc, margin } = this;
+    const total = doc.getNumberOfPages();
+    for (let page = 1; page <= total; page += 1) {
+      doc.setPage(page);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8);
+      doc.setTextColor(...PDF_MUTED_COLOR);
+      doc.text(note, margin, this.pageHeight - margin + 4);
+      doc.text(`Página ${page} de ${total}`, this.pageWidth - margin, this.pageHeight - margin + 4, { align: 'right' });
+    }
+  }
 }
 
 /**
- * Calcula os indicadores de ROCE a partir de ganho, perda e orçamento informados.
- * @param {{gain?:*, loss?:*, budget?:*}} [param0={}] - Valores de entrada para cálculo.
- * @returns {{gain:number, loss:number, budget:number, value:number, classification:string}} Métricas calculadas.
+ * Gera o PDF do resumo a partir dos dados do formulário e do Gantt desenhado no resumo informado.
+ * @param {Object} context - Contexto do resumo (defaultSummaryContext ou formSummaryContext).
+ * @returns {Promise<void>}
  */
-function computeRoceMetrics({ gain, loss, budget } = {}) {
-  const gainValue = readNumericValue(gain);
-  const lossValue = readNumericValue(loss);
-  const budgetValue = readNumericValue(budget);
+async function exportSummaryPdf(context) {
+  const [JsPdf, logo, gantt] = await Promise.all([
+    loadJsPdf(),
+    rasterizeImage(PDF_LOGO_SRC).catch((error) => {
+      console.warn('Logo indisponível para o PDF', error);
+      return null;
+    }),
+    captureGanttImage(context?.ganttChart).catch((error) => {
+      console.warn('Não foi possível capturar o Gantt para o PDF', error);
+      return null;
+    })
+  ]);
 
-  const safeGain = Number.isFinite(gainValue) ? gainValue : 0;
-  const safeLoss = Number.isFinite(lossValue) ? lossValue : 0;
+  const projectId = projectForm.dataset.projectId;
+  const projectName = resolveSummaryValue(getFieldDisplayValue('projectName'));
+  const doc = new JsPdf({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+  const builder = new SummaryPdfBuilder(doc, {
+    title: 'Resumo do Projeto CAPEX',
+    subtitle: `${projectName}${projectId ? ` · #${projectId}` : ''} · ${statusField.value || PROJECT_STATUSES.DRAFT}`,
+    logo
+  });
+
+  getSummarySectionsData().forEach((section) => {
+    builder.heading(section.title);
+    builder.fields(section.entries);
+  });
+
+  const { rows: pepRows, hasActivityColumn } = collectPepSummaryRows();
+  if (pepRows.length) {
+    builder.heading('Elemento PEP');
+    builder.table(
+      ['Elemento PEP', 'Valor (R$)', 'Ano', ...(hasActivityColumn ? ['Atividade'] : [])],
+      pepRows.map((row) => [
+        resolveSummaryValue(row.element),
+        resolveSummaryValue(row.amount),
+        resolveSummaryValue(row.year),
+        ...(hasActivityColumn ? [resolveSummaryValue(row.activity)] : [])
+      ])
+    );
+  }
+
+  const milestones = collectMilestoneSummaryData();
+  if (milestones.length) {
+    builder.heading('Key Projects');
+    milestones.forEach((milestone) => {
+      builder.heading(milestone.title, 2);
+      milestone.activities.forEach((activity) => {
+        builder.heading(activity.title, 3);
+        builder.fields(activity.details);
+      });
+    });
+  }
 
-  if (!Number.isFinite(budgetValue) || budgetValue <= 0) {
-    return {
-      gain: safeGain,
-      loss: safeLoss,
-      budget: Number.isFinite(budgetValue) ? budgetValue : NaN,
-      value: NaN,
-      classification: ''
-    };
+  if (gantt) {
+    builder.heading('Gráfico Gantt');
+    builder.image(gantt);
   }
 
-  const value = (safeGain - safeLoss) / budgetValue;
-  const classification = value >= 0.1 ? 'Estratégico' : 'Regular';
+  const generatedAt = new Date();
+  builder.finish(`Gerado em ${formatDateTimeValue(generatedAt.toISOString())}`);
 
-  return {
-    gain: safeGain,
-    loss: safeLoss,
-    budget: budgetValue,
-    value,
-    classification
-  };
+  saveBlobAs(doc.output('blob'), `resumo_${projectId || 'novo'}_${slugifyFileName(projectName)}.pdf`);
 }
 
 /**
- * Resolve o texto apresentado para a classificação do ROCE conforme orçamento disponível.
- * @param {{budget:number, classification:string}} metrics - Resultado de computeRoceMetrics.
- * @returns {string} Texto final para classificação.
+ * Converte o nome do projeto em trecho seguro para nomes de arquivo (sem acentos nem espaços).
+ * @param {string} text - Nome do projeto.
+ * @returns {string} Trecho em minúsculas, separado por "_".
  */
-function resolveRoceClassificationLabel(metrics) {
-  if (!metrics) {
-    return '';
-  }
-  if (!Number.isFinite(metrics.budget) || metrics.budget <= 0) {
-    return 'Aguardando orçamento válido';
-  }
-  return metrics.classification || 'Regular';
+function slugifyFileName(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/gi, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase()
+    .slice(0, 60) || 'projeto';
 }
 
 /**
- * Calcula nível de investimento com base no orçamento convertido para USD.
- * @param {number} budgetBrl - Orçamento em reais.
- * @returns {string} Código N1..N4 ou vazio.
+ * Aciona a exportação a partir de um dos resumos, bloqueando o botão durante a geração.
+ * @param {Object} context - Contexto do resumo exibido.
+ * @param {HTMLButtonElement} button - Botão acionado.
+ * @param {HTMLElement|null} statusElement - Bloco .feedback do resumo.
+ * @returns {Promise<void>}
  */
-function determineInvestmentLevel(budgetBrl) {
-  if (!Number.isFinite(budgetBrl) || budgetBrl < 0) {
-    return '';
+async function handleExportPdfClick(context, button, statusElement) {
+  const label = button.textContent;
+  button.disabled = true;
+  button.textContent = 'Gerando PDF…';
+  setFeedback(statusElement, '');
+  try {
+    await exportSummaryPdf(context);
+  } catch (error) {
+    console.error('Erro ao gerar PDF do resumo', error);
+    setFeedback(statusElement, 'Não foi possível gerar o PDF. Verifique a conexão e tente novamente.', 'error');
+  } finally {
+    button.disabled = false;
+    button.textContent = label;
   }
+}
 
-  const budgetUsd = budgetBrl / EXCHANGE_RATE;
+// ============================================================================
+// Exportação para Excel (XLSX, gerado no navegador com SheetJS) e CSV
+// ============================================================================
+// SheetJS 0.20.3 (a 0.18.5 do npm tem falhas conhecidas ao ler planilhas); publicada só no CDN oficial
+const XLSX_SRC = window.CAPEX_XLSX_URL || 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js';
+// Hash SRI do arquivo padrão; uma URL própria usa window.CAPEX_XLSX_INTEGRITY (vazio dispensa a verificação).
+// Ao trocar a versão, recalcule sobre o arquivo publicado na URL acima:
+//   curl -sL <XLSX_SRC> | openssl dgst -sha384 -binary | openssl base64 -A
+// Um hash errado impede o carregamento e a exportação/importação falha com "Não foi possível carregar a biblioteca de planilhas."
+const XLSX_INTEGRITY = window.CAPEX_XLSX_URL
+  ? window.CAPEX_XLSX_INTEGRITY || ''
+  : 'sha384-EnyY0/GSHQGSxSgMwaIPzSESbqoOLSexfnSMN2AP+39Ckmn92stwABZynq1JyzdT';
+// CSV no padrão do Excel em português: ponto e vírgula como separador e vírgula decimal
+const CSV_DELIMITER = ';';
+
+let xlsxLoader = null;
 
-  if (budgetUsd >= 150_000_000) {
-    return 'N1';
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} header - Cabeçalho da coluna.
+ * @property {(row:Object) => *} value - Extrai o valor da linha.
+ * @property {'text'|'number'|'date'|'raw'} [type='text'] - Números e datas viram células tipadas no XLSX;
+ *   'raw' mantém valores já normalizados.
+ */
+
+/**
+ * @typedef {Object} ExportSheet
+ * @property {string} name - Nome da planilha (até 31 caracteres).
+ * @property {ExportColumn[]} columns - Colunas na ordem de exibição.
+ * @property {Object[]} rows - Linhas de origem.
+ */
+
+/**
+ * Carrega a biblioteca SheetJS sob demanda (mesmo padrão de loadJsPdf).
+ * @returns {Promise<Object>} Namespace XLSX.
+ */
+function loadXlsx() {
+  if (window.XLSX?.utils) {
+    return Promise.resolve(window.XLSX);
+  }
+  if (!xlsxLoader) {
+    xlsxLoader = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = XLSX_SRC;
+      script.async = true;
+      script.crossOrigin = 'anonymous';
+      if (XLSX_INTEGRITY) {
+        script.integrity = XLSX_INTEGRITY;
+      }
+      script.onload = () => (window.XLSX?.utils ? resolve(window.XLSX) : reject(new Error('SheetJS indisponível.')));
+      script.onerror = () => reject(new Error('Não foi possível carregar a biblioteca de planilhas.'));
+      document.head.appendChild(script);
+    }).catch((error) => {
+      // Permite nova tentativa após falha de rede
+      xlsxLoader = null;
+      throw error;
+    });
   }
-  if (budgetUsd >= 10_000_000) {
-    return 'N2';
+  return xlsxLoader;
+}
+
+/**
+ * Converte o valor bruto conforme o tipo da coluna; vazios e inválidos viram null (célula vazia).
+ * @param {*} value - Valor extraído da linha.
+ * @param {'text'|'number'|'date'|'raw'} [type='text'] - Tipo da coluna.
+ * @returns {string|number|Date|null} Valor da célula.
+ */
+function normalizeExportCell(value, type = 'text') {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
   }
-  if (budgetUsd >= 2_000_000) {
-    return 'N3';
+  if (type === 'raw') {
+    return value;
   }
-  return 'N4';
+  if (type === 'number') {
+    const number = typeof value === 'number' ? value : coerceNumericValue(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (type === 'date') {
+    // Datas ISO (com ou sem horário) viram data local, sem deslocamento de fuso
+    const [year, month, day] = String(value).substring(0, 10).split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return Number.isFinite(date.getTime()) && year ? date : null;
+  }
+  return String(value).trim();
 }
 
 /**
- * Recupera valor numérico do orçamento informado no formulário.
- * @returns {number} Valor em reais ou NaN se inválido.
+ * @param {ExportSheet} sheet - Planilha.
+ * @returns {Array<Array<string|number|Date|null>>} Cabeçalho seguido das linhas normalizadas.
  */
-function getProjectBudgetValue() {
-  if (!projectBudgetInput) return NaN;
-  const rawValue = projectBudgetInput.value;
-  if (rawValue === undefined || rawValue === null || rawValue === '') {
-    return NaN;
-  }
-  return parseNumericInputValue(projectBudgetInput);
+function buildExportMatrix(sheet) {
+  return [
+    sheet.columns.map((column) => column.header),
+    ...sheet.rows.map((row) => sheet.columns.map((column) => normalizeExportCell(column.value(row), column.type)))
+  ];
 }
 
 /**
- * Atualiza select de nível de investimento conforme valor do orçamento.
- * @param {number} [budgetBrl=getProjectBudgetValue()] - Valor base para cálculo.
+ * Gera o arquivo XLSX com uma planilha por entidade e inicia o download.
+ * @param {ExportSheet[]} sheets - Planilhas do arquivo.
+ * @param {string} fileName - Nome do arquivo com extensão .xlsx.
+ * @returns {Promise<void>}
  */
-function updateInvestmentLevelField(budgetBrl = getProjectBudgetValue()) {
-  if (!investmentLevelSelect) return;
-  const level = determineInvestmentLevel(budgetBrl);
-  investmentLevelSelect.value = level;
+async function exportSheetsToXlsx(sheets, fileName) {
+  const XLSX = await loadXlsx();
+  const workbook = XLSX.utils.book_new();
+  sheets.forEach((sheet) => {
+    const matrix = buildExportMatrix(sheet);
+    const worksheet = XLSX.utils.aoa_to_sheet(matrix, { cellDates: true, dateNF: 'dd/mm/yyyy' });
+    const range = XLSX.utils.decode_range(worksheet['!ref']);
+    // Formato brasileiro para valores; o conteúdo da célula continua numérico
+    sheet.columns.forEach((column, columnIndex) => {
+      if (column.type !== 'number') return;
+      for (let rowIndex = 1; rowIndex <= range.e.r; rowIndex += 1) {
+        const cell = worksheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+        if (cell?.t === 'n') cell.z = '#,##0.00';
+      }
+    });
+    worksheet['!cols'] = sheet.columns.map((column, columnIndex) => ({
+      wch: Math.min(60, Math.max(10, ...matrix.map((row) => String(row[columnIndex] ?? '').length + 2)))
+    }));
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name.slice(0, 31));
+  });
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array', cellDates: true });
+  saveBlobAs(
+    new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+    fileName
+  );
 }
 
 /**
- * Retorna lista de inputs que compõem o somatório de PEP.
- * @returns {HTMLInputElement[]} Inputs de valores PEP.
+ * @param {string|number|Date|null} value - Célula normalizada.
+ * @returns {string} Valor escapado para CSV.
  */
-function getPepAmountInputs() {
-  const simplePepInputs = Array.from(simplePepList.querySelectorAll('.pep-amount'));
-  const activityPepInputs = Array.from(milestoneList.querySelectorAll('.activity-pep-amount'));
-  return [...simplePepInputs, ...activityPepInputs];
+function formatCsvCell(value) {
+  if (value === null) return '';
+  let text;
+  if (value instanceof Date) {
+    text = DATE_FMT.format(value);
+  } else if (typeof value === 'number') {
+    text = String(value).replace('.', ',');
+  } else {
+    text = value;
+  }
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
 /**
- * Soma todos os valores de PEP considerando listas simples e atividades.
- * @returns {number} Total em reais.
+ * Gera um CSV (UTF-8 com BOM, para o Excel reconhecer acentos) e inicia o download.
+ * Com mais de uma planilha, cada bloco é precedido pelo nome da entidade e separado por linha em branco.
+ * @param {ExportSheet[]} sheets - Planilhas exportadas.
+ * @param {string} fileName - Nome do arquivo com extensão .csv.
  */
-function calculatePepTotal() {
-  return getPepAmountInputs().reduce((sum, input) => sum + parseNumericInputValue(input), 0);
+function exportSheetsToCsv(sheets, fileName) {
+  const lines = [];
+  sheets.forEach((sheet, index) => {
+    if (sheets.length > 1) {
+      if (index > 0) lines.push('');
+      lines.push(formatCsvCell(sheet.name));
+    }
+    buildExportMatrix(sheet).forEach((row) => lines.push(row.map(formatCsvCell).join(CSV_DELIMITER)));
+  });
+  saveBlobAs(new Blob(['\uFEFF', lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }), fileName);
 }
 
 /**
- * Garante a existência do indicador de orçamento restante junto ao título da seção.
- * @param {HTMLLegendElement|null} legend - Legenda onde o indicador será inserido.
- * @returns {HTMLElement|null} Elemento criado ou reutilizado.
+ * Gera a planilha da lista lateral atual, com busca, filtros e ordenação aplicados.
+ * @returns {ExportSheet[]} Planilha única "Projetos".
  */
-function ensurePepRemainingElement(legend) {
-  if (!legend) {
-    return null;
-  }
+function buildProjectListExportSheets() {
+  const source = state.sidebarMode === 'inbox' ? state.approvalInbox : state.projects;
+  const rows = sortProjectListItems(filterProjectListItems(source), state.listView.sort);
+  return [{
+    name: 'Projetos',
+    rows,
+    columns: [
+      { header: 'ID', value: (item) => item.Id, type: 'number' },
+      { header: PROJECT_FIELD_LABELS.Title, value: (item) => item.Title },
+      { header: PROJECT_FIELD_LABELS.status, value: (item) => item.status },
+      { header: PROJECT_FIELD_LABELS.company, value: (item) => item.company },
+      { header: PROJECT_FIELD_LABELS.center, value: (item) => item.center },
+      { header: PROJECT_FIELD_LABELS.unit, value: (item) => item.unit },
+      { header: 'Nível de Investimento', value: (item) => item.investmentLevel },
+      { header: PROJECT_FIELD_LABELS.category, value: (item) => item.category && getListFilterLabel('category', item.category) },
+      { header: PROJECT_FIELD_LABELS.approvalYear, value: (item) => item.approvalYear, type: 'number' },
+      { header: `${PROJECT_FIELD_LABELS.budgetBrl} (R$)`, value: (item) => item.budgetBrl, type: 'number' },
+      { header: PROJECT_FIELD_LABELS.startDate, value: (item) => item.startDate, type: 'date' },
+      { header: PROJECT_FIELD_LABELS.endDate, value: (item) => item.endDate, type: 'date' },
+      { header: 'Etapa de aprovação', value: (item) => APPROVAL_STAGES[getCurrentApprovalStage(item)] || '' },
+      { header: 'Criado em', value: (item) => item.Created, type: 'date' },
+      { header: 'Última alteração', value: (item) => item.Modified, type: 'date' }
+    ]
+  }];
+}
+
+// Campos numéricos e de data do projeto na planilha de detalhe
+const PROJECT_EXPORT_FIELD_TYPES = Object.freeze({
+  budgetBrl: 'number',
+  approvalYear: 'number',
+  roceGain: 'number',
+  roceLoss: 'number',
+  startDate: 'date',
+  endDate: 'date'
+});
 
-  let indicator = legend.querySelector('.pep-remaining');
-  if (indicator) {
-    return indicator;
-  }
+/**
+ * Gera as planilhas do projeto aberto no formulário: campos (com os rótulos de
+ * collectProjectDisplayValues), PEPs simples, Key Projects, atividades e PEPs de atividades.
+ * @returns {ExportSheet[]} Planilhas do detalhe.
+ */
+function buildProjectDetailExportSheets() {
+  const summary = buildApprovalSummary(projectForm.dataset.projectId || null, collectProjectData());
+  const { project } = summary;
+  const displayValues = project.displayValues || {};
+
+  const fieldRows = [
+    { label: 'ID', value: project.id, type: 'number' },
+    ...Object.entries(PROJECT_FIELD_LABELS).map(([field, label]) => ({
+      label,
+      value: displayValues[field] || project[field],
+      type: PROJECT_EXPORT_FIELD_TYPES[field] || 'text'
+    })),
+    { label: 'Nível de Investimento', value: displayValues.investmentLevel || project.investmentLevel },
+    { label: 'Classificação ROCE', value: project.roceClassification },
+    { label: 'ROCE', value: displayValues.roceValue }
+  ];
+  // Campos mistos (texto e número) na mesma coluna: cada valor é normalizado pelo tipo da própria linha
+  fieldRows.forEach((row) => {
+    row.value = normalizeExportCell(row.value, row.type);
+  });
 
-  indicator = document.createElement('span');
-  indicator.className = 'pep-remaining';
-  legend.appendChild(indicator);
+  const simplePeps = summary.peps.filter((pep) => pep.type !== 'activity');
+  const activityPeps = summary.peps.filter((pep) => pep.type === 'activity');
 
-  return indicator;
+  return [
+    {
+      name: 'Projeto',
+      rows: fieldRows,
+      columns: [
+        { header: 'Campo', value: (row) => row.label },
+        { header: 'Valor', value: (row) => row.value, type: 'raw' }
+      ]
+    },
+    {
+      name: 'PEPs',
+      rows: simplePeps,
+      columns: [
+        { header: 'Elemento PEP', value: (pep) => pep.titleDisplay || pep.title },
+        { header: 'Valor (R$)', value: (pep) => pep.amountBrl, type: 'number' },
+        { header: 'Ano', value: (pep) => pep.year, type: 'number' }
+      ]
+    },
+    {
+      name: 'Key Projects',
+      rows: summary.milestones,
+      columns: [
+        { header: 'ID', value: (milestone) => milestone.id, type: 'number' },
+        { header: 'Key Project', value: (milestone) => milestone.title },
+        { header: 'Atividades', value: (milestone) => safeArray(milestone.activities).length, type: 'number' }
+      ]
+    },
+    {
+      name: 'Atividades',
+      rows: summary.activities,
+      columns: [
+        { header: 'ID', value: (activity) => activity.id, type: 'number' },
+        { header: 'Key Project', value: (activity) => activity.milestoneTitle },
+        { header: 'Atividade', value: (activity) => activity.title },
+        { header: 'Início', value: (activity) => activity.startDate, type: 'date' },
+        { header: 'Término', value: (activity) => activity.endDate, type: 'date' },
+        { header: 'Fornecedor', value: (activity) => activity.supplier },
+        { header: 'Descrição', value: (activity) => activity.description }
+      ]
+    },
+    {
+      name: 'PEPs de atividades',
+      rows: activityPeps,
+      columns: [
+        { header: 'Key Project', value: (pep) => pep.milestoneTitle },
+        { header: 'Atividade', value: (pep) => pep.activityTitle },
+        { header: 'Elemento PEP', value: (pep) => pep.titleDisplay || pep.title },
+        { header: 'Valor (R$)', value: (pep) => pep.amountBrl, type: 'number' },
+        { header: 'Ano', value: (pep) => pep.year, type: 'number' }
+      ]
+    }
+  ];
 }
 
 /**
- * Atualiza mensagens de orçamento restante em PEPs simples e vinculados.
- * @param {{budget?:number,total?:number}} [param0={}] - Valores opcionais para evitar recálculo.
+ * Exporta a lista lateral no formato escolhido.
+ * @param {'xlsx'|'csv'} format - Formato do arquivo.
+ * @param {HTMLButtonElement} button - Botão acionado (desabilitado durante a geração).
  */
-function updatePepRemainingDisplays({ budget = getProjectBudgetValue(), total = calculatePepTotal() } = {}) {
-  const hasBudget = Number.isFinite(budget);
-  const remainingValue = hasBudget ? budget - total : 0;
-  const formattedRemaining = BRL.format(Math.round(remainingValue * 100) / 100);
-
-  const legends = [];
-
-  if (simplePepSection) {
-    const legend = simplePepSection.querySelector('legend');
-    if (legend) {
-      legends.push(legend);
+async function handleExportListClick(format, button) {
+  button.disabled = true;
+  setFeedback(exportListStatus, '');
+  try {
+    const sheets = buildProjectListExportSheets();
+    if (!sheets[0].rows.length) {
+      setFeedback(exportListStatus, 'Nenhum projeto na lista para exportar.', 'error');
+      return;
     }
+    const fileName = `projetos_${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'xlsx') {
+      await exportSheetsToXlsx(sheets, fileName);
+    } else {
+      exportSheetsToCsv(sheets, fileName);
+    }
+  } catch (error) {
+    console.error('Erro ao exportar a lista de projetos', error);
+    setFeedback(exportListStatus, 'Não foi possível exportar a lista. Verifique a conexão e tente novamente.', 'error');
+  } finally {
+    button.disabled = false;
   }
+}
 
-  if (keyProjectSection) {
-    const legend = keyProjectSection.querySelector('legend');
-    if (legend) {
-      legends.push(legend);
+/**
+ * Exporta o projeto do resumo aberto no formato escolhido.
+ * @param {'xlsx'|'csv'} format - Formato do arquivo.
+ * @param {HTMLButtonElement} button - Botão acionado.
+ * @param {HTMLElement|null} statusElement - Feedback do rodapé do resumo.
+ */
+async function handleExportDetailClick(format, button, statusElement) {
+  button.disabled = true;
+  setFeedback(statusElement, '');
+  try {
+    const projectId = projectForm.dataset.projectId;
+    const slug = slugifyFileName(resolveSummaryValue(getFieldDisplayValue('projectName')));
+    const sheets = buildProjectDetailExportSheets();
+    const fileName = `projeto_${projectId || 'novo'}_${slug}.${format}`;
+    if (format === 'xlsx') {
+      await exportSheetsToXlsx(sheets, fileName);
+    } else {
+      exportSheetsToCsv(sheets, fileName);
     }
+  } catch (error) {
+    console.error('Erro ao exportar o projeto', error);
+    setFeedback(statusElement, 'Não foi possível exportar o projeto. Verifique a conexão e tente novamente.', 'error');
+  } finally {
+    button.disabled = false;
   }
+}
 
-  legends.forEach((legend) => {
-    if (!hasBudget) {
-      const existing = legend.querySelector('.pep-remaining');
-      if (existing) {
-        existing.remove();
-      }
-      return;
-    }
+// ============================================================================
+// Projeto em JSON (exportação e reimportação do resumo)
+// ============================================================================
+/**
+ * Exporta o projeto do formulário no mesmo formato do resumo anexado na submissão (buildApprovalSummary).
+ * @param {HTMLButtonElement} button - Botão acionado.
+ * @param {HTMLElement|null} statusElement - Feedback exibido em caso de erro.
+ */
+function handleExportJsonClick(button, statusElement) {
+  button.disabled = true;
+  setFeedback(statusElement, '');
+  try {
+    const projectId = projectForm.dataset.projectId;
+    const slug = slugifyFileName(resolveSummaryValue(getFieldDisplayValue('projectName')));
+    const summary = {
+      ...buildApprovalSummary(projectId, collectProjectData()),
+      export: { exportedAt: new Date().toISOString(), exportedBy: describeSubmitter() }
+    };
+    const blob = new Blob([JSON.stringify(summary, null, 2)], { type: 'application/json' });
+    saveBlobAs(blob, `projeto_${projectId || 'novo'}_${slug}.json`);
+  } catch (error) {
+    console.error('Erro ao exportar o projeto em JSON', error);
+    setFeedback(statusElement, 'Não foi possível exportar o projeto em JSON.', 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
 
-    const indicator = ensurePepRemainingElement(legend);
-    if (indicator) {
-      indicator.textContent = `Orçamento restante: ${formattedRemaining}`;
-    }
-  });
+/**
+ * Lê e confere a estrutura mínima de um resumo exportado ou enviado para aprovação.
+ * @param {string} text - Conteúdo do arquivo.
+ * @returns {SummaryPayload} Resumo com listas normalizadas.
+ */
+function parseProjectSummaryJson(text) {
+  let summary;
+  try {
+    summary = JSON.parse(text);
+  } catch (error) {
+    throw new Error('O arquivo não é um JSON válido.');
+  }
+  if (!summary || typeof summary.project !== 'object' || summary.project === null || Array.isArray(summary.project)) {
+    throw new Error('O arquivo não contém um resumo de projeto (campo "project" ausente).');
+  }
+  return {
+    ...summary,
+    milestones: safeArray(summary.milestones),
+    peps: safeArray(summary.peps)
+  };
 }
 
 /**
- * Atualiza mensagem informativa abaixo do formulário com saldo/ excedente de orçamento.
- * @param {{budget?:number,total?:number}} [param0={}] - Valores utilizados no cálculo.
+ * Monta PEPs simples, marcos e atividades a partir do resumo, sem IDs: tudo é criado ao salvar.
+ * @param {SummaryPayload} summary - Resumo importado.
  */
-function updateBudgetHintMessage({ budget = getProjectBudgetValue(), total = calculatePepTotal() } = {}) {
-  if (!budgetHint) return;
+function fillFormWithSummary(summary) {
+  const { project, milestones, peps } = summary;
 
-  if (!Number.isFinite(budget)) {
-    if (total > 0) {
-      budgetHint.textContent = 'Informe o orçamento do projeto para validar os valores de PEP.';
-      budgetHint.style.color = '#c62828';
-    } else {
-      budgetHint.textContent = '';
-      budgetHint.style.color = '';
+  if (Number(project.budgetBrl) < BUDGET_THRESHOLD) {
+    peps
+      .filter((pep) => (pep?.type || 'simple') === 'simple')
+      .forEach((pep) => {
+        simplePepList.append(createSimplePepRow({ pepTitle: pep.title, amount: pep.amountBrl, year: pep.year }));
+      });
+    if (!simplePepList.children.length) {
+      ensureSimplePepRow();
+    }
+  } else {
+    milestones.forEach((milestone) => {
+      const block = createMilestoneBlock({ title: milestone?.title });
+      const activities = safeArray(milestone?.activities);
+      activities.forEach((activity) => {
+        addActivityBlock(block, {
+          title: activity.title,
+          start: activity.startDate,
+          end: activity.endDate,
+          supplier: activity.supplier,
+          description: activity.description,
+          pepTitle: activity.pep?.title,
+          pepAmount: activity.pep?.amountBrl,
+          pepYear: activity.pep?.year
+        });
+      });
+      if (!activities.length) {
+        addActivityBlock(block);
+      }
+      milestoneList.append(block);
+    });
+    if (!milestoneList.children.length) {
+      ensureMilestoneBlock();
     }
-    return;
   }
+}
 
-  const remaining = budget - total;
-  const tolerance = 0.009;
-  if (remaining >= -tolerance) {
-    const safeRemaining = Math.max(0, Math.round(remaining * 100) / 100);
-    budgetHint.textContent = `💰 Orçamento restante: ${BRL.format(safeRemaining)} (Total PEPs: ${BRL.format(total)} de ${BRL.format(budget)})`;
-    budgetHint.style.color = '#2e7d32';
-    return;
-  }
+/**
+ * Abre o formulário em modo de criação preenchido com o resumo; ano de aprovação e status
+ * seguem as regras de um rascunho novo, não os valores de origem.
+ * @param {SummaryPayload} summary - Resumo importado ou montado a partir de um projeto.
+ */
+function openDraftFromSummary(summary) {
+  openProjectForm('create');
+  applyProjectFieldsToForm(summary.project);
+  setApprovalYearToCurrent();
+  updateInvestmentLevelField();
+  updateBudgetSections({ clear: true });
+  simplePepList.innerHTML = '';
+  milestoneList.innerHTML = '';
+  fillFormWithSummary(summary);
 
-  const exceeded = Math.abs(Math.round(remaining * 100) / 100);
-  budgetHint.textContent = `⚠️ Orçamento excedido em ${BRL.format(exceeded)} (Total PEPs: ${BRL.format(total)} de ${BRL.format(budget)})`;
-  budgetHint.style.color = '#c62828';
+  updateSimplePepYears();
+  refreshAllPepDropdowns();
+  updateRoceMetrics();
+  queueGanttRefresh();
+  validatePepBudget();
+  validateActivityDates();
+  validateAllDateRanges();
 }
 
 /**
- * Garante que o somatório dos PEPs corresponda ao orçamento do projeto antes de persistir os dados.
- * @param {{budgetBrl?:number}} project - Dados do projeto contendo o orçamento em reais.
- * @param {Pep[]} peps - Lista de PEPs simples e vinculados a atividades.
- * @throws {Error} Quando o somatório dos PEPs divergir do orçamento informado.
+ * Abre um novo rascunho preenchido com o resumo do arquivo escolhido.
+ * Projetos já salvos nunca são sobrescritos: o resultado só é gravado ao salvar o rascunho.
+ * @returns {Promise<void>}
  */
-function validateBudgetDistribution(project, peps) {
-  const totalBudget = Number.isFinite(Number(project?.budgetBrl)) ? Number(project.budgetBrl) : 0;
-  const totalAllocated = Array.isArray(peps)
-    ? peps.reduce((sum, pep) => {
-        const amount = Number(pep?.amountBrl);
-        return sum + (Number.isFinite(amount) ? amount : 0);
-      }, 0)
-    : 0;
+async function handleImportJsonChange() {
+  const file = projectJsonInput?.files?.[0];
+  if (!file) return;
+  projectJsonInput.value = '';
 
-  if (totalAllocated !== totalBudget) {
-    const formattedBudget = totalBudget.toLocaleString('pt-BR');
-    const formattedAllocated = totalAllocated.toLocaleString('pt-BR');
-    throw new Error(
-      `O orçamento do projeto é R$ ${formattedBudget}, ` +
-        `mas a soma dos PEPs é R$ ${formattedAllocated}. ` +
-        'É necessário distribuir 100% do valor antes de salvar ou enviar para aprovação.'
-    );
+  let summary;
+  try {
+    summary = parseProjectSummaryJson(await file.text());
+  } catch (error) {
+    console.error('Erro ao ler JSON do projeto', error);
+    showStatus(error.message, { type: 'error' });
+    return;
   }
-}
 
-/**
- * Valida se somatório de PEP está dentro do orçamento informado.
- * @param {{changedInput?:HTMLInputElement}} [options={}] - Campo modificado recentemente.
- * @returns {boolean} True quando orçamento e PEP estão consistentes.
- */
-function validatePepBudget(options = {}) {
-  const { changedInput = null } = options;
-  const budget = getProjectBudgetValue();
-  const total = calculatePepTotal();
+  const shouldReplace = window.confirm(
+    'Importar o JSON abre um novo rascunho com os dados do arquivo. Alterações não salvas no formulário serão perdidas. Continuar?'
+  );
+  if (!shouldReplace) return;
 
-  updateBudgetHintMessage({ budget, total });
-  updatePepRemainingDisplays({ budget, total });
+  const { project } = summary;
+  openDraftFromSummary(summary);
 
-  if (!Number.isFinite(budget)) {
-    setValidationError('pepBudget', null, null);
-    return true;
+  const warnings = [];
+  if (project.company && companySelect?.value !== String(project.company)) {
+    warnings.push(`a empresa "${project.displayValues?.company || project.company}" não existe neste ambiente`);
   }
+  const origin = summary.submission?.version ? ` (versão ${summary.submission.version} enviada para aprovação)` : '';
+  showStatus(
+    warnings.length
+      ? `Projeto importado de ${file.name}${origin}, mas ${warnings.join('; ')}. Revise os dados antes de salvar.`
+      : `Projeto importado de ${file.name}${origin}. Revise os dados e salve para criar o rascunho.`,
+    { type: warnings.length ? 'warning' : 'success' }
+  );
+}
 
-  const remaining = budget - total;
-  const roundedRemaining = Math.round(remaining * 100) / 100;
+// ============================================================================
+// Duplicação de projeto como novo rascunho
+// ============================================================================
+// Unidades aceitas no deslocamento de datas da cópia
+const DUPLICATE_OFFSET_UNITS = Object.freeze({
+  days: 'dias',
+  months: 'meses',
+  years: 'anos'
+});
 
-  if (remaining < -0.009) {
-    const exceeded = Math.abs(roundedRemaining);
-    const message = `A soma dos PEPs (${BRL.format(total)}) ultrapassa o orçamento do projeto (${BRL.format(budget)}) em ${BRL.format(exceeded)}.`;
-    setValidationError('pepBudget', message, { budget, total, remaining: roundedRemaining });
+let pendingDuplicate = null;
 
-    if (changedInput) {
-      const previousValue = changedInput.dataset?.previousValue ?? '';
-      if (changedInput.value !== previousValue) {
-        changedInput.value = previousValue;
-      }
-    }
-    return false;
+/**
+ * Desloca uma data (AAAA-MM-DD ou ISO do SharePoint); meses e anos respeitam o último dia do mês.
+ * @param {string|null} value - Data original.
+ * @param {{amount:number, unit:'days'|'months'|'years'}} offset - Deslocamento escolhido.
+ * @returns {string|null} Data deslocada em AAAA-MM-DD ou null quando vazia.
+ */
+function shiftDateValue(value, offset) {
+  const date = value ? parseDateInputValue(String(value).substring(0, 10)) : null;
+  if (!date) {
+    return null;
   }
-
-  setValidationError('pepBudget', null, { budget, total, remaining: roundedRemaining });
-  if (changedInput) {
-    rememberFieldPreviousValue(changedInput);
+  const amount = Number(offset?.amount) || 0;
+  if (offset?.unit === 'days') {
+    date.setDate(date.getDate() + amount);
+    return yyyyMmDdLocal(date);
   }
-  return true;
+  const months = offset?.unit === 'years' ? amount * 12 : amount;
+  const day = date.getDate();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + months);
+  const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  date.setDate(Math.min(day, lastDay));
+  return yyyyMmDdLocal(date);
 }
 
-function parseDateInputValue(value) {
-  if (!value) return null;
-  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
-  if (!m) return null;
-  const [_, y, mo, d] = m.map(Number);
-  return new Date(y, mo - 1, d, 0, 0, 0, 0);
+/**
+ * Converte os detalhes carregados do projeto no formato do resumo, sem IDs e com datas deslocadas.
+ * @param {{project: Project, simplePeps:Array, milestones:Array, activities:Array, activityPeps:Array}} detail - Pacote de dados do projeto.
+ * @param {{amount:number, unit:'days'|'months'|'years'}} offset - Deslocamento das datas.
+ * @returns {SummaryPayload} Resumo usado para preencher o rascunho.
+ */
+function buildDuplicateSummary(detail, offset) {
+  const { project, simplePeps, milestones, activities, activityPeps } = detail;
+  return {
+    project: {
+      ...project,
+      startDate: shiftDateValue(project.startDate, offset),
+      endDate: shiftDateValue(project.endDate, offset)
+    },
+    peps: safeArray(simplePeps).map((pep) => ({
+      type: 'simple',
+      title: pep.Title,
+      amountBrl: pep.amountBrl,
+      year: pep.year
+    })),
+    milestones: safeArray(milestones).map((milestone) => ({
+      title: milestone.Title,
+      activities: safeArray(activities)
+        .filter((activity) => Number(activity.milestonesIdId) === Number(milestone.Id))
+        .map((activity) => {
+          const pep = safeArray(activityPeps).find(
+            (item) => Number(item.activitiesIdId ?? item.activitiesId) === Number(activity.Id)
+          );
+          return {
+            title: activity.Title,
+            startDate: shiftDateValue(activity.startDate, offset),
+            endDate: shiftDateValue(activity.endDate, offset),
+            supplier: activity.supplier,
+            description: activity.activityDescription,
+            // Ano do PEP da atividade volta a ser derivado do início deslocado
+            pep: pep ? { title: pep.Title, amountBrl: pep.amountBrl, year: null } : null
+          };
+        })
+    }))
+  };
 }
 
-function yyyyMmDdLocal(date = new Date()) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, '0');
-  const d = String(date.getDate()).padStart(2, '0');
-  return `${y}-${m}-${d}`;
+/**
+ * Lê o deslocamento escolhido no diálogo de duplicação.
+ * @returns {{amount:number, unit:'days'|'months'|'years'}} Deslocamento (0 mantém as datas).
+ */
+function readDuplicateOffset() {
+  const amount = parseInt(duplicateOffsetAmount?.value, 10);
+  const unit = duplicateOffsetUnit?.value in DUPLICATE_OFFSET_UNITS ? duplicateOffsetUnit.value : 'years';
+  return { amount: Number.isFinite(amount) ? amount : 0, unit };
 }
 
-function getDateRangePairs() {
-  const pairs = [];
-
-  if (projectStartDateInput || projectEndDateInput) {
-    pairs.push({ start: projectStartDateInput, end: projectEndDateInput });
+/**
+ * Mostra como ficam as datas do projeto com o deslocamento atual.
+ */
+function updateDuplicatePreview() {
+  if (!duplicatePreview || !pendingDuplicate) return;
+  const { project } = pendingDuplicate.detail;
+  if (!project.startDate && !project.endDate) {
+    duplicatePreview.textContent = 'O projeto não tem datas definidas.';
+    return;
   }
+  const offset = readDuplicateOffset();
+  const range = (start, end) => `${formatDateValue(start)} a ${formatDateValue(end)}`;
+  const shifted = (value) => parseDateInputValue(shiftDateValue(value, offset) || '');
+  duplicatePreview.textContent = offset.amount
+    ? `Período: ${range(project.startDate, project.endDate)} → ${range(shifted(project.startDate), shifted(project.endDate))}`
+    : `Período mantido: ${range(project.startDate, project.endDate)}`;
+}
 
-  if (milestoneList) {
-    milestoneList.querySelectorAll('.milestone').forEach((milestone) => {
-      const milestoneStart = milestone.querySelector('.milestone-start');
-      const milestoneEnd = milestone.querySelector('.milestone-end');
-      if (milestoneStart || milestoneEnd) {
-        pairs.push({ start: milestoneStart, end: milestoneEnd });
-      }
-    });
-
-    milestoneList.querySelectorAll('.activity').forEach((activity) => {
-      const startInput = activity.querySelector('.activity-start');
-      const endInput = activity.querySelector('.activity-end');
-      if (startInput || endInput) {
-        pairs.push({ start: startInput, end: endInput });
-      }
-    });
+/**
+ * Abre o diálogo de duplicação para o projeto exibido no painel.
+ * @param {Object} detail - Detalhes carregados do projeto.
+ * @param {HTMLButtonElement|null} [trigger=null] - Botão que recebe o foco ao fechar.
+ */
+function openDuplicateOverlay(detail, trigger = null) {
+  if (!duplicateOverlay || !detail?.project) return;
+  pendingDuplicate = { detail, trigger };
+  if (duplicateTarget) {
+    duplicateTarget.textContent = `#${detail.project.Id} · ${detail.project.Title || 'Sem título'}`;
   }
+  if (duplicateOffsetAmount) duplicateOffsetAmount.value = '1';
+  if (duplicateOffsetUnit) duplicateOffsetUnit.value = 'years';
+  updateDuplicatePreview();
+  duplicateOverlay.classList.remove('hidden');
+  duplicateOffsetAmount?.focus();
+}
 
-  return pairs;
+/**
+ * Fecha o diálogo de duplicação e descarta o projeto pendente.
+ * @param {{restoreFocus?:boolean}} [options={}] - restoreFocus=false mantém o foco onde está (ex.: ao abrir o formulário da cópia).
+ */
+function closeDuplicateOverlay({ restoreFocus = true } = {}) {
+  if (!duplicateOverlay) return;
+  duplicateOverlay.classList.add('hidden');
+  const trigger = pendingDuplicate?.trigger;
+  pendingDuplicate = null;
+  if (restoreFocus && trigger?.isConnected) {
+    trigger.focus();
+  }
 }
 
-function validateDateRange(startInput, endInput, options = {}) {
-  const { report = false } = options;
-  const relevantInputs = [startInput, endInput].filter(
-    (input) => input && typeof input.setCustomValidity === 'function'
+/**
+ * Abre o formulário de criação com a cópia do projeto; nada é gravado até o rascunho ser salvo.
+ */
+function handleDuplicateConfirm() {
+  if (!pendingDuplicate) return;
+  const { detail } = pendingDuplicate;
+  const offset = readDuplicateOffset();
+  closeDuplicateOverlay({ restoreFocus: false });
+
+  openDraftFromSummary(buildDuplicateSummary(detail, offset));
+  formTitle.textContent = `Novo Projeto (cópia do #${detail.project.Id})`;
+  const shiftText = offset.amount ? ` com datas deslocadas em ${offset.amount} ${DUPLICATE_OFFSET_UNITS[offset.unit]}` : '';
+  showStatus(
+    `Cópia de "${detail.project.Title || `#${detail.project.Id}`}"${shiftText}. Revise os dados e salve para criar o rascunho.`,
+    { type: 'info' }
   );
+}
 
-  if (!relevantInputs.length) {
-    return true;
-  }
+// ============================================================================
+// Importação de projetos em lote (modelo Excel/CSV)
+// ============================================================================
+/**
+ * @typedef {Object} ImportColumn
+ * @property {string} key - Campo gerado (mesmos nomes de collectProjectData na planilha Projetos).
+ * @property {string} header - Cabeçalho no modelo.
+ * @property {'text'|'integer'|'year'|'date'} [type='text'] - Conversão aplicada à célula.
+ * @property {string} [inputId] - Campo do formulário cujas restrições (required, maxlength, min/max, opções) valem na importação.
+ * @property {[string, string]} [template] - Template e seletor do campo equivalente em listas dinâmicas.
+ */
 
-  relevantInputs.forEach((input) => {
-    input.setCustomValidity('');
-    if (input.dataset) {
-      delete input.dataset.dateRangeInvalid;
-    }
-  });
+// Coluna que liga as linhas de PEPs e Key Projects ao projeto (quando vazia, vale o nome do projeto)
+const IMPORT_KEY_HEADER = 'Chave';
+
+/** @type {ImportColumn[]} */
+const IMPORT_PROJECT_COLUMNS = Object.freeze([
+  { key: 'Title', inputId: 'projectName' },
+  { key: 'budgetBrl', inputId: 'projectBudget', type: 'integer' },
+  { key: 'approvalYear', type: 'year' },
+  { key: 'startDate', type: 'date' },
+  { key: 'endDate', type: 'date' },
+  { key: 'company' },
+  { key: 'center' },
+  { key: 'unit' },
+  { key: 'location' },
+  { key: 'depreciationCostCenter' },
+  { key: 'category' },
+  { key: 'investmentType' },
+  { key: 'assetType' },
+  { key: 'projectFunction' },
+  { key: 'fundingSource' },
+  { key: 'projectUser' },
+  { key: 'projectLeader' },
+  { key: 'businessNeed' },
+  { key: 'proposedSolution' },
+  { key: 'kpiType' },
+  { key: 'kpiName' },
+  { key: 'kpiDescription' },
+  { key: 'kpiCurrent' },
+  { key: 'kpiExpected' },
+  { key: 'roceGain', type: 'integer' },
+  { key: 'roceGainDescription' },
+  { key: 'roceLoss', type: 'integer' },
+  { key: 'roceLossDescription' }
+].map((column) => ({ ...column, header: PROJECT_FIELD_LABELS[column.key], inputId: column.inputId || column.key })));
+
+/** @type {ImportColumn[]} */
+const IMPORT_PEP_COLUMNS = Object.freeze([
+  { key: 'projectKey', header: 'Chave do projeto' },
+  { key: 'title', header: 'Elemento PEP', template: ['simplePepTemplate', '.pep-title'] },
+  { key: 'amount', header: 'Valor do PEP (R$)', type: 'integer', template: ['simplePepTemplate', '.pep-amount'] },
+  { key: 'year', header: 'Ano do PEP', type: 'year', template: ['simplePepTemplate', '.pep-year'] }
+]);
+
+/** @type {ImportColumn[]} */
+const IMPORT_ACTIVITY_COLUMNS = Object.freeze([
+  { key: 'projectKey', header: 'Chave do projeto' },
+  { key: 'milestone', header: 'Nome do Marco', template: ['milestoneTemplate', '.milestone-title'] },
+  { key: 'title', header: 'Título da Atividade', template: ['activityTemplate', '.activity-title'] },
+  { key: 'startDate', header: 'Início da Atividade', type: 'date', template: ['activityTemplate', '.activity-start'] },
+  { key: 'endDate', header: 'Término da Atividade', type: 'date', template: ['activityTemplate', '.activity-end'] },
+  { key: 'supplier', header: 'Fornecedor', template: ['activityTemplate', '.activity-supplier'] },
+  { key: 'description', header: 'Descrição Geral da Atividade', template: ['activityTemplate', '.activity-description'] },
+  { key: 'pepTitle', header: 'Elemento PEP', template: ['activityTemplate', '.activity-pep-title'] },
+  { key: 'amount', header: 'Valor da Atividade (R$)', type: 'integer', template: ['activityTemplate', '.activity-pep-amount'] }
+]);
+
+// Planilhas do modelo, na ordem do arquivo
+const IMPORT_SHEETS = Object.freeze({
+  projects: { name: 'Projetos', columns: [{ key: 'key', header: IMPORT_KEY_HEADER }, ...IMPORT_PROJECT_COLUMNS] },
+  peps: { name: 'PEPs', columns: IMPORT_PEP_COLUMNS },
+  activities: { name: 'Key Projects', columns: IMPORT_ACTIVITY_COLUMNS }
+});
 
-  const startDate = startInput ? parseDateInputValue(startInput.value) : null;
-  const endDate = endInput ? parseDateInputValue(endInput.value) : null;
+// Selects em cascata: os valores são conferidos juntos por isValidSelection
+const IMPORT_CASCADE_FIELDS = new Set(['company', 'center', 'unit', 'location']);
 
-  if (startDate && endDate && endDate < startDate) {
-    const invalidTarget = endInput && typeof endInput.setCustomValidity === 'function' ? endInput : startInput;
-    if (invalidTarget) {
-      invalidTarget.setCustomValidity(DATE_RANGE_ERROR_MESSAGE);
-      if (invalidTarget.dataset) {
-        invalidTarget.dataset.dateRangeInvalid = 'true';
-      }
-      if (report && typeof invalidTarget.reportValidity === 'function') {
-        invalidTarget.reportValidity();
-      }
-    }
-    return false;
-  }
+let importSession = null;
 
-  return true;
+/**
+ * Normaliza cabeçalhos e opções para comparação (sem acentos, caixa ou pontuação).
+ * @param {*} text - Texto original.
+ * @returns {string} Texto normalizado.
+ */
+function normalizeImportText(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/gi, '')
+    .toLowerCase();
 }
 
 /**
- * Executa validação em todos os pares de datas, reportando o primeiro inválido.
- * @param {{report?:boolean}} [options={}] - Quando true, chama reportValidity no primeiro campo inválido.
- * @returns {boolean} True se nenhum intervalo estiver inconsistente.
+ * Campo do formulário (ou do template de listas dinâmicas) cujas restrições valem para a coluna.
+ * @param {ImportColumn} column - Coluna importada.
+ * @returns {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement|null} Elemento de referência.
  */
-function validateAllDateRanges(options = {}) {
-  const { report = false } = options;
-  let firstInvalidField = null;
-
-  getDateRangePairs().forEach(({ start, end }) => {
-    const isValid = validateDateRange(start, end);
-    if (!isValid && !firstInvalidField) {
-      firstInvalidField = (end && typeof end.setCustomValidity === 'function') ? end : start;
-    }
-  });
-
-  if (report && firstInvalidField && typeof firstInvalidField.reportValidity === 'function') {
-    firstInvalidField.reportValidity();
+function getImportColumnElement(column) {
+  if (column.template) {
+    const [templateId, selector] = column.template;
+    return document.getElementById(templateId)?.content?.querySelector(selector) || null;
   }
-
-  return !firstInvalidField;
+  return column.inputId ? document.getElementById(column.inputId) : null;
 }
 
 /**
- * Limpa customValidity aplicado em todos os campos de data do formulário.
+ * Converte uma célula conforme o tipo da coluna.
+ * @param {*} raw - Valor lido (texto, número ou Date).
+ * @param {'text'|'integer'|'year'|'date'} [type='text'] - Tipo esperado.
+ * @returns {{value:*, error?:string}} Valor convertido ou mensagem de erro.
  */
-function clearDateRangeValidity() {
-  const inputs = new Set();
-  getDateRangePairs().forEach(({ start, end }) => {
-    if (start) inputs.add(start);
-    if (end) inputs.add(end);
-  });
-
-  inputs.forEach((input) => {
-    if (input && typeof input.setCustomValidity === 'function') {
-      input.setCustomValidity('');
-      if (input.dataset) {
-        delete input.dataset.dateRangeInvalid;
-      }
-    }
-  });
-}
-
-function ensureProjectDateWarningElement() {
-  if (projectDateWarningEl && projectDateWarningEl.isConnected) {
-    return projectDateWarningEl;
-  }
-  const legend = projectSectionLegend || projectForm?.querySelector('fieldset.form-section legend');
-  if (!legend) {
-    return null;
+function parseImportCell(raw, type = 'text') {
+  const empty = raw === null || raw === undefined || String(raw).trim() === '';
+  if (type === 'text') {
+    return { value: empty ? '' : String(raw).trim() };
   }
-  projectDateWarningEl = legend.querySelector('.date-warning');
-  if (!projectDateWarningEl) {
-    projectDateWarningEl = document.createElement('span');
-    projectDateWarningEl.className = 'date-warning';
-    projectDateWarningEl.hidden = true;
-    legend.appendChild(projectDateWarningEl);
+  if (empty) {
+    return { value: null };
   }
-  return projectDateWarningEl;
-}
 
-function updateProjectDateWarning(message = '') {
-  const warningEl = ensureProjectDateWarningElement();
-  if (!warningEl) return;
-  if (message) {
-    warningEl.textContent = message;
-    warningEl.hidden = false;
+  if (type === 'date') {
+    if (raw instanceof Date) {
+      return Number.isFinite(raw.getTime()) ? { value: yyyyMmDdLocal(raw) } : { value: null, error: 'data inválida' };
+    }
+    const text = String(raw).trim();
+    const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    const br = /^(\d{2})\/(\d{2})\/(\d{4})$/.exec(text);
+    const value = iso ? `${iso[1]}-${iso[2]}-${iso[3]}` : br ? `${br[3]}-${br[2]}-${br[1]}` : '';
+    const date = parseDateInputValue(value);
+    // Rejeita datas que o Date "corrige" (ex.: 31/02)
+    return date && yyyyMmDdLocal(date) === value
+      ? { value }
+      : { value: null, error: 'data inválida (use dd/mm/aaaa)' };
+  }
+
+  // Inteiros: mesmos valores aceitos pelos campos de valor do formulário (sem centavos)
+  let number = NaN;
+  if (typeof raw === 'number') {
+    number = raw;
   } else {
-    warningEl.textContent = '';
-    warningEl.hidden = true;
+    const text = String(raw).replace(/R\$|\s/g, '');
+    if (/^\d{1,3}(\.\d{3})+(,0+)?$/.test(text) || /^\d+(,0+)?$/.test(text)) {
+      number = Number(text.replace(/\./g, '').replace(/,0+$/, ''));
+    } else if (/^\d+\.0+$/.test(text)) {
+      number = Number(text);
+    }
+  }
+  if (!Number.isInteger(number) || number < 0) {
+    return { value: null, error: 'informe um número inteiro, sem centavos' };
   }
+  return { value: number };
 }
 
-function applyProjectStartMinConstraint() {
-  const input = projectStartDateInput || document.getElementById('startDate');
-  if (!input) return;
-  input.min = yyyyMmDdLocal(new Date());
+/**
+ * Resolve o valor de um select pelo valor ou pelo texto da opção.
+ * @param {HTMLSelectElement} select - Select de referência.
+ * @param {string} text - Valor informado na planilha.
+ * @returns {string|null} Valor da opção ou null quando não reconhecido.
+ */
+function resolveImportOption(select, text) {
+  const normalized = normalizeImportText(text);
+  const option = Array.from(select.options).find((candidate) => candidate.value
+    && (normalizeImportText(candidate.value) === normalized || normalizeImportText(candidate.textContent) === normalized));
+  return option ? option.value : null;
 }
 
-function validateProjectStartDateMinimum(options = {}) {
-  const { report = false } = options;
-  if (!projectStartDateInput || typeof projectStartDateInput.setCustomValidity !== 'function') {
-    return true;
-  }
+/**
+ * Lê uma linha da planilha aplicando as restrições do campo equivalente no formulário.
+ * @param {ImportColumn[]} columns - Colunas da planilha.
+ * @param {Map<string, *>} cells - Células da linha por chave de coluna.
+ * @param {string[]} errors - Recebe as mensagens de erro da linha.
+ * @returns {Object} Valores convertidos por chave.
+ */
+function readImportRow(columns, cells, errors) {
+  const values = {};
+  columns.forEach((column) => {
+    const label = column.header;
+    const { value, error } = parseImportCell(cells.get(column.key), column.type);
+    values[column.key] = value;
+    if (error) {
+      errors.push(`${label}: ${error}.`);
+      return;
+    }
 
-  projectStartDateInput.setCustomValidity('');
-  updateProjectDateWarning('');
+    const element = getImportColumnElement(column);
+    if (!element) return;
+    const isEmpty = value === null || value === '';
+    // Campos somente leitura (ex.: ano de aprovação) não têm validação no formulário
+    if (isEmpty) {
+      if (element.required && !element.readOnly) {
+        errors.push(`Preencha “${label}”.`);
+      }
+      return;
+    }
+    if (typeof value === 'string' && element.maxLength > 0 && value.length > element.maxLength) {
+      errors.push(`${label}: máximo de ${element.maxLength} caracteres.`);
+    }
+    if (typeof value === 'number') {
+      const min = element.min !== '' && element.min !== undefined ? Number(element.min) : NaN;
+      const max = element.max !== '' && element.max !== undefined ? Number(element.max) : NaN;
+      if ((Number.isFinite(min) && value < min) || (Number.isFinite(max) && value > max)) {
+        errors.push(`${label}: valor fora do intervalo permitido.`);
+      }
+    }
+    if (element.tagName === 'SELECT' && !IMPORT_CASCADE_FIELDS.has(column.key) && !element.classList.contains('pep-title')
+      && !element.classList.contains('activity-pep-title')) {
+      const resolved = resolveImportOption(element, value);
+      if (resolved === null) {
+        errors.push(`${label}: valor “${value}” não reconhecido.`);
+      } else {
+        values[column.key] = resolved;
+      }
+    }
+  });
+  return values;
+}
 
-  const startValue = projectStartDateInput.value;
-  if (!startValue) {
-    return true;
+/**
+ * Separa o conteúdo de um CSV em linhas e células (aspas duplas, separador ";" ou ",").
+ * @param {string} text - Conteúdo do arquivo.
+ * @returns {string[][]} Matriz de células.
+ */
+function parseCsvText(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < content.length; index += 1) {
+    const char = content[index];
+    if (quoted) {
+      if (char === '"' && content[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
   }
-
-  const start = parseDateInputValue(startValue);
-  if (!start) {
-    return true;
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
   }
+  return rows;
+}
 
-  const today = new Date();
-  const today0 = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+/**
+ * Divide um CSV em blocos por planilha: cada bloco pode começar pelo nome da planilha
+ * (formato gerado por exportSheetsToCsv) e termina em uma linha vazia.
+ * @param {string[][]} rows - Linhas do CSV.
+ * @returns {Map<string, Array<Array<*>>>} Nome da planilha -> linhas (cabeçalho primeiro).
+ */
+function splitCsvSections(rows) {
+  const sheetNames = new Map(Object.values(IMPORT_SHEETS).map(({ name }) => [normalizeImportText(name), name]));
+  const sections = new Map();
+  let current = null;
+  rows.forEach((row) => {
+    const cells = row.filter((cell) => String(cell).trim() !== '');
+    if (!cells.length) {
+      current = null;
+      return;
+    }
+    if (!current) {
+      const name = cells.length === 1 ? sheetNames.get(normalizeImportText(cells[0])) : null;
+      current = [];
+      sections.set(name || IMPORT_SHEETS.projects.name, current);
+      if (name) return;
+    }
+    current.push(row);
+  });
+  return sections;
+}
 
-  if (start < today0) {
-    projectStartDateInput.setCustomValidity(PROJECT_START_MIN_ERROR_MESSAGE);
-    updateProjectDateWarning(PROJECT_START_MIN_ERROR_MESSAGE);
-    if (report && typeof projectStartDateInput.reportValidity === 'function') {
-      projectStartDateInput.reportValidity();
+/**
+ * Lê o arquivo selecionado e devolve as linhas de cada planilha do modelo.
+ * @param {File} file - Arquivo .xlsx ou .csv.
+ * @returns {Promise<Map<string, Array<Array<*>>>>} Nome da planilha -> linhas (cabeçalho primeiro).
+ */
+async function readImportFile(file) {
+  if (/\.csv$/i.test(file.name)) {
+    return splitCsvSections(parseCsvText(await file.text()));
+  }
+  const XLSX = await loadXlsx();
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+  const sections = new Map();
+  workbook.SheetNames.forEach((sheetName) => {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: null, blankrows: true });
+    sections.set(sheetName, rows);
+  });
+  return sections;
+}
+
+/**
+ * Converte as linhas de uma planilha em registros, mapeando cabeçalhos para colunas do modelo.
+ * @param {Array<Array<*>>|undefined} rows - Linhas da planilha (cabeçalho primeiro).
+ * @param {ImportColumn[]} columns - Colunas esperadas.
+ * @param {string} sheetName - Nome usado nas mensagens.
+ * @param {string[]} ignored - Recebe cabeçalhos sem coluna correspondente.
+ * @returns {{rowNumber:number, cells:Map<string, *>}[]} Linhas com dados.
+ */
+function mapImportRows(rows, columns, sheetName, ignored) {
+  if (!rows?.length) return [];
+  const lookup = new Map();
+  columns.forEach((column) => {
+    lookup.set(normalizeImportText(column.header), column.key);
+    lookup.set(normalizeImportText(column.key), column.key);
+  });
+  const headers = rows[0].map((header) => {
+    const key = lookup.get(normalizeImportText(header)) || null;
+    if (!key && String(header ?? '').trim()) {
+      ignored.push(`${sheetName}: ${String(header).trim()}`);
     }
-    return false;
-  }
+    return key;
+  });
 
-  updateProjectDateWarning('');
-  return true;
+  return rows.slice(1).flatMap((row, index) => {
+    const cells = new Map();
+    headers.forEach((key, columnIndex) => {
+      if (key) cells.set(key, row?.[columnIndex]);
+    });
+    const hasData = Array.from(cells.values()).some((value) => value !== null && value !== undefined && String(value).trim() !== '');
+    // Número da linha como exibido no Excel (cabeçalho na linha 1)
+    return hasData ? [{ rowNumber: index + 2, cells }] : [];
+  });
 }
 
 /**
- * Atualiza mensagem informativa relacionada às datas do projeto e atividades.
- * @param {{hasProjectStart?:boolean,hasProjectEnd?:boolean,hasStartIssue?:boolean,hasEndIssue?:boolean,activityCount?:number}} [param0={}] - Indicadores para montagem do texto.
+ * Valida um projeto importado com as regras do formulário (runFormValidations e validateBudgetDistribution).
+ * @param {Object} record - Registro montado por buildImportRecords.
  */
-function updateDateHintMessage({
-  hasProjectStart = false,
-  hasProjectEnd = false,
-  hasStartIssue = false,
-  hasEndIssue = false,
-  activityCount = 0
-} = {}) {
-  if (!dateHint) return;
+function validateImportRecord(record) {
+  const { data, errors } = record;
+  const label = (field) => PROJECT_FIELD_LABELS[field];
+
+  ['businessNeed', 'proposedSolution'].forEach((field) => {
+    const length = (data[field] || '').length;
+    if (length > 0 && length < 30) {
+      errors.push(`${label(field)} deve ter pelo menos 30 caracteres.`);
+    }
+  });
 
-  if (!hasProjectStart || !hasProjectEnd) {
-    dateHint.textContent = '';
-    dateHint.style.color = '';
-    return;
+  if (!isValidSelection({ company: data.company, center: data.center, location: data.location, unit: data.unit })) {
+    errors.push('Seleção inválida: verifique Empresa, Centro, Localização e Unidade.');
   }
 
-  if (activityCount === 0) {
-    dateHint.textContent = '✅ Todas as atividades estão dentro do intervalo do projeto.';
-    dateHint.style.color = '#2e7d32';
-    return;
+  const projectStart = parseDateInputValue(data.startDate);
+  const projectEnd = parseDateInputValue(data.endDate);
+  if (projectStart && projectEnd && projectEnd < projectStart) {
+    errors.push(`${label('endDate')}: ${DATE_RANGE_ERROR_MESSAGE}`);
   }
-
-  if (!hasStartIssue && !hasEndIssue) {
-    dateHint.textContent = '✅ Todas as atividades estão dentro do intervalo do projeto.';
-    dateHint.style.color = '#2e7d32';
-    return;
+  if (projectStart && projectStart < parseDateInputValue(yyyyMmDdLocal())) {
+    errors.push(`${label('startDate')}: ${PROJECT_START_MIN_ERROR_MESSAGE}`);
   }
 
-  const messages = [];
-  if (hasStartIssue) {
-    messages.push('⚠️ Atividade começa antes da data inicial do projeto.');
+  const usesKeyProjects = Number(data.budgetBrl) >= BUDGET_THRESHOLD;
+  if (usesKeyProjects && record.peps.length) {
+    errors.push(`Projetos a partir de ${BRL.format(BUDGET_THRESHOLD)} usam Key Projects: mova os PEPs para a planilha "${IMPORT_SHEETS.activities.name}".`);
   }
-  if (hasEndIssue) {
-    messages.push('⚠️ Atividade termina depois da data final do projeto.');
+  if (!usesKeyProjects && record.activities.length) {
+    errors.push(`Key Projects são usados apenas a partir de ${BRL.format(BUDGET_THRESHOLD)}: informe os PEPs na planilha "${IMPORT_SHEETS.peps.name}".`);
   }
-  dateHint.textContent = messages.join(' ');
-  dateHint.style.color = '#c62828';
-}
 
-function validateActivityDates(options = {}) {
-  const { changedInput = null } = options;
-  const projectStart = parseDateInputValue(projectStartDateInput?.value);
-  const projectEnd = parseDateInputValue(projectEndDateInput?.value);
+  const pepOptions = getPepOptionsForCompany(data.company);
+  const resolvePep = (title) => pepOptions.find((option) => normalizeImportText(option) === normalizeImportText(title));
 
-  const activities = milestoneList.querySelectorAll('.activity');
-  const activityCount = activities.length;
+  record.peps.forEach((pep) => {
+    if (pep.title && !resolvePep(pep.title)) {
+      errors.push(`${IMPORT_SHEETS.peps.name}, linha ${pep.rowNumber}: elemento PEP “${pep.title}” não disponível para a empresa.`);
+    } else if (pep.title) {
+      pep.title = resolvePep(pep.title);
+    }
+  });
 
-  if (!projectStart || !projectEnd) {
-    updateDateHintMessage({
-      hasProjectStart: Boolean(projectStart),
-      hasProjectEnd: Boolean(projectEnd),
-      activityCount
-    });
-    setValidationError('activityDates', null, null);
-    return true;
+  record.activities.forEach((activity) => {
+    const where = `${IMPORT_SHEETS.activities.name}, linha ${activity.rowNumber}`;
+    if (activity.pepTitle && !resolvePep(activity.pepTitle)) {
+      errors.push(`${where}: elemento PEP “${activity.pepTitle}” não disponível para a empresa.`);
+    } else if (activity.pepTitle) {
+      activity.pepTitle = resolvePep(activity.pepTitle);
+    }
+    const start = parseDateInputValue(activity.startDate);
+    const end = parseDateInputValue(activity.endDate);
+    const title = activity.title || 'Atividade';
+    if (start && end && end < start) {
+      errors.push(`${where}: ${DATE_RANGE_ERROR_MESSAGE}`);
+    }
+    if (projectStart && projectEnd && start && start < projectStart) {
+      errors.push(`${where}: a data de início da atividade "${title}" não pode ser anterior à data de início do projeto.`);
+    }
+    if (projectStart && projectEnd && end && end > projectEnd) {
+      errors.push(`${where}: a data de término da atividade "${title}" não pode ser posterior à data de término do projeto.`);
+    }
+  });
+
+  const allocated = usesKeyProjects
+    ? record.activities.map((activity) => ({ amountBrl: activity.amount || 0 }))
+    : record.peps.map((pep) => ({ amountBrl: pep.amount || 0 }));
+  try {
+    validateBudgetDistribution({ budgetBrl: data.budgetBrl || 0 }, allocated);
+  } catch (error) {
+    errors.push(error.message);
   }
+}
 
-  let invalidMessage = null;
-  let invalidField = null;
-  let invalidTitle = null;
-  let hasStartIssue = false;
-  let hasEndIssue = false;
-  for (const activity of activities) {
-    const startInput = activity.querySelector('.activity-start');
-    const endInput = activity.querySelector('.activity-end');
-    const title = activity.querySelector('.activity-title')?.value?.trim() || 'Atividade';
-    const startDate = parseDateInputValue(startInput?.value);
-    const endDate = parseDateInputValue(endInput?.value);
+/**
+ * Monta e valida os projetos do arquivo, ligando PEPs e atividades pela chave do projeto.
+ * @param {Map<string, Array<Array<*>>>} sections - Planilhas lidas do arquivo.
+ * @returns {{records:Object[], orphanErrors:string[], ignored:string[]}} Resultado da leitura.
+ */
+function buildImportRecords(sections) {
+  const ignored = [];
+  const findSheet = (name) => {
+    const entry = Array.from(sections.entries()).find(([sheetName]) => normalizeImportText(sheetName) === normalizeImportText(name));
+    return entry?.[1];
+  };
 
-    if (startDate && startDate < projectStart) {
-      hasStartIssue = true;
-      if (!invalidMessage) {
-        invalidMessage = `A data de início da atividade "${title}" não pode ser anterior à data de início do projeto.`;
-        invalidField = changedInput === projectStartDateInput ? projectStartDateInput : startInput;
-        invalidTitle = title;
+  const records = mapImportRows(findSheet(IMPORT_SHEETS.projects.name), IMPORT_SHEETS.projects.columns, IMPORT_SHEETS.projects.name, ignored)
+    .map(({ rowNumber, cells }) => {
+      const errors = [];
+      const key = String(cells.get('key') ?? '').trim();
+      const data = readImportRow(IMPORT_PROJECT_COLUMNS, cells, errors);
+      if (!data.approvalYear) {
+        data.approvalYear = new Date().getFullYear();
       }
-    }
+      return { rowNumber, key: key || data.Title, data, peps: [], activities: [], errors, status: 'pending' };
+    });
 
-    if (endDate && endDate > projectEnd) {
-      hasEndIssue = true;
-      if (!invalidMessage) {
-        invalidMessage = `A data de término da atividade "${title}" não pode ser posterior à data de término do projeto.`;
-        invalidField = changedInput === projectEndDateInput ? projectEndDateInput : endInput;
-        invalidTitle = title;
-      }
+  const recordsByKey = new Map();
+  records.forEach((record) => {
+    const normalizedKey = normalizeImportText(record.key);
+    if (!normalizedKey) return;
+    if (recordsByKey.has(normalizedKey)) {
+      record.errors.push(`${IMPORT_KEY_HEADER} “${record.key}” repetida (linha ${recordsByKey.get(normalizedKey).rowNumber}).`);
+      return;
     }
-  }
-
-  updateDateHintMessage({
-    hasProjectStart: true,
-    hasProjectEnd: true,
-    hasStartIssue,
-    hasEndIssue,
-    activityCount
+    recordsByKey.set(normalizedKey, record);
   });
 
-  if (invalidMessage) {
-    setValidationError('activityDates', invalidMessage, {
-      field: invalidField || null,
-      activityTitle: invalidTitle,
-      hasStartIssue,
-      hasEndIssue
-    });
-    if (invalidField) {
-      const previousValue = invalidField.dataset?.previousValue ?? '';
-      if (invalidField.value !== previousValue) {
-        invalidField.value = previousValue;
+  const orphanErrors = [];
+  const attachChildren = (sheet, target) => {
+    mapImportRows(findSheet(sheet.name), sheet.columns, sheet.name, ignored).forEach(({ rowNumber, cells }) => {
+      const rowErrors = [];
+      const values = readImportRow(sheet.columns, cells, rowErrors);
+      const record = recordsByKey.get(normalizeImportText(values.projectKey));
+      if (!record) {
+        orphanErrors.push(`${sheet.name}, linha ${rowNumber}: projeto “${values.projectKey || '—'}” não encontrado na planilha ${IMPORT_SHEETS.projects.name}.`);
+        return;
       }
-    }
-    return false;
-  }
+      record[target].push({ ...values, rowNumber });
+      rowErrors.forEach((message) => record.errors.push(`${sheet.name}, linha ${rowNumber}: ${message}`));
+    });
+  };
+  attachChildren(IMPORT_SHEETS.peps, 'peps');
+  attachChildren(IMPORT_SHEETS.activities, 'activities');
 
-  setValidationError('activityDates', null, {
-    field: null,
-    activityTitle: null,
-    hasStartIssue: false,
-    hasEndIssue: false
+  records.forEach((record) => {
+    validateImportRecord(record);
+    record.status = record.errors.length ? 'invalid' : 'valid';
   });
-  if (changedInput) {
-    rememberFieldPreviousValue(changedInput);
-  }
-  return true;
+
+  return { records, orphanErrors, ignored };
 }
 
 /**
- * Coordena validações customizadas e nativas retornando resumo das inconsistências.
- * @param {{scrollOnError?:boolean, focusFirstError?:boolean}} [options={}] - Comportamento pós-validação.
- * @returns {{valid:boolean, issues:Array}} Resultado consolidado.
+ * Payload da lista Projects para um projeto importado, no formato de collectProjectData.
+ * @param {Object} data - Valores validados da linha.
+ * @returns {Project} Dados do projeto (status Rascunho).
  */
-function runFormValidations(options = {}) {
-  const { scrollOnError = false, focusFirstError = false } = options;
+function buildImportProjectPayload(data) {
+  const budgetBrl = Number(data.budgetBrl) || 0;
+  const roceGain = Number(data.roceGain) || 0;
+  const roceLoss = Number(data.roceLoss) || 0;
+  const roceMetrics = computeRoceMetrics({ gain: roceGain, loss: roceLoss, budget: budgetBrl });
+  const payload = {};
+  IMPORT_PROJECT_COLUMNS.forEach(({ key }) => {
+    payload[key] = data[key] ?? '';
+  });
+  return {
+    ...payload,
+    approvalYear: String(data.approvalYear),
+    startDate: data.startDate || null,
+    endDate: data.endDate || null,
+    budgetBrl,
+    investmentLevel: determineInvestmentLevel(budgetBrl),
+    roceGain: String(roceGain),
+    roceLoss: String(roceLoss),
+    roceClassification: String(resolveRoceClassificationLabel(roceMetrics) ?? ''),
+    status: PROJECT_STATUSES.DRAFT
+  };
+}
 
-  clearFieldErrors();
-  refreshCommentFeedback();
+/**
+ * Grava um projeto importado com seus PEPs ou Key Projects (filhos em $batch por nível);
+ * falhas desfazem o que já foi criado.
+ * @param {Object} record - Registro válido.
+ * @returns {Promise<number>} ID do projeto criado.
+ */
+async function importProjectRecord(record) {
+  const unitOfWork = new SaveUnitOfWork(sp);
+  const payload = buildImportProjectPayload(record.data);
+  const approvalYear = Number(payload.approvalYear);
 
-  const pepValid = validatePepBudget();
-  const activityValid = validateActivityDates();
-  const dateRangesValid = validateAllDateRanges();
-  const projectStartMinValid = validateProjectStartDateMinimum();
+  try {
+    const project = await unitOfWork.createItem('Projects', buildProjectSharePointPayload(payload));
+    const projectId = Number(project?.Id);
+    if (!Number.isFinite(projectId)) {
+      throw new Error('ID do projeto inválido após salvar.');
+    }
 
-  const invalidFields = collectInvalidFields();
-  [businessNeedField, proposedSolutionField]
-    .filter(Boolean)
-    .forEach((field) => {
-      const trimmedLength = field.value.trim().length;
-      if (trimmedLength > 0 && trimmedLength < 30) {
-        const label = getFieldLabel(field);
-        const message = `${label} deve ter pelo menos 30 caracteres.`;
-        invalidFields.push({
-          element: field,
-          label,
-          message,
-          type: 'general'
+    if (payload.budgetBrl >= BUDGET_THRESHOLD) {
+      // Marcos na ordem em que aparecem na planilha; atividades com o mesmo nome de marco ficam juntas.
+      // Cada nível segue em um $batch próprio, como em persistKeyProjects, pois depende dos IDs do anterior.
+      const milestoneKeys = [];
+      const milestoneOperations = [];
+      record.activities.forEach((activity) => {
+        const milestoneKey = normalizeImportText(activity.milestone);
+        if (milestoneKeys.includes(milestoneKey)) return;
+        milestoneKeys.push(milestoneKey);
+        milestoneOperations.push({
+          type: 'create',
+          listName: 'Milestones',
+          payload: { Title: activity.milestone, projectsIdId: projectId }
         });
-      }
-    });
-  invalidFields.forEach((issue) => {
-    applyFieldError(issue.element, issue.message);
-  });
+      });
+      const milestoneResults = await executeBatchOperations(milestoneOperations, unitOfWork);
+      const milestoneIds = new Map(
+        milestoneKeys.map((key, index) => [key, Number(milestoneResults[index]?.data?.Id)])
+      );
 
-  const issues = [];
+      const activityOperations = record.activities.map((activity) => ({
+        type: 'create',
+        listName: 'Activities',
+        payload: {
+          Title: activity.title,
+          startDate: activity.startDate || null,
+          endDate: activity.endDate || null,
+          activityDescription: activity.description,
+          supplier: activity.supplier,
+          projectsIdId: projectId,
+          milestonesIdId: milestoneIds.get(normalizeImportText(activity.milestone))
+        }
+      }));
+      const activityResults = await executeBatchOperations(activityOperations, unitOfWork);
+
+      const pepOperations = record.activities.map((activity, index) => {
+        const startYear = activity.startDate ? parseInt(activity.startDate.substring(0, 4), 10) : NaN;
+        return {
+          type: 'create',
+          listName: 'Peps',
+          payload: {
+            Title: activity.pepTitle,
+            amountBrl: activity.amount || 0,
+            year: Number.isFinite(startYear) ? startYear : approvalYear,
+            projectsIdId: projectId,
+            activitiesIdId: Number(activityResults[index]?.data?.Id)
+          }
+        };
+      });
+      await executeBatchOperations(pepOperations, unitOfWork);
+    } else {
+      await executeBatchOperations(
+        record.peps.map((pep) => ({
+          type: 'create',
+          listName: 'Peps',
+          payload: {
+            Title: pep.title,
+            amountBrl: pep.amount || 0,
+            year: pep.year,
+            projectsIdId: projectId
+          }
+        })),
+        unitOfWork
+      );
+    }
 
-  const requiredIssues = invalidFields.filter((issue) => issue.type === 'required');
-  if (requiredIssues.length) {
-    issues.push({
-      title: 'Campos obrigatórios',
-      items: requiredIssues.map((issue) => issue.message),
-      type: 'required',
-      focusElement: requiredIssues[0]?.element || null
-    });
+    await unitOfWork.createItem(
+      'AuditLog',
+      buildAuditEntry(projectId, 'create', {
+        statusTo: PROJECT_STATUSES.DRAFT,
+        comment: `Importado da planilha (linha ${record.rowNumber}).`
+      })
+    );
+    unitOfWork.commit();
+    return projectId;
+  } catch (error) {
+    const { failures } = await unitOfWork.rollback();
+    if (failures.length) {
+      console.error('Falha ao desfazer importação parcial', failures);
+    }
+    throw error;
   }
+}
 
-  const dateFieldIssues = invalidFields.filter((issue) => issue.type === 'date');
-  const dateMessages = dateFieldIssues.map((issue) => issue.message);
-  if (validationState.activityDates) {
-    dateMessages.push(validationState.activityDates);
+/**
+ * Baixa o modelo de importação, com uma planilha de instruções no XLSX.
+ * @param {'xlsx'|'csv'} format - Formato do modelo.
+ * @returns {Promise<void>}
+ */
+async function downloadImportTemplate(format) {
+  const dataSheets = Object.values(IMPORT_SHEETS).map(({ name, columns }) => ({
+    name,
+    rows: [],
+    columns: columns.map((column) => ({ header: column.header, value: () => null }))
+  }));
+  if (format === 'csv') {
+    exportSheetsToCsv(dataSheets, 'modelo_importacao_projetos.csv');
+    return;
   }
-  const uniqueDateMessages = [...new Set(dateMessages.filter(Boolean))];
-  if (uniqueDateMessages.length) {
-    const activityField = validationState.activityDateDetails?.field || null;
-    const isFieldAlreadyHighlighted = activityField
-      ? invalidFields.some((issue) => issue.element === activityField)
-      : false;
-    if (activityField && !isFieldAlreadyHighlighted) {
-      applyFieldError(activityField, validationState.activityDates || uniqueDateMessages[0]);
+
+  const instructions = Object.values(IMPORT_SHEETS).flatMap(({ name, columns }) => columns.map((column) => {
+    const element = getImportColumnElement(column);
+    const options = element?.tagName === 'SELECT' && !IMPORT_CASCADE_FIELDS.has(column.key)
+      && !element.classList.contains('pep-title') && !element.classList.contains('activity-pep-title')
+      ? Array.from(element.options).filter((option) => option.value).map((option) => option.textContent.trim()).join(' | ')
+      : '';
+    const notes = {
+      key: 'Identifica o projeto nas planilhas de PEPs e Key Projects; quando vazia, vale o nome do projeto.',
+      projectKey: `Mesmo valor da coluna "${IMPORT_KEY_HEADER}" (ou o nome) do projeto.`,
+      approvalYear: 'Quando vazio, usa o ano atual.',
+      budgetBrl: `PEPs até ${BRL.format(BUDGET_THRESHOLD - 1)}; a partir de ${BRL.format(BUDGET_THRESHOLD)}, Key Projects.`
+    };
+    return {
+      sheet: name,
+      header: column.header,
+      required: column.key === 'key' || (element?.required && !element.readOnly) ? 'Sim' : 'Não',
+      notes: [notes[column.key], options && `Valores: ${options}`].filter(Boolean).join(' ')
+    };
+  }));
+
+  await exportSheetsToXlsx([
+    ...dataSheets,
+    {
+      name: 'Instruções',
+      rows: instructions,
+      columns: [
+        { header: 'Planilha', value: (row) => row.sheet },
+        { header: 'Coluna', value: (row) => row.header },
+        { header: 'Obrigatória', value: (row) => row.required },
+        { header: 'Observações', value: (row) => row.notes }
+      ]
     }
-    issues.push({
-      title: 'Datas',
-      items: uniqueDateMessages,
-      type: 'date',
-      focusElement: activityField || dateFieldIssues[0]?.element || null
+  ], 'modelo_importacao_projetos.xlsx');
+}
+
+/**
+ * Desenha o relatório por linha do arquivo importado.
+ */
+function renderImportReport() {
+  if (!importReport) return;
+  importReport.innerHTML = '';
+  if (!importSession) return;
+
+  const { records, orphanErrors, ignored } = importSession;
+  const notes = [...orphanErrors];
+  if (ignored.length) {
+    notes.push(`Colunas ignoradas: ${ignored.join(', ')}.`);
+  }
+  if (notes.length) {
+    const list = document.createElement('ul');
+    list.className = 'import-report__notes';
+    notes.forEach((note) => {
+      const item = document.createElement('li');
+      item.textContent = note;
+      list.append(item);
     });
+    importReport.append(list);
+  }
+
+  if (!records.length) {
+    const empty = document.createElement('p');
+    empty.className = 'hint';
+    empty.textContent = `Nenhum projeto encontrado na planilha "${IMPORT_SHEETS.projects.name}".`;
+    importReport.append(empty);
+    return;
   }
 
-  if (!pepValid && validationState.pepBudgetDetails) {
-    const { budget = 0, total = 0, remaining = 0 } = validationState.pepBudgetDetails;
-    const difference = Math.abs(Math.round(remaining * 100) / 100);
-    const detailMessage = remaining < 0
-      ? `Orçamento: ${BRL.format(budget)} · Soma dos PEPs: ${BRL.format(total)} · Excedente: ${BRL.format(difference)}.`
-      : `Orçamento: ${BRL.format(budget)} · Soma dos PEPs: ${BRL.format(total)} · Restante: ${BRL.format(difference)}.`;
-    const pepInputs = getPepAmountInputs().filter((input) => !input.closest('.hidden'));
-    const pepFocus = pepInputs[0] || projectBudgetInput;
-    if (projectBudgetInput && !invalidFields.some((issue) => issue.element === projectBudgetInput)) {
-      applyFieldError(projectBudgetInput, 'Ajuste o orçamento do projeto ou redistribua os valores de PEP.');
-    }
-    if (pepFocus && pepFocus !== projectBudgetInput && !invalidFields.some((issue) => issue.element === pepFocus)) {
-      applyFieldError(pepFocus, 'Revise os valores dos PEPs para manter o projeto dentro do orçamento.');
+  const statusLabels = {
+    valid: 'Pronto para importar',
+    invalid: 'Com erros',
+    importing: 'Importando…',
+    done: 'Importado',
+    failed: 'Falhou'
+  };
+  const table = document.createElement('table');
+  table.className = 'summary-table import-report__table';
+  const head = document.createElement('thead');
+  head.innerHTML = '<tr><th>Linha</th><th>Projeto</th><th>Situação</th><th>Detalhes</th></tr>';
+  const body = document.createElement('tbody');
+  records.forEach((record) => {
+    const row = document.createElement('tr');
+    row.className = `import-row import-row--${record.status}`;
+    const line = document.createElement('td');
+    line.textContent = String(record.rowNumber);
+    const name = document.createElement('td');
+    name.textContent = record.data.Title || '—';
+    const status = document.createElement('td');
+    status.className = 'import-row__status';
+    status.textContent = record.status === 'done' ? `${statusLabels.done} (#${record.projectId})` : statusLabels[record.status];
+    const details = document.createElement('td');
+    const messages = record.status === 'failed' ? [record.failure] : record.errors;
+    if (messages.length) {
+      const list = document.createElement('ul');
+      messages.forEach((message) => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.append(item);
+      });
+      details.append(list);
+    } else {
+      details.textContent = record.data.budgetBrl >= BUDGET_THRESHOLD
+        ? `${record.activities.length} atividade(s) de Key Projects`
+        : `${record.peps.length} PEP(s)`;
     }
-    issues.push({
-      title: 'Orçamento x PEPs',
-      items: [detailMessage],
-      type: 'pep',
-      focusElement: pepFocus || null
-    });
+    row.append(line, name, status, details);
+    body.append(row);
+  });
+  table.append(head, body);
+  importReport.append(table);
+}
+
+/**
+ * Atualiza o botão de importação com a quantidade de linhas válidas pendentes.
+ */
+function updateImportConfirmButton() {
+  if (!importConfirmBtn) return;
+  const pending = importSession?.records.filter((record) => record.status === 'valid').length || 0;
+  importConfirmBtn.disabled = !pending || Boolean(importSession?.running);
+  importConfirmBtn.textContent = pending ? `Importar ${pending} ${pending === 1 ? 'projeto válido' : 'projetos válidos'}` : 'Importar projetos válidos';
+}
+
+/**
+ * Abre o diálogo de importação com uma sessão nova (sem arquivo nem relatório).
+ */
+function openImportOverlay() {
+  if (!importOverlay) return;
+  importSession = null;
+  if (importFileInput) importFileInput.value = '';
+  setFeedback(importStatus, '');
+  renderImportReport();
+  updateImportConfirmButton();
+  importOverlay.classList.remove('hidden');
+  importTitle?.focus();
+}
+
+/**
+ * Fecha o diálogo de importação, descarta a sessão e devolve o foco ao botão; ignorado durante a importação.
+ */
+function closeImportOverlay() {
+  if (!importOverlay || importSession?.running) return;
+  importOverlay.classList.add('hidden');
+  importSession = null;
+  importProjectsBtn?.focus();
+}
+
+/**
+ * Lê e valida o arquivo escolhido, exibindo o relatório por linha.
+ * @returns {Promise<void>}
+ */
+async function handleImportFileChange() {
+  const file = importFileInput?.files?.[0];
+  importSession = null;
+  renderImportReport();
+  updateImportConfirmButton();
+  if (!file) return;
+
+  if (!/\.(xlsx|csv)$/i.test(file.name)) {
+    setFeedback(importStatus, 'Selecione um arquivo .xlsx ou .csv no formato do modelo.', 'error');
+    return;
   }
 
-  const otherIssues = invalidFields.filter((issue) => issue.type === 'general');
-  if (otherIssues.length) {
-    issues.push({
-      title: 'Validações',
-      items: otherIssues.map((issue) => issue.message),
-      type: 'general',
-      focusElement: otherIssues[0]?.element || null
-    });
+  setFeedback(importStatus, 'Lendo arquivo…');
+  try {
+    importSession = { ...buildImportRecords(await readImportFile(file)), running: false };
+  } catch (error) {
+    console.error('Erro ao ler arquivo de importação', error);
+    setFeedback(importStatus, 'Não foi possível ler o arquivo. Verifique o formato e tente novamente.', 'error');
+    return;
   }
 
-  const isValid = issues.length === 0 && pepValid && activityValid && dateRangesValid && projectStartMinValid;
+  const valid = importSession.records.filter((record) => record.status === 'valid').length;
+  const invalid = importSession.records.length - valid;
+  setFeedback(
+    importStatus,
+    `${valid} ${valid === 1 ? 'projeto válido' : 'projetos válidos'}${invalid ? ` · ${invalid} com erros (não serão importados)` : ''}.`,
+    invalid ? 'warning' : 'success'
+  );
+  renderImportReport();
+  updateImportConfirmButton();
+}
 
-  if (isValid) {
-    clearErrorSummary();
-    if (formStatus && (formStatus.classList.contains('feedback--warning') || formStatus.classList.contains('feedback--error'))) {
-      resetFormStatus();
+/**
+ * Cria os projetos válidos um a um; falhas ficam registradas na linha e não interrompem os demais.
+ * @returns {Promise<void>}
+ */
+async function handleImportConfirm() {
+  if (!importSession || importSession.running) return;
+  const pending = importSession.records.filter((record) => record.status === 'valid');
+  if (!pending.length) return;
+
+  importSession.running = true;
+  updateImportConfirmButton();
+  if (importCancelBtn) importCancelBtn.disabled = true;
+  let imported = 0;
+
+  for (const [index, record] of pending.entries()) {
+    record.status = 'importing';
+    setFeedback(importStatus, `Importando ${index + 1} de ${pending.length}…`);
+    renderImportReport();
+    try {
+      record.projectId = await importProjectRecord(record);
+      record.status = 'done';
+      imported += 1;
+    } catch (error) {
+      console.error('Erro ao importar projeto', record, error);
+      record.status = 'failed';
+      record.failure = error?.message || 'Erro ao gravar no SharePoint.';
     }
-    return { valid: true, issues: [] };
   }
 
-  if (scrollOnError) {
-    scrollFormToTop();
+  importSession.running = false;
+  if (importCancelBtn) importCancelBtn.disabled = false;
+  const failed = pending.length - imported;
+  setFeedback(
+    importStatus,
+    `${imported} ${imported === 1 ? 'projeto importado' : 'projetos importados'} como rascunho${failed ? ` · ${failed} com falha` : ''}.`,
+    failed ? 'warning' : 'success'
+  );
+  renderImportReport();
+  updateImportConfirmButton();
+  if (imported) {
+    loadProjects();
   }
+}
 
-  const hasNonRequiredIssue = issues.some((issue) => issue.type !== 'required');
-  const severity = hasNonRequiredIssue ? 'error' : 'warning';
-  const statusMessage = severity === 'warning'
-    ? 'Alguns campos estão incompletos.'
-    : 'Não foi possível salvar. Verifique os erros abaixo.';
+// ============================================================================
+// Painel do portfólio (totais por dimensão e PEPs por ano)
+// ============================================================================
+/**
+ * Dimensões agregadas no painel; cada uma corresponde a um filtro da lista lateral,
+ * o que permite o detalhamento ao clicar em uma barra.
+ */
+const DASHBOARD_DIMENSIONS = Object.freeze([
+  { field: 'company', title: 'Orçamento por empresa' },
+  { field: 'center', title: 'Orçamento por centro' },
+  { field: 'category', title: 'Orçamento por categoria' },
+  { field: 'investmentLevel', title: 'Orçamento por nível de investimento' },
+  { field: 'status', title: 'Orçamento por status' },
+  { field: 'approvalYear', title: 'Orçamento por ano de aprovação' }
+]);
+// Quantidade de projetos por consulta de PEPs (cláusulas "or" no filtro OData)
+const DASHBOARD_PEP_CHUNK_SIZE = 20;
+// Consultas de PEPs simultâneas ao abrir o painel com muitos projetos
+const DASHBOARD_PEP_CONCURRENCY = 4;
+
+const dashboardState = {
+  open: false,
+  // ID do projeto -> PEPs lidos da lista Peps; descartado quando o projeto é alterado
+  pepsByProject: new Map(),
+  // Descarta renderizações concluídas depois de outra mais recente
+  renderToken: 0
+};
 
-  showStatus(statusMessage, { type: severity });
-  renderErrorSummary(issues, { tone: severity, title: statusMessage });
+/**
+ * Projetos da lista "Projetos" que atendem à busca e aos filtros ativos.
+ * @returns {Project[]} Projetos considerados no painel.
+ */
+function getDashboardProjects() {
+  return filterProjectListItems(state.projects);
+}
 
-  if (focusFirstError) {
-    const focusCandidate = issues.find((issue) => issue.focusElement)?.focusElement
-      || invalidFields[0]?.element
-      || validationState.activityDateDetails?.field
-      || null;
-    if (focusCandidate && typeof focusCandidate.focus === 'function') {
-      requestAnimationFrame(() => {
-        try {
-          focusCandidate.focus({ preventScroll: true });
-        } catch (error) {
-          focusCandidate.focus();
+/**
+ * Soma orçamento e quantidade de projetos por valor de um campo, do maior total para o menor.
+ * @param {Project[]} projects - Projetos agregados.
+ * @param {string} field - Campo do projeto.
+ * @returns {{value:string, label:string, count:number, total:number}[]} Linhas do gráfico.
+ */
+function aggregateBudgetBy(projects, field) {
+  const totals = new Map();
+  projects.forEach((item) => {
+    const value = String(item?.[field] ?? '').trim();
+    const entry = totals.get(value) || { value, count: 0, total: 0 };
+    entry.count += 1;
+    entry.total += toSortableBudget(item.budgetBrl);
+    totals.set(value, entry);
+  });
+  return Array.from(totals.values())
+    .map((entry) => ({ ...entry, label: entry.value ? getListFilterLabel(field, entry.value) : 'Não informado' }))
+    .sort((a, b) => b.total - a.total || a.label.localeCompare(b.label, 'pt-BR'));
+}
+
+/**
+ * Lê os PEPs dos projetos ainda fora do cache, em consultas agrupadas com no máximo
+ * DASHBOARD_PEP_CONCURRENCY requisições em andamento.
+ * @param {Project[]} projects - Projetos do painel.
+ * @returns {Promise<void>} Promessa resolvida com o cache preenchido.
+ */
+async function loadDashboardPeps(projects) {
+  const missing = projects
+    .map((item) => Number(item.Id))
+    .filter((id) => Number.isFinite(id) && !dashboardState.pepsByProject.has(id));
+  const pending = chunkArray(missing, DASHBOARD_PEP_CHUNK_SIZE);
+
+  const loadNextChunk = async () => {
+    while (pending.length) {
+      const ids = pending.shift();
+      const items = await sp.getItems(
+        'Peps',
+        { filter: ids.map((id) => `projectsIdId eq ${id}`).join(' or ') },
+        { all: true }
+      );
+      ids.forEach((id) => dashboardState.pepsByProject.set(id, []));
+      safeArray(items).forEach((pep) => {
+        const id = Number(pep.projectsIdId);
+        if (dashboardState.pepsByProject.has(id)) {
+          dashboardState.pepsByProject.get(id).push(pep);
         }
       });
     }
-  }
+  };
 
-  return { valid: false, issues };
+  const workers = Math.min(DASHBOARD_PEP_CONCURRENCY, pending.length);
+  await Promise.all(Array.from({ length: workers }, loadNextChunk));
 }
 
 /**
- * Escuta eventos de input em campos de data para aplicar validações contextuais.
- * @param {Event} event - Evento disparado no formulário.
+ * Soma os PEPs dos projetos por ano de execução, em ordem cronológica.
+ * @param {Project[]} projects - Projetos do painel.
+ * @returns {{value:string, label:string, count:number, total:number}[]} Linhas do gráfico (count = PEPs).
  */
-function handleGlobalDateInput(event) {
-  const target = event.target;
-  if (!target || typeof target.matches !== 'function') {
-    return;
-  }
+function aggregatePepsByYear(projects) {
+  const totals = new Map();
+  projects.forEach((item) => {
+    (dashboardState.pepsByProject.get(Number(item.Id)) || []).forEach((pep) => {
+      const year = Number.parseInt(pep.year, 10);
+      const key = Number.isFinite(year) ? String(year) : '';
+      const amount = coerceNumericValue(pep.amountBrl);
+      const entry = totals.get(key) || { value: key, label: key || 'Sem ano', count: 0, total: 0 };
+      entry.count += 1;
+      entry.total += Number.isFinite(amount) ? amount : 0;
+      totals.set(key, entry);
+    });
+  });
+  return Array.from(totals.values()).sort((a, b) => {
+    if (!a.value || !b.value) return a.value ? -1 : b.value ? 1 : 0;
+    return Number(a.value) - Number(b.value);
+  });
+}
 
-  if (target === projectStartDateInput || target === projectEndDateInput) {
-    validateDateRange(projectStartDateInput, projectEndDateInput, { report: true });
-    validateProjectStartDateMinimum({ report: true });
-    return;
-  }
+/**
+ * Cria um card com gráfico de barras horizontais proporcionais ao maior total.
+ * @param {string} title - Título do card.
+ * @param {{value:string, label:string, count:number, total:number}[]} rows - Linhas do gráfico.
+ * @param {{field?:string, countLabel?:[string, string], color?:(value:string)=>string}} [options={}] -
+ *   field habilita o detalhamento na lista; countLabel traz singular e plural da contagem.
+ * @returns {HTMLElement} Card do gráfico.
+ */
+function createDashboardChart(title, rows, options = {}) {
+  const { field, countLabel = ['projeto', 'projetos'], color } = options;
+  const card = document.createElement('section');
+  card.className = 'dashboard-card';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  card.append(heading);
 
-  if (target.classList?.contains('activity-start') || target.classList?.contains('activity-end')) {
-    const activity = target.closest('.activity');
-    const startInput = activity?.querySelector('.activity-start');
-    const endInput = activity?.querySelector('.activity-end');
-    validateDateRange(startInput, endInput, { report: true });
-    return;
+  if (!rows.length) {
+    const empty = document.createElement('p');
+    empty.className = 'hint';
+    empty.textContent = 'Sem dados para os filtros atuais.';
+    card.append(empty);
+    return card;
   }
 
-  if (target.classList?.contains('milestone-start') || target.classList?.contains('milestone-end')) {
-    const milestone = target.closest('.milestone');
-    const startInput = milestone?.querySelector('.milestone-start');
-    const endInput = milestone?.querySelector('.milestone-end');
-    validateDateRange(startInput, endInput, { report: true });
-  }
+  const max = Math.max(...rows.map((row) => row.total), 0);
+  const list = document.createElement('div');
+  list.className = 'dashboard-bars';
+  rows.forEach((row) => {
+    const drillable = Boolean(field && row.value);
+    const bar = document.createElement(drillable ? 'button' : 'div');
+    bar.className = 'dashboard-bar';
+    if (drillable) {
+      bar.type = 'button';
+      bar.dataset.field = field;
+      bar.dataset.value = row.value;
+      bar.title = 'Filtrar a lista por este valor';
+    }
+
+    const label = document.createElement('span');
+    label.className = 'dashboard-bar__label';
+    label.textContent = row.label;
+
+    const track = document.createElement('span');
+    track.className = 'dashboard-bar__track';
+    const fill = document.createElement('span');
+    fill.className = 'dashboard-bar__fill';
+    fill.style.width = `${max > 0 ? Math.max((row.total / max) * 100, row.total > 0 ? 1 : 0) : 0}%`;
+    if (color && row.value) {
+      fill.style.background = color(row.value);
+    }
+    track.append(fill);
+
+    const value = document.createElement('span');
+    value.className = 'dashboard-bar__value';
+    value.textContent = `${BRL.format(row.total)} · ${row.count} ${row.count === 1 ? countLabel[0] : countLabel[1]}`;
+
+    bar.append(label, track, value);
+    list.append(bar);
+  });
+  card.append(list);
+  return card;
 }
 
 /**
- * Armazena valor atual de campos sensíveis antes da edição para suportar rollback.
- * @param {FocusEvent} event - Evento focusin delegado do formulário.
+ * Renderiza o painel do portfólio no painel central com os projetos da lista filtrada.
+ * @returns {Promise<void>} Promessa resolvida após desenhar os gráficos de PEP.
  */
-function handleFormFocusCapture(event) {
-  const target = event.target;
-  if (!target) return;
+async function renderDashboard() {
+  const token = ++dashboardState.renderToken;
+  const projects = getDashboardProjects();
+  const totalBudget = projects.reduce((sum, item) => sum + toSortableBudget(item.budgetBrl), 0);
+  const inApproval = projects.filter((item) => item.status === PROJECT_STATUSES.IN_APPROVAL).length;
 
-  if (target === projectStartDateInput || target === projectEndDateInput) {
-    rememberFieldPreviousValue(target);
-    return;
+  const wrapper = document.createElement('div');
+  wrapper.className = 'project-overview dashboard';
+
+  const header = document.createElement('div');
+  header.className = 'project-overview__header';
+  const title = document.createElement('h2');
+  title.className = 'project-overview__title';
+  title.textContent = 'Painel do portfólio';
+  const hint = document.createElement('p');
+  hint.className = 'project-overview__hint';
+  hint.textContent = hasActiveListFilters() || projectSearch?.value
+    ? 'Totais dos projetos que atendem à busca e aos filtros da lista. Clique em uma barra para detalhar.'
+    : 'Totais de todos os projetos da lista. Clique em uma barra para filtrar a lista por aquele valor.';
+  header.append(title, hint);
+
+  const highlights = document.createElement('div');
+  highlights.className = 'project-overview__grid';
+  const pepHighlight = createHighlightBox('Total em PEPs', 'Carregando…');
+  highlights.append(
+    createHighlightBox('Projetos', String(projects.length)),
+    createHighlightBox('Orçamento total', BRL.format(totalBudget), { variant: 'budget' }),
+    createHighlightBox('Em aprovação', String(inApproval)),
+    pepHighlight
+  );
+
+  const charts = document.createElement('div');
+  charts.className = 'dashboard-grid';
+  const pepPlaceholder = createDashboardChart('PEPs por ano de execução', []);
+  pepPlaceholder.querySelector('.hint').textContent = 'Carregando PEPs…';
+  charts.append(pepPlaceholder);
+  DASHBOARD_DIMENSIONS.forEach(({ field, title: chartTitle }) => {
+    charts.append(
+      createDashboardChart(chartTitle, aggregateBudgetBy(projects, field), {
+        field,
+        color: field === 'status' ? statusColor : undefined
+      })
+    );
+  });
+
+  wrapper.append(header, highlights, charts);
+  projectDetails.replaceChildren(wrapper);
+
+  let pepRows = null;
+  try {
+    await loadDashboardPeps(projects);
+    pepRows = aggregatePepsByYear(projects);
+  } catch (error) {
+    console.warn('Erro ao carregar PEPs para o painel do portfólio', error);
   }
+  if (token !== dashboardState.renderToken || !dashboardState.open) return;
 
-  if (target.classList?.contains('pep-amount')) {
-    rememberFieldPreviousValue(target);
+  const pepValue = pepHighlight.querySelector('.project-highlight__value');
+  if (!pepRows) {
+    pepValue.textContent = '—';
+    pepPlaceholder.querySelector('.hint').textContent = 'Não foi possível carregar os PEPs.';
     return;
   }
+  pepValue.textContent = BRL.format(pepRows.reduce((sum, row) => sum + row.total, 0));
+  pepPlaceholder.replaceWith(
+    createDashboardChart('PEPs por ano de execução', pepRows, { countLabel: ['PEP', 'PEPs'] })
+  );
+}
 
-  if (
-    target.classList?.contains('activity-pep-amount') ||
-    target.classList?.contains('activity-start') ||
-    target.classList?.contains('activity-end')
-  ) {
-    rememberFieldPreviousValue(target);
+/**
+ * Abre o painel do portfólio no lugar dos detalhes do projeto selecionado.
+ */
+function openDashboard() {
+  if (projectDetailsController) {
+    projectDetailsController.abort();
+    projectDetailsController = null;
   }
+  projectPanelController?.abort();
+  projectPanelController = null;
+  dashboardState.open = true;
+  state.selectedProjectId = null;
+  state.currentDetails = null;
+  updateProjectListSelection();
+  renderDashboard();
 }
 
 /**
- * Ajusta ano do PEP de uma atividade considerando data de início ou ano de aprovação.
- * @param {HTMLElement|null} activityElement - Container da atividade.
- * @param {{fallbackYear?:number|null, force?:boolean}} [options={}] - Estratégia de atualização.
+ * Redesenha o painel, se aberto, após mudanças na lista ou nos filtros.
  */
-function updateActivityPepYear(activityElement, options = {}) {
-  if (!activityElement) return;
-  const pepYearInput = activityElement.querySelector('.activity-pep-year');
-  if (!pepYearInput) return;
+function refreshDashboard() {
+  if (dashboardState.open) {
+    renderDashboard();
+  }
+}
 
-  const startValue = activityElement.querySelector('.activity-start')?.value || '';
-  const startYear = startValue ? parseInt(startValue.substring(0, 4), 10) : NaN;
-  const fallbackYear = options.fallbackYear ?? parseNumber(approvalYearInput.value);
-  const resolvedYear = Number.isFinite(startYear) ? startYear : fallbackYear;
+/**
+ * Detalhamento: aplica o valor da barra clicada como filtro da lista de projetos.
+ * @param {MouseEvent} event - Clique dentro do painel central.
+ */
+function handleDashboardClick(event) {
+  const bar = event.target.closest('.dashboard-bar[data-field]');
+  if (!bar || !dashboardState.open) return;
+  state.listFilters[bar.dataset.field] = bar.dataset.value;
+  writeListFiltersToUrl();
+  refreshListFilterOptions();
+  if (state.sidebarMode !== 'projects') {
+    setSidebarMode('projects');
+  } else {
+    renderProjectList();
+  }
+  renderDashboard();
+}
 
-  if (options.force || !pepYearInput.value) {
-    pepYearInput.value = resolvedYear ?? '';
+// ============================================================================
+// Impressão do resumo (overlay de resumo e formSummaryView)
+// ============================================================================
+let printSession = null;
+
+/**
+ * Localiza o resumo visível no momento: o overlay de confirmação tem prioridade sobre o resumo somente leitura.
+ * @returns {{context:Object, root:HTMLElement}|null} Contexto do resumo e elemento impresso.
+ */
+function getVisibleSummaryTarget() {
+  if (summaryOverlay && !summaryOverlay.classList.contains('hidden')) {
+    return { context: defaultSummaryContext, root: summaryOverlay.querySelector('.summary-panel') || summaryOverlay };
   }
+  if (!overlay.classList.contains('hidden') && formSummaryView && !formSummaryView.classList.contains('hidden')) {
+    return { context: formSummaryContext, root: formSummaryView };
+  }
+  return null;
 }
 
 /**
- * Propaga ano padrão para PEPs simples e atividades quando o campo principal muda.
+ * Redesenha o Gantt do resumo com a largura atual do container (tela ou página impressa).
+ * @param {Object} context - Contexto do resumo.
  */
-function updateSimplePepYears() {
-  const year = parseInt(approvalYearInput.value, 10) || '';
-  simplePepList.querySelectorAll('.pep-year').forEach((input) => {
-    input.value = year;
+function redrawSummaryGantt(context) {
+  if (!ganttLoaded || !window.google?.visualization?.Gantt) return;
+  const section = context?.ganttSection;
+  const chartElement = context?.ganttChart;
+  if (!section || !chartElement || section.classList.contains('hidden')) return;
+  chartElement.innerHTML = '';
+  const { rows } = collectMilestonesForGantt();
+  drawGantt(rows, { container: section, chartElement, titleElement: section.querySelector('h3') });
+}
+
+/**
+ * Ativa o modo de impressão: marca o caminho até o resumo (o restante da página é ocultado pelo CSS
+ * de impressão), expande seções recolhidas e redesenha o Gantt na largura da página.
+ * @param {{context:Object, root:HTMLElement}|null} target - Resumo a imprimir.
+ */
+function enterPrintMode(target) {
+  if (printSession || !target?.root) return;
+  const { context, root } = target;
+  const path = [];
+  for (let node = root.parentElement; node && node !== document.body; node = node.parentElement) {
+    node.classList.add('print-path');
+    path.push(node);
+  }
+  root.classList.add('print-target');
+  const expanded = Array.from(root.querySelectorAll('details:not([open])'));
+  expanded.forEach((details) => {
+    details.open = true;
   });
-  if (milestoneList) {
-    milestoneList.querySelectorAll('.activity').forEach((activity) => {
-      const startValue = activity.querySelector('.activity-start')?.value;
-      const forceUpdate = !startValue;
-      updateActivityPepYear(activity, { fallbackYear: year || null, force: forceUpdate });
-    });
-  }
+  document.body.classList.add('print-summary');
+  printSession = { context, root, path, expanded };
+  redrawSummaryGantt(context);
 }
 
 /**
- * Garante ao menos uma linha de PEP simples pronta para preenchimento.
+ * Restaura a página após a impressão (ou cancelamento do diálogo).
  */
-function ensureSimplePepRow() {
-  const row = createSimplePepRow({ year: parseInt(approvalYearInput.value, 10) || '' });
-  simplePepList.append(row);
-  updatePepRemainingDisplays();
+function exitPrintMode() {
+  if (!printSession) return;
+  const { context, root, path, expanded } = printSession;
+  printSession = null;
+  document.body.classList.remove('print-summary');
+  root.classList.remove('print-target');
+  path.forEach((node) => node.classList.remove('print-path'));
+  expanded.forEach((details) => {
+    details.open = false;
+  });
+  redrawSummaryGantt(context);
 }
 
 /**
- * Adiciona bloco de marco padrão e agenda atualização do Gantt.
+ * Imprime o resumo indicado, se estiver visível.
+ * @param {Object} context - Contexto do resumo acionado.
  */
-function ensureMilestoneBlock() {
-  const block = createMilestoneBlock();
-  milestoneList.append(block);
-  addActivityBlock(block);
-  queueGanttRefresh();
+function printSummary(context) {
+  const target = getVisibleSummaryTarget();
+  if (!target || target.context !== context) return;
+  enterPrintMode(target);
+  // Aguarda o layout na largura de impressão antes de abrir o diálogo
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => window.print());
+  });
 }
 
+// ============================================================================
+// Documentos do projeto (anexos binários do item Projects)
+// ============================================================================
 /**
- * Normaliza valores de ID para uso consistente em data attributes.
- * @param {*} value - Valor original informado.
- * @returns {string} Representação textual segura ou string vazia.
+ * Extensões aceitas na seção de documentos e tamanho máximo de cada uma, em bytes.
+ */
+const DOCUMENT_TYPE_LIMITS = Object.freeze({
+  pdf: 20 * 1024 * 1024,
+  doc: 10 * 1024 * 1024,
+  docx: 10 * 1024 * 1024,
+  xls: 10 * 1024 * 1024,
+  xlsx: 10 * 1024 * 1024,
+  csv: 5 * 1024 * 1024,
+  ppt: 20 * 1024 * 1024,
+  pptx: 20 * 1024 * 1024,
+  png: 5 * 1024 * 1024,
+  jpg: 5 * 1024 * 1024,
+  jpeg: 5 * 1024 * 1024,
+  dwg: 25 * 1024 * 1024,
+  dxf: 25 * 1024 * 1024,
+  zip: 25 * 1024 * 1024,
+  txt: 2 * 1024 * 1024
+});
+
+/**
+ * Anexos gerenciados pelo fluxo de aprovação (resumo JSON): ocultos da lista e protegidos contra upload e exclusão.
+ */
+const RESERVED_ATTACHMENT_PATTERN = /^resumo_.*\.json$/i;
+
+let projectDocuments = [];
+let documentUploadController = null;
+
+/**
+ * @param {string} fileName - Nome do anexo.
+ * @returns {boolean} True para nomes reservados ao resumo de aprovação.
  */
-function resolveDatasetId(value) {
-  if (value === null || value === undefined) {
-    return '';
-  }
-  const stringValue = String(value);
-  return stringValue ? stringValue : '';
+function isReservedAttachment(fileName) {
+  return RESERVED_ATTACHMENT_PATTERN.test(String(fileName || '').trim());
 }
 
 /**
- * Cria linha PEP a partir do template aplicando dados já salvos, quando houver.
- * @param {{id?:string|number,title?:string,amount?:number|string,year?:number|string}} [param0={}] - Dados iniciais.
- * @returns {HTMLElement} Linha gerada.
+ * @param {string} fileName - Nome do arquivo.
+ * @returns {string} Extensão em minúsculas, sem ponto (vazia quando ausente).
  */
-function createSimplePepRow({ id = '', pepTitle = '', title = '', amount = '', year = '' } = {}) {
-  const fragment = simplePepTemplate.content.cloneNode(true);
-  const row = fragment.querySelector('.pep-row');
-  row.dataset.pepId = resolveDatasetId(id);
-  const select = row.querySelector('.pep-title');
-  // Ajuste CAPEX: garante opções corretas de PEP ao criar linhas simples.
-  populatePepTitleSelect(select, companySelect?.value || '', pepTitle || title || '');
-  row.querySelector('.pep-amount').value = sanitizeNumericInputValue(amount);
-  row.querySelector('.pep-year').value = year ?? '';
-  return row;
+function getDocumentExtension(fileName) {
+  const match = /\.([^.]+)$/.exec(String(fileName || ''));
+  return match ? match[1].toLowerCase() : '';
 }
 
 /**
- * Cria bloco de marco a partir do template e aplica identificadores existentes.
- * @param {{id?:string|number,title?:string}} [param0={}] - Dados iniciais.
- * @returns {HTMLElement} Bloco de marco.
+ * Converte bytes em texto legível (B, KB ou MB) no formato pt-BR.
+ * @param {number|null} bytes - Tamanho do arquivo.
+ * @returns {string} Tamanho formatado ou vazio quando desconhecido.
  */
-function createMilestoneBlock({ id = '', title = '' } = {}) {
-  const fragment = milestoneTemplate.content.cloneNode(true);
-  const block = fragment.querySelector('.milestone');
-  block.dataset.milestoneId = resolveDatasetId(id);
-  block.querySelector('.milestone-title').value = title || '';
-  return block;
+function formatFileSize(bytes) {
+  if (!Number.isFinite(bytes)) return '';
+  const format = (value) => value.toLocaleString('pt-BR', { maximumFractionDigits: 1 });
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${format(bytes / 1024)} KB`;
+  return `${format(bytes / (1024 * 1024))} MB`;
 }
 
 /**
- * Cria atividade dentro de um marco, preenchendo campos quando dados são fornecidos.
- * @param {HTMLElement|null} milestoneElement - Container do marco.
- * @param {Object} [data={}] - Valores opcionais (id, datas, PEP etc.).
- * @returns {HTMLElement|null} Atividade recém criada.
+ * Resume os limites por tipo para a dica da seção (ex.: "PDF, PPT, PPTX até 20 MB").
+ * @returns {string} Texto agrupado por limite, do maior para o menor.
  */
-function addActivityBlock(milestoneElement, data = {}) {
-  if (!milestoneElement) return null;
-  const fragment = activityTemplate.content.cloneNode(true);
-  const activity = fragment.querySelector('.activity');
-  ensureActivityRowClasses(activity);
-  const startInput = activity.querySelector('.activity-start');
-  const endInput = activity.querySelector('.activity-end');
-  const amountInput = activity.querySelector('.activity-pep-amount');
-  const amountPreview = activity.querySelector('[data-currency-preview]');
-  const pepTitleInput = activity.querySelector('.activity-pep-title');
-  const pepYearInput = activity.querySelector('.activity-pep-year');
-
-  const resolvedMilestoneId = resolveDatasetId(
-    data.milestoneId ?? milestoneElement.dataset?.milestoneId ?? ''
-  );
-  activity.dataset.activityId = resolveDatasetId(data.id);
-  activity.dataset.pepId = resolveDatasetId(data.pepId);
-  activity.dataset.milestoneId = resolvedMilestoneId;
+function describeDocumentLimits() {
+  const groups = new Map();
+  Object.entries(DOCUMENT_TYPE_LIMITS).forEach(([extension, limit]) => {
+    groups.set(limit, [...(groups.get(limit) || []), extension.toUpperCase()]);
+  });
+  return [...groups.entries()]
+    .sort(([limitA], [limitB]) => limitB - limitA)
+    .map(([limit, extensions]) => `${extensions.join(', ')} até ${formatFileSize(limit)}`)
+    .join('; ');
+}
 
-  activity.querySelector('.activity-title').value = data.title || '';
-  if (amountInput) {
-    amountInput.type = 'text';
-    amountInput.setAttribute('inputmode', 'decimal');
-    amountInput.value = sanitizeNumericInputValue(data.pepAmount);
-    if (amountPreview) {
-      attachCurrencyPreview(amountInput, amountPreview);
-    }
-  }
-  if (startInput) {
-    startInput.value = data.start ? data.start.substring(0, 10) : '';
+/**
+ * Valida um arquivo antes do upload: nome reservado, tipo aceito, tamanho e duplicidade.
+ * @param {File} file - Arquivo selecionado.
+ * @returns {string|null} Mensagem de erro ou null quando o arquivo pode ser enviado.
+ */
+function validateDocumentFile(file) {
+  const fileName = file?.name || '';
+  if (isReservedAttachment(fileName)) {
+    return `"${fileName}" usa um nome reservado ao resumo de aprovação; renomeie o arquivo antes de anexar.`;
   }
-  if (endInput) {
-    endInput.value = data.end ? data.end.substring(0, 10) : '';
+  const extension = getDocumentExtension(fileName);
+  const limit = DOCUMENT_TYPE_LIMITS[extension];
+  if (!limit) {
+    return `"${fileName}": tipo de arquivo não permitido.`;
   }
-  activity.querySelector('.activity-supplier').value = data.supplier || '';
-  activity.querySelector('.activity-description').value = data.description || '';
-  if (pepTitleInput) {
-    // Ajuste CAPEX: repopula select de PEP conforme empresa ao montar atividade.
-    populatePepTitleSelect(pepTitleInput, companySelect?.value || '', data?.pepTitle || '');
+  if (!file.size) {
+    return `"${fileName}" está vazio.`;
   }
-  if (pepYearInput) {
-    const startYear = startInput?.value ? parseInt(startInput.value.substring(0, 4), 10) : null;
-    const fallbackYear = parseNumber(approvalYearInput.value) || null;
-    const resolvedYear = data.pepYear ?? (Number.isFinite(startYear) ? startYear : null) ?? fallbackYear;
-    pepYearInput.value = resolvedYear ?? '';
+  if (file.size > limit) {
+    return `"${fileName}" excede o limite de ${formatFileSize(limit)} para arquivos ${extension.toUpperCase()}.`;
   }
-
-  milestoneElement.querySelector('.activity-list').append(activity);
-  if (!data.pepYear) {
-    updateActivityPepYear(activity);
+  const normalizedName = fileName.trim().toLowerCase();
+  if (projectDocuments.some((documentEntry) => documentEntry.fileName.toLowerCase() === normalizedName)) {
+    return `Já existe um documento chamado "${fileName}"; exclua-o antes de enviar uma nova versão.`;
   }
-  validateDateRange(startInput, endInput);
-  queueGanttRefresh();
-  updatePepRemainingDisplays();
-  return activity;
+  return null;
 }
 
-// ============================================================================
-// Envio do formulário e persistência (CRUD)
-// ============================================================================
 /**
- * Trata submissão do formulário executando persistência no SharePoint e anexos JSON.
- * @param {Event} event - Evento submit interceptado.
+ * Atualiza (ou oculta, com null) a barra de progresso do upload em andamento.
+ * @param {{label:string, percent:number}|null} progress - Arquivo em envio e percentual concluído.
  */
-async function handleFormSubmit(event) {
-  event.preventDefault();
-  const mode = projectForm.dataset.mode;
-  const projectId = projectForm.dataset.projectId;
-  const submitIntent = projectForm.dataset.submitIntent || 'save';
-  const isApproval = submitIntent === 'approval';
-
-  document.querySelectorAll('.activity-pep-amount').forEach((inp) => {
-    inp.value = sanitizeNumericInputValue(inp.value);
-    refreshCurrencyPreview(inp);
-  });
-
-  const validation = runFormValidations({ scrollOnError: true, focusFirstError: true });
-  if (!validation.valid) {
-    return;
+function setDocumentProgress(progress) {
+  if (!documentProgress) return;
+  documentProgress.classList.toggle('hidden', !progress);
+  if (documentProgressLabel) {
+    documentProgressLabel.textContent = progress?.label || '';
   }
+  if (documentProgressBar) {
+    documentProgressBar.value = progress?.percent || 0;
+  }
+}
 
-  const normalizedStatus = isApproval
-    ? PROJECT_STATUSES.IN_APPROVAL
-    : PROJECT_STATUSES.DRAFT;
-
-  const payload = collectProjectData();
-  payload.status = normalizedStatus;
-  const sharePointProjectPayload = buildProjectSharePointPayload(payload);
-
-  const simplePeps = collectSimplePepDataForSummary();
-  const milestones = collectMilestonesForSummary();
-  const activities = collectActivitiesForSummary(milestones);
-  const pepList = collectPepEntriesForSummary(simplePeps, activities);
-
-  scrollFormToTop();
-
-  try {
-    validateBudgetDistribution(payload, pepList);
-  } catch (validationError) {
-    console.error('Erro na distribuição do orçamento do projeto', validationError);
-    showStatus(validationError.message, { type: 'error' });
-    projectForm.dataset.submitIntent = 'save';
+/**
+ * Renderiza a lista de documentos com ações de download e exclusão.
+ * @param {{loading?:boolean}} [options={}] - Exibe aviso de carregamento no lugar da lista.
+ */
+function renderProjectDocuments(options = {}) {
+  if (!documentList) return;
+  const { loading = false } = options;
+  documentList.innerHTML = '';
+
+  if (loading || !projectDocuments.length) {
+    const empty = document.createElement('li');
+    empty.className = 'document-empty';
+    empty.textContent = loading ? 'Carregando documentos…' : 'Nenhum documento anexado.';
+    documentList.append(empty);
     return;
   }
 
-  statusField.value = normalizedStatus;
-  showStatus(isApproval ? 'Enviando para aprovação…' : 'Salvando…', { type: 'info' });
-
-  let resolvedId = Number(projectId) || null;
-
-  try {
-    let savedProjectId = projectId;
-    if (mode === 'create') {
-      const result = await sp.createItem('Projects', sharePointProjectPayload);
-      savedProjectId = result?.Id;
-    } else {
-      await sp.updateItem('Projects', Number(projectId), sharePointProjectPayload);
-    }
-
-    resolvedId = Number(savedProjectId || projectId);
-    if (!Number.isFinite(resolvedId)) {
-      throw new Error('ID do projeto inválido após salvar.');
-    }
-
-    await persistRelatedRecords(resolvedId, payload);
-
-    if (isApproval) {
-      const approvalSummary = buildApprovalSummary(resolvedId, payload);
-      const jsonContent = JSON.stringify(approvalSummary, null, 2);
-      const jsonBlob = new Blob([jsonContent], { type: 'application/json' });
+  projectDocuments.forEach(({ fileName, size }) => {
+    const item = document.createElement('li');
+    item.className = 'document-item';
+    item.dataset.fileName = fileName;
 
-      const attachmentOptions = {
-        contentType: 'application/json',
-        ...(mode !== 'create' ? { overwrite: true } : {})
-      };
+    const name = document.createElement('span');
+    name.className = 'document-name';
+    name.textContent = fileName;
 
-      await sp.addAttachment('Projects', resolvedId, 'resumo.txt', jsonBlob, attachmentOptions);
+    const meta = document.createElement('span');
+    meta.className = 'document-meta';
+    meta.textContent = [getDocumentExtension(fileName).toUpperCase(), formatFileSize(size)].filter(Boolean).join(' · ');
 
-      await sp.updateItem('Projects', resolvedId, { status: PROJECT_STATUSES.IN_APPROVAL });
-    }
+    const actions = document.createElement('div');
+    actions.className = 'document-actions';
 
-    if (resolvedId) {
-      updateProjectState(resolvedId, {
-        Title: payload.Title,
-        status: payload.status,
-        budgetBrl: payload.budgetBrl,
-        investmentLevel: payload.investmentLevel,
-        roceGain: payload.roceGain,
-        roceLoss: payload.roceLoss,
-        roceGainDescription: payload.roceGainDescription,
-        roceLossDescription: payload.roceLossDescription,
-        roceClassification: payload.roceClassification
-      });
-      renderProjectList();
-      if (state.currentDetails?.project?.Id === resolvedId) {
-        state.currentDetails = {
-          ...state.currentDetails,
-          project: {
-            ...state.currentDetails.project,
-            Title: payload.Title,
-            status: payload.status,
-            budgetBrl: payload.budgetBrl,
-            investmentLevel: payload.investmentLevel,
-            roceGain: payload.roceGain,
-            roceLoss: payload.roceLoss,
-            roceGainDescription: payload.roceGainDescription,
-            roceLossDescription: payload.roceLossDescription,
-            roceClassification: payload.roceClassification
-          }
-        };
-        renderProjectDetails(state.currentDetails);
-      }
-    }
+    const downloadBtn = document.createElement('button');
+    downloadBtn.type = 'button';
+    downloadBtn.className = 'btn ghost';
+    downloadBtn.dataset.documentAction = 'download';
+    downloadBtn.textContent = 'Baixar';
 
-    const successMessage = isApproval
-      ? 'Projeto enviado para aprovação!'
-      : 'Projeto salvo com sucesso!';
-    showStatus(successMessage, { type: 'success' });
-    await loadProjects();
-    if (resolvedId) {
-      await selectProject(resolvedId);
-    }
-    closeForm();
-  } catch (error) {
-    console.error('Erro ao salvar projeto', error);
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn danger document-delete';
+    deleteBtn.dataset.documentAction = 'delete';
+    deleteBtn.textContent = 'Excluir';
 
-    if (isApproval && Number.isFinite(resolvedId)) {
-      try {
-        await sp.updateItem('Projects', resolvedId, { status: PROJECT_STATUSES.DRAFT });
-        updateProjectState(resolvedId, { status: PROJECT_STATUSES.DRAFT });
-        renderProjectList();
-        if (state.currentDetails?.project?.Id === resolvedId) {
-          state.currentDetails = {
-            ...state.currentDetails,
-            project: {
-              ...state.currentDetails.project,
-              status: PROJECT_STATUSES.DRAFT
-            }
-          };
-          renderProjectDetails(state.currentDetails);
-        }
-      } catch (rollbackError) {
-        console.error('Erro ao reverter status após falha no envio', rollbackError);
-      }
-      statusField.value = PROJECT_STATUSES.DRAFT;
-    }
+    actions.append(downloadBtn, deleteBtn);
+    item.append(name, meta, actions);
+    documentList.append(item);
+  });
+}
 
-    scrollFormToTop();
-    const statusMessage = isApproval
-      ? 'Não foi possível enviar para aprovação. Verifique os erros abaixo.'
-      : 'Não foi possível salvar. Verifique os erros abaixo.';
-    showStatus(statusMessage, { type: 'error' });
-    renderErrorSummary(
-      [
-        {
-          title: isApproval ? 'Erro ao enviar para aprovação' : 'Erro ao salvar',
-          items: [
-            isApproval
-              ? 'Não foi possível concluir o envio para aprovação. Verifique os dados, tente novamente ou contate o suporte.'
-              : 'Não foi possível salvar o projeto. Verifique os dados e tente novamente.'
-          ],
-          type: 'general'
-        }
-      ],
-      { tone: 'error', title: statusMessage }
-    );
-  } finally {
-    projectForm.dataset.submitIntent = 'save';
+/**
+ * Cancela o upload em andamento (ao fechar ou reabrir o formulário).
+ */
+function cancelDocumentUpload() {
+  if (documentUploadController) {
+    documentUploadController.abort();
+    documentUploadController = null;
   }
 }
 
 /**
- * Extrai dados do formulário para montar payload a ser enviado à lista Projects.
- * @returns {Project} Objeto com campos normalizados.
+ * Prepara a seção ao abrir o formulário: no modo criação o item ainda não existe e o upload fica bloqueado.
+ * @param {number|string|null} projectId - Projeto aberto no formulário.
  */
-function collectProjectData() {
-  const budgetValue = getProjectBudgetValue();
-  const budgetBrl = Number.isFinite(budgetValue) ? budgetValue : 0;
-  const investmentLevelValue = determineInvestmentLevel(budgetValue);
+function resetDocumentSection(projectId) {
+  cancelDocumentUpload();
+  projectDocuments = [];
+  setFeedback(documentStatus, '');
+  setDocumentProgress(null);
 
-  const depField = document.getElementById('depreciationCostCenter');
-  const depreciationValue = depField?.value || '';
+  if (documentInput) {
+    documentInput.value = '';
+    documentInput.disabled = !projectId;
+  }
+  if (documentHint) {
+    documentHint.textContent = projectId
+      ? `Os documentos são gravados no projeto imediatamente, sem depender do botão Salvar. Tipos aceitos: ${describeDocumentLimits()}.`
+      : 'Salve o projeto para anexar documentos.';
+  }
 
-  const roceGainValue = readNumericValue(roceGainInput);
-  const roceLossValue = readNumericValue(roceLossInput);
-  const roceGainDescription = (roceGainDescriptionField?.value || '').trim();
-  const roceLossDescription = (roceLossDescriptionField?.value || '').trim();
+  if (!projectId) {
+    renderProjectDocuments();
+    return;
+  }
+  loadProjectDocuments(projectId);
+}
 
-  const normalizedRoceGain = Number.isFinite(roceGainValue) ? roceGainValue : 0;
-  const normalizedRoceLoss = Number.isFinite(roceLossValue) ? roceLossValue : 0;
+/**
+ * Lista os anexos do projeto ocultando os reservados; ignora a resposta se outro projeto foi aberto no meio tempo.
+ * @param {number|string} projectId - Projeto aberto no formulário.
+ * @returns {Promise<void>}
+ */
+async function loadProjectDocuments(projectId) {
+  const isCurrentProject = () => String(projectForm.dataset.projectId) === String(projectId);
+  renderProjectDocuments({ loading: true });
+  try {
+    const attachments = await sp.getAttachments('Projects', projectId);
+    if (!isCurrentProject()) return;
+    projectDocuments = attachments.filter((attachment) => !isReservedAttachment(attachment.fileName));
+    renderProjectDocuments();
+  } catch (error) {
+    if (!isCurrentProject()) return;
+    console.error('Erro ao carregar documentos do projeto', error);
+    projectDocuments = [];
+    renderProjectDocuments();
+    setFeedback(documentStatus, 'Não foi possível carregar os documentos do projeto.', 'error');
+  }
+}
 
-  const roceMetrics = computeRoceMetrics({
-    gain: normalizedRoceGain,
-    loss: normalizedRoceLoss,
-    budget: budgetBrl
+/**
+ * Valida e envia, em sequência, os arquivos selecionados no input de documentos.
+ * @returns {Promise<void>}
+ */
+async function handleDocumentInputChange() {
+  const projectId = Number(projectForm.dataset.projectId);
+  const files = Array.from(documentInput?.files || []);
+  if (documentInput) {
+    documentInput.value = '';
+  }
+  if (!projectId || !files.length || currentFormMode === 'readonly') return;
+
+  const problems = [];
+  const accepted = files.filter((file) => {
+    const problem = validateDocumentFile(file);
+    if (problem) problems.push(problem);
+    return !problem;
   });
 
-  const roceClassification = resolveRoceClassificationLabel(roceMetrics);
-  if (roceClassificationField) {
-    roceClassificationField.value = roceClassification;
+  if (!accepted.length) {
+    setFeedback(documentStatus, problems.join(' '), 'error');
+    return;
   }
 
-  const data = {
-    Title: document.getElementById('projectName').value.trim(),
-    category: document.getElementById('category').value.trim(),
-    investmentType: document.getElementById('investmentType').value.trim(),
-    assetType: document.getElementById('assetType').value.trim(),
-    projectFunction: document.getElementById('projectFunction').value.trim(),
-    approvalYear: String(document.getElementById('approvalYear').value), // ← muda para string
-    startDate: document.getElementById('startDate').value || null,
-    endDate: document.getElementById('endDate').value || null,
-    budgetBrl,
-    investmentLevel: investmentLevelValue,
-    fundingSource: document.getElementById('fundingSource').value.trim(),
-    depreciationCostCenter: depreciationValue,
-    company: document.getElementById('company').value.trim(),
-    center: document.getElementById('center').value.trim(),
-    unit: document.getElementById('unit').value.trim(),
-    location: document.getElementById('location').value.trim(),
-    projectUser: document.getElementById('projectUser').value.trim(),
-    projectLeader: document.getElementById('projectLeader').value.trim(),
-    businessNeed: document.getElementById('businessNeed').value.trim(),
-    proposedSolution: document.getElementById('proposedSolution').value.trim(),
-    kpiType: document.getElementById('kpiType').value.trim(),
-    kpiName: document.getElementById('kpiName').value.trim(),
-    kpiDescription: document.getElementById('kpiDescription').value.trim(),
-    kpiCurrent: document.getElementById('kpiCurrent').value.trim(),
-    kpiExpected: document.getElementById('kpiExpected').value.trim(),
+  cancelDocumentUpload();
+  const controller = new AbortController();
+  documentUploadController = controller;
+  documentInput.disabled = true;
+  setFeedback(documentStatus, '');
 
-    // 🆕 Correções ROCE
-    roceGain: String(normalizedRoceGain ?? ''),
-    roceGainDescription,
-    roceLoss: String(normalizedRoceLoss ?? ''),
-    roceLossDescription,
-    roceClassification: String(roceClassification ?? '')
-  };
+  let uploaded = 0;
+  try {
+    await runAttachmentChange('Projects', projectId, async () => {
+      for (const [index, file] of accepted.entries()) {
+        const label = `Enviando "${file.name}" (${index + 1} de ${accepted.length})…`;
+        setDocumentProgress({ label, percent: 0 });
+        try {
+          await sp.uploadAttachmentFile('Projects', projectId, file, {
+            signal: controller.signal,
+            onProgress: ({ loaded, total }) => {
+              setDocumentProgress({ label, percent: total ? Math.round((loaded / total) * 100) : 0 });
+            }
+          });
+          uploaded += 1;
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          console.error('Erro ao enviar documento', error);
+          problems.push(`Falha ao enviar "${file.name}".`);
+        }
+      }
+    });
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error('Erro ao enviar documentos', error);
+    problems.push('Não foi possível concluir o envio dos documentos.');
+  } finally {
+    // Upload cancelado: resetDocumentSection já restaurou a seção para o novo contexto
+    if (documentUploadController === controller) {
+      documentUploadController = null;
+      documentInput.disabled = false;
+      setDocumentProgress(null);
+    }
+  }
 
-  return data;
+  if (controller.signal.aborted) return;
+  await loadProjectDocuments(projectId);
+  if (problems.length) {
+    const prefix = uploaded ? `${uploaded} documento(s) anexado(s). ` : '';
+    setFeedback(documentStatus, `${prefix}${problems.join(' ')}`, uploaded ? 'warning' : 'error');
+  } else {
+    setFeedback(documentStatus, `${uploaded} documento(s) anexado(s) com sucesso.`, 'success');
+  }
 }
 
 /**
- * Ajusta campos do payload do projeto para respeitar tipos esperados pelo SharePoint.
- * @param {Project} projectData - Dados coletados do formulário.
- * @returns {Object} Payload pronto para envio à lista Projects.
+ * Baixa um documento salvando-o com o nome original.
+ * @param {string} fileName - Nome do anexo.
+ * @param {HTMLButtonElement} [button] - Botão bloqueado durante o download.
+ * @returns {Promise<void>}
  */
-function buildProjectSharePointPayload(projectData) {
-  if (!projectData || typeof projectData !== 'object') {
-    return {};
+async function downloadProjectDocument(fileName, button) {
+  const projectId = Number(projectForm.dataset.projectId);
+  if (!projectId || !fileName) return;
+  if (button) button.disabled = true;
+  try {
+    const blob = await sp.downloadAttachment('Projects', projectId, fileName);
+    saveBlobAs(blob, fileName);
+  } catch (error) {
+    console.error('Erro ao baixar documento', error);
+    setFeedback(documentStatus, `Não foi possível baixar "${fileName}".`, 'error');
+  } finally {
+    if (button) button.disabled = false;
   }
+}
 
-  const payload = { ...projectData };
+/**
+ * Exclui um documento após confirmação; anexos reservados nunca são removidos por aqui.
+ * @param {string} fileName - Nome do anexo.
+ * @param {HTMLButtonElement} [button] - Botão bloqueado durante a exclusão.
+ * @returns {Promise<void>}
+ */
+async function deleteProjectDocument(fileName, button) {
+  const projectId = Number(projectForm.dataset.projectId);
+  if (!projectId || !fileName || currentFormMode === 'readonly') return;
+  if (isReservedAttachment(fileName)) {
+    setFeedback(documentStatus, 'O resumo de aprovação é gerenciado pelo sistema e não pode ser excluído.', 'warning');
+    return;
+  }
+  if (!window.confirm(`Excluir o documento "${fileName}"? Esta ação não pode ser desfeita.`)) {
+    return;
+  }
 
-  if ('approvalYear' in payload) {
-    const yearValue = payload.approvalYear;
-    if (Number.isFinite(yearValue)) {
-      payload.approvalYear = yearValue.toString();
-    } else if (typeof yearValue === 'string') {
-      const trimmed = yearValue.trim();
-      payload.approvalYear = trimmed || null;
-    } else {
-      payload.approvalYear = null;
-    }
+  if (button) button.disabled = true;
+  try {
+    await runAttachmentChange('Projects', projectId, () => sp.deleteAttachment('Projects', projectId, fileName));
+    projectDocuments = projectDocuments.filter((documentEntry) => documentEntry.fileName !== fileName);
+    renderProjectDocuments();
+    setFeedback(documentStatus, `"${fileName}" excluído.`, 'success');
+  } catch (error) {
+    console.error('Erro ao excluir documento', error);
+    setFeedback(documentStatus, `Não foi possível excluir "${fileName}".`, 'error');
+    if (button) button.disabled = false;
   }
+}
 
-  return payload;
+/**
+ * Delegação de cliques nos botões Baixar/Excluir da lista de documentos.
+ * @param {MouseEvent} event - Clique na lista.
+ */
+function handleDocumentListClick(event) {
+  const button = event.target.closest('button[data-document-action]');
+  if (!button) return;
+  const fileName = button.closest('.document-item')?.dataset.fileName;
+  if (button.dataset.documentAction === 'download') {
+    downloadProjectDocument(fileName, button);
+  } else if (button.dataset.documentAction === 'delete') {
+    deleteProjectDocument(fileName, button);
+  }
 }
 
+// ============================================================================
+// Versões do resumo de aprovação
+// ============================================================================
 /**
- * Decide entre persistir PEPs simples ou estrutura Key Projects de acordo com o orçamento.
- * @param {number} projectId - ID do projeto salvo.
- * @param {Project} projectData - Dados coletados do formulário.
+ * Resumo enviado a cada submissão: resumo_<id>_v<NNN>_<aaaammddThhmmssZ>[_<autor>].json, com o nome
+ * de quem submeteu em base64url (opcional nos arquivos anteriores), para listar o autor sem ler o conteúdo.
+ * O arquivo legado resumo_<id>.json (anterior ao versionamento) é tratado como versão 0.
  */
-async function persistRelatedRecords(projectId, projectData) {
-  if (!projectId) return;
-  const approvalYear = projectData.approvalYear;
-  const budget = projectData.budgetBrl;
+const SUMMARY_VERSION_PATTERN = /^resumo_(\d+)_v(\d+)_(\d{8}T\d{6}Z)(?:_([A-Za-z0-9_-]+))?\.json$/i;
+const LEGACY_SUMMARY_PATTERN = /^resumo_(\d+)\.json$/i;
+// Limite do nome do autor codificado, em bytes UTF-8, para manter o nome do anexo curto
+const SUMMARY_SUBMITTER_MAX_BYTES = 48;
 
-  if (budget >= BUDGET_THRESHOLD) {
-    await persistKeyProjects(projectId);
-    await cleanupSimplePeps();
-  } else {
-    await persistSimplePeps(projectId, approvalYear);
-    await cleanupKeyProjects();
+/**
+ * Codifica o nome do autor em base64url (só caracteres aceitos em nomes de anexo), truncado por caractere.
+ * @param {string} name - Nome de exibição ou e-mail.
+ * @returns {string} Nome codificado ou vazio.
+ */
+function encodeSummarySubmitter(name) {
+  const encoder = new TextEncoder();
+  let chars = Array.from(String(name || '').trim());
+  let bytes = encoder.encode(chars.join(''));
+  while (bytes.length > SUMMARY_SUBMITTER_MAX_BYTES) {
+    chars = chars.slice(0, -1);
+    bytes = encoder.encode(chars.join(''));
   }
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
 /**
- * Extrai PEPs simples do formulário para uso em resumos e persistência.
- * @returns {Pep[]} Lista de PEPs simples.
+ * @param {string} encoded - Nome codificado por encodeSummarySubmitter.
+ * @returns {string} Nome do autor ou vazio quando inválido.
  */
-function collectSimplePepDataForSummary() {
-  if (!simplePepList) return [];
+function decodeSummarySubmitter(encoded) {
+  try {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+  } catch (error) {
+    return '';
+  }
+}
 
-  const peps = [];
-  simplePepList.querySelectorAll('.pep-row').forEach((row) => {
-    const idValue = parseNumber(row.dataset.pepId);
-    const titleSelect = row.querySelector('.pep-title');
-    const titleValue = titleSelect?.value?.trim() || '';
-    const titleDisplay = getSelectOptionText(titleSelect);
-    const amountInput = row.querySelector('.pep-amount');
-    const amountText = amountInput?.value ?? '';
-    const yearInput = row.querySelector('.pep-year');
-    const yearText = yearInput?.value ?? '';
+/**
+ * @param {number} projectId - ID do projeto.
+ * @param {number} version - Número sequencial da submissão.
+ * @param {Date} [date=new Date()] - Momento da submissão (UTC no nome do arquivo).
+ * @param {string} [submitter=''] - Nome de quem submeteu.
+ * @returns {string} Nome do anexo da versão.
+ */
+function buildSummaryVersionFileName(projectId, version, date = new Date(), submitter = '') {
+  const timestamp = date.toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/[-:]/g, '');
+  const author = encodeSummarySubmitter(submitter);
+  return `resumo_${projectId}_v${String(version).padStart(3, '0')}_${timestamp}${author ? `_${author}` : ''}.json`;
+}
 
-    const hasData = Boolean(titleValue) || amountText.trim() !== '' || yearText.trim() !== '';
-    if (!hasData) {
-      return;
-    }
+/**
+ * Interpreta o nome de um anexo de resumo do projeto.
+ * @param {string} fileName - Nome do anexo.
+ * @param {number} projectId - Projeto dono do anexo.
+ * @returns {{fileName:string, version:number, submittedAt:string|null, submittedBy:string, legacy:boolean}|null}
+ *   Versão identificada ou null para anexos que não são resumos deste projeto.
+ */
+function parseSummaryVersionFileName(fileName, projectId) {
+  const versioned = SUMMARY_VERSION_PATTERN.exec(fileName || '');
+  if (versioned && Number(versioned[1]) === Number(projectId)) {
+    const [, , version, stamp, author] = versioned;
+    const submittedAt = stamp.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z');
+    return { fileName, version: Number(version), submittedAt, submittedBy: author ? decodeSummarySubmitter(author) : '', legacy: false };
+  }
+  const legacy = LEGACY_SUMMARY_PATTERN.exec(fileName || '');
+  if (legacy && Number(legacy[1]) === Number(projectId)) {
+    return { fileName, version: 0, submittedAt: null, submittedBy: '', legacy: true };
+  }
+  return null;
+}
 
-    const parsedId = Number.isFinite(idValue) ? idValue : null;
-    const parsedAmount = parseNumericInputValue(amountInput);
-    const parsedYear = parseNumber(yearText);
+/**
+ * Lista as versões de resumo anexadas ao projeto, da mais recente para a mais antiga.
+ * @param {number} projectId - ID do projeto.
+ * @param {{signal?:AbortSignal}} [options={}] - Sinal de cancelamento.
+ * @returns {Promise<Array<{fileName:string, version:number, submittedAt:string|null, submittedBy:string, legacy:boolean}>>}
+ */
+async function listSummaryVersions(projectId, options = {}) {
+  const attachments = await sp.getAttachments('Projects', projectId, options);
+  return attachments
+    .map((attachment) => parseSummaryVersionFileName(attachment.fileName, projectId))
+    .filter(Boolean)
+    .sort((a, b) => b.version - a.version);
+}
 
-    peps.push({
-      id: parsedId,
-      title: titleValue,
-      titleDisplay,
-      amountBrl: Number.isFinite(parsedAmount) ? parsedAmount : 0,
-      amountText,
-      year: Number.isFinite(parsedYear) ? parsedYear : null,
-      yearText,
-      type: 'simple'
-    });
-  });
+/**
+ * Próximo número de versão do resumo (1 quando ainda não há versões numeradas).
+ * @param {number} projectId - ID do projeto.
+ * @returns {Promise<number>} Versão a gravar.
+ */
+async function getNextSummaryVersion(projectId) {
+  const versions = await listSummaryVersions(projectId);
+  return (versions[0]?.version || 0) + 1;
+}
 
-  return peps;
+/**
+ * Dados de quem submeteu, gravados no próprio resumo.
+ * @returns {{id:number|null, displayName:string, email:string}} Usuário atual.
+ */
+function describeSubmitter() {
+  const user = sp.getCurrentUser();
+  return {
+    id: user?.id ?? null,
+    displayName: user?.displayName || '',
+    email: user?.email || ''
+  };
 }
 
 /**
- * Consolida dados de marcos e atividades presentes no formulário para resumos e anexos.
- * @returns {Milestone[]} Estrutura normalizada.
+ * Lê data e autor gravados no conteúdo de uma versão sem autor no nome; chamado só quando o usuário expande a versão.
+ * @param {number} projectId - ID do projeto.
+ * @param {{fileName:string, submittedAt:string|null}} entry - Versão listada.
+ * @param {{signal?:AbortSignal}} [options={}] - Sinal da seleção atual do painel de detalhes.
+ * @returns {Promise<{submittedAt:string|null, submittedBy:string}>} Dados da submissão.
  */
-function collectMilestonesForSummary() {
-  if (!milestoneList) return [];
+async function loadSummaryVersionSubmission(projectId, entry, options = {}) {
+  const content = await sp.getAttachmentContent('Projects', projectId, entry.fileName, { signal: options.signal });
+  const submission = content ? JSON.parse(content)?.submission || null : null;
+  return {
+    submittedAt: submission?.submittedAt || entry.submittedAt,
+    submittedBy: submission?.submittedBy?.displayName || submission?.submittedBy?.email || ''
+  };
+}
 
-  const milestones = [];
-  milestoneList.querySelectorAll('.milestone').forEach((milestoneEl) => {
-    const milestoneIdValue = parseNumber(milestoneEl.dataset.milestoneId);
-    const resolvedMilestoneId = Number.isFinite(milestoneIdValue) ? milestoneIdValue : null;
-    const titleValue = milestoneEl.querySelector('.milestone-title')?.value.trim() || '';
-    const activities = [];
+/**
+ * Cria a seção de versões do painel de detalhes; a lista é preenchida de forma assíncrona.
+ * @param {number} projectId - Projeto exibido.
+ * @param {{signal?:AbortSignal}} [options={}] - Sinal cancelado ao selecionar outro projeto.
+ * @returns {HTMLElement} Seção pronta para inserir no painel.
+ */
+function createSummaryVersionsSection(projectId, options = {}) {
+  const section = document.createElement('section');
+  section.className = 'project-versions';
+  const title = document.createElement('h3');
+  title.textContent = 'Versões enviadas para aprovação';
+  const list = document.createElement('ol');
+  list.className = 'project-versions__list';
+  const loading = document.createElement('li');
+  loading.className = 'project-versions__empty';
+  loading.textContent = 'Carregando versões…';
+  list.append(loading);
+  section.append(title, list);
 
-    milestoneEl.querySelectorAll('.activity').forEach((activityEl) => {
-      const activityIdValue = parseNumber(activityEl.dataset.activityId);
-      const resolvedActivityId = Number.isFinite(activityIdValue) ? activityIdValue : null;
-      const title = activityEl.querySelector('.activity-title')?.value.trim() || '';
-      const startDateValue = activityEl.querySelector('.activity-start')?.value || '';
-      const endDateValue = activityEl.querySelector('.activity-end')?.value || '';
-      const supplier = activityEl.querySelector('.activity-supplier')?.value.trim() || '';
-      const description = activityEl.querySelector('.activity-description')?.value.trim() || '';
+  renderSummaryVersions(projectId, list, options);
+  return section;
+}
 
-      const pepTitleSelect = activityEl.querySelector('.activity-pep-title');
-      const pepTitleValue = pepTitleSelect?.value?.trim() || '';
-      const pepTitleDisplay = getSelectOptionText(pepTitleSelect);
-      const pepAmountInput = activityEl.querySelector('.activity-pep-amount');
-      const pepAmountText = pepAmountInput?.value ?? '';
-      const pepYearInput = activityEl.querySelector('.activity-pep-year');
-      const pepYearText = pepYearInput?.value ?? '';
-      const pepIdValue = parseNumber(activityEl.dataset.pepId);
+/**
+ * Busca e renderiza as versões (número, data e autor) a partir dos nomes dos anexos; o conteúdo do resumo
+ * só é lido ao expandir versões antigas, sem autor no nome. Resultados de outro projeto são descartados.
+ * @param {number} projectId - Projeto exibido.
+ * @param {HTMLOListElement} list - Lista a preencher.
+ * @param {{signal?:AbortSignal}} [options={}] - Sinal cancelado ao selecionar outro projeto.
+ * @returns {Promise<void>}
+ */
+async function renderSummaryVersions(projectId, list, options = {}) {
+  const { signal } = options;
+  let versions;
+  try {
+    versions = await listSummaryVersions(projectId, { signal });
+  } catch (error) {
+    if (isAbortError(error)) return;
+    console.error('Erro ao carregar versões do resumo', error);
+    versions = null;
+  }
+  if (!list.isConnected || signal?.aborted) {
+    return;
+  }
 
-      const hasActivityData = [
-        title,
-        startDateValue,
-        endDateValue,
-        supplier,
-        description,
-        pepTitleValue,
-        pepAmountText,
-        pepYearText
-      ].some((value) => (typeof value === 'string' ? value.trim() !== '' : value !== null));
+  list.innerHTML = '';
+  if (!versions?.length) {
+    const empty = document.createElement('li');
+    empty.className = 'project-versions__empty';
+    empty.textContent = versions ? 'Nenhuma versão enviada para aprovação.' : 'Não foi possível carregar as versões enviadas.';
+    list.append(empty);
+    return;
+  }
 
-      if (!hasActivityData) {
-        return;
+  versions.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'project-versions__item';
+
+    const label = document.createElement('strong');
+    label.textContent = entry.legacy ? 'Versão original' : `Versão ${entry.version}`;
+
+    const meta = document.createElement('span');
+    meta.className = 'project-versions__meta';
+    meta.textContent = [
+      entry.submittedAt ? formatDateTimeValue(entry.submittedAt) : 'Data não registrada no nome do arquivo',
+      entry.submittedBy && `por ${entry.submittedBy}`
+    ].filter(Boolean).join(' · ');
+
+    const details = document.createElement('p');
+    details.className = 'project-versions__details hidden';
+
+    const detailsBtn = document.createElement('button');
+    detailsBtn.type = 'button';
+    detailsBtn.className = 'btn ghost';
+    detailsBtn.textContent = 'Detalhes';
+    detailsBtn.setAttribute('aria-expanded', 'false');
+    let submissionRequest = null;
+    detailsBtn.addEventListener('click', async () => {
+      const expanded = detailsBtn.getAttribute('aria-expanded') === 'true';
+      detailsBtn.setAttribute('aria-expanded', String(!expanded));
+      details.classList.toggle('hidden', expanded);
+      if (expanded || submissionRequest) return;
+
+      details.textContent = 'Carregando…';
+      submissionRequest = loadSummaryVersionSubmission(projectId, entry, { signal });
+      try {
+        const { submittedAt, submittedBy } = await submissionRequest;
+        details.textContent = `Enviada em ${formatDateTimeValue(submittedAt)} por ${submittedBy || 'autor não registrado'}.`;
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.warn('Não foi possível ler o resumo da versão', entry.fileName, error);
+        details.textContent = `Não foi possível ler ${entry.fileName}.`;
+        // Permite nova tentativa ao expandir de novo
+        submissionRequest = null;
       }
-
-      const parsedPepAmount = parseNumericInputValue(pepAmountInput);
-      const parsedPepYear = parseNumber(pepYearText);
-
-      const pep =
-        pepTitleValue || pepAmountText.trim() !== '' || pepYearText.trim() !== ''
-          ? {
-              id: Number.isFinite(pepIdValue) ? pepIdValue : null,
-              title: pepTitleValue,
-              titleDisplay: pepTitleDisplay,
-              amountBrl: Number.isFinite(parsedPepAmount) ? parsedPepAmount : 0,
-              amountText: pepAmountText,
-              year: Number.isFinite(parsedPepYear) ? parsedPepYear : null,
-              yearText: pepYearText
-            }
-          : null;
-
-      activities.push({
-        id: resolvedActivityId,
-        milestoneId: resolvedMilestoneId,
-        title,
-        startDate: startDateValue || null,
-        endDate: endDateValue || null,
-        supplier,
-        description,
-        pep
-      });
     });
 
-    if (!activities.length && !titleValue) {
-      return;
-    }
-
-    milestones.push({
-      id: resolvedMilestoneId,
-      title: titleValue,
-      activities
+    const downloadBtn = document.createElement('button');
+    downloadBtn.type = 'button';
+    downloadBtn.className = 'btn ghost';
+    downloadBtn.textContent = 'Baixar';
+    downloadBtn.addEventListener('click', async () => {
+      downloadBtn.disabled = true;
+      try {
+        saveBlobAs(await sp.downloadAttachment('Projects', projectId, entry.fileName), entry.fileName);
+      } catch (error) {
+        console.error('Erro ao baixar versão do resumo', error);
+        meta.textContent = `Não foi possível baixar ${entry.fileName}.`;
+      } finally {
+        downloadBtn.disabled = false;
+      }
     });
-  });
 
-  return milestones;
+    // Versões anteriores ao autor no nome do anexo: o autor só é conhecido lendo o resumo
+    item.append(label, meta, ...(entry.submittedBy ? [] : [detailsBtn]), downloadBtn);
+
+    if (index < versions.length - 1) {
+      const compareBtn = document.createElement('button');
+      compareBtn.type = 'button';
+      compareBtn.className = 'btn ghost';
+      compareBtn.textContent = 'Comparar';
+      compareBtn.title = 'Comparar com a versão anterior';
+      compareBtn.addEventListener('click', () => openVersionDiffOverlay(projectId, versions, entry.fileName));
+      item.append(compareBtn);
+    }
+
+    item.append(details);
+    list.append(item);
+  });
 }
 
 /**
- * Lineariza atividades associadas aos marcos para facilitar exportação.
- * @param {Milestone[]} milestones - Marcos coletados previamente.
- * @returns {Activity[]} Lista de atividades enriquecida com referência ao marco.
+ * Campos comparados em cada coleção do resumo, com os rótulos exibidos na comparação.
  */
-function collectActivitiesForSummary(milestones) {
-  const activities = [];
-  const safeMilestones = Array.isArray(milestones) ? milestones : [];
-
-  safeMilestones.forEach((milestone) => {
-    const milestoneId = milestone?.id ?? null;
-    const milestoneTitle = milestone?.title ?? '';
-    const milestoneActivities = Array.isArray(milestone?.activities) ? milestone.activities : [];
+const SUMMARY_DIFF_ITEM_FIELDS = Object.freeze({
+  milestones: { title: 'Título' },
+  activities: {
+    title: 'Título',
+    milestoneTitle: 'Marco',
+    startDate: 'Início',
+    endDate: 'Término',
+    supplier: 'Fornecedor',
+    description: 'Descrição'
+  },
+  peps: { title: 'Elemento PEP', amountBrl: 'Valor', year: 'Ano', activityTitle: 'Atividade' }
+});
 
-    milestoneActivities.forEach((activity) => {
-      if (!activity) return;
-      activities.push({
-        ...activity,
-        milestoneId,
-        milestoneTitle
-      });
-    });
-  });
+/**
+ * Chave natural usada quando o item não tem ID em comum nas duas versões (ex.: recriado após rollback).
+ */
+const SUMMARY_DIFF_NATURAL_KEYS = Object.freeze({
+  milestones: (item) => String(item.title || '').trim().toLowerCase(),
+  activities: (item) => `${item.milestoneTitle || ''}|${item.title || ''}`.trim().toLowerCase(),
+  peps: (item) => `${item.type || ''}|${item.activityTitle || ''}|${item.title || ''}|${item.year ?? ''}`.toLowerCase()
+});
 
-  return activities;
-}
+let versionDiffState = null;
 
 /**
- * Agrupa PEPs simples e vinculados às atividades para compor anexos e resumos.
- * @param {Pep[]} simplePeps - PEPs independentes coletados.
- * @param {Activity[]} activities - Atividades com eventual PEP.
- * @returns {Pep[]} Conjunto consolidado.
+ * Pareia itens das duas versões: primeiro por ID, depois pela chave natural; sobras viram inclusões/remoções.
+ * @param {Array} beforeItems - Itens da versão anterior.
+ * @param {Array} afterItems - Itens da versão comparada.
+ * @param {function(Object):string} naturalKey - Chave alternativa de pareamento.
+ * @returns {Array<{before:Object|null, after:Object|null}>} Pares na ordem da versão anterior, inclusões ao final.
  */
-function collectPepEntriesForSummary(simplePeps, activities) {
-  const peps = Array.isArray(simplePeps)
-    ? simplePeps.map((pep) => ({ ...pep }))
-    : [];
+function pairSummaryItems(beforeItems, afterItems, naturalKey) {
+  const remaining = [...afterItems];
+  const take = (predicate) => {
+    const index = remaining.findIndex(predicate);
+    return index >= 0 ? remaining.splice(index, 1)[0] : null;
+  };
 
-  const activityList = Array.isArray(activities) ? activities : [];
-  activityList.forEach((activity) => {
-    if (!activity?.pep) return;
-    peps.push({
-      ...activity.pep,
-      type: 'activity',
-      activityId: activity.id ?? null,
-      activityTitle: activity.title ?? '',
-      milestoneId: activity.milestoneId ?? null,
-      milestoneTitle: activity.milestoneTitle ?? ''
-    });
+  const pairs = beforeItems.map((before) => ({
+    before,
+    after: before.id !== null && before.id !== undefined ? take((candidate) => candidate.id === before.id) : null
+  }));
+  pairs.forEach((pair) => {
+    if (!pair.after) {
+      pair.after = take((candidate) => naturalKey(candidate) === naturalKey(pair.before));
+    }
   });
+  remaining.forEach((after) => pairs.push({ before: null, after }));
+  return pairs;
+}
 
-  return peps;
+/**
+ * Formata valores de itens do resumo (datas e valores em R$) para a comparação.
+ * @param {string} field - Campo do item.
+ * @param {*} value - Valor bruto.
+ * @returns {string} Texto exibido; '—' quando vazio.
+ */
+function formatSummaryItemValue(field, value) {
+  if (field === 'amountBrl') {
+    return formatProjectFieldValue('budgetBrl', value);
+  }
+  return formatProjectFieldValue(field, value);
 }
 
 /**
- * Reúne rótulos amigáveis de selects para compor anexos e resumos.
- * @returns {Object} Mapa de valores exibidos ao usuário.
+ * Rótulo legível de um item do resumo para as tabelas de comparação.
+ * @param {'milestones'|'activities'|'peps'} kind - Coleção.
+ * @param {Object} item - Item do resumo.
+ * @returns {string} Descrição curta.
  */
-function collectProjectDisplayValues() {
-  const depField = document.getElementById('depreciationCostCenter');
-  const depValue = depField?.value || '';
-  const roceMetrics = computeRoceMetrics({
-    gain: roceGainInput,
-    loss: roceLossInput,
-    budget: projectBudgetInput
-  });
-  const rocePercentDisplay = Number.isFinite(roceMetrics.value)
-    ? formatRocePercentage(roceMetrics.value)
-    : '';
-  return {
-    investmentLevel: getSelectOptionText(investmentLevelSelect),
-    company: getSelectOptionText(companySelect),
-    center: getSelectOptionText(centerSelect),
-    unit: getSelectOptionText(unitSelect),
-    location: getSelectOptionText(locationSelect),
-    depreciationCostCenter: depValue,
-    category: getSelectOptionText(document.getElementById('category')),
-    investmentType: getSelectOptionText(document.getElementById('investmentType')),
-    assetType: getSelectOptionText(document.getElementById('assetType')),
-    kpiType: getSelectOptionText(document.getElementById('kpiType')),
-    roceClassification: resolveRoceClassificationLabel(roceMetrics),
-    roceValue: rocePercentDisplay
-  };
+function describeSummaryItem(kind, item) {
+  if (kind === 'activities') {
+    return item.milestoneTitle ? `${item.title || 'Sem título'} (${item.milestoneTitle})` : item.title || 'Sem título';
+  }
+  if (kind === 'peps') {
+    const title = item.titleDisplay || item.title || 'Sem título';
+    const context = item.activityTitle ? ` · ${item.activityTitle}` : '';
+    return `${title} · ${item.year ?? '—'}${context}`;
+  }
+  return item.title || 'Sem título';
 }
 
 /**
- * Estrutura payload resumido do projeto utilizado em anexos JSON.
- * @param {number|string} projectId - Identificador do projeto.
- * @param {Project} [projectData={}] - Dados coletados do formulário.
- * @returns {SummaryPayload} Resumo consolidado.
+ * Compara duas coleções do resumo item a item.
+ * @param {'milestones'|'activities'|'peps'} kind - Coleção comparada.
+ * @param {Array} beforeItems - Itens da versão anterior.
+ * @param {Array} afterItems - Itens da versão comparada.
+ * @returns {Array<{status:'added'|'removed'|'changed', label:string,
+ *   changes:Array<{label:string, before:string, after:string}>, budgetDelta:number|null}>} Itens alterados.
  */
-function buildApprovalSummary(projectId, projectData = {}) {
-  const simplePeps = collectSimplePepDataForSummary();
-  const milestones = collectMilestonesForSummary();
-  const activities = collectActivitiesForSummary(milestones);
-  const peps = collectPepEntriesForSummary(simplePeps, activities);
-  const displayValues = collectProjectDisplayValues();
-  const roceMetrics = computeRoceMetrics({
-    gain: projectData.roceGain,
-    loss: projectData.roceLoss,
-    budget: projectData.budgetBrl
-  });
-  const roceClassification = resolveRoceClassificationLabel(roceMetrics);
-  const roceValue = Number.isFinite(roceMetrics.value) ? roceMetrics.value : null;
+function diffSummaryItems(kind, beforeItems, afterItems) {
+  const fields = SUMMARY_DIFF_ITEM_FIELDS[kind];
+  const amountOf = (item) => {
+    const amount = coerceNumericValue(item?.amountBrl);
+    return Number.isFinite(amount) ? amount : 0;
+  };
 
-  const numericId = Number(projectId);
-  const resolvedId = Number.isFinite(numericId) ? numericId : projectId;
+  return pairSummaryItems(safeArray(beforeItems), safeArray(afterItems), SUMMARY_DIFF_NATURAL_KEYS[kind])
+    .map(({ before, after }) => {
+      const budgetDelta = kind === 'peps' ? amountOf(after) - amountOf(before) : null;
+      if (!before || !after) {
+        return {
+          status: before ? 'removed' : 'added',
+          label: describeSummaryItem(kind, before || after),
+          changes: [],
+          budgetDelta
+        };
+      }
+      const changes = Object.entries(fields)
+        .map(([field, label]) => ({
+          label,
+          before: formatSummaryItemValue(field, before[field]),
+          after: formatSummaryItemValue(field, after[field])
+        }))
+        .filter((change) => change.before !== change.after);
+      return changes.length
+        ? { status: 'changed', label: describeSummaryItem(kind, after), changes, budgetDelta }
+        : null;
+    })
+    .filter(Boolean);
+}
 
-  const projectSummary = {
-    id: resolvedId,
-    ...projectData,
-    roceClassification,
-    roceValue,
-    displayValues
+/**
+ * Compara dois resumos no formato de buildApprovalSummary: campos do projeto, marcos, atividades e PEPs.
+ * @param {SummaryPayload} previous - Versão anterior.
+ * @param {SummaryPayload} current - Versão comparada.
+ * @returns {{fields:Array<{field:string, label:string, before:string, after:string}>,
+ *   budget:{before:number, after:number, delta:number}, pepTotal:{before:number, after:number, delta:number},
+ *   milestones:Array, activities:Array, peps:Array}} Diferenças encontradas.
+ */
+function diffApprovalSummaries(previous, current) {
+  const beforeProject = previous?.project || {};
+  const afterProject = current?.project || {};
+  const fields = Object.entries(PROJECT_FIELD_LABELS)
+    .map(([field, label]) => ({
+      field,
+      label,
+      before: formatProjectFieldValue(field, beforeProject[field]),
+      after: formatProjectFieldValue(field, afterProject[field])
+    }))
+    .filter((row) => row.before !== row.after);
+
+  const toNumber = (value) => {
+    const number = coerceNumericValue(value);
+    return Number.isFinite(number) ? number : 0;
   };
+  const sumPeps = (summary) => safeArray(summary?.peps).reduce((total, pep) => total + toNumber(pep?.amountBrl), 0);
+  const budgetBefore = toNumber(beforeProject.budgetBrl);
+  const budgetAfter = toNumber(afterProject.budgetBrl);
+  const pepBefore = sumPeps(previous);
+  const pepAfter = sumPeps(current);
 
   return {
-    project: projectSummary,
-    milestones,
-    activities,
-    peps
+    fields,
+    budget: { before: budgetBefore, after: budgetAfter, delta: budgetAfter - budgetBefore },
+    pepTotal: { before: pepBefore, after: pepAfter, delta: pepAfter - pepBefore },
+    milestones: diffSummaryItems('milestones', previous?.milestones, current?.milestones),
+    activities: diffSummaryItems('activities', previous?.activities, current?.activities),
+    peps: diffSummaryItems('peps', previous?.peps, current?.peps)
   };
 }
 
 /**
- * Sincroniza PEPs simples com a lista SharePoint, criando, atualizando e removendo conforme necessário.
- * @param {number} projectId - ID do projeto pai.
- * @param {number} approvalYear - Ano de aprovação usado como fallback.
+ * Cria selo com a variação em R$ (verde para aumento, vermelho para redução).
+ * @param {number|null} delta - Variação calculada.
+ * @returns {HTMLSpanElement|null} Selo ou null quando não há variação.
  */
-async function persistSimplePeps(projectId, approvalYear) {
-  const currentIds = new Set();
-
-  for (const row of simplePepList.querySelectorAll('.pep-row')) {
-    const id = row.dataset.pepId;
-    const title = row.querySelector('.pep-title').value.trim();
-    const amount = parseNumericInputValue(row.querySelector('.pep-amount')) || 0;
-    const year = parseNumber(row.querySelector('.pep-year').value) || approvalYear;
-    const payload = {
-      Title: title,
-      amountBrl: amount,
-      year,
-      projectsIdId: projectId
-    };
-    if (id) {
-      await sp.updateItem('Peps', Number(id), payload);
-      row.dataset.pepId = resolveDatasetId(id);
-      currentIds.add(Number(id));
-    } else {
-      const created = await sp.createItem('Peps', payload);
-      const createdId = created?.Id;
-      row.dataset.pepId = resolveDatasetId(createdId);
-      if (Number.isFinite(Number(createdId))) {
-        currentIds.add(Number(createdId));
-      }
-    }
-  }
-
-  const toDelete = [...state.editingSnapshot.simplePeps].filter((id) => !currentIds.has(id));
-  for (const id of toDelete) {
-    await sp.deleteItem('Peps', Number(id));
-  }
+function createBudgetDeltaBadge(delta) {
+  if (!Number.isFinite(delta) || delta === 0) return null;
+  const badge = document.createElement('span');
+  badge.className = `budget-delta ${delta > 0 ? 'budget-delta--up' : 'budget-delta--down'}`;
+  badge.textContent = `${delta > 0 ? '+' : '−'}${BRL.format(Math.abs(delta))}`;
+  return badge;
 }
 
 /**
- * Remove PEPs previamente associados quando projeto migra para modo Key Projects.
+ * Monta uma seção da comparação com título e tabela (ou aviso de ausência de alterações).
+ * @param {string} title - Título da seção.
+ * @param {string[]} headers - Cabeçalhos da tabela.
+ * @param {Array<Array<string|Node>>} rows - Células de cada linha.
+ * @param {string[]} [rowClasses=[]] - Classe aplicada a cada linha.
+ * @returns {HTMLElement} Seção pronta.
  */
-async function cleanupSimplePeps() {
-  for (const id of state.editingSnapshot.simplePeps) {
-    await sp.deleteItem('Peps', Number(id));
+function createVersionDiffSection(title, headers, rows, rowClasses = []) {
+  const section = document.createElement('section');
+  section.className = 'summary-section';
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  section.append(heading);
+
+  if (!rows.length) {
+    const empty = document.createElement('p');
+    empty.className = 'conflict-empty';
+    empty.textContent = 'Sem alterações.';
+    section.append(empty);
+    return section;
   }
-  state.editingSnapshot.simplePeps.clear();
+
+  const table = document.createElement('table');
+  table.className = 'summary-table version-diff-table';
+  const headRow = document.createElement('tr');
+  headers.forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.append(th);
+  });
+  const thead = document.createElement('thead');
+  thead.append(headRow);
+
+  const tbody = document.createElement('tbody');
+  rows.forEach((cells, index) => {
+    const tr = document.createElement('tr');
+    if (rowClasses[index]) tr.className = rowClasses[index];
+    cells.forEach((cell) => {
+      const td = document.createElement('td');
+      if (cell instanceof Node) {
+        td.append(cell);
+      } else {
+        td.textContent = cell;
+      }
+      tr.append(td);
+    });
+    tbody.append(tr);
+  });
+
+  table.append(thead, tbody);
+  section.append(table);
+  return section;
 }
 
 /**
- * Sincroniza marcos, atividades e PEPs vinculados com suas respectivas listas SharePoint.
- * @param {number} projectId - ID do projeto pai.
+ * Renderiza o resultado de diffApprovalSummaries no overlay de comparação.
+ * @param {ReturnType<typeof diffApprovalSummaries>} diff - Diferenças calculadas.
  */
-async function persistKeyProjects(projectId) {
-  const milestoneIds = new Set();
-  const activityIds = new Set();
-  const activityPepIds = new Set();
+function renderVersionDiff(diff) {
+  if (!versionDiffContent) return;
+  versionDiffContent.innerHTML = '';
 
-  for (const milestone of milestoneList.querySelectorAll('.milestone')) {
-    const id = milestone.dataset.milestoneId;
-    const title = milestone.querySelector('.milestone-title').value.trim();
-    const payload = {
-      Title: title,
-      projectsIdId: projectId
-    };
-    let milestoneId = Number(id);
-    if (id) {
-      await sp.updateItem('Milestones', milestoneId, payload);
-    } else {
-      const created = await sp.createItem('Milestones', payload);
-      milestoneId = created.Id;
-    }
-    milestone.dataset.milestoneId = resolveDatasetId(milestoneId);
-    milestoneIds.add(Number(milestoneId));
+  const totals = document.createElement('div');
+  totals.className = 'project-overview__grid';
+  [
+    { label: 'Orçamento do Projeto', values: diff.budget },
+    { label: 'Total em PEPs', values: diff.pepTotal }
+  ].forEach(({ label, values }) => {
+    const box = createHighlightBox(label, `${BRL.format(values.before)} → ${BRL.format(values.after)}`);
+    const badge = createBudgetDeltaBadge(values.delta);
+    if (badge) box.append(badge);
+    totals.append(box);
+  });
+  versionDiffContent.append(totals);
+
+  versionDiffContent.append(
+    createVersionDiffSection(
+      'Dados do projeto',
+      ['Campo', 'Versão anterior', 'Versão comparada'],
+      diff.fields.map((row) => {
+        const after = document.createElement('span');
+        after.textContent = row.after;
+        const badge = row.field === 'budgetBrl' ? createBudgetDeltaBadge(diff.budget.delta) : null;
+        if (badge) after.append(' ', badge);
+        return [row.label, row.before, after];
+      }),
+      diff.fields.map(() => 'version-diff-row--changed')
+    )
+  );
 
-    for (const activity of milestone.querySelectorAll('.activity')) {
-      const activityIdRaw = activity.dataset.activityId;
-      const activityPayload = {
-        Title: activity.querySelector('.activity-title').value.trim(),
-        startDate: activity.querySelector('.activity-start').value || null,
-        endDate: activity.querySelector('.activity-end').value || null,
-        activityDescription: activity.querySelector('.activity-description').value.trim(),
-        supplier: activity.querySelector('.activity-supplier').value.trim(),
-        projectsIdId: projectId,
-        milestonesIdId: milestoneId
-      };
-      let activityId = Number(activityIdRaw);
-      if (activityIdRaw) {
-        await sp.updateItem('Activities', activityId, activityPayload);
-      } else {
-        const createdActivity = await sp.createItem('Activities', activityPayload);
-        activityId = createdActivity.Id;
+  const statusLabels = { added: 'Adicionado', removed: 'Removido', changed: 'Alterado' };
+  [
+    { title: 'Marcos', items: diff.milestones, withBudget: false },
+    { title: 'Atividades', items: diff.activities, withBudget: false },
+    { title: 'PEPs', items: diff.peps, withBudget: true }
+  ].forEach(({ title, items, withBudget }) => {
+    const headers = ['Item', 'Situação', 'Detalhes', ...(withBudget ? ['Δ Valor'] : [])];
+    const rows = items.map((item) => {
+      const details = item.changes.map((change) => `${change.label}: ${change.before} → ${change.after}`).join('\n');
+      const cells = [item.label, statusLabels[item.status], details || '—'];
+      if (withBudget) {
+        cells.push(createBudgetDeltaBadge(item.budgetDelta) || '—');
       }
-      activity.dataset.activityId = resolveDatasetId(activityId);
-      activity.dataset.milestoneId = resolveDatasetId(milestoneId);
-      activityIds.add(Number(activityId));
+      return cells;
+    });
+    versionDiffContent.append(
+      createVersionDiffSection(title, headers, rows, items.map((item) => `version-diff-row--${item.status}`))
+    );
+  });
+}
 
-      const pepTitle = activity.querySelector('.activity-pep-title')?.value.trim() || '';
-      const pepAmount = parseNumericInputValue(activity.querySelector('.activity-pep-amount')) || 0;
-      const pepYearInput = activity.querySelector('.activity-pep-year');
-      let pepYear = parseNumber(pepYearInput?.value);
-      if (!pepYear) {
-        const startValue = activity.querySelector('.activity-start')?.value;
-        const startYear = startValue ? parseInt(startValue.substring(0, 4), 10) : NaN;
-        if (Number.isFinite(startYear)) {
-          pepYear = startYear;
-        } else {
-          const fallback = parseNumber(approvalYearInput.value);
-          if (fallback) {
-            pepYear = fallback;
-          }
-        }
-        if (pepYearInput) {
-          pepYearInput.value = pepYear ?? '';
-        }
-      }
+/**
+ * Rótulo de uma versão nos seletores da comparação.
+ * @param {{version:number, legacy:boolean, submittedAt:string|null}} entry - Versão listada.
+ * @returns {string} Texto da opção.
+ */
+function describeSummaryVersion(entry) {
+  const name = entry.legacy ? 'Versão original' : `Versão ${entry.version}`;
+  return entry.submittedAt ? `${name} · ${formatDateTimeValue(entry.submittedAt)}` : name;
+}
 
-      const pepIdRaw = activity.dataset.pepId;
-      const hasPepData = Boolean(pepTitle) || pepAmount > 0;
+/**
+ * Lê (com cache por sessão do overlay) o conteúdo JSON de uma versão.
+ * @param {string} fileName - Anexo da versão.
+ * @returns {Promise<SummaryPayload>} Resumo interpretado.
+ */
+async function readSummaryVersion(fileName) {
+  const { projectId, cache } = versionDiffState;
+  if (!cache.has(fileName)) {
+    cache.set(
+      fileName,
+      sp.getAttachmentContent('Projects', projectId, fileName).then((content) => {
+        if (!content) throw new Error(`Resumo ${fileName} não encontrado.`);
+        return JSON.parse(content);
+      })
+    );
+  }
+  return cache.get(fileName);
+}
 
-      if (hasPepData) {
-        const pepPayload = {
-          Title: pepTitle,
-          amountBrl: pepAmount,
-          year: pepYear,
-          projectsIdId: projectId,
-          activitiesIdId: activityId
-        };
-        let pepId = Number(pepIdRaw);
-        if (pepIdRaw) {
-          await sp.updateItem('Peps', pepId, pepPayload);
-        } else {
-          const createdPep = await sp.createItem('Peps', pepPayload);
-          pepId = createdPep.Id;
-        }
-        activity.dataset.pepId = resolveDatasetId(pepId);
-        activityPepIds.add(Number(pepId));
-      } else if (pepIdRaw) {
-        await sp.deleteItem('Peps', Number(pepIdRaw));
-        activity.dataset.pepId = '';
-      }
+/**
+ * Recalcula a comparação para as versões escolhidas nos seletores.
+ * @returns {Promise<void>}
+ */
+async function refreshVersionDiff() {
+  if (!versionDiffState || !versionDiffBaseSelect || !versionDiffTargetSelect) return;
+  const session = versionDiffState;
+  const baseFile = versionDiffBaseSelect.value;
+  const targetFile = versionDiffTargetSelect.value;
+
+  versionDiffContent.innerHTML = '';
+  const loading = document.createElement('p');
+  loading.className = 'hint';
+  loading.textContent = 'Carregando versões…';
+  versionDiffContent.append(loading);
+
+  try {
+    const [previous, current] = await Promise.all([readSummaryVersion(baseFile), readSummaryVersion(targetFile)]);
+    if (versionDiffState !== session || versionDiffBaseSelect.value !== baseFile || versionDiffTargetSelect.value !== targetFile) {
+      return;
     }
+    renderVersionDiff(diffApprovalSummaries(previous, current));
+  } catch (error) {
+    if (versionDiffState !== session) return;
+    console.error('Erro ao comparar versões do resumo', error);
+    versionDiffContent.innerHTML = '';
+    const message = document.createElement('p');
+    message.className = 'conflict-empty';
+    message.textContent = 'Não foi possível carregar as versões selecionadas.';
+    versionDiffContent.append(message);
   }
-
-  await deleteMissing('Peps', state.editingSnapshot.activityPeps, activityPepIds);
-  await deleteMissing('Activities', state.editingSnapshot.activities, activityIds);
-  await deleteMissing('Milestones', state.editingSnapshot.milestones, milestoneIds);
 }
 
 /**
- * Remove registros de Key Projects associados ao projeto quando orçamento cai abaixo do limiar.
+ * Abre a comparação entre a versão informada e a imediatamente anterior.
+ * @param {number} projectId - Projeto exibido.
+ * @param {Array<{fileName:string, version:number, legacy:boolean, submittedAt:string|null}>} versions
+ *   - Versões listadas, da mais recente para a mais antiga.
+ * @param {string} targetFileName - Versão que será comparada com a anterior.
  */
-async function cleanupKeyProjects() {
-  await deleteMissing('Peps', state.editingSnapshot.activityPeps, new Set());
-  await deleteMissing('Activities', state.editingSnapshot.activities, new Set());
-  await deleteMissing('Milestones', state.editingSnapshot.milestones, new Set());
+function openVersionDiffOverlay(projectId, versions, targetFileName) {
+  if (!versionDiffOverlay || !versionDiffBaseSelect || !versionDiffTargetSelect) return;
+  versionDiffState = { projectId, cache: new Map() };
+
+  [versionDiffBaseSelect, versionDiffTargetSelect].forEach((select) => {
+    select.innerHTML = '';
+    versions.forEach((entry) => {
+      const option = document.createElement('option');
+      option.value = entry.fileName;
+      option.textContent = describeSummaryVersion(entry);
+      select.append(option);
+    });
+  });
+
+  const targetIndex = versions.findIndex((entry) => entry.fileName === targetFileName);
+  const baseEntry = versions[targetIndex + 1] || versions[targetIndex];
+  versionDiffTargetSelect.value = targetFileName;
+  versionDiffBaseSelect.value = baseEntry.fileName;
+
+  versionDiffOverlay.classList.remove('hidden');
+  versionDiffOverlay.scrollTop = 0;
+  if (versionDiffTitle) {
+    versionDiffTitle.focus();
+  }
+  refreshVersionDiff();
 }
 
 /**
- * Remove itens SharePoint que estavam relacionados anteriormente mas não existem mais localmente.
- * @param {string} listName - Nome da lista alvo.
- * @param {Set<number>} previousSet - IDs conhecidos antes da edição.
- * @param {Set<number>} currentSet - IDs que permanecem após edição.
+ * Fecha a comparação de versões e descarta o cache de resumos lidos.
  */
-async function deleteMissing(listName, previousSet, currentSet) {
-  for (const id of previousSet) {
-    if (!currentSet.has(id)) {
-      await sp.deleteItem(listName, Number(id));
-    }
+function closeVersionDiffOverlay() {
+  if (!versionDiffOverlay) return;
+  versionDiffOverlay.classList.add('hidden');
+  if (versionDiffContent) {
+    versionDiffContent.innerHTML = '';
   }
-  previousSet.clear();
+  versionDiffState = null;
 }
 
 // ============================================================================
 // Utilitários
 // ============================================================================
+/**
+ * Dispara o download de um Blob no navegador com o nome informado.
+ * @param {Blob} blob - Conteúdo do arquivo.
+ * @param {string} fileName - Nome sugerido para salvar.
+ */
+function saveBlobAs(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Faz scroll para o topo do overlay e do formulário, garantindo visibilidade das mensagens.
  */
@@ -6444,6 +14550,21 @@ function scrollFormToTop() {
   scrollElement(projectForm);
 }
 
+/**
+ * Exibe mensagem em um bloco .feedback secundário (seções e diálogos) com o mesmo visual de formStatus.
+ * @param {HTMLElement|null} element - Bloco .feedback alvo.
+ * @param {string} message - Texto apresentado (vazio oculta o bloco).
+ * @param {'info'|'success'|'warning'|'error'} [tone='info'] - Tom visual.
+ */
+function setFeedback(element, message, tone = 'info') {
+  if (!element) return;
+  element.classList.remove('show', 'feedback--info', 'feedback--success', 'feedback--warning', 'feedback--error');
+  element.textContent = message || '';
+  if (message) {
+    element.classList.add('show', `feedback--${tone}`);
+  }
+}
+
 /**
  * Atualiza componente de status com mensagem contextual e tom visual.
  * @param {string} message - Texto apresentado.